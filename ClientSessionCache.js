@@ -0,0 +1,129 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at:
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/* ClientSessionCache remembers the sessions which our client sessions have negotiated, so that a later connection to the same server (using the same PSK identity)
+ * can be resumed via an abbreviated handshake (see RFC 5246 section 7.3) instead of a full handshake.
+ * NOTE: a session may be resumed via its session ID and/or via the session ticket which the server issued for it (see RFC 5077).
+ * NOTE: entries are keyed by the server's address, port and the PSK identity which the session actually used (i.e. which it sent in its ClientKeyExchange message);
+ *       when the cache is full, the least-recently-stored entry is evicted. */
+
+// constants
+// NOTE: RFC 5246 (appendix F.1.4) recommends an upper limit of 24 hours on session ID lifetimes
+const DEFAULT_MAXIMUM_ENTRY_COUNT = 64;
+const DEFAULT_LIFETIME = 24 * 60 * 60 * 1000;
+
+function ClientSessionCache() {
+    this.maximumEntryCount = DEFAULT_MAXIMUM_ENTRY_COUNT;
+    // lifetime of each entry, in milliseconds
+    this.lifetime = DEFAULT_LIFETIME;
+    // NOTE: a Map iterates its keys in insertion order, so its first key is always the oldest entry
+    this.entries = new Map();
+}
+
+function ClientSessionCacheEntry(pskIdentity, sessionId, ticket, masterSecret, dtlsVersion, cipherSuite, expirationTime) {
+    // the PSK identity from which the session's master secret was derived
+    this.pskIdentity = pskIdentity;
+    // NOTE: sessionId is null if the server did not assign a session ID; ticket is null if the server did not issue a session ticket
+    this.sessionId = sessionId;
+    this.ticket = ticket;
+    this.masterSecret = masterSecret;
+    this.dtlsVersion = dtlsVersion;
+    this.cipherSuite = cipherSuite;
+    // expiration time, in milliseconds since the epoch (i.e. comparable to Date.now())
+    this.expirationTime = expirationTime;
+}
+
+// NOTE: maximumEntryCount and lifetime (in milliseconds) are OPTIONAL
+exports.create = function(maximumEntryCount, lifetime) {
+    // validate inputs
+    //
+    // maximumEntryCount
+    if (typeof maximumEntryCount === "undefined") {
+        maximumEntryCount = DEFAULT_MAXIMUM_ENTRY_COUNT;
+    } else if (typeof maximumEntryCount !== "number") {
+        throw new TypeError();
+    } else if ((maximumEntryCount < 1) || (Math.floor(maximumEntryCount) != maximumEntryCount)) {
+        throw new RangeError();
+    }
+    // lifetime
+    if (typeof lifetime === "undefined") {
+        lifetime = DEFAULT_LIFETIME;
+    } else if (typeof lifetime !== "number") {
+        throw new TypeError();
+    } else if (lifetime <= 0) {
+        throw new RangeError();
+    }
+
+    // create and initialize the new ClientSessionCache object
+    let result = new ClientSessionCache();
+    result.maximumEntryCount = maximumEntryCount;
+    result.lifetime = lifetime;
+
+    // return the new ClientSessionCache object
+    return result;
+}
+
+function createKey(ipAddress, port, pskIdentity) {
+    return createKeyPrefix(ipAddress, port) + Buffer.from(pskIdentity).toString("hex");
+}
+
+function createKeyPrefix(ipAddress, port) {
+    return ipAddress + "/" + port + "/";
+}
+
+/* NOTE: this function returns null if we have no (unexpired) session for the server; pskIdentity may be null (if the client's credentials are chosen by a pskCallback
+ *       during the handshake), in which case we return the most-recently-stored session for the server, whatever its identity (see the entry's pskIdentity) */
+ClientSessionCache.prototype.get = function(ipAddress, port, pskIdentity) {
+    let key = null;
+    if (pskIdentity !== null && pskIdentity !== undefined) {
+        key = createKey(ipAddress, port, pskIdentity);
+    } else {
+        let keyPrefix = createKeyPrefix(ipAddress, port);
+        // NOTE: our entries are in insertion order, so the last matching key is the most-recently-stored entry
+        for (let entryKey of this.entries.keys()) {
+            if (entryKey.startsWith(keyPrefix)) {
+                key = entryKey;
+            }
+        }
+    }
+    let entry = (key !== null ? this.entries.get(key) : undefined);
+    if (entry === undefined) {
+        return null;
+    } else if (entry.expirationTime <= Date.now()) {
+        this.entries.delete(key);
+        return null;
+    }
+    return entry;
+}
+
+// NOTE: pskIdentity is the identity which the session sent in its ClientKeyExchange message; sessionId and ticket may each be null (but not both); lifetime is OPTIONAL (if the server specified a shorter ticket lifetime than our own), in milliseconds
+ClientSessionCache.prototype.set = function(ipAddress, port, pskIdentity, sessionId, ticket, masterSecret, dtlsVersion, cipherSuite, lifetime) {
+    let key = createKey(ipAddress, port, pskIdentity);
+    // NOTE: we delete any existing entry first, so that the new entry moves to the end of our insertion order
+    this.entries.delete(key);
+    while (this.entries.size >= this.maximumEntryCount) {
+        this.entries.delete(this.entries.keys().next().value);
+    }
+    if (lifetime === undefined || lifetime > this.lifetime) {
+        lifetime = this.lifetime;
+    }
+    // NOTE: we store our own copies of the session ID, ticket and master secret (as the session may wipe its own copies)
+    this.entries.set(key, new ClientSessionCacheEntry(Buffer.from(pskIdentity), (sessionId !== null ? Buffer.from(sessionId) : null), (ticket !== null ? Buffer.from(ticket) : null), Buffer.from(masterSecret), dtlsVersion, cipherSuite, Date.now() + lifetime));
+}
+
+ClientSessionCache.prototype.remove = function(ipAddress, port, pskIdentity) {
+    this.entries.delete(createKey(ipAddress, port, pskIdentity));
+}
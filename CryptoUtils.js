@@ -14,6 +14,9 @@
 
 'use strict'
 
+// enums
+let enums = require('./enums.js');
+
 let crypto;
 
 exports.verifyCrypto = function() {
@@ -37,8 +40,9 @@ exports.verifyCrypto = function() {
  *   secret: PRF secret
  *   label: an ASCII string which will be prefixed to the seed (so that we can create multiple PRF outputs using a single seed, using a different label input for each one)
  *   seed: PRF seed
- *   outputLength: number of bytes to return */
-exports.PRF = function(secret, label, seed, outputLength) {
+ *   outputLength: number of bytes to return
+ *   prfAlgorithm: OPTIONAL enums.PrfAlgorithm value (default: TLS_PRF_MD5_SHA1, as used by DTLS 1.0) */
+exports.PRF = function(secret, label, seed, outputLength, prfAlgorithm) {
     if (!exports.verifyCrypto()) return null;
 
     // convert label to a buffer (if it is not already a buffer)
@@ -48,6 +52,12 @@ exports.PRF = function(secret, label, seed, outputLength) {
 
     // concatenate the label and seed
     let combinedSeed = Buffer.concat([label, seed]);
+
+    // DTLS 1.2 uses a single P_SHA256 expansion over the entire secret
+    if (prfAlgorithm === enums.PrfAlgorithm.TLS_PRF_SHA256) {
+        return P_hash(secret, combinedSeed, outputLength, 'sha256');
+    }
+
     // split the secret into two halves; if the secret has an odd number of bytes then include the middle byte in each half
     let secretEachHalfLength = (secret.length / 2) + (secret.length % 2);
     let secretFirstHalf = secret.slice(0, secretEachHalfLength);
@@ -69,7 +79,7 @@ exports.PRF = function(secret, label, seed, outputLength) {
  *   secret: hash secret
  *   seed: hash seed
  *   outputLength: number of bytes to return 
- *   algorithm: hash algorithm {'HMAC','SHA1'} */
+ *   algorithm: hash algorithm {'md5','sha1','sha256'} */
 function P_hash(secret, seed, outputLength, algorithm) {
     let result = Buffer.alloc(0); // empty buffer
     let hmac;
@@ -110,8 +120,12 @@ function xorBuffers(buffer1, buffer2) {
     return result;
 }
 
+// NOTE: psk must be a Buffer (or Uint8Array); see PresharedKey.toBuffer for the conversion of other key formats
 exports.createPremasterSecret_FromPresharedKey = function(psk) {
-    let pskBuffer = new Buffer(psk);
+    if (Object.prototype.toString.call(psk) != "[object Uint8Array]") {
+        throw new TypeError();
+    }
+    let pskBuffer = Buffer.from(psk);
     let pskBufferLength = pskBuffer.length;
     let premasterSecret = Buffer.alloc(4 + (pskBufferLength * 2));
     premasterSecret.writeUInt16BE(pskBufferLength, 0);
@@ -0,0 +1,103 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at:
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+let util = require('util');
+
+// enums
+let enums = require('./enums.js');
+
+/* error types which are passed to callbacks (and used to reject promises)
+ * NOTE: every error has a string "code" property (like node's own system errors), so callers may test either the type or the code. */
+
+// DtlsError is the base type for all of our errors
+function DtlsError(message, code) {
+    Error.call(this);
+    Error.captureStackTrace(this, this.constructor);
+    this.name = this.constructor.name;
+    this.message = message;
+    this.code = code;
+}
+util.inherits(DtlsError, Error);
+exports.DtlsError = DtlsError;
+
+// the hostname could not be resolved to an IP address; cause is the underlying dns error
+function DtlsHostResolutionError(host, cause) {
+    DtlsError.call(this, 'Could not resolve host "' + host + '"' + (cause && cause.code ? ' (' + cause.code + ')' : ''), 'EDTLSHOSTRESOLUTION');
+    this.host = host;
+    this.cause = cause;
+}
+util.inherits(DtlsHostResolutionError, DtlsError);
+exports.DtlsHostResolutionError = DtlsHostResolutionError;
+
+// the handshake could not be completed; alertDescription is the fatal alert which we sent to the peer (or null, if we did not send an alert)
+function DtlsHandshakeError(message, code, alertDescription) {
+    DtlsError.call(this, message, (code !== undefined && code !== null ? code : 'EDTLSHANDSHAKE'));
+    this.alertDescription = (alertDescription !== undefined ? alertDescription : null);
+}
+util.inherits(DtlsHandshakeError, DtlsError);
+exports.DtlsHandshakeError = DtlsHandshakeError;
+
+// the peer did not respond to our handshake (even after all retransmissions); reason is OPTIONAL: the likely cause, if we know it (e.g. a PSK mismatch)
+function DtlsHandshakeTimeoutError(reason) {
+    DtlsHandshakeError.call(this, 'DTLS handshake timed out' + (reason !== undefined && reason !== null ? ' (' + reason + ')' : ''), 'ETIMEDOUT');
+}
+util.inherits(DtlsHandshakeTimeoutError, DtlsHandshakeError);
+exports.DtlsHandshakeTimeoutError = DtlsHandshakeTimeoutError;
+
+// no PSK identity/key is available for the peer; alertDescription is OPTIONAL (default: handshake_failure)
+function DtlsCredentialsError(message, alertDescription) {
+    DtlsHandshakeError.call(this, message, 'EDTLSCREDENTIALS', (alertDescription !== undefined ? alertDescription : enums.AlertDescription.HandshakeFailure));
+}
+util.inherits(DtlsCredentialsError, DtlsHandshakeError);
+exports.DtlsCredentialsError = DtlsCredentialsError;
+
+// our key store failed to look up a PSK (i.e. its lookup threw or rejected); cause is the key store's error
+function DtlsKeyStoreError(cause) {
+    DtlsCredentialsError.call(this, 'The PSK lookup failed' + (cause && cause.message ? ' (' + cause.message + ')' : ''), enums.AlertDescription.InternalError);
+    this.code = 'EDTLSKEYSTORE';
+    this.cause = cause;
+}
+util.inherits(DtlsKeyStoreError, DtlsCredentialsError);
+exports.DtlsKeyStoreError = DtlsKeyStoreError;
+
+// the peer aborted the handshake by sending us a fatal alert; alertDescription is the peer's enums.AlertDescription value
+function DtlsAlertError(alertDescription) {
+    let alertName = enums.getAlertDescriptionAsString(alertDescription);
+    DtlsHandshakeError.call(this, 'The peer sent a fatal alert: ' + (alertName !== null ? alertName : 'unknown alert') + ' (' + alertDescription + ')', 'EDTLSALERT', alertDescription);
+}
+util.inherits(DtlsAlertError, DtlsHandshakeError);
+exports.DtlsAlertError = DtlsAlertError;
+
+// the session could not be renegotiated (because the peer refused, or because the peer or the session does not support secure renegotiation); the session remains usable
+function DtlsRenegotiationError(message) {
+    DtlsError.call(this, message, 'EDTLSRENEGOTIATION');
+}
+util.inherits(DtlsRenegotiationError, DtlsError);
+exports.DtlsRenegotiationError = DtlsRenegotiationError;
+
+// the session cannot send data (because its handshake failed or it has been closed)
+function DtlsSessionStateError(message) {
+    DtlsError.call(this, message, 'EDTLSNOTCONNECTED');
+}
+util.inherits(DtlsSessionStateError, DtlsError);
+exports.DtlsSessionStateError = DtlsSessionStateError;
+
+// the peer stopped responding (our session was closed after the peer missed too many heartbeats)
+function DtlsPeerTimeoutError() {
+    DtlsError.call(this, 'The peer did not respond to our heartbeats', 'ETIMEDOUT');
+}
+util.inherits(DtlsPeerTimeoutError, DtlsError);
+exports.DtlsPeerTimeoutError = DtlsPeerTimeoutError;
@@ -29,6 +29,8 @@
  *      11: Length MSB
  *      12: Length LSB
  *     13+: SslCiphertext Fragment
+ * NOTE: records which carry a connection ID (see RFC 9146) have the outer type tls12_cid (enums.ProtocolType.DtlsConnectionIdProtocol) and insert the connection ID
+ *       between the Sequence Number and the Length; their actual type is appended to their content before it is encrypted.
  */
 
 // cryptoutils
@@ -43,8 +45,11 @@ const MAX_PLAINTEXT_FRAGMENT_LENGTH = 16384;
 const MAIN_COMPRESSEDTEXT_FRAGMENT_LENGTH = MAX_PLAINTEXT_FRAGMENT_LENGTH + 1024;
 const MAIN_CIPHERTEXT_FRAGMENT_LENGTH = MAIN_COMPRESSEDTEXT_FRAGMENT_LENGTH + 1024;
 //
-const MAX_EPOCH = (1 << 16) - 1;
-const MAX_SEQUENCE_NUMBER = (1 << 48) - 1;
+// NOTE: JavaScript's shift operators are limited to 32 bits, so the 48-bit limit is calculated with Math.pow (which is exact for integers up to 2 to the power of 53)
+const MAX_EPOCH = Math.pow(2, 16) - 1;
+const MAX_SEQUENCE_NUMBER = Math.pow(2, 48) - 1;
+//
+const MAX_CONNECTION_ID_LENGTH = 255;
 
 function DtlsRecord() {
     this.protocolType = null;
@@ -52,13 +57,17 @@ function DtlsRecord() {
     this.epoch = null;
     this.sequenceNumber = null;
     this.fragment = null;
+    // the connection ID in the record's header; null if the record does not carry a connection ID
+    this.connectionId = null;
 }
 
-exports.createFromPlaintext = function(type, dtlsVersion, epoch, sequenceNumber, fragment) {
+// NOTE: connectionId is optional; if it is provided (i.e. not null), the record is sent with the peer's connection ID in its header
+exports.createFromPlaintext = function(type, dtlsVersion, epoch, sequenceNumber, fragment, connectionId) {
     // validate inputs
     //
     // type
-    if (!enums.isProtocolTypeValid(type)) {
+    // NOTE: tls12_cid is only ever the outer type of a record (see connectionId)
+    if (!enums.isProtocolTypeValid(type) || type === enums.ProtocolType.DtlsConnectionIdProtocol) {
         throw new RangeError();
     }
     // dtlsVersion
@@ -69,14 +78,14 @@ exports.createFromPlaintext = function(type, dtlsVersion, epoch, sequenceNumber,
     // note: all positive integers up to (2^16)-1 are valid for epoch
     if (typeof epoch !== "number") {
         throw new TypeError();
-    } else if ((epoch < 0) || (epoch > Math.pow(2, 16) - 1) || (Math.floor(epoch) != epoch)) {
+    } else if ((epoch < 0) || (epoch > MAX_EPOCH) || (Math.floor(epoch) != epoch)) {
         throw new RangeError();
     }
     // sequenceNumber
     // note: all positive integers up to (2^48)-1 are valid for sequenceNumber
     if (typeof sequenceNumber !== "number") {
         throw new TypeError();
-    } else if ((sequenceNumber < 0) || (sequenceNumber > Math.pow(2, 48) - 1) || (Math.floor(sequenceNumber) != sequenceNumber)) {
+    } else if ((sequenceNumber < 0) || (sequenceNumber > MAX_SEQUENCE_NUMBER) || (Math.floor(sequenceNumber) != sequenceNumber)) {
         throw new RangeError();
     }
     // fragment
@@ -85,6 +94,14 @@ exports.createFromPlaintext = function(type, dtlsVersion, epoch, sequenceNumber,
     } else if (fragment.length > MAX_PLAINTEXT_FRAGMENT_LENGTH) {
         throw new RangeError();
     }
+    // connectionId
+    if (typeof connectionId === "undefined" || connectionId === null) {
+        connectionId = null;
+    } else if (Object.prototype.toString.call(connectionId) != "[object Uint8Array]") {
+        throw new TypeError();
+    } else if ((connectionId.length < 1) || (connectionId.length > MAX_CONNECTION_ID_LENGTH)) {
+        throw new RangeError();
+    }
 
     // create and initialize the new DtlsRecord object
     let result = new DtlsRecord();
@@ -93,14 +110,97 @@ exports.createFromPlaintext = function(type, dtlsVersion, epoch, sequenceNumber,
     result.epoch = epoch;
     result.sequenceNumber = sequenceNumber;
     result.fragment = fragment;
+    result.connectionId = connectionId;
 
     // return the new Dtls record object
     return result;
 }
 
+// NOTE: epochs and sequence numbers cannot roll over; a session must be renegotiated (or closed) before it exhausts them
+exports.getMaximumEpoch = function() {
+    return MAX_EPOCH;
+}
+
+exports.getMaximumSequenceNumber = function() {
+    return MAX_SEQUENCE_NUMBER;
+}
+
+// NOTE: this is the length of a record header which does not carry a connection ID (i.e. the shortest datagram which can hold a record)
+exports.getHeaderLength = function() {
+    return HEADER_LENGTH;
+}
+
+exports.getMaximumPlaintextFragmentLength = function() {
+    return MAX_PLAINTEXT_FRAGMENT_LENGTH;
+}
+
+// NOTE: this function returns the largest number of bytes which a record (header, IV, MAC and padding) can add to a plaintext fragment
+// NOTE: connectionIdLength is optional (default: 0); a record which carries a connection ID also carries its actual type (one byte) in its encrypted content
+exports.getMaximumRecordExpansion = function(bulkEncryptionAlgorithm, macAlgorithm, connectionIdLength) {
+    let headerLength = HEADER_LENGTH;
+    if (typeof connectionIdLength === "number" && connectionIdLength > 0) {
+        headerLength += connectionIdLength + 1;
+    }
+
+    if (bulkEncryptionAlgorithm === enums.BulkEncryptionAlgorithm.NULL) {
+        return headerLength;
+    } else if (enums.isBulkAlgorithmAead(bulkEncryptionAlgorithm)) {
+        // explicit nonce + authentication tag
+        return headerLength + enums.getBulkAlgorithmRecordIvLength(bulkEncryptionAlgorithm) + enums.getBulkAlgorithmAuthTagLength(bulkEncryptionAlgorithm);
+    }
+
+    let blockSize = enums.getBulkAlgorithmBlockSize(bulkEncryptionAlgorithm);
+    // random IV + MAC + padding (which is at least one byte and at most one full block)
+    return headerLength + blockSize + enums.getMacAlgorithmHashSize(macAlgorithm) + blockSize;
+}
+
+// NOTE: this function reads only the (unencrypted) record header; it returns null if the buffer does not contain a complete record
+// NOTE: the returned recordLength includes both the header and the (still-encrypted) fragment, so that callers can skip records which they cannot decrypt
+// NOTE: connectionIdLength is optional (default: 0); it is the length of the connection IDs which we expect in the headers of tls12_cid records (as the header does not
+//       specify the length of its connection ID). the returned connectionId is null for all other records.
+exports.readHeader = function(buffer, offset, connectionIdLength) {
+    if (Object.prototype.toString.call(buffer) != "[object Uint8Array]") {
+        throw new TypeError();
+    } else if (typeof offset !== "number") {
+        throw new TypeError();
+    } else if (typeof connectionIdLength !== "undefined" && typeof connectionIdLength !== "number") {
+        throw new TypeError();
+    } else if (buffer.length - offset < HEADER_LENGTH) {
+        return null;
+    }
+
+    let headerLength = HEADER_LENGTH;
+    let connectionId = null;
+    if (buffer[offset] === enums.ProtocolType.DtlsConnectionIdProtocol) {
+        let recordConnectionIdLength = (typeof connectionIdLength === "number" ? connectionIdLength : 0);
+        headerLength += recordConnectionIdLength;
+        if (buffer.length - offset < headerLength) {
+            return null;
+        }
+        connectionId = buffer.slice(offset + 11, offset + 11 + recordConnectionIdLength);
+    }
+
+    let fragmentLength = buffer.readUInt16BE(offset + headerLength - 2);
+    if (buffer.length - offset - headerLength < fragmentLength) {
+        return null;
+    }
+
+    return {
+        protocolType: buffer[offset],
+        dtlsVersion: buffer.readUInt16BE(offset + 1),
+        epoch: buffer.readUInt16BE(offset + 3),
+        sequenceNumber: buffer.readUIntBE(offset + 5, 6),
+        connectionId: connectionId,
+        recordLength: headerLength + fragmentLength
+    };
+}
+
 // NOTE: this function returns null if a complete record could not be parsed (and does not validate any data in the returned record)
 // NOTE: offset is optional (default: 0)
-exports.fromEncryptedBuffer = function(buffer, offset, bulkEncryptionAlgorithm, blockEncryptionKey, macAlgorithm, macSecret) {
+// NOTE: fixedIv is only required for AEAD bulk encryption algorithms
+// NOTE: connectionId is optional; if it is provided (i.e. not null), the record must be a tls12_cid record which carries this connection ID--otherwise, the record must not
+//       carry a connection ID. the returned record's protocolType is the record's actual (decrypted) type.
+exports.fromEncryptedBuffer = function(buffer, offset, bulkEncryptionAlgorithm, blockEncryptionKey, macAlgorithm, macSecret, fixedIv, connectionId) {
     // use currentOffset to track the current offset while reading from the buffer    
     let initialOffset;
     let currentOffset;
@@ -154,7 +254,22 @@ exports.fromEncryptedBuffer = function(buffer, offset, bulkEncryptionAlgorithm,
     // sequenceNumber (octets 5-10)
     result.sequenceNumber = buffer.readUIntBE(currentOffset, 6);
     currentOffset += 6;
-    // length (octets 11-12)
+    // connectionId (tls12_cid records only)
+    let expectedConnectionId = ((typeof connectionId !== "undefined" && connectionId !== null) ? Buffer.from(connectionId) : null);
+    if ((result.protocolType === enums.ProtocolType.DtlsConnectionIdProtocol) !== (expectedConnectionId !== null)) {
+        return null;
+    }
+    if (expectedConnectionId !== null) {
+        if (buffer.length - currentOffset < expectedConnectionId.length + 2) {
+            return null;
+        }
+        result.connectionId = buffer.slice(currentOffset, currentOffset + expectedConnectionId.length);
+        currentOffset += expectedConnectionId.length;
+        if (Buffer.compare(result.connectionId, expectedConnectionId) !== 0) {
+            return null;
+        }
+    }
+    // length (octets 11-12, or following the connectionId)
     let ciphertextLength = buffer.readUInt16BE(currentOffset);
     currentOffset += 2;
     // verify that the buffer length is long enough to fit the sslCiphertext
@@ -162,6 +277,19 @@ exports.fromEncryptedBuffer = function(buffer, offset, bulkEncryptionAlgorithm,
         // if the buffer is not big enough, return null
         return null;
     }
+    // AEAD ciphers use an explicit nonce and an authentication tag (instead of a random IV, MAC and padding)
+    if (enums.isBulkAlgorithmAead(bulkEncryptionAlgorithm)) {
+        let aeadFragment = buffer.slice(currentOffset, currentOffset + ciphertextLength);
+        currentOffset += ciphertextLength;
+        result.fragment = decryptAeadFragment(aeadFragment, bulkEncryptionAlgorithm, blockEncryptionKey, fixedIv, result.epoch, result.sequenceNumber, result.protocolType, result.dtlsVersion, result.connectionId);
+        if (result.fragment === null) {
+            return null;
+        }
+        if (result.connectionId !== null && !readInnerPlaintext(result)) {
+            return null;
+        }
+        return {record: result, bytesConsumed: currentOffset - initialOffset};
+    }
     // randomIV
     let randomIV = null;
     if (randomIVLength < ciphertextLength) {
@@ -186,6 +314,11 @@ exports.fromEncryptedBuffer = function(buffer, offset, bulkEncryptionAlgorithm,
         compressedtext = ciphertext;
     } else {
         if (!CryptoUtils.verifyCrypto()) return null;
+
+        // the ciphertext must be a whole number of cipher blocks; otherwise the decipher would throw
+        if (ciphertextLength % enums.getBulkAlgorithmBlockSize(bulkEncryptionAlgorithm) !== 0) {
+            return null;
+        }
                 
         // decrypt with bulkEncryptionAlgorithm
         let bulkEncryptionAlgorithmAsString = enums.getBulkAlgorithmAsString(bulkEncryptionAlgorithm);
@@ -230,10 +363,10 @@ exports.fromEncryptedBuffer = function(buffer, offset, bulkEncryptionAlgorithm,
         let macHashLength = enums.getMacAlgorithmHashSize(macAlgorithm);
         let compressedtextWithoutMacOrPadding = compressedtext.slice(0, compressedtext.length - paddingLength - paddingValueLength - macHashLength);
         let macHash = compressedtext.slice(compressedtext.length - paddingLength - paddingValueLength - macHashLength, compressedtext.length - paddingLength - paddingValueLength)
-        let bufferForMacCalculation = buildBufferForMacCalculation(result.epoch, result.sequenceNumber, result.protocolType, result.dtlsVersion, compressedtextWithoutMacOrPadding);
+        let bufferForMacCalculation = buildBufferForMacCalculation(result.epoch, result.sequenceNumber, result.protocolType, result.dtlsVersion, compressedtextWithoutMacOrPadding, undefined, result.connectionId);
         // generate the MAC hash
         let macSecretAsBuffer = new Buffer(macSecret);
-        let macHashVerify = CryptoUtils.crypto.createHmac('sha1', macSecretAsBuffer).update(bufferForMacCalculation).digest();
+        let macHashVerify = CryptoUtils.crypto.createHmac(enums.getMacAlgorithmAsString(macAlgorithm), macSecretAsBuffer).update(bufferForMacCalculation).digest();
         // compare MAC hash to macHashVerify
         for (let iMacHash = 0; iMacHash < macHashLength; iMacHash++) {
             if (macHashVerify[iMacHash] !== macHash[iMacHash]) {
@@ -256,16 +389,26 @@ exports.fromEncryptedBuffer = function(buffer, offset, bulkEncryptionAlgorithm,
     // NOTE: compression is not allowed by our implementation; simply copy the compressedtext reference to the result's fragment variable in case we add compression in the future
     result.fragment = Buffer.alloc(compressedtext.length)
     compressedtext.copy(result.fragment, 0, 0, result.fragment.length);
+    if (result.connectionId !== null && !readInnerPlaintext(result)) {
+        return null;
+    }
 
     // return the new DtlsRecord object
     return {record: result, bytesConsumed: currentOffset - initialOffset};
 }
 
-DtlsRecord.prototype.toEncryptedBuffer = function(bulkEncryptionAlgorithm, blockEncryptionKey, macAlgorithm, macSecret) {
+// NOTE: fixedIv is only required for AEAD bulk encryption algorithms
+DtlsRecord.prototype.toEncryptedBuffer = function(bulkEncryptionAlgorithm, blockEncryptionKey, macAlgorithm, macSecret, fixedIv) {
     // compress the plaintext
     //
     // NOTE: compression is not allowed by our implementation; simply copy the fragment reference to the compressedtext variable in case we add compression in the future
     let compressedtext = this.fragment;
+    // a record which carries a connection ID appends its actual type to its content (without any padding) and is sent with the outer type tls12_cid (see RFC 9146 section 4)
+    let outerProtocolType = this.protocolType;
+    if (this.connectionId !== null) {
+        compressedtext = Buffer.concat([Buffer.from(this.fragment), Buffer.from([this.protocolType])]);
+        outerProtocolType = enums.ProtocolType.DtlsConnectionIdProtocol;
+    }
 
     // encrypt the compressedtext
     //
@@ -273,6 +416,13 @@ DtlsRecord.prototype.toEncryptedBuffer = function(bulkEncryptionAlgorithm, block
     let randomIV = null;
     if (bulkEncryptionAlgorithm == enums.BulkEncryptionAlgorithm.NULL) {
         ciphertext = compressedtext;
+    } else if (enums.isBulkAlgorithmAead(bulkEncryptionAlgorithm)) {
+        if (!CryptoUtils.verifyCrypto()) return null;
+
+        // the explicit nonce takes the place of the random IV (and the authentication tag is appended to the ciphertext)
+        let aeadResult = encryptAeadFragment(compressedtext, bulkEncryptionAlgorithm, blockEncryptionKey, fixedIv, this.epoch, this.sequenceNumber, outerProtocolType, this.dtlsVersion, this.connectionId);
+        randomIV = aeadResult.explicitNonce;
+        ciphertext = aeadResult.ciphertext;
     } else {
         if (!CryptoUtils.verifyCrypto()) return null;
 
@@ -281,10 +431,10 @@ DtlsRecord.prototype.toEncryptedBuffer = function(bulkEncryptionAlgorithm, block
         randomIV = CryptoUtils.crypto.randomBytes(encryptionblockSize);
         //
         // create a buffer which prepends the MAC info header
-        let bufferForMacCalculation = buildBufferForMacCalculation(this.epoch, this.sequenceNumber, this.protocolType, this.dtlsVersion, compressedtext);
+        let bufferForMacCalculation = buildBufferForMacCalculation(this.epoch, this.sequenceNumber, outerProtocolType, this.dtlsVersion, compressedtext, undefined, this.connectionId);
         // generate the MAC hash
         let macSecretAsBuffer = new Buffer(macSecret);
-        let macHash = CryptoUtils.crypto.createHmac('sha1', macSecretAsBuffer).update(bufferForMacCalculation).digest();
+        let macHash = CryptoUtils.crypto.createHmac(enums.getMacAlgorithmAsString(macAlgorithm), macSecretAsBuffer).update(bufferForMacCalculation).digest();
         //
         // for encryption, append the MAC hash to the fragment and then append padding to the closest blocksize
         let bufferForEncryption = buildBufferForEncryption(compressedtext, macHash, enums.getBulkAlgorithmBlockSize(bulkEncryptionAlgorithm));
@@ -301,14 +451,15 @@ DtlsRecord.prototype.toEncryptedBuffer = function(bulkEncryptionAlgorithm, block
     // create our buffer (which we will then populate)
     let randomIVLength = (randomIV !== null ? randomIV.length : 0);
     let ciphertextLength = ciphertext.length;
-    let result = Buffer.alloc(HEADER_LENGTH + randomIVLength + ciphertextLength);
+    let connectionIdLength = (this.connectionId !== null ? this.connectionId.length : 0);
+    let result = Buffer.alloc(HEADER_LENGTH + connectionIdLength + randomIVLength + ciphertextLength);
     // use offset to track the current offset while writing to the buffer    
     let offset = 0;
 
     // populate record header
     //
     // type (octet 0)
-    result[offset] = this.protocolType;
+    result[offset] = outerProtocolType;
     offset += 1;
     // dtlsVersion (octets 1-2)
     result.writeUInt16BE(this.dtlsVersion, offset);
@@ -319,7 +470,12 @@ DtlsRecord.prototype.toEncryptedBuffer = function(bulkEncryptionAlgorithm, block
     // sequenceNumber (octets 5-10)
     result.writeUIntBE(this.sequenceNumber, offset, 6);
     offset += 6;
-    // length (octets 11-12)
+    // connectionId (tls12_cid records only)
+    if (this.connectionId !== null) {
+        Buffer.from(this.connectionId).copy(result, offset, 0, connectionIdLength);
+        offset += connectionIdLength;
+    }
+    // length (octets 11-12, or following the connectionId)
     result.writeUInt16BE(ciphertextLength + randomIVLength, offset);
     offset += 2;
     // randomIV (octets 13+)
@@ -335,9 +491,16 @@ DtlsRecord.prototype.toEncryptedBuffer = function(bulkEncryptionAlgorithm, block
     return result;
 }
 
-function buildBufferForMacCalculation(epoch, sequenceNumber, protocolType, dtlsVersion, fragment) {
-    let fragmentLength = fragment.length;
-    let result = Buffer.alloc(8 /* epoch + sequenceNumber */ + 5 /* protocolType + dtlsVersion */ + fragmentLength);
+// NOTE: fragmentLength is optional (default: fragment.length); AEAD ciphers pass an empty fragment along with the plaintext length to build their additional data
+// NOTE: connectionId is optional; records which carry a connection ID use a different layout (which also covers the connection ID)
+function buildBufferForMacCalculation(epoch, sequenceNumber, protocolType, dtlsVersion, fragment, fragmentLength, connectionId) {
+    if (typeof fragmentLength === "undefined") {
+        fragmentLength = fragment.length;
+    }
+    if (typeof connectionId !== "undefined" && connectionId !== null) {
+        return buildBufferForConnectionIdMacCalculation(epoch, sequenceNumber, dtlsVersion, connectionId, fragment, fragmentLength);
+    }
+    let result = Buffer.alloc(8 /* epoch + sequenceNumber */ + 5 /* protocolType + dtlsVersion */ + fragment.length);
 
     let offset = 0;
     // epoch (octets 0-1)
@@ -356,12 +519,114 @@ function buildBufferForMacCalculation(epoch, sequenceNumber, protocolType, dtlsV
     result.writeUInt16BE(fragmentLength, offset);
     offset += 2
     // fragmentBuffer
-    fragment.copy(result, offset, 0, fragmentLength);
-    offset += fragmentLength;
+    fragment.copy(result, offset, 0, fragment.length);
+    offset += fragment.length;
+
+    return result;
+}
+
+/* MAC input (and AEAD additional data) for records which carry a connection ID (RFC 9146 section 5):
+ *   seq_num_placeholder (eight 0xff octets) + tls12_cid + cid_length + tls12_cid + version + epoch + sequence_number + cid + length + content
+ * NOTE: the length (and content) is that of the DTLSInnerPlaintext, i.e. the record's content followed by its actual type */
+function buildBufferForConnectionIdMacCalculation(epoch, sequenceNumber, dtlsVersion, connectionId, fragment, fragmentLength) {
+    let result = Buffer.alloc(8 /* seq_num_placeholder */ + 3 /* tls12_cid + cid_length + tls12_cid */ + 2 /* dtlsVersion */ + 8 /* epoch + sequenceNumber */ + connectionId.length + 2 /* length */ + fragment.length);
+
+    let offset = 0;
+    // seq_num_placeholder (octets 0-7)
+    result.fill(0xff, offset, offset + 8);
+    offset += 8;
+    // tls12_cid, cid_length and tls12_cid (octets 8-10)
+    result[offset] = enums.ProtocolType.DtlsConnectionIdProtocol;
+    offset += 1;
+    result[offset] = connectionId.length;
+    offset += 1;
+    result[offset] = enums.ProtocolType.DtlsConnectionIdProtocol;
+    offset += 1;
+    // dtlsVersion (octets 11-12)
+    result.writeUInt16BE(dtlsVersion, offset);
+    offset += 2;
+    // epoch (octets 13-14)
+    result.writeUInt16BE(epoch, offset);
+    offset += 2;
+    // sequenceNumber (octets 15-20)
+    result.writeUIntBE(sequenceNumber, offset, 6);
+    offset += 6;
+    // connectionId
+    Buffer.from(connectionId).copy(result, offset, 0, connectionId.length);
+    offset += connectionId.length;
+    // fragmentLength
+    result.writeUInt16BE(fragmentLength, offset);
+    offset += 2;
+    // fragmentBuffer
+    fragment.copy(result, offset, 0, fragment.length);
+    offset += fragment.length;
 
     return result;
 }
 
+// NOTE: this function replaces the (decrypted) DTLSInnerPlaintext of a tls12_cid record with the record's actual content and type; it returns false if the
+//       DTLSInnerPlaintext does not specify a type (i.e. if it consists only of padding)
+function readInnerPlaintext(record) {
+    let typeOffset = record.fragment.length - 1;
+    while (typeOffset >= 0 && record.fragment[typeOffset] === 0) {
+        typeOffset--;
+    }
+    if (typeOffset < 0) {
+        return false;
+    }
+    record.protocolType = record.fragment[typeOffset];
+    record.fragment = record.fragment.slice(0, typeOffset);
+    return true;
+}
+
+/* AEAD record protection (RFC 5246 section 6.2.3.3, RFC 5288 and RFC 6655)
+ * NOTE: the nonce is the implicit "salt" (fixedIv, from the key block) followed by the explicit nonce (which is sent at the start of the record);
+ *       we use the record's epoch and sequence number as the explicit nonce, as these are unique for each record protected under a given key.
+ *       the additional data is the same epoch/sequenceNumber/type/version/length header which the CBC ciphers' MAC covers. */
+function encryptAeadFragment(plaintext, bulkEncryptionAlgorithm, encryptionKey, fixedIv, epoch, sequenceNumber, protocolType, dtlsVersion, connectionId) {
+    let explicitNonce = Buffer.alloc(enums.getBulkAlgorithmRecordIvLength(bulkEncryptionAlgorithm));
+    explicitNonce.writeUInt16BE(epoch, 0);
+    explicitNonce.writeUIntBE(sequenceNumber, 2, 6);
+    let nonce = Buffer.concat([new Buffer(fixedIv), explicitNonce]);
+    let additionalData = buildBufferForMacCalculation(epoch, sequenceNumber, protocolType, dtlsVersion, Buffer.alloc(0), plaintext.length, connectionId);
+    //
+    let encryptionCrypto = CryptoUtils.crypto.createCipheriv(enums.getBulkAlgorithmAsString(bulkEncryptionAlgorithm), encryptionKey, nonce, {authTagLength: enums.getBulkAlgorithmAuthTagLength(bulkEncryptionAlgorithm)});
+    encryptionCrypto.setAAD(additionalData, {plaintextLength: plaintext.length});
+    let encryptData = encryptionCrypto.update(plaintext);
+    let finalBlock = encryptionCrypto.final();
+    let authTag = encryptionCrypto.getAuthTag();
+    //
+    return {explicitNonce: explicitNonce, ciphertext: Buffer.concat([encryptData, finalBlock, authTag])};
+}
+
+// NOTE: this function returns null if the fragment is malformed or fails authentication
+function decryptAeadFragment(fragment, bulkEncryptionAlgorithm, encryptionKey, fixedIv, epoch, sequenceNumber, protocolType, dtlsVersion, connectionId) {
+    if (!CryptoUtils.verifyCrypto()) return null;
+
+    let explicitNonceLength = enums.getBulkAlgorithmRecordIvLength(bulkEncryptionAlgorithm);
+    let authTagLength = enums.getBulkAlgorithmAuthTagLength(bulkEncryptionAlgorithm);
+    if (fragment.length < explicitNonceLength + authTagLength) {
+        return null;
+    }
+    let explicitNonce = fragment.slice(0, explicitNonceLength);
+    let ciphertext = fragment.slice(explicitNonceLength, fragment.length - authTagLength);
+    let authTag = fragment.slice(fragment.length - authTagLength);
+    let nonce = Buffer.concat([new Buffer(fixedIv), explicitNonce]);
+    let additionalData = buildBufferForMacCalculation(epoch, sequenceNumber, protocolType, dtlsVersion, Buffer.alloc(0), ciphertext.length, connectionId);
+    //
+    try {
+        let decryptionCrypto = CryptoUtils.crypto.createDecipheriv(enums.getBulkAlgorithmAsString(bulkEncryptionAlgorithm), encryptionKey, nonce, {authTagLength: authTagLength});
+        decryptionCrypto.setAuthTag(authTag);
+        decryptionCrypto.setAAD(additionalData, {plaintextLength: ciphertext.length});
+        let decryptData = decryptionCrypto.update(ciphertext);
+        let finalBlock = decryptionCrypto.final();
+        return Buffer.concat([decryptData, finalBlock]);
+    } catch (err) {
+        // authentication failed
+        return null;
+    }
+}
+
 function buildBufferForEncryption(fragment, macHash, paddingBlockSize) {
     let nonPaddedLength = fragment.length + macHash.length + 1 /* +1 is for the padding length byte which goes _after_ the padding */;
     let numBlocks = Math.ceil(nonPaddedLength / paddingBlockSize);
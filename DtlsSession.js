@@ -16,175 +16,1482 @@
 
 // cryptoutils
 let CryptoUtils = require("./CryptoUtils.js");
+// pre-shared key formats and length policy
+let PresharedKey = require('./PresharedKey.js');
 // securityParameters
 let SecurityParameters = require('./SecurityParameters.js');
+// errors
+let DtlsErrors = require('./DtlsErrors.js');
 // messages
+let HelloRequestMessage = require('./messages/handshake/HelloRequestMessage.js');
 let ClientHelloMessage = require('./messages/handshake/ClientHelloMessage.js');
 let HelloVerifyRequestMessage = require('./messages/handshake/HelloVerifyRequestMessage.js');
 let ServerHelloMessage = require('./messages/handshake/ServerHelloMessage.js');
+let PskServerKeyExchangeMessage = require('./messages/handshake/PskServerKeyExchangeMessage.js');
 let ServerHelloDoneMessage = require('./messages/handshake/ServerHelloDoneMessage.js');
 let PskClientKeyExchangeMessage = require('./messages/handshake/PskClientKeyExchangeMessage.js');
 let FinishedMessage = require('./messages/handshake/FinishedMessage.js');
+let NewSessionTicketMessage = require('./messages/handshake/NewSessionTicketMessage.js');
+let HelloExtension = require('./messages/handshake/HelloExtension.js');
 //
 let DtlsAlertMessage = require('./messages/DtlsAlertMessage.js');
+let DtlsHeartbeatMessage = require('./messages/DtlsHeartbeatMessage.js');
 let DtlsApplicationDataMessage = require('./messages/DtlsApplicationDataMessage.js');
 let DtlsChangeCipherSpecMessage = require('./messages/DtlsChangeCipherSpecMessage.js');
 let DtlsHandshakeMessage = require('./messages/DtlsHandshakeMessage.js');
+// handshake message reassembly
+let HandshakeReassemblyBuffer = require('./HandshakeReassemblyBuffer.js');
 // records
 let DtlsRecord = require('./DtlsRecord.js');
+// streams
+let DtlsSessionStream = require('./DtlsSessionStream.js');
 // enums
 let enums = require('./enums.js');
 
 // constantsh
 // NOTE: we consider "UTC + random" to be one "random" code; the DtlsSession class is responsible for populating the first four bytes with a Utc value (with a random offset)
-const CLIENT_RANDOM_SUFFIX_LENGTH = 28; 
-const CLIENT_RANDOM_LENGTH = 32;
-const DTLS_VERSION = enums.DtlsVersion.DTLS_1_0;
+const RANDOM_SUFFIX_LENGTH = 28; 
+const RANDOM_LENGTH = 32;
+const MAX_SESSION_ID_LENGTH = 32;
+// the highest DTLS version which we support (offered by clients and accepted by servers) and the version which we fall back to for older peers
+// NOTE: DTLS versions are ones-complement values, so newer versions have numerically-lower values
+const MAX_DTLS_VERSION = enums.DtlsVersion.DTLS_1_2;
+const MIN_DTLS_VERSION = enums.DtlsVersion.DTLS_1_0;
 // supported cipher suites
 let supportedCipherSuites = [
     // NOTE: we specify AES256 first so that the Z/IP gateway choosse the highest security by default
     enums.CipherSuite.TLS_PSK_WITH_AES_256_CBC_SHA,
+    // NOTE: AEAD and SHA-256 cipher suites are only negotiated for DTLS 1.2 sessions
+    enums.CipherSuite.TLS_PSK_WITH_AES_128_GCM_SHA256,
+    enums.CipherSuite.TLS_PSK_WITH_AES_128_CCM_8,
+    enums.CipherSuite.TLS_PSK_WITH_AES_128_CBC_SHA256,
     enums.CipherSuite.TLS_PSK_WITH_AES_128_CBC_SHA,
 ]; // supported compression methods
 let supportedCompressionMethods = [
     enums.CompressionMethod.NULL,
 ];
+// handshake retransmission defaults (see RFC 6347 section 4.2.4.1); all timeouts are in milliseconds
+const DEFAULT_RETRANSMIT_INITIAL_TIMEOUT = 1000;
+const DEFAULT_RETRANSMIT_MAX_TIMEOUT = 60000;
+const DEFAULT_RETRANSMIT_MAX_COUNT = 6;
+// anti-replay window default (see RFC 6347 section 4.1.2.6); this is the number of records (below the highest received sequence number) which are tracked
+const DEFAULT_REPLAY_WINDOW_SIZE = 64;
+// path MTU default; this is the maximum size of each datagram which we send (handshake messages which do not fit are fragmented)
+const DEFAULT_PATH_MTU = 1400;
+const MIN_PATH_MTU = 128;
+//
+const HANDSHAKE_MESSAGE_HEADER_LENGTH = 12;
+// number of datagrams which we set aside while an asynchronous PSK lookup is pending; any further datagrams are dropped (and will be retransmitted by the peer)
+const MAX_DEFERRED_DATAGRAMS = 16;
+// number of handshake messages (beyond the next expected message) which we will buffer when the peer's messages arrive out of order
+const MAX_HANDSHAKE_MESSAGE_LOOKAHEAD = 8;
+// rekeying limits; a session is renegotiated once it has sent (or received) rekeyRecordLimit records under its current keys, and (optionally) every rekeyInterval milliseconds
+// NOTE: our maximum (and default) record limit is half of the sequence number space, so that the records which we send while renegotiating cannot exhaust our sequence numbers
+const MAX_REKEY_RECORD_LIMIT = Math.pow(2, 47);
+const MAX_REKEY_INTERVAL = 2147483647; // the longest delay supported by setTimeout
+// heartbeat defaults (see RFC 6520); a heartbeatInterval of 0 disables our heartbeats (although we always answer the peer's heartbeats)
+const MAX_HEARTBEAT_INTERVAL = 2147483647; // the longest delay supported by setTimeout
+const DEFAULT_HEARTBEAT_MAX_MISSED = 3;
+const DEFAULT_MAX_HEARTBEAT_PAYLOAD_LENGTH = 1024;
+// the length of the (random) payload which we send in our own HeartbeatRequest messages
+const HEARTBEAT_REQUEST_PAYLOAD_LENGTH = 16;
+// the signaling cipher suite value which a client may offer instead of an empty renegotiation_info extension (see RFC 5746 section 3.3)
+const TLS_EMPTY_RENEGOTIATION_INFO_SCSV = 0x00FF;
+// the longest PSK identity which a ClientKeyExchange message can carry (see RFC 4279 section 5.1)
+const MAX_PSK_IDENTITY_LENGTH = 65535;
 
-exports.createDtlsSession = function(socket, dtlsSocket, messageListener) {
-    let result = new DtlsSession(socket, dtlsSocket);
+/* options (all OPTIONAL):
+ *   retransmitInitialTimeout: time to wait for the peer's next flight before our first retransmission
+ *   retransmitMaxTimeout: upper limit for the (doubling) retransmission timeout
+ *   retransmitMaxCount: number of retransmissions after which the handshake is abandoned
+ *   replayWindowSize: number of records tracked by the anti-replay window (records older than the window are dropped)
+ *   pathMtu: maximum size of each datagram which we send; larger handshake messages are fragmented
+ *   pskCallback: [client] function(identityHint, ipAddress, port) which returns the {identity, key} to use for the server (or null to use the credentials passed to connect)
+ *   pskMinLength, pskMaxLength: key length policy (in bytes); handshakes which would use a shorter (or longer) key are abandoned
+ *   pskIdentityHint: [server] identity hint (Buffer or string) which is sent to clients in a ServerKeyExchange message
+ *   sessionCache: [client] ClientSessionCache in which negotiated sessions are stored (and from which cached sessions are resumed); null disables session resumption
+ *   sessionTicketKeys: [server] SessionTicketKeys which encrypt the session tickets issued to (and decrypt the tickets presented by) our clients; null disables session tickets
+ *   rekeyRecordLimit: number of records which may be sent (or received) under the session's current keys before the session is renegotiated
+ *   rekeyInterval: time after each handshake at which the session is renegotiated; 0 (the default) disables time-based rekeying
+ *   heartbeatInterval: time without any record from the peer after which we send a HeartbeatRequest message (and then resend it every heartbeatInterval milliseconds until
+ *                      the peer responds); 0 (the default) disables our heartbeats
+ *   heartbeatMaxMissed: number of consecutive unanswered HeartbeatRequest messages after which the session is closed; 0 keeps the session open regardless
+ *   maxHeartbeatPayloadLength: largest HeartbeatRequest payload which we echo back to the peer; larger requests are discarded */
+exports.createDtlsSession = function(transport, dtlsSocket, messageListener, options) {
+    let result = new DtlsSession(transport, dtlsSocket);
     if (messageListener !== undefined) {
         result.messageListener = messageListener;
     }
+    if (options !== undefined && options !== null) {
+        if (options.retransmitInitialTimeout !== undefined) {
+            result.retransmitInitialTimeout = options.retransmitInitialTimeout;
+        }
+        if (options.retransmitMaxTimeout !== undefined) {
+            result.retransmitMaxTimeout = options.retransmitMaxTimeout;
+        }
+        if (options.retransmitMaxCount !== undefined) {
+            result.retransmitMaxCount = options.retransmitMaxCount;
+        }
+        if (options.replayWindowSize !== undefined) {
+            if (typeof options.replayWindowSize !== "number") {
+                throw new TypeError();
+            } else if ((options.replayWindowSize < 1) || (Math.floor(options.replayWindowSize) != options.replayWindowSize)) {
+                throw new RangeError();
+            }
+            result.replayWindow = new Uint8Array(options.replayWindowSize);
+        }
+        if (options.pathMtu !== undefined) {
+            if (typeof options.pathMtu !== "number") {
+                throw new TypeError();
+            } else if ((options.pathMtu < MIN_PATH_MTU) || (Math.floor(options.pathMtu) != options.pathMtu)) {
+                throw new RangeError();
+            }
+            result.pathMtu = options.pathMtu;
+        }
+        if (options.pskCallback !== undefined && options.pskCallback !== null) {
+            if (typeof options.pskCallback !== "function") {
+                throw new TypeError();
+            }
+            result.pskCallback = options.pskCallback;
+        }
+        if (options.pskMinLength !== undefined) {
+            if (typeof options.pskMinLength !== "number") {
+                throw new TypeError();
+            } else if ((options.pskMinLength < 1) || (options.pskMinLength > PresharedKey.getMaximumLength()) || (Math.floor(options.pskMinLength) != options.pskMinLength)) {
+                throw new RangeError();
+            }
+            result.pskMinLength = options.pskMinLength;
+        }
+        if (options.pskMaxLength !== undefined) {
+            if (typeof options.pskMaxLength !== "number") {
+                throw new TypeError();
+            } else if ((options.pskMaxLength < result.pskMinLength) || (options.pskMaxLength > PresharedKey.getMaximumLength()) || (Math.floor(options.pskMaxLength) != options.pskMaxLength)) {
+                throw new RangeError();
+            }
+            result.pskMaxLength = options.pskMaxLength;
+        }
+        if (options.pskIdentityHint !== undefined && options.pskIdentityHint !== null) {
+            if (typeof options.pskIdentityHint === "string") {
+                result.pskIdentityHint = Buffer.from(options.pskIdentityHint);
+            } else if (Object.prototype.toString.call(options.pskIdentityHint) == "[object Uint8Array]") {
+                result.pskIdentityHint = options.pskIdentityHint;
+            } else {
+                throw new TypeError();
+            }
+        }
+        if (options.sessionCache !== undefined && options.sessionCache !== null) {
+            result.sessionCache = options.sessionCache;
+        }
+        if (options.sessionTicketKeys !== undefined && options.sessionTicketKeys !== null) {
+            result.sessionTicketKeys = options.sessionTicketKeys;
+        }
+        if (options.rekeyRecordLimit !== undefined) {
+            if (typeof options.rekeyRecordLimit !== "number") {
+                throw new TypeError();
+            } else if ((options.rekeyRecordLimit < 1) || (options.rekeyRecordLimit > MAX_REKEY_RECORD_LIMIT) || (Math.floor(options.rekeyRecordLimit) != options.rekeyRecordLimit)) {
+                throw new RangeError();
+            }
+            result.rekeyRecordLimit = options.rekeyRecordLimit;
+        }
+        if (options.rekeyInterval !== undefined) {
+            if (typeof options.rekeyInterval !== "number") {
+                throw new TypeError();
+            } else if ((options.rekeyInterval < 0) || (options.rekeyInterval > MAX_REKEY_INTERVAL) || (Math.floor(options.rekeyInterval) != options.rekeyInterval)) {
+                throw new RangeError();
+            }
+            result.rekeyInterval = options.rekeyInterval;
+        }
+        if (options.heartbeatInterval !== undefined) {
+            if (typeof options.heartbeatInterval !== "number") {
+                throw new TypeError();
+            } else if ((options.heartbeatInterval < 0) || (options.heartbeatInterval > MAX_HEARTBEAT_INTERVAL) || (Math.floor(options.heartbeatInterval) != options.heartbeatInterval)) {
+                throw new RangeError();
+            }
+            result.heartbeatInterval = options.heartbeatInterval;
+        }
+        if (options.heartbeatMaxMissed !== undefined) {
+            if (typeof options.heartbeatMaxMissed !== "number") {
+                throw new TypeError();
+            } else if ((options.heartbeatMaxMissed < 0) || (Math.floor(options.heartbeatMaxMissed) != options.heartbeatMaxMissed)) {
+                throw new RangeError();
+            }
+            result.heartbeatMaxMissed = options.heartbeatMaxMissed;
+        }
+        if (options.maxHeartbeatPayloadLength !== undefined) {
+            if (typeof options.maxHeartbeatPayloadLength !== "number") {
+                throw new TypeError();
+            } else if ((options.maxHeartbeatPayloadLength < 0) || (options.maxHeartbeatPayloadLength > DtlsHeartbeatMessage.getMaximumPayloadLength()) || (Math.floor(options.maxHeartbeatPayloadLength) != options.maxHeartbeatPayloadLength)) {
+                throw new RangeError();
+            }
+            result.maxHeartbeatPayloadLength = options.maxHeartbeatPayloadLength;
+        }
+    }
     return result;
 };
 
-function DtlsSession(socket, dtlsSocket) {
+function DtlsSession(transport, dtlsSocket) {
     // we keep a reverse reference to our socket so it can forward event notifications back to its owner
     this.dtlsSocket = dtlsSocket;
     // event listeners
     this.connectListener = null;
     this.disconnectListener = null;
+    this.handshakeFailureListener = null;
     this.messageListener = null;
+    // alertListener is OPTIONAL: function(dtlsSocket, dtlsSession, dtlsAlertMessage), called whenever the peer sends us an alert
+    this.alertListener = null;
+    // rekeyListener is OPTIONAL: function(dtlsSocket, dtlsSession), called whenever a renegotiation of our (connected) session completes
+    this.rekeyListener = null;
+    // keyLogListener is OPTIONAL: function(dtlsSocket, dtlsSession, line), called with an NSS key log line (see logKeys) whenever a handshake derives our keys
+    this.keyLogListener = null;
+    /* captureListener is OPTIONAL: function(dtlsSocket, dtlsSession, isOutbound, dtlsRecord, datagram), called with the (plaintext) DtlsRecord of each record which we send
+     * (along with the encrypted datagram which carries it) and of each record which we receive and authenticate (in which case datagram is null, as our DtlsSocket
+     * already has the datagram) */
+    this.captureListener = null;
+    // the object-mode Duplex stream which wraps our session (see createStream); null if we have not created a stream
+    this.stream = null;
     // our dstIpAddress and dstPort values (stored so that the DtlsSocket can determine if an outgoing or incoming message matches an existing DtlsSession)
     this.dstIpAddress = null;
     this.dstPort = 0;
     // master secret and other security values we cannot erase from memory
     this.pskIdentity = null;
+    // NOTE: only client sessions keep their pskPassword (which they need in order to renegotiate)
     this.pskPassword = null;
-    // session id and datagram socket
+    // [client] the identity which we sent in our most recent ClientKeyExchange message (which may have been chosen by our pskCallback instead of our pskIdentity); our
+    //          session cache stores our session under this identity
+    this.sentPskIdentity = null;
+    // key length policy, in bytes (see createDtlsSession's options)
+    this.pskMinLength = PresharedKey.getDefaultMinimumLength();
+    this.pskMaxLength = PresharedKey.getDefaultMaximumLength();
+    // server sessions look up the pskPassword for the client's pskIdentity using this callback: function(pskIdentity) => pskPassword (or null if the identity is unknown)
+    // NOTE: pskLookup may also return a Promise (e.g. if its keys are held by a key store); server sessions only use the pskPassword to derive the master secret (and do not keep it)
+    this.pskLookup = null;
+    // true while an asynchronous pskLookup is pending; we set aside the datagrams which arrive in the meantime (and process them once the lookup completes)
+    this.isPskLookupPending = false;
+    this.deferredDatagrams = [];
+    // the result of our most recent asynchronous pskLookup, {pskIdentity, pskPassword}; this is only set while the message which needed it is processed again
+    this.resolvedPskLookup = null;
+    // client sessions may choose their credentials (based on the server's identity hint) using this callback: function(identityHint, ipAddress, port) => {identity, key}
+    this.pskCallback = null;
+    // the PSK identity hint which the server sent us (client sessions) or which we send to our clients (server sessions); null if there is no hint
+    this.pskIdentityHint = null;
+    // session id and transport
     this.sessionId = null; // will be a buffer if there is an actual sessionId specified by the server
-    this.socket = socket; // save our dgram socket
+    // client sessions store their negotiated sessions in this cache (shared by all of our socket's sessions) so that later connections can resume them
+    this.sessionCache = null;
+    // the cached session which we offered to resume (client sessions); null if we did not offer a session
+    this.resumableSession = null;
+    // true if the server agreed to resume our cached session (i.e. we are performing an abbreviated handshake)
+    this.isResumedHandshake = false;
+    // the cookie which the server sent us in its HelloVerifyRequest message (client sessions); null if the server did not verify us
+    this.cookie = null;
+    // our connection ID (see RFC 9146), which we ask the peer to include in the records which it sends us so that our DtlsSocket can find our session even if the peer's
+    // address changes; null if we do not negotiate connection IDs. NOTE: the DtlsSocket assigns each session's connection ID (as the IDs must be unique within the socket)
+    this.connectionId = null;
+    // the cipher suite which was negotiated for our session
+    this.cipherSuite = null;
+    // server sessions encrypt and decrypt session tickets (see RFC 5077) with these keys (shared by all of our socket's sessions); null if tickets are disabled
+    this.sessionTicketKeys = null;
+    // true if the ServerHello message included the SessionTicket extension (i.e. the server will send us a NewSessionTicket message)
+    this.isSessionTicketNegotiated = false;
+    // the session ticket which the server issued to us (client sessions), and its lifetime hint in seconds
+    this.sessionTicket = null;
+    this.sessionTicketLifetimeHint = 0;
+    // true if both sides indicated support for secure renegotiation (see RFC 5746) during our initial handshake; we neither request nor accept renegotiations otherwise
+    this.isSecureRenegotiationSupported = false;
+    // the verify data of the client's and server's Finished messages from our most recent handshake (which binds a renegotiation to the handshake which preceded it)
+    this.clientVerifyData = null;
+    this.serverVerifyData = null;
+    // true while we renegotiate our (connected) session; our previous keys remain in use until each side has sent its ChangeCipherSpec message
+    this.isRenegotiating = false;
+    // callbacks waiting for our renegotiation to complete (see renegotiate)
+    this.rekeyCallbacks = [];
+    // rekey policy (see createDtlsSession's options)
+    this.rekeyRecordLimit = MAX_REKEY_RECORD_LIMIT;
+    this.rekeyInterval = 0;
+    this.rekeyTimer = null;
+    // set while a policy-triggered renegotiation is waiting to start
+    this.isRekeyRequired = false;
+    // the HeartbeatMode which the peer sent in its Hello message (see RFC 6520); null if the peer did not negotiate heartbeats. NOTE: we always allow the peer to send us
+    // HeartbeatRequest messages, but we only send our own if the peer allows them
+    this.peerHeartbeatMode = null;
+    // heartbeat policy (see createDtlsSession's options)
+    this.heartbeatInterval = 0;
+    this.heartbeatMaxMissed = DEFAULT_HEARTBEAT_MAX_MISSED;
+    this.maxHeartbeatPayloadLength = DEFAULT_MAX_HEARTBEAT_PAYLOAD_LENGTH;
+    this.heartbeatTimer = null;
+    // the payload of our unanswered HeartbeatRequest message (null if we are not waiting for a HeartbeatResponse), and the number of our requests which went unanswered
+    // NOTE: we never have more than one request in flight; each new request replaces the previous one
+    this.heartbeatPayload = null;
+    this.missedHeartbeatCount = 0;
+    // the time (from Date.now()) at which we last received an authenticated record from the peer
+    this.lastRecordReceivedTime = 0;
+    // the DTLS version which we use for our records; this is DTLS 1.0 until the handshake negotiates the session's version
+    this.dtlsVersion = enums.DtlsVersion.DTLS_1_0;
+    this.transport = transport; // save our transport (see Transport.js)
     // sequence numbers
     /* NOTE: epoch has a range of 0 to 2 to the power of 16; sequenceNumber has a range of 0 to 2 to the power of 48
-     *       sequenceNumbers cannot roll over, so a ChangeCipherSpec message must be used to increase the epoch when a sequenceNumber would exceed 2 to the power of 48.
-     *       epochs cannot roll over, so the session must be renegotiated when an epoch would exceed 2 to the power of 16. */
+     *       sequenceNumbers cannot roll over, so the session is renegotiated (which starts a new epoch, via a ChangeCipherSpec message) before its sequenceNumbers are exhausted.
+     *       epochs cannot roll over either (and each renegotiation uses up an epoch), so a session whose epochs are exhausted must be closed instead. */
     this.nextOutgoingEpoch = 0;
     this.nextOutgoingSequenceNumber = 0;
     this.nextIncomingEpoch = 0;
     this.nextIncomingSequenceNumber = 0;
+    // anti-replay window for the current incoming epoch
+    /* NOTE: the window is a ring of flags indexed by (sequenceNumber % window size); a flag is only meaningful for sequence numbers within the window, i.e.
+     *       from (nextIncomingSequenceNumber - window size) to (nextIncomingSequenceNumber - 1) */
+    this.replayWindow = new Uint8Array(DEFAULT_REPLAY_WINDOW_SIZE);
+    // number of records which were dropped because they were duplicates (or too old to be checked against our replay window)
+    this.replayedRecordCount = 0;
+    // set if an encrypted record of our initial handshake failed authentication (which usually means that the peer's PSK does not match ours)
+    this.isUnauthenticatedHandshakeRecordReceived = false;
+    // when we retransmit a flight which started in our previous epoch (i.e. before our ChangeCipherSpec message), those records continue that epoch's sequence
+    this.previousOutgoingEpochSequenceNumber = 0;
     // connection states
     // NOTE: all records are processed under the current read and write states (not the pending read and write states)
     //       [the pending read/write state becomes the current read/write when we receive or send a ChangeCipherSpec message, respectively--and the pending state becomes null]
-    this.currentReadState = new DtlsConnectionState(enums.BulkEncryptionAlgorithm.NULL, enums.CompressionMethod.NULL, enums.MacAlgorithm.NULL);
-    this.currentWriteState = new DtlsConnectionState(enums.BulkEncryptionAlgorithm.NULL, enums.CompressionMethod.NULL, enums.MacAlgorithm.NULL);
+    this.currentReadState = new DtlsConnectionState(enums.BulkEncryptionAlgorithm.NULL, enums.CompressionMethod.NULL, enums.MacAlgorithm.NULL, null, null, null, null);
+    this.currentWriteState = new DtlsConnectionState(enums.BulkEncryptionAlgorithm.NULL, enums.CompressionMethod.NULL, enums.MacAlgorithm.NULL, null, null, null, null);
     // this.pendingReadState = null;
     // this.pendingWriteState = null;
     // security parameters
     this.securityParameters = SecurityParameters.create();
     // handshake message sequence (reset to zero when new handshake begins)
     this.handshakeMessageSequence = null;
+    // the message sequence which we expect on the peer's next handshake message; lower sequence numbers are retransmissions
+    this.nextReceiveHandshakeMessageSequence = 0;
+    // partially-received (or received-too-early) handshake messages from the peer, keyed by message sequence
+    this.handshakeReassemblyBuffers = {};
+    // maximum size of each datagram which we send
+    this.pathMtu = DEFAULT_PATH_MTU;
+    // our most recent flight of handshake records (retained so that the flight can be retransmitted)
+    /* NOTE: each entry is {protocolType, fragment, epoch, writeState}; the records are re-encrypted (with new sequence numbers) each time they are retransmitted */
+    this.currentFlight = [];
+    this.retransmitTimer = null;
+    this.retransmitTimeout = DEFAULT_RETRANSMIT_INITIAL_TIMEOUT;
+    this.retransmitCount = 0;
+    this.retransmitInitialTimeout = DEFAULT_RETRANSMIT_INITIAL_TIMEOUT;
+    this.retransmitMaxTimeout = DEFAULT_RETRANSMIT_MAX_TIMEOUT;
+    this.retransmitMaxCount = DEFAULT_RETRANSMIT_MAX_COUNT;
     // allHandshakeMessagesAsBuffer is used to calculate the FINISHED message's payload
     this.allHandshakeMessagesAsBuffer = null;
     // session state
     this.sessionState = enums.SessionState.NotConnected;
     // message queue
+    /* NOTE: each entry is {data, callback}; data which is sent before the handshake completes is queued and then sent once we are connected */
     this.messageQueue = [];
+    // callbacks waiting for the handshake to complete (see waitForConnect)
+    this.connectCallbacks = [];
+    // the error which ended our handshake (if it failed)
+    this.handshakeError = null;
 }
 
-function DtlsConnectionState(bulkEncryptionAlgorithm, compressionMethod, macAlgorithm) {
+function DtlsConnectionState(bulkEncryptionAlgorithm, compressionMethod, macAlgorithm, encryptionKey, macSecret, fixedIv, connectionId) {
     this.bulkEncryptionAlgorithm = bulkEncryptionAlgorithm;
     this.compressionMethod = compressionMethod;
     this.macAlgorithm = macAlgorithm;
+    // NOTE: the client uses the client write key/secret for its write state and the server write key/secret for its read state (and vice versa for the server)
+    this.encryptionKey = encryptionKey;
+    this.macSecret = macSecret;
+    // implicit nonce ("salt") for AEAD ciphers; null for other ciphers
+    this.fixedIv = fixedIv;
+    // the connection ID which is carried by each record (the peer's connection ID for our write state, and our own connection ID for our read state); null if the
+    // records do not carry a connection ID
+    this.connectionId = connectionId;
 }
 
 /* NOTE: the caller must provide an ipAddress to this function so that future outgoing and incoming packets can be matched to this session
  *       [due to limitations in IP headers, we cannot distinguish between hostnames, so all data sent to/from a single IP address must use the same pskIdentity and pskPassword--
  *        unless the user creates additional DtlsSocket(s) to handle the additional hostname(s) which would use different incoming ports. */
-DtlsSession.prototype.connect = function(port, ipAddress, pskIdentity, pskPassword, connectListener, disconnectListener) {
-    // verify that crypto is available; if not, return an error
+DtlsSession.prototype.connect = function(port, ipAddress, pskIdentity, pskPassword, connectListener, disconnectListener, handshakeFailureListener) {
+    this.dstIpAddress = ipAddress;
+    this.dstPort = port;
+    this.connectListener = connectListener;
+    this.disconnectListener = disconnectListener;
+    this.handshakeFailureListener = (handshakeFailureListener !== undefined ? handshakeFailureListener : null);
+
+    // verify that crypto is available; if not, fail our handshake (which passes the error to our handshakeFailureListener and to anyone waiting on the session)
     if (!CryptoUtils.verifyCrypto()) {
-        console.log('CRITICAL ERROR: crypto not available.');
+        this.onHandshakeFailed(new DtlsErrors.DtlsHandshakeError('Crypto is not available'));
+        return;
+    }
+
+    this.pskIdentity = pskIdentity;
+    this.pskPassword = pskPassword;
+    this.pskIdentityHint = null;
+    this.cookie = null;
+
+    // if we have a cached session for this server (and identity), offer to resume it
+    // NOTE: if we have no identity, our pskCallback chooses our credentials; we then offer the most recent session with this server (whatever its identity)
+    this.sessionId = null;
+    this.resumableSession = ((this.sessionCache !== null && (pskIdentity !== null || this.pskCallback !== null)) ? this.sessionCache.get(ipAddress, port, pskIdentity) : null);
+    if (this.resumableSession !== null) {
+        // NOTE: if we only have a ticket for the session, we offer a new (random) session ID; the server echoes it if it accepts our ticket (see RFC 5077 section 3.4)
+        this.sessionId = (this.resumableSession.sessionId !== null ? this.resumableSession.sessionId : CryptoUtils.crypto.randomBytes(MAX_SESSION_ID_LENGTH));
+    }
+
+    // before we start negotiating our handshake, reset the allHandshakeMessagesAsBuffer and handshakeMessageSequence
+    this.allHandshakeMessagesAsBuffer = Buffer.alloc(0);
+    this.handshakeMessageSequence = 0;
+    this.nextReceiveHandshakeMessageSequence = 0;
+    this.handshakeReassemblyBuffers = {};
+
+    // step 1: send ClientHello Handshake message
+    // NOTE: we offer the highest version which we support, but send our records as DTLS 1.0 until the server has selected the session's version
+    this.setDtlsVersion(MIN_DTLS_VERSION);
+    this.securityParameters.isClient = true;
+    this.securityParameters.clientRandom = generateRandom();
+    let cookie = null;
+    let clientHelloMessage = this.createClientHelloMessage(cookie);
+    this.beginFlight();
+    this.sendHandshakeMessage(enums.MessageType.ClientHello, clientHelloMessage.toBuffer());
+    this.endFlight(true);
+    // update session state to "ClientHelloSent"
+    this.sessionState = enums.SessionState.ClientHelloSent;
+}
+
+// NOTE: if we have a session cache, we also offer our cached session's ticket (or an empty ticket, which tells the server that we would like to receive a ticket)
+// NOTE: we always include the renegotiation_info extension (see RFC 5746); when we renegotiate, it carries the verify data of our previous Finished message
+// NOTE: if we have a connection ID, we offer it in a connection_id extension (see RFC 9146); the server then sends it in its records (unless it is empty)
+// NOTE: we always include the heartbeat extension (see RFC 6520), which allows the server to send us HeartbeatRequest messages
+DtlsSession.prototype.createClientHelloMessage = function(cookie) {
+    let extensions = [];
+    if (this.sessionCache !== null) {
+        let sessionTicket = ((this.resumableSession !== null && this.resumableSession.ticket !== null) ? this.resumableSession.ticket : Buffer.alloc(0));
+        extensions.push(HelloExtension.create(enums.ExtensionType.SessionTicket, sessionTicket));
+    }
+    if (this.connectionId !== null) {
+        extensions.push(createConnectionIdExtension(this.connectionId));
+    }
+    extensions.push(createHeartbeatExtension(enums.HeartbeatMode.PeerAllowedToSend));
+    extensions.push(createRenegotiationInfoExtension(this.isRenegotiating ? this.clientVerifyData : Buffer.alloc(0)));
+    return ClientHelloMessage.create(MAX_DTLS_VERSION, this.securityParameters.clientRandom, this.sessionId, cookie, supportedCipherSuites, supportedCompressionMethods, extensions);
+}
+
+/* NOTE: accept is the server-side counterpart to connect; the DtlsSocket calls it when a ClientHello arrives from a peer which does not yet have a session.
+ *       the handshake itself is driven by the peer's messages (which must then be passed to onSocketMessage). */
+DtlsSession.prototype.accept = function(port, ipAddress, pskLookup, connectListener, disconnectListener, handshakeFailureListener) {
+    this.dstIpAddress = ipAddress;
+    this.dstPort = port;
+    this.connectListener = connectListener;
+    this.disconnectListener = disconnectListener;
+    this.handshakeFailureListener = (handshakeFailureListener !== undefined ? handshakeFailureListener : null);
+
+    // verify that crypto is available; if not, fail our handshake (which passes the error to our handshakeFailureListener and to anyone waiting on the session)
+    if (!CryptoUtils.verifyCrypto()) {
+        this.onHandshakeFailed(new DtlsErrors.DtlsHandshakeError('Crypto is not available'));
+        return;
+    }
+
+    this.pskLookup = pskLookup;
+
+    // before we start negotiating our handshake, reset the allHandshakeMessagesAsBuffer and handshakeMessageSequence
+    this.allHandshakeMessagesAsBuffer = Buffer.alloc(0);
+    this.handshakeMessageSequence = 0;
+    this.nextReceiveHandshakeMessageSequence = 0;
+    this.handshakeReassemblyBuffers = {};
+
+    this.securityParameters.isClient = false;
+    this.sessionState = enums.SessionState.NotConnected;
+}
+
+/* NOTE: the DtlsSocket calls this function (after accept) with the record sequence number and message sequence of the ClientHello which starts our handshake.
+ *       a client which has already answered our (stateless) HelloVerifyRequest sends its ClientHello as message #1--and it has already received a record from us with
+ *       the sequence number of its first ClientHello, so our own records continue from the sequence number of its second ClientHello (see RFC 6347 section 4.2.1) */
+DtlsSession.prototype.setInitialClientHello = function(recordSequenceNumber, messageSequence) {
+    this.nextOutgoingSequenceNumber = recordSequenceNumber;
+    this.nextReceiveHandshakeMessageSequence = messageSequence;
+}
+
+/* NOTE: callback is OPTIONAL: function(err), called once the datagram has been handed to our transport (or with an error if it could not be sent);
+ *       data which is sent before the handshake completes is queued, and its callback is called once the queued data is sent (or the handshake fails) */
+DtlsSession.prototype.sendApplicationData = function(data, callback) {
+    if (this.sessionState === enums.SessionState.HandshakeFailed) {
+        if (callback) {
+            process.nextTick(callback, new DtlsErrors.DtlsSessionStateError('Cannot send data: the DTLS handshake failed'));
+        }
+        return;
+    } else if (this.sessionState === enums.SessionState.Closed) {
+        if (callback) {
+            process.nextTick(callback, new DtlsErrors.DtlsSessionStateError('Cannot send data: the DTLS session is closed'));
+        }
+        return;
+    } else if (this.sessionState !== enums.SessionState.Connected && !this.isRenegotiating) {
+        this.messageQueue.push({data: data, callback: callback});
+        return;
+    }
+
+    let dtlsApplicationDataMessage = DtlsApplicationDataMessage.create(data);
+    this.sendRecord(enums.ProtocolType.DtlsApplicationDataProtocol, dtlsApplicationDataMessage.toBuffer(), callback);
+}
+
+// NOTE: this function returns a promise which is resolved once the datagram has been handed to our transport (and rejected if it could not be sent)
+DtlsSession.prototype.send = function(data) {
+    let thisObject = this;
+    return new Promise(function(resolve, reject) {
+        thisObject.sendApplicationData(data, function(err) {
+            if (err) {
+                reject(err);
+            } else {
+                resolve();
+            }
+        });
+    });
+}
+
+/* NOTE: this function returns an object-mode Duplex stream which sends each chunk that is written to it as one application data record and which reads the data of each
+ *       application data record that we receive as one chunk (see DtlsSessionStream.js); options is OPTIONAL: {highWaterMark}. each session has at most one stream.
+ *       the stream may be created before the handshake completes (in which case its writes are queued until the session is connected). */
+DtlsSession.prototype.createStream = function(options) {
+    if (this.stream !== null) {
+        throw new DtlsErrors.DtlsSessionStateError('The DTLS session already has a stream');
+    } else if (this.sessionState === enums.SessionState.HandshakeFailed) {
+        throw new DtlsErrors.DtlsSessionStateError('Cannot create a stream: the DTLS handshake failed');
+    } else if (this.sessionState === enums.SessionState.Closed) {
+        throw new DtlsErrors.DtlsSessionStateError('Cannot create a stream: the DTLS session is closed');
+    }
+
+    this.stream = DtlsSessionStream.create(this, options);
+    return this.stream;
+}
+
+// NOTE: callback is called once our handshake completes: function(err) [err is null on success]; if the handshake has already completed (or failed), the callback is called on the next tick
+DtlsSession.prototype.waitForConnect = function(callback) {
+    if (this.sessionState === enums.SessionState.Connected || this.isRenegotiating) {
+        process.nextTick(callback, null);
+    } else if (this.sessionState === enums.SessionState.HandshakeFailed) {
+        process.nextTick(callback, this.handshakeError);
+    } else if (this.sessionState === enums.SessionState.Closed) {
+        process.nextTick(callback, new DtlsErrors.DtlsSessionStateError('The DTLS session is closed'));
+    } else {
+        this.connectCallbacks.push(callback);
+    }
+}
+
+/* NOTE: this function closes our session; if the session is connected, we first send an (encrypted) close_notify alert to our peer.
+ *       the returned promise is resolved once the alert has been handed to our transport (or immediately, if no alert is sent); our disconnectListener is then notified. */
+DtlsSession.prototype.close = function() {
+    let thisObject = this;
+    if (this.sessionState === enums.SessionState.Closed) {
+        return Promise.resolve();
+    }
+
+    let wasConnected = (this.sessionState === enums.SessionState.Connected || this.isRenegotiating);
+    // stop any pending handshake retransmissions (and any scheduled renegotiation)
+    this.stopRetransmitTimer();
+    this.stopRekeyTimer();
+    this.stopHeartbeatTimer();
+    this.currentFlight = [];
+    this.sessionState = enums.SessionState.Closed;
+    this.isRenegotiating = false;
+    // notify anyone who is still waiting on the session
+    this.cancelPendingOperations(new DtlsErrors.DtlsSessionStateError('The DTLS session was closed'));
+
+    let result = new Promise(function(resolve) {
+        if (wasConnected) {
+            thisObject.sendAlert(enums.AlertLevel.Warning, enums.AlertDescription.CloseNotify, function() { resolve(); });
+        } else {
+            process.nextTick(resolve);
+        }
+    });
+
+    if (this.disconnectListener) {
+        this.disconnectListener(this.dtlsSocket, this);
+    }
+    if (this.stream !== null) {
+        this.stream.onSessionClosed(null);
+    }
+
+    return result;
+}
+
+// NOTE: this function fails any queued data (and anyone waiting for our handshake or renegotiation to complete) with the specified error
+DtlsSession.prototype.cancelPendingOperations = function(error) {
+    let messageQueue = this.messageQueue;
+    this.messageQueue = [];
+    for (let iMessage = 0; iMessage < messageQueue.length; iMessage++) {
+        if (messageQueue[iMessage].callback) {
+            messageQueue[iMessage].callback(error);
+        }
+    }
+    let connectCallbacks = this.connectCallbacks;
+    this.connectCallbacks = [];
+    for (let iCallback = 0; iCallback < connectCallbacks.length; iCallback++) {
+        connectCallbacks[iCallback](error);
+    }
+    this.completeRekey(error);
+}
+
+/* NOTE: this function renegotiates our (connected) session, i.e. it runs a new full handshake over our secure channel so that our records are protected by new keys
+ *       (and our sequence numbers start over); the returned promise is resolved once the new handshake completes. application data may be sent while the session is renegotiated.
+ *       if the peer refuses to renegotiate (or does not support secure renegotiation), the promise is rejected with a DtlsRenegotiationError and the session keeps its current keys. */
+DtlsSession.prototype.rekey = function() {
+    let thisObject = this;
+    return new Promise(function(resolve, reject) {
+        thisObject.renegotiate(function(err) {
+            if (err) {
+                reject(err);
+            } else {
+                resolve();
+            }
+        });
+    });
+}
+
+// NOTE: callback is called once our renegotiation completes: function(err) [err is null on success]; if a renegotiation is already in progress, the callback waits for it to complete
+DtlsSession.prototype.renegotiate = function(callback) {
+    if (this.isRenegotiating) {
+        this.rekeyCallbacks.push(callback);
+        return;
+    } else if (this.sessionState !== enums.SessionState.Connected) {
+        process.nextTick(callback, new DtlsErrors.DtlsSessionStateError('Cannot rekey: the DTLS session is not connected'));
+        return;
+    } else if (!this.isSecureRenegotiationSupported) {
+        process.nextTick(callback, new DtlsErrors.DtlsRenegotiationError('Cannot rekey: the peer does not support secure renegotiation'));
+        return;
+    } else if (!this.canRenegotiate()) {
+        process.nextTick(callback, new DtlsErrors.DtlsRenegotiationError('Cannot rekey: the session has exhausted its epochs'));
+        return;
+    }
+
+    this.rekeyCallbacks.push(callback);
+    this.resetForRenegotiation();
+    if (this.securityParameters.isClient) {
+        // send our new ClientHello message (under our current keys)
+        this.securityParameters.clientRandom = generateRandom();
+        // NOTE: we echo the cookie from our initial handshake; servers (such as OpenSSL) which verified us with a cookie otherwise silently stall the renegotiation after our ClientKeyExchange
+        let clientHelloMessage = this.createClientHelloMessage(this.cookie);
+        this.beginFlight();
+        this.sendHandshakeMessage(enums.MessageType.ClientHello, clientHelloMessage.toBuffer());
+        this.endFlight(true);
+        // update session state to "ClientHelloSent"
+        this.sessionState = enums.SessionState.ClientHelloSent;
+    } else {
+        // ask the client to start a new handshake
+        let helloRequestMessage = HelloRequestMessage.create();
+        this.beginFlight();
+        this.sendHandshakeMessage(enums.MessageType.HelloRequest, helloRequestMessage.toBuffer());
+        this.endFlight(true);
+        // NOTE: the HelloRequest message is not part of the new handshake's "finished" aggregate message source (see RFC 5246 section 7.4.1.1)
+        this.allHandshakeMessagesAsBuffer = Buffer.alloc(0);
+        // update session state to "HelloRequestSent"
+        this.sessionState = enums.SessionState.HelloRequestSent;
+    }
+}
+
+// NOTE: this function returns true if our session may be renegotiated (i.e. secure renegotiation was negotiated, and both sides have an epoch left for the new keys)
+DtlsSession.prototype.canRenegotiate = function() {
+    return (this.isSecureRenegotiationSupported &&
+        this.nextOutgoingEpoch < DtlsRecord.getMaximumEpoch() &&
+        this.nextIncomingEpoch < DtlsRecord.getMaximumEpoch());
+}
+
+// NOTE: the new handshake starts with fresh security parameters; our current read and write states (which hold our current keys) are not affected until the new
+//       handshake's ChangeCipherSpec messages are exchanged
+DtlsSession.prototype.resetForRenegotiation = function() {
+    this.isRenegotiating = true;
+    this.stopRekeyTimer();
+    let isClient = this.securityParameters.isClient;
+    this.securityParameters = SecurityParameters.create();
+    this.securityParameters.isClient = isClient;
+    this.setDtlsVersion(this.dtlsVersion);
+    this.allHandshakeMessagesAsBuffer = Buffer.alloc(0);
+    // NOTE: we always renegotiate with a full handshake, so that our new keys are derived from a new master secret
+    this.sessionId = null;
+    this.resumableSession = null;
+    this.isResumedHandshake = false;
+    this.isSessionTicketNegotiated = false;
+    this.sessionTicket = null;
+    this.sessionTicketLifetimeHint = 0;
+    if (isClient) {
+        this.pskIdentityHint = null;
+    }
+}
+
+// NOTE: this function is called when the peer answers our ClientHello (or HelloRequest) message with a no_renegotiation alert; our session continues with its current keys
+DtlsSession.prototype.onRenegotiationRefused = function() {
+    this.stopRetransmitTimer();
+    this.currentFlight = [];
+    this.isRenegotiating = false;
+    this.sessionState = enums.SessionState.Connected;
+    this.resetHandshakeMessageSequences();
+    this.startRekeyTimer();
+    this.completeRekey(new DtlsErrors.DtlsRenegotiationError('The peer refused to renegotiate the session'));
+}
+
+// NOTE: this function notifies everyone who is waiting for our renegotiation to complete (err is null on success)
+DtlsSession.prototype.completeRekey = function(err) {
+    let rekeyCallbacks = this.rekeyCallbacks;
+    this.rekeyCallbacks = [];
+    for (let iCallback = 0; iCallback < rekeyCallbacks.length; iCallback++) {
+        rekeyCallbacks[iCallback](err);
+    }
+}
+
+// NOTE: this function is called whenever we send or receive a record; once either of our current sequence numbers reaches our record limit, we renegotiate the session
+DtlsSession.prototype.checkRekeyRecordLimit = function() {
+    if (this.isRekeyRequired || this.isRenegotiating || this.sessionState !== enums.SessionState.Connected) {
+        return;
+    } else if (this.nextOutgoingSequenceNumber < this.rekeyRecordLimit && this.nextIncomingSequenceNumber < this.rekeyRecordLimit) {
+        return;
+    }
+
+    // NOTE: we are in the middle of sending (or receiving) a record, so we start the renegotiation once the current operation is complete
+    let thisObject = this;
+    this.isRekeyRequired = true;
+    process.nextTick(function() {
+        thisObject.isRekeyRequired = false;
+        thisObject.onRekeyRequired();
+    });
+}
+
+// NOTE: this function is called when our rekey policy requires new keys; if our session cannot be renegotiated, we close it instead (so that its keys are not used beyond our policy)
+DtlsSession.prototype.onRekeyRequired = function() {
+    let thisObject = this;
+    this.renegotiate(function(err) {
+        if (err) {
+            thisObject.close();
+        }
+    });
+}
+
+DtlsSession.prototype.startRekeyTimer = function() {
+    this.stopRekeyTimer();
+    if (this.rekeyInterval === 0) {
+        return;
+    }
+
+    let thisObject = this;
+    this.rekeyTimer = setTimeout(function() {
+        thisObject.rekeyTimer = null;
+        thisObject.onRekeyRequired();
+    }, this.rekeyInterval);
+}
+
+DtlsSession.prototype.stopRekeyTimer = function() {
+    if (this.rekeyTimer !== null) {
+        clearTimeout(this.rekeyTimer);
+        this.rekeyTimer = null;
+    }
+}
+
+// NOTE: our heartbeat timer runs for as long as our session is connected (including while it is renegotiated) and checks whether the peer has gone quiet
+DtlsSession.prototype.startHeartbeatTimer = function(timeout) {
+    this.stopHeartbeatTimer();
+    if (this.heartbeatInterval === 0 || this.peerHeartbeatMode !== enums.HeartbeatMode.PeerAllowedToSend) {
+        return;
+    }
+    if (timeout === undefined) {
+        // the handshake which just completed counts as activity from the peer
+        this.lastRecordReceivedTime = Date.now();
+        timeout = this.heartbeatInterval;
+    }
+
+    let thisObject = this;
+    this.heartbeatTimer = setTimeout(function() {
+        thisObject.heartbeatTimer = null;
+        thisObject.onHeartbeatTimer();
+    }, timeout);
+}
+
+DtlsSession.prototype.stopHeartbeatTimer = function() {
+    if (this.heartbeatTimer !== null) {
+        clearTimeout(this.heartbeatTimer);
+        this.heartbeatTimer = null;
+    }
+}
+
+// NOTE: once the peer has been quiet for heartbeatInterval milliseconds we send it a HeartbeatRequest; every further interval without a record from the peer counts as a missed
+//       heartbeat, and the session is terminated once heartbeatMaxMissed heartbeats have been missed in a row
+DtlsSession.prototype.onHeartbeatTimer = function() {
+    let idleTime = Date.now() - this.lastRecordReceivedTime;
+    if (idleTime < this.heartbeatInterval) {
+        this.startHeartbeatTimer(this.heartbeatInterval - idleTime);
+        return;
+    }
+
+    if (this.heartbeatPayload !== null) {
+        this.missedHeartbeatCount++;
+        if (this.heartbeatMaxMissed > 0 && this.missedHeartbeatCount >= this.heartbeatMaxMissed) {
+            this.heartbeatPayload = null;
+            this.terminateSession(new DtlsErrors.DtlsPeerTimeoutError());
+            return;
+        }
+    }
+
+    // NOTE: heartbeats must not be sent during a handshake (see RFC 6520 section 3), so we wait for our renegotiation to complete
+    if (this.sessionState === enums.SessionState.Connected) {
+        this.sendHeartbeatRequest();
+    }
+    this.startHeartbeatTimer(this.heartbeatInterval);
+}
+
+DtlsSession.prototype.sendHeartbeatRequest = function() {
+    this.heartbeatPayload = CryptoUtils.crypto.randomBytes(HEARTBEAT_REQUEST_PAYLOAD_LENGTH);
+    let dtlsHeartbeatMessage = DtlsHeartbeatMessage.create(enums.HeartbeatMessageType.HeartbeatRequest, this.heartbeatPayload);
+    this.sendRecord(enums.ProtocolType.DtlsHeartbeatProtocol, dtlsHeartbeatMessage.toBuffer(), null);
+}
+
+// NOTE: we echo the payload of each HeartbeatRequest (up to maxHeartbeatPayloadLength bytes) back to the peer; a HeartbeatResponse which does not carry the payload of our
+//       outstanding request is silently discarded (see RFC 6520 section 4)
+DtlsSession.prototype.onHeartbeatMessage = function(dtlsHeartbeatMessage) {
+    switch (dtlsHeartbeatMessage.type) {
+        case enums.HeartbeatMessageType.HeartbeatRequest:
+            {
+                if (dtlsHeartbeatMessage.payload.length > this.maxHeartbeatPayloadLength) {
+                    break;
+                }
+                let dtlsHeartbeatResponseMessage = DtlsHeartbeatMessage.create(enums.HeartbeatMessageType.HeartbeatResponse, dtlsHeartbeatMessage.payload);
+                this.sendRecord(enums.ProtocolType.DtlsHeartbeatProtocol, dtlsHeartbeatResponseMessage.toBuffer(), null);
+            }
+            break;
+        case enums.HeartbeatMessageType.HeartbeatResponse:
+            if (this.heartbeatPayload !== null && Buffer.compare(this.heartbeatPayload, dtlsHeartbeatMessage.payload) === 0) {
+                this.heartbeatPayload = null;
+            }
+            break;
+        default:
+            // ignore any unknown message types
+            break;
+    }
+}
+
+// NOTE: this function encrypts the fragment under our current write state and sends it to our peer as a single record
+DtlsSession.prototype.sendRecord = function(protocolType, fragment, callback) {
+    this.sendRecordWithState(protocolType, fragment, this.nextOutgoingEpoch, this.currentWriteState, callback);
+}
+
+// NOTE: epoch must be either our current epoch or (when retransmitting a flight) our previous epoch
+DtlsSession.prototype.sendRecordWithState = function(protocolType, fragment, epoch, writeState, callback) {
+    let sequenceNumber;
+    if (epoch === this.nextOutgoingEpoch) {
+        // NOTE: sequence numbers must never be reused; our rekey policy renegotiates (or closes) the session long before this limit is reached
+        if (this.nextOutgoingSequenceNumber > DtlsRecord.getMaximumSequenceNumber()) {
+            if (callback) {
+                process.nextTick(callback, new DtlsErrors.DtlsSessionStateError('Cannot send data: the DTLS session has exhausted its sequence numbers'));
+            }
+            return;
+        }
+        sequenceNumber = this.nextOutgoingSequenceNumber;
+        this.incrementNextOutgoingSequenceNumber();
+    } else {
+        sequenceNumber = this.previousOutgoingEpochSequenceNumber;
+        this.previousOutgoingEpochSequenceNumber++;
+    }
+    //
+    let dtlsRecord = DtlsRecord.createFromPlaintext(protocolType, this.dtlsVersion, epoch, sequenceNumber, fragment, writeState.connectionId);
+    let dtlsRecordAsBuffer = dtlsRecord.toEncryptedBuffer(writeState.bulkEncryptionAlgorithm, writeState.encryptionKey, writeState.macAlgorithm, writeState.macSecret, writeState.fixedIv);
+    if (this.captureListener) {
+        this.captureListener(this.dtlsSocket, this, true, dtlsRecord, dtlsRecordAsBuffer);
+    }
+    //
+    this.transport.send(dtlsRecordAsBuffer, this.dstPort, this.dstIpAddress, function(err) {
+        if (callback) {
+            callback(err ? err : null);
+        }
+    });    
+}
+
+// NOTE: handshake and ChangeCipherSpec records are also added to our current flight (so that they can be retransmitted)
+DtlsSession.prototype.sendFlightRecord = function(protocolType, fragment) {
+    this.currentFlight.push({protocolType: protocolType, fragment: fragment, epoch: this.nextOutgoingEpoch, writeState: this.currentWriteState});
+    this.sendRecord(protocolType, fragment);
+}
+
+DtlsSession.prototype.sendHandshakeMessage = function(messageType, messageAsBuffer) {
+    // NOTE: the "finished" aggregate message source always contains the unfragmented form of each message
+    let handshakeMessage = DtlsHandshakeMessage.createFromMessageBuffer(messageType, messageAsBuffer.length, this.handshakeMessageSequence, 0, messageAsBuffer.length, messageAsBuffer);
+    let handshakeMessageAsBuffer = handshakeMessage.toBuffer();
+    // add the handshake message to our "finished" aggregate message source
+    this.allHandshakeMessagesAsBuffer = Buffer.concat([this.allHandshakeMessagesAsBuffer, handshakeMessageAsBuffer]);
+
+    // send the message in as many fragments as are required to fit each record within our path MTU
+    // NOTE: we always send at least one fragment (as some messages, such as ServerHelloDone, are empty)
+    let connectionIdLength = (this.currentWriteState.connectionId !== null ? this.currentWriteState.connectionId.length : 0);
+    let maximumFragmentLength = this.pathMtu - DtlsRecord.getMaximumRecordExpansion(this.currentWriteState.bulkEncryptionAlgorithm, this.currentWriteState.macAlgorithm, connectionIdLength) - HANDSHAKE_MESSAGE_HEADER_LENGTH;
+    let fragmentOffset = 0;
+    do {
+        let fragmentLength = Math.min(maximumFragmentLength, messageAsBuffer.length - fragmentOffset);
+        let fragmentMessage = DtlsHandshakeMessage.createFromMessageBuffer(messageType, messageAsBuffer.length, this.handshakeMessageSequence, fragmentOffset, fragmentLength, messageAsBuffer.slice(fragmentOffset, fragmentOffset + fragmentLength));
+        this.sendFlightRecord(enums.ProtocolType.DtlsHandshakeProtocol, fragmentMessage.toBuffer());
+        fragmentOffset += fragmentLength;
+    } while (fragmentOffset < messageAsBuffer.length);
+
+    // increment the handshake message sequence
+    this.handshakeMessageSequence += 1;
+}
+
+DtlsSession.prototype.sendChangeCipherSpec = function() {
+    let changeCipherSpecMessage = DtlsChangeCipherSpecMessage.create(enums.ChangeCipherSpecType.One);
+    this.sendFlightRecord(enums.ProtocolType.DtlsChangeCipherSpecProtocol, changeCipherSpecMessage.toBuffer());
+    //
+    this.incrementNextOutgoingEpoch(); // increase our epoch
+    // immediately update our current write cipher
+    this.currentWriteState = this.createPendingWriteState();
+}
+
+DtlsSession.prototype.sendFinished = function() {
+    // calculate the "verify" data for our Finished message
+    let verifyData = this.calculateVerifyData(this.securityParameters.isClient ? "client finished" : "server finished");
+    // NOTE: we keep our verify data for our next renegotiation's renegotiation_info extension
+    if (this.securityParameters.isClient) {
+        this.clientVerifyData = verifyData;
+    } else {
+        this.serverVerifyData = verifyData;
+    }
+
+    // send our Finished message
+    let finishedMessage = FinishedMessage.create(verifyData);
+    this.sendHandshakeMessage(enums.MessageType.Finished, finishedMessage.toBuffer());
+}
+
+// NOTE: connection IDs which were negotiated by a handshake are carried by the records of the handshake's new epoch (i.e. starting with its ChangeCipherSpec messages);
+//       an empty connection ID is never sent
+DtlsSession.prototype.createPendingWriteState = function() {
+    let sp = this.securityParameters;
+    let connectionId = ((sp.peerConnectionId !== null && sp.peerConnectionId.length > 0) ? sp.peerConnectionId : null);
+    return new DtlsConnectionState(sp.bulkEncryptionAlgorithm, sp.compressionMethod, sp.macAlgorithm, 
+        (sp.isClient ? sp.clientWriteKey : sp.serverWriteKey), (sp.isClient ? sp.clientWriteMacSecret : sp.serverWriteMacSecret), (sp.isClient ? sp.clientWriteIv : sp.serverWriteIv), connectionId);
+}
+
+DtlsSession.prototype.createPendingReadState = function() {
+    let sp = this.securityParameters;
+    let connectionId = ((sp.peerConnectionId !== null && this.connectionId.length > 0) ? this.connectionId : null);
+    return new DtlsConnectionState(sp.bulkEncryptionAlgorithm, sp.compressionMethod, sp.macAlgorithm, 
+        (sp.isClient ? sp.serverWriteKey : sp.clientWriteKey), (sp.isClient ? sp.serverWriteMacSecret : sp.clientWriteMacSecret), (sp.isClient ? sp.serverWriteIv : sp.clientWriteIv), connectionId);
+}
+
+// NOTE: the verify data is calculated over all handshake messages which have been added to allHandshakeMessagesAsBuffer so far
+DtlsSession.prototype.calculateVerifyData = function(finishedLabel) {
+    if (!CryptoUtils.verifyCrypto()) return null;
+
+    let handshakeHash;
+    if (this.securityParameters.prfAlgorithm === enums.PrfAlgorithm.TLS_PRF_SHA256) {
+        // DTLS 1.2: SHA-256 hash of the handshake messages
+        handshakeHash = CryptoUtils.crypto.createHash('sha256').update(this.allHandshakeMessagesAsBuffer).digest();
+    } else {
+        // DTLS 1.0: MD5 hash followed by SHA-1 hash of the handshake messages
+        let verifyDataFirstHalf = CryptoUtils.crypto.createHash('md5').update(this.allHandshakeMessagesAsBuffer).digest();
+        let verifyDataSecondHalf = CryptoUtils.crypto.createHash('sha1').update(this.allHandshakeMessagesAsBuffer).digest();
+        handshakeHash = Buffer.concat([verifyDataFirstHalf, verifyDataSecondHalf]);
+    }
+    return CryptoUtils.PRF(this.securityParameters.masterSecret, finishedLabel, handshakeHash, 12, this.securityParameters.prfAlgorithm);
+}
+
+// NOTE: this function derives our master secret (from the pre-shared key and our random values) and then expands it into our key block
+DtlsSession.prototype.calculateMasterSecretAndKeys = function(pskPassword) {
+    if (!CryptoUtils.verifyCrypto()) return;
+
+    // calculate our (temporary) premaster secret
+    let premasterSecret = CryptoUtils.createPremasterSecret_FromPresharedKey(pskPassword);
+    // derive our master secret from our premasterSecret and our random values
+    this.securityParameters.masterSecret = CryptoUtils.PRF(premasterSecret, "master secret", Buffer.concat([this.securityParameters.clientRandom, this.securityParameters.serverRandom]), 48, this.securityParameters.prfAlgorithm);
+    // as a standard security precaution, write over the premaster secret, and then dispose of it [NOTE: as we are garbage collected, this may not add much protection in some cases.]
+    let wipeRandomBytes = CryptoUtils.crypto.randomBytes(premasterSecret.length);
+    for (let iWipeByte = 0; iWipeByte < premasterSecret.length; iWipeByte++) {
+        premasterSecret[iWipeByte] = wipeRandomBytes[iWipeByte];
+    }
+    premasterSecret = null;
+    //
+    // generate our key block
+    this.calculateKeys();
+}
+
+/* NOTE: this function passes our master secret to our keyLogListener as a line in the NSS key log format ("CLIENT_RANDOM <client random> <master secret>", in hex, followed by
+ *       a newline), so that captures of our traffic can be decrypted (e.g. by Wireshark); each handshake (including each resumption and renegotiation) logs its own line */
+DtlsSession.prototype.logKeys = function() {
+    if (!this.keyLogListener) {
+        return;
+    }
+    let line = "CLIENT_RANDOM " + Buffer.from(this.securityParameters.clientRandom).toString("hex") + " " + Buffer.from(this.securityParameters.masterSecret).toString("hex") + "\n";
+    this.keyLogListener(this.dtlsSocket, this, line);
+}
+
+// NOTE: this function expands our master secret into our key block (using our current random values); resumed sessions call it directly, with their cached master secret
+DtlsSession.prototype.calculateKeys = function() {
+    if (!CryptoUtils.verifyCrypto()) return;
+
+    this.logKeys();
+
+    let clientWriteMacSecretLength = enums.getMacAlgorithmHashSize(this.securityParameters.macAlgorithm);
+    let serverWriteMacSecretLength = enums.getMacAlgorithmHashSize(this.securityParameters.macAlgorithm);
+    let clientWriteKeyLength = enums.getBulkAlgorithmKeySize(this.securityParameters.bulkEncryptionAlgorithm);
+    let serverWriteKeyLength = enums.getBulkAlgorithmKeySize(this.securityParameters.bulkEncryptionAlgorithm);
+    // NOTE: only AEAD ciphers use fixed IVs (for all other ciphers, the fixed IV length is zero)
+    let clientWriteIvLength = enums.getBulkAlgorithmFixedIvLength(this.securityParameters.bulkEncryptionAlgorithm);
+    let serverWriteIvLength = enums.getBulkAlgorithmFixedIvLength(this.securityParameters.bulkEncryptionAlgorithm);
+    let keyBlockRequiredLength = clientWriteMacSecretLength + serverWriteMacSecretLength + clientWriteKeyLength + serverWriteKeyLength + clientWriteIvLength + serverWriteIvLength;
+    //
+    let keyBlockAsBuffer = CryptoUtils.PRF(this.securityParameters.masterSecret, "key expansion", Buffer.concat([this.securityParameters.serverRandom, this.securityParameters.clientRandom]), keyBlockRequiredLength, this.securityParameters.prfAlgorithm);
+    // extract the MAC secrets and encryption keys from the keyBlock
+    let keyBlockOffset = 0;
+    this.securityParameters.clientWriteMacSecret = Buffer.alloc(clientWriteMacSecretLength);
+    keyBlockAsBuffer.copy(this.securityParameters.clientWriteMacSecret, 0, keyBlockOffset, keyBlockOffset + clientWriteMacSecretLength);
+    keyBlockOffset += clientWriteMacSecretLength;
+    //
+    this.securityParameters.serverWriteMacSecret = Buffer.alloc(serverWriteMacSecretLength);
+    keyBlockAsBuffer.copy(this.securityParameters.serverWriteMacSecret, 0, keyBlockOffset, keyBlockOffset + serverWriteMacSecretLength);
+    keyBlockOffset += serverWriteMacSecretLength;
+    //
+    this.securityParameters.clientWriteKey = Buffer.alloc(clientWriteKeyLength);
+    keyBlockAsBuffer.copy(this.securityParameters.clientWriteKey, 0, keyBlockOffset, keyBlockOffset + clientWriteKeyLength);
+    keyBlockOffset += clientWriteKeyLength;
+    //
+    this.securityParameters.serverWriteKey = Buffer.alloc(serverWriteKeyLength);
+    keyBlockAsBuffer.copy(this.securityParameters.serverWriteKey, 0, keyBlockOffset, keyBlockOffset + serverWriteKeyLength);
+    keyBlockOffset += serverWriteKeyLength;
+    //
+    this.securityParameters.clientWriteIv = Buffer.alloc(clientWriteIvLength);
+    keyBlockAsBuffer.copy(this.securityParameters.clientWriteIv, 0, keyBlockOffset, keyBlockOffset + clientWriteIvLength);
+    keyBlockOffset += clientWriteIvLength;
+    //
+    this.securityParameters.serverWriteIv = Buffer.alloc(serverWriteIvLength);
+    keyBlockAsBuffer.copy(this.securityParameters.serverWriteIv, 0, keyBlockOffset, keyBlockOffset + serverWriteIvLength);
+    keyBlockOffset += serverWriteIvLength;
+}
+
+// NOTE: this function sets the DTLS version (and the matching PRF) for our session; it returns false if the version is not supported
+DtlsSession.prototype.setDtlsVersion = function(dtlsVersion) {
+    switch (dtlsVersion) {
+        case enums.DtlsVersion.DTLS_1_0:
+            this.securityParameters.prfAlgorithm = enums.PrfAlgorithm.TLS_PRF_MD5_SHA1;
+            break;
+        case enums.DtlsVersion.DTLS_1_2:
+            this.securityParameters.prfAlgorithm = enums.PrfAlgorithm.TLS_PRF_SHA256;
+            break;
+        default:
+            return false;
+    }
+    this.dtlsVersion = dtlsVersion;
+    return true;
+}
+
+// NOTE: this function converts a cipher suite into our bulk encryption and MAC algorithms; it returns false if the cipher suite is not supported (including
+//       cipher suites which cannot be used with our session's DTLS version)
+DtlsSession.prototype.setCipherSuite = function(cipherSuite) {
+    if (!isCipherSuiteAllowedForDtlsVersion(cipherSuite, this.dtlsVersion)) {
+        return false;
+    }
+
+    switch (cipherSuite) {
+        case enums.CipherSuite.TLS_PSK_WITH_AES_128_CBC_SHA:
+            this.securityParameters.bulkEncryptionAlgorithm = enums.BulkEncryptionAlgorithm.AES_128_CBC;
+            this.securityParameters.macAlgorithm = enums.MacAlgorithm.SHA1;
+            break;
+        case enums.CipherSuite.TLS_PSK_WITH_AES_256_CBC_SHA:
+            this.securityParameters.bulkEncryptionAlgorithm = enums.BulkEncryptionAlgorithm.AES_256_CBC;
+            this.securityParameters.macAlgorithm = enums.MacAlgorithm.SHA1;
+            break;
+        case enums.CipherSuite.TLS_PSK_WITH_AES_128_CBC_SHA256:
+            this.securityParameters.bulkEncryptionAlgorithm = enums.BulkEncryptionAlgorithm.AES_128_CBC;
+            this.securityParameters.macAlgorithm = enums.MacAlgorithm.SHA256;
+            break;
+        // NOTE: AEAD cipher suites authenticate each record with their authentication tag, so they do not use a separate MAC
+        case enums.CipherSuite.TLS_PSK_WITH_AES_128_GCM_SHA256:
+            this.securityParameters.bulkEncryptionAlgorithm = enums.BulkEncryptionAlgorithm.AES_128_GCM;
+            this.securityParameters.macAlgorithm = enums.MacAlgorithm.NULL;
+            break;
+        case enums.CipherSuite.TLS_PSK_WITH_AES_128_CCM_8:
+            this.securityParameters.bulkEncryptionAlgorithm = enums.BulkEncryptionAlgorithm.AES_128_CCM_8;
+            this.securityParameters.macAlgorithm = enums.MacAlgorithm.NULL;
+            break;
+        default:
+            return false;
+    }
+    this.cipherSuite = cipherSuite;
+    return true;
+}
+
+// NOTE: cipher suites which were introduced with TLS 1.2 (i.e. those which use SHA-256 or AEAD ciphers) must not be negotiated for DTLS 1.0 sessions
+function isCipherSuiteAllowedForDtlsVersion(cipherSuite, dtlsVersion) {
+    switch (cipherSuite) {
+        case enums.CipherSuite.TLS_PSK_WITH_AES_128_CBC_SHA256:
+        case enums.CipherSuite.TLS_PSK_WITH_AES_128_GCM_SHA256:
+        case enums.CipherSuite.TLS_PSK_WITH_AES_128_CCM_8:
+            return (dtlsVersion === enums.DtlsVersion.DTLS_1_2);
+        default:
+            return true;
+    }
+}
+
+/* flight management (RFC 6347 section 4.2.4)
+ * NOTE: a flight is started with beginFlight(), filled via sendHandshakeMessage/sendChangeCipherSpec and then closed with endFlight(...).
+ *       if the flight expects a response, it is retransmitted (with an exponentially-increasing timeout) until the peer's next flight arrives. */
+DtlsSession.prototype.beginFlight = function() {
+    this.stopRetransmitTimer();
+    this.currentFlight = [];
+    this.retransmitCount = 0;
+    this.retransmitTimeout = this.retransmitInitialTimeout;
+}
+
+DtlsSession.prototype.endFlight = function(expectResponse) {
+    if (expectResponse) {
+        this.startRetransmitTimer();
+    }
+}
+
+DtlsSession.prototype.retransmitFlight = function() {
+    for (let iRecord = 0; iRecord < this.currentFlight.length; iRecord++) {
+        let flightRecord = this.currentFlight[iRecord];
+        this.sendRecordWithState(flightRecord.protocolType, flightRecord.fragment, flightRecord.epoch, flightRecord.writeState);
+    }
+}
+
+DtlsSession.prototype.startRetransmitTimer = function() {
+    this.stopRetransmitTimer();
+
+    let thisObject = this;
+    this.retransmitTimer = setTimeout(function() {
+        thisObject.retransmitTimer = null;
+        thisObject.onRetransmitTimeout();
+    }, this.retransmitTimeout);
+}
+
+DtlsSession.prototype.stopRetransmitTimer = function() {
+    if (this.retransmitTimer !== null) {
+        clearTimeout(this.retransmitTimer);
+        this.retransmitTimer = null;
+    }
+}
+
+DtlsSession.prototype.onRetransmitTimeout = function() {
+    if (this.retransmitCount >= this.retransmitMaxCount) {
+        // the peer never answered; abandon the handshake
+        this.onHandshakeFailed(new DtlsErrors.DtlsHandshakeTimeoutError(this.isUnauthenticatedHandshakeRecordReceived ? 'the peer\'s encrypted handshake messages could not be authenticated; the PSK may not match' : undefined));
+        return;
+    }
+
+    this.retransmitCount++;
+    this.retransmitFlight();
+    // double the timeout (up to our maximum) for the next retransmission
+    this.retransmitTimeout = Math.min(this.retransmitTimeout * 2, this.retransmitMaxTimeout);
+    this.startRetransmitTimer();
+}
+
+DtlsSession.prototype.onHandshakeFailed = function(error) {
+    // if we were renegotiating, our (previously-connected) session is terminated
+    if (this.isRenegotiating) {
+        this.terminateSession(error);
+        return;
+    }
+
+    this.stopRetransmitTimer();
+    this.currentFlight = [];
+    this.sessionState = enums.SessionState.HandshakeFailed;
+    this.handshakeError = error;
+    if (this.handshakeFailureListener) {
+        this.handshakeFailureListener(this.dtlsSocket, this, error);
+    }
+
+    // discard any data which was waiting for the handshake to complete (notifying its senders)
+    this.cancelPendingOperations(error);
+    if (this.stream !== null) {
+        this.stream.onSessionClosed(error);
+    }
+}
+
+// NOTE: this function remembers our (client) session, so that our next connection to this server can resume it
+DtlsSession.prototype.storeSessionInCache = function() {
+    if (this.sessionCache === null) {
+        return;
+    }
+
+    // NOTE: we store the session under the identity from which its master secret was derived (which may differ from our pskIdentity, if our pskCallback chose it)
+    let sessionId;
+    let pskIdentity;
+    if (this.isResumedHandshake) {
+        // the resumed session is already in our cache; we only need to update our cache entry if the server issued us a new ticket
+        if (this.sessionTicket === null) {
+            return;
+        }
+        sessionId = this.resumableSession.sessionId;
+        pskIdentity = this.resumableSession.pskIdentity;
+    } else {
+        // the server did not make the session resumable if it neither assigned a session ID nor issued a ticket
+        if (this.sessionId === null && this.sessionTicket === null) {
+            return;
+        }
+        sessionId = this.sessionId;
+        pskIdentity = this.sentPskIdentity;
+    }
+    // NOTE: a ticket lifetime hint of zero means that the server did not specify a lifetime
+    let lifetime = ((this.sessionTicket !== null && this.sessionTicketLifetimeHint > 0) ? this.sessionTicketLifetimeHint * 1000 : undefined);
+    this.sessionCache.set(this.dstIpAddress, this.dstPort, pskIdentity, sessionId, this.sessionTicket, this.securityParameters.masterSecret, this.dtlsVersion, this.cipherSuite, lifetime);
+}
+
+// NOTE: this function issues a session ticket (for our newly-negotiated or resumed session) to our client
+DtlsSession.prototype.sendNewSessionTicket = function() {
+    let sessionTicket = this.sessionTicketKeys.encryptTicket(this.dtlsVersion, this.cipherSuite, this.securityParameters.masterSecret, this.pskIdentity);
+    let newSessionTicketMessage = NewSessionTicketMessage.create(this.sessionTicketKeys.getLifetimeHint(), sessionTicket);
+    this.sendHandshakeMessage(enums.MessageType.NewSessionTicket, newSessionTicketMessage.toBuffer());
+}
+
+// NOTE: this function aborts the handshake; if the error specifies an alert, we first send that (fatal) alert to our peer
+DtlsSession.prototype.abortHandshake = function(error) {
+    if (error.alertDescription !== null) {
+        this.sendAlert(enums.AlertLevel.Fatal, error.alertDescription);
+    }
+    this.onHandshakeFailed(error);
+}
+
+/* NOTE: this function converts a key (a Buffer, Uint8Array or secret KeyObject) to a Buffer and verifies its length against our key length policy; it returns {key, error}:
+ *       error is null if the key is valid (and otherwise a TypeError or RangeError which explains the problem, in which case key is null) */
+DtlsSession.prototype.verifyPresharedKey = function(key) {
+    try {
+        let keyBuffer = PresharedKey.toBuffer(key);
+        PresharedKey.verifyLength(keyBuffer, this.pskMinLength, this.pskMaxLength);
+        return {key: keyBuffer, error: null};
+    } catch (err) {
+        return {key: null, error: err};
+    }
+}
+
+/* NOTE: this function returns the pskPassword for the client's pskIdentity (or null if the identity is unknown). if our pskLookup returns a Promise, this function returns
+ *       undefined instead: our processing of the peer's messages is then suspended until the lookup completes, at which point the handshake message is processed again. */
+DtlsSession.prototype.lookupPsk = function(pskIdentity, dtlsHandshakeMessage) {
+    let resolvedPskLookup = this.resolvedPskLookup;
+    this.resolvedPskLookup = null;
+    if (resolvedPskLookup !== null && Buffer.compare(Buffer.from(resolvedPskLookup.pskIdentity), Buffer.from(pskIdentity)) === 0) {
+        return resolvedPskLookup.pskPassword;
+    }
+
+    let result = (this.pskLookup ? this.pskLookup(pskIdentity) : null);
+    if (result === null || result === undefined) {
+        return null;
+    } else if (typeof result.then !== "function") {
+        return result;
+    }
+
+    let thisObject = this;
+    this.isPskLookupPending = true;
+    result.then(function(pskPassword) {
+        thisObject.onPskLookupComplete(null, pskIdentity, pskPassword, dtlsHandshakeMessage);
+    }, function(err) {
+        thisObject.onPskLookupComplete(err, pskIdentity, null, dtlsHandshakeMessage);
+    });
+    return undefined;
+}
+
+DtlsSession.prototype.onPskLookupComplete = function(err, pskIdentity, pskPassword, dtlsHandshakeMessage) {
+    this.isPskLookupPending = false;
+    let deferredDatagrams = this.deferredDatagrams;
+    this.deferredDatagrams = [];
+    // our handshake may have timed out (or our session may have been closed) while we waited
+    if (this.sessionState === enums.SessionState.HandshakeFailed || this.sessionState === enums.SessionState.Closed) {
+        return;
+    } else if (err) {
+        this.abortHandshake(new DtlsErrors.DtlsKeyStoreError(err));
+        return;
+    }
+
+    // process the suspended message (and any following messages), and then the datagrams which we set aside
+    this.resolvedPskLookup = {pskIdentity: pskIdentity, pskPassword: (pskPassword !== undefined ? pskPassword : null)};
+    if (this.securityParameters.isClient) {
+        this.onClientHandshakeMessage(dtlsHandshakeMessage);
+    } else {
+        this.onServerHandshakeMessage(dtlsHandshakeMessage);
+    }
+    this.resolvedPskLookup = null;
+    this.processHandshakeMessages();
+    for (let iDatagram = 0; iDatagram < deferredDatagrams.length; iDatagram++) {
+        if (this.isPskLookupPending) {
+            // another lookup is pending; keep the remaining datagrams (after the remainder of the datagram which started the lookup)
+            this.deferredDatagrams = this.deferredDatagrams.concat(deferredDatagrams.slice(iDatagram));
+            break;
+        }
+        this.onSocketMessage(deferredDatagrams[iDatagram].msg, deferredDatagrams[iDatagram].rinfo);
+    }
+}
+
+// NOTE: this function is called when the peer sends us a fatal alert; the session is terminated immediately (without sending any alert of our own)
+DtlsSession.prototype.onFatalAlertReceived = function(alertDescription) {
+    if (this.sessionState === enums.SessionState.Connected || this.isRenegotiating) {
+        this.terminateSession(new DtlsErrors.DtlsAlertError(alertDescription));
+    } else if (this.sessionState !== enums.SessionState.HandshakeFailed && this.sessionState !== enums.SessionState.Closed) {
+        this.onHandshakeFailed(new DtlsErrors.DtlsAlertError(alertDescription));
+    }
+}
+
+/* NOTE: this function is called when our peer has started a new session from our peer's address (e.g. because our peer restarted and lost our session); our session is
+ *       ended without sending an alert (since our peer can no longer decrypt our records), and anyone waiting on the session is notified */
+DtlsSession.prototype.onReplaced = function() {
+    let error = new DtlsErrors.DtlsSessionStateError('The peer started a new DTLS session from the same address');
+    if (this.sessionState === enums.SessionState.Connected || this.isRenegotiating) {
+        this.terminateSession(error);
+    } else if (this.sessionState !== enums.SessionState.HandshakeFailed && this.sessionState !== enums.SessionState.Closed) {
+        this.onHandshakeFailed(error);
+    }
+}
+
+// NOTE: this function ends our connected (or renegotiating) session without sending an alert; anyone waiting on the session is notified with the specified error
+DtlsSession.prototype.terminateSession = function(error) {
+    this.stopRetransmitTimer();
+    this.stopRekeyTimer();
+    this.stopHeartbeatTimer();
+    this.currentFlight = [];
+    this.sessionState = enums.SessionState.Closed;
+    this.isRenegotiating = false;
+    this.cancelPendingOperations(error);
+    if (this.disconnectListener) {
+        this.disconnectListener(this.dtlsSocket, this);
+    }
+    if (this.stream !== null) {
+        this.stream.onSessionClosed(error);
+    }
+}
+
+// NOTE: alerts are sent under our current write state (i.e. they are encrypted once we have sent our ChangeCipherSpec message)
+DtlsSession.prototype.sendAlert = function(alertLevel, alertDescription, callback) {
+    let dtlsAlertMessage = DtlsAlertMessage.create(alertLevel, alertDescription);
+    this.sendRecord(enums.ProtocolType.DtlsAlertProtocol, dtlsAlertMessage.toBuffer(), callback);
+}
+
+// NOTE: this function is called once the peer's Finished message has been verified
+DtlsSession.prototype.onHandshakeComplete = function() {
+    // our final flight does not need to be retransmitted on a timer (although whoever sent the final flight keeps it, in case the peer's retransmitted Finished arrives)
+    // NOTE: the server sends the final flight of a full handshake, and the client sends the final flight of an abbreviated handshake
+    this.stopRetransmitTimer();
+    if (this.securityParameters.isClient !== this.isResumedHandshake) {
+        this.currentFlight = [];
+    }
+    // the next handshake (if our session is renegotiated) starts its message sequences over (see RFC 6347 section 4.2.2)
+    this.resetHandshakeMessageSequences();
+    // update session state to "Connected"
+    this.sessionState = enums.SessionState.Connected;
+    this.startRekeyTimer();
+    this.startHeartbeatTimer();
+
+    if (this.isRenegotiating) {
+        // our session has new keys; the session itself was already connected, so we only notify our rekeyListener
+        this.isRenegotiating = false;
+        if (this.rekeyListener) {
+            this.rekeyListener(this.dtlsSocket, this);
+        }
+        this.completeRekey(null);
         return;
     }
 
-    this.dstIpAddress = ipAddress;
-    this.dstPort = port;
-    this.connectListener = connectListener;
-    this.disconnectListener = disconnectListener;
+    if (this.connectListener) {
+        this.connectListener(this);
+    }
 
-    this.pskIdentity = pskIdentity;
-    this.pskPassword = pskPassword;
+    while (this.messageQueue.length > 0) {
+        let queuedMessage = this.messageQueue.shift();
+        this.sendApplicationData(queuedMessage.data, queuedMessage.callback);
+    }
 
-    // before we start negotiating our handshake, reset the allHandshakeMessagesAsBuffer and handshakeMessageSequence
-    this.allHandshakeMessagesAsBuffer = Buffer.alloc(0);
+    let connectCallbacks = this.connectCallbacks;
+    this.connectCallbacks = [];
+    for (let iCallback = 0; iCallback < connectCallbacks.length; iCallback++) {
+        connectCallbacks[iCallback](null);
+    }
+}
+
+DtlsSession.prototype.incrementNextOutgoingSequenceNumber = function() {
+    this.nextOutgoingSequenceNumber++;
+    this.checkRekeyRecordLimit();
+}
+
+DtlsSession.prototype.resetHandshakeMessageSequences = function() {
     this.handshakeMessageSequence = 0;
+    this.nextReceiveHandshakeMessageSequence = 0;
+    this.handshakeReassemblyBuffers = {};
+}
 
-    // step 1: send ClientHello Handshake message
-    this.securityParameters.clientRandom = generateClientRandom();
-    let cookie = null;
-    let clientHelloMessage = ClientHelloMessage.create(DTLS_VERSION, this.securityParameters.clientRandom, this.sessionId, cookie, supportedCipherSuites, supportedCompressionMethods);
-    let clientHelloMessageAsBuffer = clientHelloMessage.toBuffer();
-    //
-    let handshakeMessage = DtlsHandshakeMessage.createFromMessageBuffer(enums.MessageType.ClientHello, clientHelloMessageAsBuffer.length, this.handshakeMessageSequence, 0, clientHelloMessageAsBuffer.length, clientHelloMessageAsBuffer);
-    let handshakeMessageAsBuffer = handshakeMessage.toBuffer();
-    // increment the handshake message sequence
-    this.handshakeMessageSequence += 1;
-    // add the handshake message to our "finished" aggregate message source
-    this.allHandshakeMessagesAsBuffer = Buffer.concat([this.allHandshakeMessagesAsBuffer, handshakeMessageAsBuffer]);
-    //
-    let dtlsRecord = DtlsRecord.createFromPlaintext(enums.ProtocolType.DtlsHandshakeProtocol, enums.DtlsVersion.DTLS_1_0, this.nextOutgoingEpoch, this.nextOutgoingSequenceNumber, handshakeMessageAsBuffer);
-    let dtlsRecordAsBuffer = dtlsRecord.toEncryptedBuffer(this.currentWriteState.bulkEncryptionAlgorithm, this.securityParameters.clientWriteKey, this.currentWriteState.macAlgorithm, this.securityParameters.clientWriteMacSecret);
-    //
-    this.incrementNextOutgoingSequenceNumber();
-    // update session state to "ClientHelloSent"
-    this.sessionState = enums.SessionState.ClientHelloSent;
-    this.socket.send(dtlsRecordAsBuffer, 0, dtlsRecordAsBuffer.length, port, ipAddress, null /* success/failure callback */);    
+DtlsSession.prototype.incrementNextIncomingEpoch = function() {
+    this.nextIncomingEpoch++;
+    // each epoch has its own sequence numbers, so we start a fresh replay window
+    this.nextIncomingSequenceNumber = 0;
+    this.replayWindow.fill(0);
 }
 
-DtlsSession.prototype.sendApplicationData = function(data) {
-    if (this.sessionState !== enums.SessionState.Connected) {
-        this.messageQueue.push(data);
-        return;
+// NOTE: this function returns true if the record is a duplicate--or too old to be checked against our replay window
+DtlsSession.prototype.isReplayedRecord = function(sequenceNumber) {
+    if (sequenceNumber >= this.nextIncomingSequenceNumber) {
+        // newer than any record which we have received
+        return false;
+    } else if (sequenceNumber < this.nextIncomingSequenceNumber - this.replayWindow.length) {
+        // older than our window
+        return true;
     }
-
-    let dtlsApplicationDataMessage = DtlsApplicationDataMessage.create(data);
-    let dtlsApplicationDataMessageAsBuffer = dtlsApplicationDataMessage.toBuffer();
-    //
-    let dtlsRecord = DtlsRecord.createFromPlaintext(enums.ProtocolType.DtlsApplicationDataProtocol, enums.DtlsVersion.DTLS_1_0, this.nextOutgoingEpoch, this.nextOutgoingSequenceNumber, dtlsApplicationDataMessageAsBuffer);
-    let dtlsRecordAsBuffer = dtlsRecord.toEncryptedBuffer(this.currentWriteState.bulkEncryptionAlgorithm, this.securityParameters.clientWriteKey, this.currentWriteState.macAlgorithm, this.securityParameters.clientWriteMacSecret);
-    //
-    this.incrementNextOutgoingSequenceNumber();
-    //
-    this.socket.send(dtlsRecordAsBuffer, 0, dtlsRecordAsBuffer.length, this.dstPort, this.dstIpAddress, null /* success/failure callback */);    
+    return (this.replayWindow[sequenceNumber % this.replayWindow.length] !== 0);
 }
 
-DtlsSession.prototype.incrementNextOutgoingSequenceNumber = function() {
-    this.nextOutgoingSequenceNumber++;
+// NOTE: the replay window must only be updated after a record has been authenticated (so that forged records cannot advance the window)
+DtlsSession.prototype.markRecordReceived = function(sequenceNumber) {
+    if (sequenceNumber >= this.nextIncomingSequenceNumber) {
+        // slide the window forward, clearing the flags of any skipped-over sequence numbers
+        let clearCount = Math.min(sequenceNumber - this.nextIncomingSequenceNumber, this.replayWindow.length);
+        for (let iClear = 0; iClear < clearCount; iClear++) {
+            this.replayWindow[(this.nextIncomingSequenceNumber + iClear) % this.replayWindow.length] = 0;
+        }
+        this.nextIncomingSequenceNumber = sequenceNumber + 1;
+    }
+    this.replayWindow[sequenceNumber % this.replayWindow.length] = 1;
+    this.checkRekeyRecordLimit();
 }
 
 DtlsSession.prototype.incrementNextOutgoingEpoch = function() {
+    this.previousOutgoingEpochSequenceNumber = this.nextOutgoingSequenceNumber;
     this.nextOutgoingEpoch++;
     this.nextOutgoingSequenceNumber = 0;
 }
 
-function generateClientRandom() {
+// NOTE: the renegotiation_info extension's data is a single opaque (length-prefixed) value: renegotiatedConnection is empty in an initial handshake--or the verify data of the
+//       previous handshake's Finished message(s) in a renegotiation (see RFC 5746 section 3.2)
+function createRenegotiationInfoExtension(renegotiatedConnection) {
+    let data = Buffer.alloc(1 + renegotiatedConnection.length);
+    data[0] = renegotiatedConnection.length;
+    Buffer.from(renegotiatedConnection).copy(data, 1);
+    return HelloExtension.create(enums.ExtensionType.RenegotiationInfo, data);
+}
+
+function isRenegotiationInfoValid(renegotiationInfoExtension, expectedRenegotiatedConnection) {
+    return (Buffer.compare(Buffer.from(renegotiationInfoExtension.data), createRenegotiationInfoExtension(expectedRenegotiatedConnection).data) === 0);
+}
+
+// NOTE: the connection_id extension's data is a single opaque (length-prefixed) value: the connection ID which the sender wants to receive (see RFC 9146 section 3)
+function createConnectionIdExtension(connectionId) {
+    let data = Buffer.alloc(1 + connectionId.length);
+    data[0] = connectionId.length;
+    Buffer.from(connectionId).copy(data, 1);
+    return HelloExtension.create(enums.ExtensionType.ConnectionId, data);
+}
+
+// NOTE: this function returns null if the extension is malformed
+function readConnectionIdExtension(connectionIdExtension) {
+    let data = Buffer.from(connectionIdExtension.data);
+    if (data.length < 1 || data.length !== 1 + data[0]) {
+        return null;
+    }
+    return data.slice(1);
+}
+
+// NOTE: the heartbeat extension's data is the sender's HeartbeatMode (see RFC 6520 section 2)
+function createHeartbeatExtension(heartbeatMode) {
+    return HelloExtension.create(enums.ExtensionType.Heartbeat, Buffer.from([heartbeatMode]));
+}
+
+// NOTE: this function returns null if the extension is malformed (or specifies an unknown mode)
+function readHeartbeatExtension(heartbeatExtension) {
+    if (heartbeatExtension.data.length !== 1 || !enums.isHeartbeatModeValid(heartbeatExtension.data[0])) {
+        return null;
+    }
+    return heartbeatExtension.data[0];
+}
+
+// NOTE: a PSK identity must be a (non-empty) Buffer or Uint8Array which fits in a ClientKeyExchange message; strings are converted to Buffers before they are checked
+function isValidPskIdentity(pskIdentity) {
+    return (Object.prototype.toString.call(pskIdentity) == "[object Uint8Array]" && pskIdentity.length >= 1 && pskIdentity.length <= MAX_PSK_IDENTITY_LENGTH);
+}
+
+function generateRandom() {
     if (!CryptoUtils.verifyCrypto()) return null;
 
     // create a buffer for the full random value
-    let result = new Buffer(CLIENT_RANDOM_LENGTH);
+    let result = Buffer.alloc(RANDOM_LENGTH);
 
     // generate 28 random bytes; we will pretend the "utc with random offset" before these bytes
-    let randomBytes = CryptoUtils.crypto.randomBytes(CLIENT_RANDOM_SUFFIX_LENGTH);
+    let randomBytes = CryptoUtils.crypto.randomBytes(RANDOM_SUFFIX_LENGTH);
     // generate utc with random offset
     let utcWithRandomOffset = calculateUtcWithRandomOffset();
     // populate the first four bytes of the result with the "utc with random offset" prefix value
@@ -214,259 +1521,144 @@ function calculateUtcWithRandomOffset() {
 
 DtlsSession.prototype.onSocketMessage = function(msg, rinfo) {
     let messageOffset = 0;
+    // we retransmit our flight at most once per datagram (even if the peer retransmitted several messages in the same datagram)
+    let peerRetransmissionReceived = false;
     // retrieve all messages contained within the datagram
     while (messageOffset < msg.length) {
-        let dtlsRecord_FromBufferResult = DtlsRecord.fromEncryptedBuffer(msg, messageOffset, this.currentReadState.bulkEncryptionAlgorithm, this.securityParameters.serverWriteKey, this.currentReadState.macAlgorithm, this.securityParameters.serverWriteMacSecret);
-        let dtlsRecord = dtlsRecord_FromBufferResult.record;
-        if (dtlsRecord == null) {
-            // discard the entire datagram
+        // stop processing once the session has been terminated (e.g. by a fatal alert)
+        if (this.sessionState === enums.SessionState.HandshakeFailed || this.sessionState === enums.SessionState.Closed) {
+            return;
+        }
+        // while an asynchronous PSK lookup is pending, we set aside the remainder of the datagram (see lookupPsk)
+        if (this.isPskLookupPending) {
+            if (this.deferredDatagrams.length < MAX_DEFERRED_DATAGRAMS) {
+                this.deferredDatagrams.push({msg: msg.slice(messageOffset), rinfo: rinfo});
+            }
+            break;
+        }
+        // NOTE: the header of a tls12_cid record does not specify the length of its connection ID, so we parse it with the length of our own connection ID
+        let dtlsRecordHeader = DtlsRecord.readHeader(msg, messageOffset, (this.connectionId !== null ? this.connectionId.length : 0));
+        if (dtlsRecordHeader === null) {
+            // discard the remainder of the (truncated) datagram
             break;
         }
-        messageOffset += dtlsRecord_FromBufferResult.bytesConsumed;
+        let recordOffset = messageOffset;
+        messageOffset += dtlsRecordHeader.recordLength;
+        // records from any epoch other than our current read epoch cannot be decrypted (e.g. handshake records retransmitted before the peer's ChangeCipherSpec); skip them
+        if (dtlsRecordHeader.epoch !== this.nextIncomingEpoch) {
+            continue;
+        }
+        // silently drop duplicate (replayed) records
+        if (this.isReplayedRecord(dtlsRecordHeader.sequenceNumber)) {
+            this.replayedRecordCount++;
+            continue;
+        }
+        let dtlsRecord_FromBufferResult = DtlsRecord.fromEncryptedBuffer(msg, recordOffset, this.currentReadState.bulkEncryptionAlgorithm, this.currentReadState.encryptionKey, this.currentReadState.macAlgorithm, this.currentReadState.macSecret, this.currentReadState.fixedIv, this.currentReadState.connectionId);
+        if (dtlsRecord_FromBufferResult == null) {
+            /* NOTE: as recommended by RFC 6347 section 4.1.2.7, records which fail authentication are silently discarded (even during the initial handshake, as an
+             *       attacker could otherwise abort any handshake with a single forged record). if the peer's encrypted handshake messages cannot be authenticated
+             *       then our PSKs probably do not match; we note this, so that our retransmission timeout can report the likely cause. */
+            if (this.nextIncomingEpoch > 0 && this.sessionState !== enums.SessionState.Connected && !this.isRenegotiating) {
+                this.isUnauthenticatedHandshakeRecordReceived = true;
+            }
+            // discard the invalid record
+            continue;
+        }
+        let dtlsRecord = dtlsRecord_FromBufferResult.record;
+        // if a record which carries our connection ID arrives from a new address (e.g. because a NAT rebound the peer's port), we send to the new address from now on
+        // NOTE: to keep an attacker from redirecting our records by replaying old ones, we only follow authenticated records which are newer than any other (see RFC 9146 section 6)
+        if (dtlsRecord.connectionId !== null && rinfo !== undefined && dtlsRecord.sequenceNumber >= this.nextIncomingSequenceNumber &&
+            (rinfo.address !== this.dstIpAddress || rinfo.port !== this.dstPort)) {
+            this.dstIpAddress = rinfo.address;
+            this.dstPort = rinfo.port;
+        }
+        this.markRecordReceived(dtlsRecord.sequenceNumber);
+        if (this.captureListener) {
+            this.captureListener(this.dtlsSocket, this, false, dtlsRecord, null);
+        }
+        // any authenticated record shows that the peer is still alive
+        this.lastRecordReceivedTime = Date.now();
+        this.missedHeartbeatCount = 0;
         switch (dtlsRecord.protocolType) {
             case enums.ProtocolType.DtlsHandshakeProtocol: 
                 {
-                    let dtlsHandshakeMessage_FromBufferResult = DtlsHandshakeMessage.fromBuffer(dtlsRecord.fragment);
-                    let dtlsHandshakeMessage = dtlsHandshakeMessage_FromBufferResult.record;
-                    // determine the specific handshake protocol message
-                    switch (dtlsHandshakeMessage.messageType) {
-                        case enums.MessageType.HelloVerifyRequest:
-                            {
-                                let helloVerifyRequestMessage_FromBufferResult = HelloVerifyRequestMessage.fromBuffer(dtlsHandshakeMessage.message);
-                                let helloVerifyRequestMessage = helloVerifyRequestMessage_FromBufferResult.message;
-                                // first: if we receive a helloVerifyRequestMessage, we should reset our "allHandshakeMessagesAsBuffer"
-                                this.allHandshakeMessagesAsBuffer = Buffer.alloc(0);
-                                // extract the cookie from the HelloVerifyRequest message
-                                let cookie = helloVerifyRequestMessage.cookie;
-
-                                // resend the helloVerifyRequest message, including the verification cookie.
-                                this.handshakeMessageSequence = 0;
-
-                                // send ClientHello Handshake message
-                                let clientHelloMessage = ClientHelloMessage.create(DTLS_VERSION, this.securityParameters.clientRandom, this.sessionId, cookie, supportedCipherSuites, supportedCompressionMethods);
-                                let clientHelloMessageAsBuffer = clientHelloMessage.toBuffer();
-                                //
-                                let handshakeMessage = DtlsHandshakeMessage.createFromMessageBuffer(enums.MessageType.ClientHello, clientHelloMessageAsBuffer.length, this.handshakeMessageSequence, 0, clientHelloMessageAsBuffer.length, clientHelloMessageAsBuffer);
-                                let handshakeMessageAsBuffer = handshakeMessage.toBuffer();
-                                // increment the handshake message sequence
-                                this.handshakeMessageSequence += 1;
-                                // add the handshake message to our "finished" aggregate message source
-                                this.allHandshakeMessagesAsBuffer = Buffer.concat([this.allHandshakeMessagesAsBuffer, handshakeMessageAsBuffer]);
-                                //
-                                let dtlsRecord = DtlsRecord.createFromPlaintext(enums.ProtocolType.DtlsHandshakeProtocol, enums.DtlsVersion.DTLS_1_0, this.nextOutgoingEpoch, this.nextOutgoingSequenceNumber, handshakeMessageAsBuffer);
-                                let dtlsRecordAsBuffer = dtlsRecord.toEncryptedBuffer(this.currentWriteState.bulkEncryptionAlgorithm, this.securityParameters.clientWriteKey, this.currentWriteState.macAlgorithm, this.securityParameters.clientWriteMacSecret);
-                                //
-                                this.incrementNextOutgoingSequenceNumber();
-                                // update session state to "ClientHelloSent"
-                                this.sessionState = enums.SessionState.ClientHelloSent;
-                                this.socket.send(dtlsRecordAsBuffer, 0, dtlsRecordAsBuffer.length, this.dstPort, this.dstIpAddress, null /* success/failure callback */);    
-                            }
-                            break;
-                        case enums.MessageType.ServerHello:
-                            {
-                                let serverHelloMessage_FromBufferResult = ServerHelloMessage.fromBuffer(dtlsHandshakeMessage.message);
-                                let serverHelloMessage = serverHelloMessage_FromBufferResult.message;
-                                // add the handshake message to our "finished" aggregate message source
-                                this.allHandshakeMessagesAsBuffer = Buffer.concat([this.allHandshakeMessagesAsBuffer, dtlsHandshakeMessage.toBuffer()]);
-                                // store the received ServerRandom value
-                                this.securityParameters.serverRandom = serverHelloMessage.random;
-
-                                // store the server-selected encryption algorithm (from our supported algorithms)
-                                switch (serverHelloMessage.cipherSuite) {
-                                    case enums.CipherSuite.TLS_PSK_WITH_AES_128_CBC_SHA:
-                                        this.securityParameters.bulkEncryptionAlgorithm = enums.BulkEncryptionAlgorithm.AES_128_CBC;
-                                        this.securityParameters.macAlgorithm = enums.MacAlgorithm.SHA1;
-                                        break;
-                                    case enums.CipherSuite.TLS_PSK_WITH_AES_256_CBC_SHA:
-                                        this.securityParameters.bulkEncryptionAlgorithm = enums.BulkEncryptionAlgorithm.AES_256_CBC;
-                                        this.securityParameters.macAlgorithm = enums.MacAlgorithm.SHA1;
-                                        break;
-                                    default:
-                                        return; // for now, our default behavior will be to just abort the handshake process
-                                }
-
-                                // store the server-selected compression method (from our supported algorithms)
-                                switch (serverHelloMessage.compressionMethod) {
-                                    case enums.CompressionMethod.NULL:
-                                        this.securityParameters.compressionMethod = enums.CompressionMethod.NULL;
-                                        break;
-                                    default:
-                                        return; // for now, our default behavior will be to just abort the handshake process                                    
-                                }
-                            }
-                            break;
-                        case enums.MessageType.ServerHelloDone:
-                            {
-                                if (!CryptoUtils.verifyCrypto()) return null;
-
-                                let serverHelloDoneMessage_FromBufferResult = ServerHelloDoneMessage.fromBuffer(dtlsHandshakeMessage.message);
-                                let serverHelloDoneMessage = serverHelloDoneMessage_FromBufferResult.message;
-                                // add the handshake message to our "finished" aggregate message source
-                                this.allHandshakeMessagesAsBuffer = Buffer.concat([this.allHandshakeMessagesAsBuffer, dtlsHandshakeMessage.toBuffer()]);
-
-                                // upon receiving ServerHelloDone, we must send our second flight (ClientKeyExchange, ChangeCipherSpec and Finished messages)
-
-                                // send our ClientKeyExchange message
-                                let pskClientKeyExchangeMessage = PskClientKeyExchangeMessage.create(this.pskIdentity);
-                                let pskClientKeyExchangeMessageAsBuffer = pskClientKeyExchangeMessage.toBuffer();
-                                //
-                                let handshakeMessage = DtlsHandshakeMessage.createFromMessageBuffer(enums.MessageType.ClientKeyExchange, pskClientKeyExchangeMessageAsBuffer.length, this.handshakeMessageSequence, 0, pskClientKeyExchangeMessageAsBuffer.length, pskClientKeyExchangeMessageAsBuffer);
-                                let handshakeMessageAsBuffer = handshakeMessage.toBuffer();
-                                // increment the handshake message sequence
-                                this.handshakeMessageSequence += 1;
-                                // add the handshake message to our "finished" aggregate message source
-                                this.allHandshakeMessagesAsBuffer = Buffer.concat([this.allHandshakeMessagesAsBuffer, handshakeMessageAsBuffer]);
-                                //
-                                let dtlsRecord = DtlsRecord.createFromPlaintext(enums.ProtocolType.DtlsHandshakeProtocol, enums.DtlsVersion.DTLS_1_0, this.nextOutgoingEpoch, this.nextOutgoingSequenceNumber, handshakeMessageAsBuffer);
-                                let dtlsRecordAsBuffer = dtlsRecord.toEncryptedBuffer(this.currentWriteState.bulkEncryptionAlgorithm, this.securityParameters.clientWriteKey, this.currentWriteState.macAlgorithm, this.securityParameters.clientWriteMacSecret);
-                                //
-                                this.incrementNextOutgoingSequenceNumber();
-                                this.socket.send(dtlsRecordAsBuffer, 0, dtlsRecordAsBuffer.length, this.dstPort, this.dstIpAddress, null /* success/failure callback */);    
-
-                                // before sending our ChangeCipherSpec message, calculate our security parameters
-                                //
-                                // calculate our (temporary) premaster secret
-                                let premasterSecret = CryptoUtils.createPremasterSecret_FromPresharedKey(this.pskPassword);
-                                // derive our master secret from our premasterSecret and our random values
-                                this.securityParameters.masterSecret = CryptoUtils.PRF(premasterSecret, "master secret", Buffer.concat([this.securityParameters.clientRandom, this.securityParameters.serverRandom]), 48)
-                                // as a standard security precaution, write over the premaster secret, and then dispose of it [NOTE: as we are garbage collected, this may not add much protection in some cases.]
-                                let wipeRandomBytes = CryptoUtils.crypto.randomBytes(premasterSecret.length);
-                                for (let iWipeByte = 0; iWipeByte < premasterSecret.length; iWipeByte++) {
-                                    premasterSecret[iWipeByte] = wipeRandomBytes[iWipeByte];
-                                }
-                                premasterSecret = null;
-                                //
-                                // generate our key block
-                                let clientWriteMacSecretLength = enums.getMacAlgorithmHashSize(this.securityParameters.macAlgorithm);
-                                let serverWriteMacSecretLength = enums.getMacAlgorithmHashSize(this.securityParameters.macAlgorithm);
-                                let clientWriteKeyLength = enums.getBulkAlgorithmKeySize(this.securityParameters.bulkEncryptionAlgorithm);
-                                let serverWriteKeyLength = enums.getBulkAlgorithmKeySize(this.securityParameters.bulkEncryptionAlgorithm);
-                                let keyBlockRequiredLength = clientWriteMacSecretLength + serverWriteMacSecretLength + clientWriteKeyLength + serverWriteKeyLength;
-                                //
-                                let keyBlockAsBuffer = CryptoUtils.PRF(this.securityParameters.masterSecret, "key expansion", Buffer.concat([this.securityParameters.serverRandom, this.securityParameters.clientRandom]), keyBlockRequiredLength);
-                                // extract the MAC secrets and encryption keys from the keyBlock
-                                let keyBlockOffset = 0;
-                                this.securityParameters.clientWriteMacSecret = Buffer.alloc(clientWriteMacSecretLength);
-                                keyBlockAsBuffer.copy(this.securityParameters.clientWriteMacSecret, 0, keyBlockOffset, keyBlockOffset + clientWriteMacSecretLength);
-                                keyBlockOffset += clientWriteMacSecretLength;
-                                //
-                                this.securityParameters.serverWriteMacSecret = Buffer.alloc(serverWriteMacSecretLength);
-                                keyBlockAsBuffer.copy(this.securityParameters.serverWriteMacSecret, 0, keyBlockOffset, keyBlockOffset + serverWriteMacSecretLength);
-                                keyBlockOffset += serverWriteMacSecretLength;
-                                //
-                                this.securityParameters.clientWriteKey = Buffer.alloc(clientWriteKeyLength);
-                                keyBlockAsBuffer.copy(this.securityParameters.clientWriteKey, 0, keyBlockOffset, keyBlockOffset + clientWriteKeyLength);
-                                keyBlockOffset += clientWriteKeyLength;
-                                //
-                                this.securityParameters.serverWriteKey = Buffer.alloc(serverWriteKeyLength);
-                                keyBlockAsBuffer.copy(this.securityParameters.serverWriteKey, 0, keyBlockOffset, keyBlockOffset + serverWriteKeyLength);
-                                keyBlockOffset += serverWriteKeyLength;
-
-                                // send our ChangeCipherSpec message
-                                let changeCipherSpecMessage = DtlsChangeCipherSpecMessage.create(enums.ChangeCipherSpecType.One);
-                                let changeCipherSpecMessageAsBuffer = changeCipherSpecMessage.toBuffer();
-                                //
-                                dtlsRecord = DtlsRecord.createFromPlaintext(enums.ProtocolType.DtlsChangeCipherSpecProtocol, enums.DtlsVersion.DTLS_1_0, this.nextOutgoingEpoch, this.nextOutgoingSequenceNumber, changeCipherSpecMessageAsBuffer);
-                                dtlsRecordAsBuffer = dtlsRecord.toEncryptedBuffer(this.currentWriteState.bulkEncryptionAlgorithm, this.securityParameters.clientWriteKey, this.currentWriteState.macAlgorithm, this.securityParameters.clientWriteMacSecret);
-                                //
-                                this.incrementNextOutgoingEpoch(); // increase our epoch
-                                this.socket.send(dtlsRecordAsBuffer, 0, dtlsRecordAsBuffer.length, this.dstPort, this.dstIpAddress, null /* success/failure callback */);
-                                // immediately update our current write cipher
-                                this.currentWriteState = new DtlsConnectionState(this.securityParameters.bulkEncryptionAlgorithm, this.securityParameters.compressionMethod, this.securityParameters.macAlgorithm);
-
-                                // calculate the "verify" data for our Finished message
-                                let clientVerifyDataFirstHalf = CryptoUtils.crypto.createHash('md5').update(this.allHandshakeMessagesAsBuffer).digest();
-                                let clientVerifyDataSecondHalf = CryptoUtils.crypto.createHash('sha1').update(this.allHandshakeMessagesAsBuffer).digest();
-                                let clientVerifyData = CryptoUtils.PRF(this.securityParameters.masterSecret, "client finished", Buffer.concat([clientVerifyDataFirstHalf, clientVerifyDataSecondHalf]), 12);
-
-                                // send our Finished message
-                                let finishedMessage = FinishedMessage.create(clientVerifyData);
-                                let finishedMessageAsBuffer = finishedMessage.toBuffer();
-                                //
-                                handshakeMessage = DtlsHandshakeMessage.createFromMessageBuffer(enums.MessageType.Finished, finishedMessageAsBuffer.length, this.handshakeMessageSequence, 0, finishedMessageAsBuffer.length, finishedMessageAsBuffer);
-                                handshakeMessageAsBuffer = handshakeMessage.toBuffer();
-                                // increment the handshake message sequence
-                                this.handshakeMessageSequence += 1;
-                                // add the handshake message to our "finished" aggregate message source
-                                this.allHandshakeMessagesAsBuffer = Buffer.concat([this.allHandshakeMessagesAsBuffer, handshakeMessageAsBuffer]);
-                                //
-                                dtlsRecord = DtlsRecord.createFromPlaintext(enums.ProtocolType.DtlsHandshakeProtocol, enums.DtlsVersion.DTLS_1_0, this.nextOutgoingEpoch, this.nextOutgoingSequenceNumber, handshakeMessageAsBuffer);
-                                dtlsRecordAsBuffer = dtlsRecord.toEncryptedBuffer(this.currentWriteState.bulkEncryptionAlgorithm, this.securityParameters.clientWriteKey, this.currentWriteState.macAlgorithm, this.securityParameters.clientWriteMacSecret);
-                                //
-                                this.incrementNextOutgoingSequenceNumber();
-                                //
-                                // update session state to "FinishedSent"
-                                this.sessionState = enums.SessionState.FinishedSent;
-                                //
-                                this.socket.send(dtlsRecordAsBuffer, 0, dtlsRecordAsBuffer.length, this.dstPort, this.dstIpAddress, null /* success/failure callback */);    
-                            }
-                            break;
-                        case enums.MessageType.Finished:
-                            {
-                                let finishedMessage_FromBufferResult = FinishedMessage.fromBuffer(dtlsHandshakeMessage.message);
-                                let finishedMessage = finishedMessage_FromBufferResult.message;
-
-                                // calculate the "verify" data for our Finished message
-                                let serverVerifyDataFirstHalf = CryptoUtils.crypto.createHash('md5').update(this.allHandshakeMessagesAsBuffer).digest();
-                                let serverVerifyDataSecondHalf = CryptoUtils.crypto.createHash('sha1').update(this.allHandshakeMessagesAsBuffer).digest();
-                                let serverVerifyData = CryptoUtils.PRF(this.securityParameters.masterSecret, "server finished", Buffer.concat([serverVerifyDataFirstHalf, serverVerifyDataSecondHalf]), 12);
-
-                                // verify verifyData   
-                                if (Buffer.compare(serverVerifyData, finishedMessage.verifyData) !== 0) {
-                                    return null;
-                                } else {
-                                    // update session state to "Connected"
-                                    this.sessionState = enums.SessionState.Connected;
-                                    if (this.connectListener) {
-                                        this.connectListener(this);
-                                    }
-
-                                    while (this.messageQueue.length > 0) {
-                                        let data = this.messageQueue.pop();
-                                        this.sendApplicationData(data);
-                                    }
-                                }
-                            }
-                            break;
-                        default:
+                    // a single record may contain several handshake messages (or message fragments)
+                    let fragmentOffset = 0;
+                    while (fragmentOffset < dtlsRecord.fragment.length) {
+                        let dtlsHandshakeMessage_FromBufferResult = DtlsHandshakeMessage.fromBuffer(dtlsRecord.fragment, fragmentOffset);
+                        if (dtlsHandshakeMessage_FromBufferResult == null) {
+                            // discard the remainder of the malformed record
                             break;
+                        }
+                        fragmentOffset += dtlsHandshakeMessage_FromBufferResult.bytesConsumed;
+                        if (this.onHandshakeFragment(dtlsHandshakeMessage_FromBufferResult.record)) {
+                            peerRetransmissionReceived = true;
+                        }
                     }
                 }
                 break;
             case enums.ProtocolType.DtlsChangeCipherSpecProtocol: 
                 {
                     let dtlsChangeCipherSpecMessage_FromBufferResult = DtlsChangeCipherSpecMessage.fromBuffer(dtlsRecord.fragment);
-                    let dtlsChangeCipherSpecMessage = dtlsChangeCipherSpecMessage_FromBufferResult.record;
 
                     // verify the incoming DtlsChangeCipherSpecMessage
-                    if (dtlsChangeCipherSpecMessage.type !== enums.ChangeCipherSpecType.One) {
-                        return null;
+                    if (dtlsChangeCipherSpecMessage_FromBufferResult == null || dtlsChangeCipherSpecMessage_FromBufferResult.record.type !== enums.ChangeCipherSpecType.One) {
+                        this.abortHandshake(new DtlsErrors.DtlsHandshakeError('Invalid ChangeCipherSpec message', null, enums.AlertDescription.IllegalParameter));
+                        return;
+                    }
+                    // we cannot switch ciphers until our key block has been calculated (and a connected session only switches ciphers when it is renegotiated)
+                    if (this.securityParameters.masterSecret === null || this.sessionState === enums.SessionState.Connected) {
+                        this.abortHandshake(new DtlsErrors.DtlsHandshakeError('Unexpected ChangeCipherSpec message', null, enums.AlertDescription.UnexpectedMessage));
+                        return;
                     }
 
-                    // immediately update our current read cipher
-                    this.currentReadState = new DtlsConnectionState(this.securityParameters.bulkEncryptionAlgorithm, this.securityParameters.compressionMethod, this.securityParameters.macAlgorithm);
+                    // immediately update our current read cipher (and start accepting records from the peer's new epoch)
+                    this.currentReadState = this.createPendingReadState();
+                    this.incrementNextIncomingEpoch();
                 }
                 break;
             case enums.ProtocolType.DtlsAlertProtocol:
                 {
                     let dtlsAlertMessage_FromBufferResult = DtlsAlertMessage.fromBuffer(dtlsRecord.fragment);
+                    if (dtlsAlertMessage_FromBufferResult == null) {
+                        // discard the malformed record
+                        break;
+                    }
                     let dtlsAlertMessage = dtlsAlertMessage_FromBufferResult.record;
+                    if (this.alertListener) {
+                        this.alertListener(this.dtlsSocket, this, dtlsAlertMessage);
+                    }
+
+                    // a fatal alert terminates the session immediately (see RFC 5246 section 7.2.2)
+                    if (dtlsAlertMessage.level === enums.AlertLevel.Fatal) {
+                        this.onFatalAlertReceived(dtlsAlertMessage.description);
+                        return;
+                    }
 
                     switch (dtlsAlertMessage.description) {
                         case enums.AlertDescription.CloseNotify:
-                            if (this.disconnectListener) {
-                                this.disconnectListener(this.dtlsSocket, this);
+                            // the peer is closing the session; we respond with our own close_notify alert (see RFC 5246 section 7.2.1)
+                            this.close();
+                            return;
+                        case enums.AlertDescription.NoRenegotiation:
+                            // the peer declined to renegotiate in response to our ClientHello (or HelloRequest) message
+                            if (this.isRenegotiating && (this.sessionState === enums.SessionState.ClientHelloSent || this.sessionState === enums.SessionState.HelloRequestSent)) {
+                                this.onRenegotiationRefused();
                             }
                             break;
-                        // case enums.AlertDescription.BadRecordMac:
-                        //     break;
                         default:
+                            // other warnings (e.g. user_canceled or no_renegotiation) are only reported to our alertListener
                             break;
                     }
                 }
                 break;
             case enums.ProtocolType.DtlsApplicationDataProtocol:
                 {
+                    // application data is only accepted once the handshake is complete (although it continues to flow while the session is renegotiated)
+                    if (this.sessionState !== enums.SessionState.Connected && !this.isRenegotiating) {
+                        break;
+                    }
+
                     let dtlsApplicationDataMessage_FromBufferResult = DtlsApplicationDataMessage.fromBuffer(dtlsRecord.fragment);
                     let dtlsApplicationDataMessage = dtlsApplicationDataMessage_FromBufferResult.record;
 
@@ -474,6 +1666,24 @@ DtlsSession.prototype.onSocketMessage = function(msg, rinfo) {
                     if (this.messageListener) {
                         this.messageListener(this.dtlsSocket, this, dtlsApplicationDataMessage.data);
                     }
+                    if (this.stream !== null) {
+                        this.stream.onApplicationData(dtlsApplicationDataMessage.data);
+                    }
+                }
+                break;
+            case enums.ProtocolType.DtlsHeartbeatProtocol:
+                {
+                    // heartbeats are only exchanged once the handshake is complete, and only if they were negotiated (see RFC 6520 section 3)
+                    if (this.sessionState !== enums.SessionState.Connected || this.peerHeartbeatMode === null) {
+                        break;
+                    }
+
+                    let dtlsHeartbeatMessage_FromBufferResult = DtlsHeartbeatMessage.fromBuffer(dtlsRecord.fragment);
+                    if (dtlsHeartbeatMessage_FromBufferResult == null) {
+                        // discard the malformed record (including any record whose payload length exceeds the record)
+                        break;
+                    }
+                    this.onHeartbeatMessage(dtlsHeartbeatMessage_FromBufferResult.record);
                 }
                 break;
             default:
@@ -482,4 +1692,703 @@ DtlsSession.prototype.onSocketMessage = function(msg, rinfo) {
         }
     }
 
+    // if the peer retransmitted a message which we have already processed, it probably did not receive our last flight; resend our flight
+    if (peerRetransmissionReceived && this.currentFlight.length > 0) {
+        this.retransmitFlight();
+    }
+}
+
+// NOTE: this function returns true if the fragment belongs to a handshake message which we have already processed (i.e. the peer is retransmitting)
+DtlsSession.prototype.onHandshakeFragment = function(dtlsHandshakeMessage) {
+    let messageSequence = dtlsHandshakeMessage.messageSequence;
+    // once our handshake is complete, the only message which the peer retransmits is its Finished message (which shares our current epoch); any other message starts a renegotiation
+    if (this.sessionState === enums.SessionState.Connected && dtlsHandshakeMessage.messageType === enums.MessageType.Finished) {
+        return true;
+    } else if (messageSequence < this.nextReceiveHandshakeMessageSequence) {
+        return true;
+    } else if (messageSequence > this.nextReceiveHandshakeMessageSequence + MAX_HANDSHAKE_MESSAGE_LOOKAHEAD) {
+        // too far ahead; the peer will retransmit it along with the rest of its flight
+        return false;
+    } else if (dtlsHandshakeMessage.length > HandshakeReassemblyBuffer.getMaximumMessageLength()) {
+        return false;
+    }
+
+    // add the fragment to the message's reassembly buffer
+    let reassemblyBuffer = this.handshakeReassemblyBuffers[messageSequence];
+    if (reassemblyBuffer === undefined) {
+        reassemblyBuffer = HandshakeReassemblyBuffer.create(dtlsHandshakeMessage.messageType, dtlsHandshakeMessage.length);
+        this.handshakeReassemblyBuffers[messageSequence] = reassemblyBuffer;
+    }
+    if (!reassemblyBuffer.addFragment(dtlsHandshakeMessage.messageType, dtlsHandshakeMessage.length, dtlsHandshakeMessage.fragmentOffset, dtlsHandshakeMessage.message)) {
+        // discard the inconsistent fragment
+        return false;
+    }
+
+    this.processHandshakeMessages();
+
+    return false;
+}
+
+// NOTE: this function processes the next expected handshake message (and any following messages which arrived early) as soon as each one is complete
+DtlsSession.prototype.processHandshakeMessages = function() {
+    while (true) {
+        let nextReassemblyBuffer = this.handshakeReassemblyBuffers[this.nextReceiveHandshakeMessageSequence];
+        if (nextReassemblyBuffer === undefined || !nextReassemblyBuffer.isComplete()) {
+            break;
+        }
+        let expectedMessageSequence = this.nextReceiveHandshakeMessageSequence;
+        delete this.handshakeReassemblyBuffers[expectedMessageSequence];
+
+        // we cannot process message types which we do not know
+        if (!enums.isMessageTypeValid(nextReassemblyBuffer.messageType)) {
+            this.abortHandshake(new DtlsErrors.DtlsHandshakeError('Unknown handshake message type', null, enums.AlertDescription.UnexpectedMessage));
+            break;
+        }
+        let completeMessage = DtlsHandshakeMessage.createFromMessageBuffer(nextReassemblyBuffer.messageType, nextReassemblyBuffer.length, expectedMessageSequence, 0, nextReassemblyBuffer.length, nextReassemblyBuffer.message);
+        if (this.securityParameters.isClient) {
+            this.onClientHandshakeMessage(completeMessage);
+        } else {
+            this.onServerHandshakeMessage(completeMessage);
+        }
+
+        // if the message was rejected (or its processing was suspended), stop processing
+        if (this.nextReceiveHandshakeMessageSequence === expectedMessageSequence) {
+            break;
+        }
+    }
+}
+
+DtlsSession.prototype.onClientHandshakeMessage = function(dtlsHandshakeMessage) {
+    // determine the specific handshake protocol message
+    switch (dtlsHandshakeMessage.messageType) {
+        case enums.MessageType.HelloRequest:
+            {
+                // NOTE: the HelloRequest message is not part of the handshake, so it is not added to our "finished" aggregate message source
+                let helloRequestMessage_FromBufferResult = HelloRequestMessage.fromBuffer(dtlsHandshakeMessage.message);
+                if (helloRequestMessage_FromBufferResult == null) {
+                    this.abortHandshake(new DtlsErrors.DtlsHandshakeError('Malformed HelloRequest message', null, enums.AlertDescription.DecodeError));
+                    return;
+                }
+
+                // if we are already negotiating, we ignore the server's request (see RFC 5246 section 7.4.1.1)
+                // NOTE: the server then answers our ClientHello message with the next message sequence (see RFC 6347 section 4.2.2)
+                if (this.sessionState !== enums.SessionState.Connected) {
+                    this.nextReceiveHandshakeMessageSequence = dtlsHandshakeMessage.messageSequence + 1;
+                    return;
+                }
+                // if we cannot renegotiate, we decline the server's request
+                // NOTE: we do not advance our message sequence, so that the server's retransmitted HelloRequest messages (if our alert is lost) are declined as well
+                if (!this.canRenegotiate()) {
+                    this.sendAlert(enums.AlertLevel.Warning, enums.AlertDescription.NoRenegotiation);
+                    return;
+                }
+                this.nextReceiveHandshakeMessageSequence = dtlsHandshakeMessage.messageSequence + 1;
+
+                // start the new handshake (by sending our new ClientHello message)
+                this.renegotiate(function() {});
+            }
+            break;
+        case enums.MessageType.HelloVerifyRequest:
+            {
+                let helloVerifyRequestMessage_FromBufferResult = HelloVerifyRequestMessage.fromBuffer(dtlsHandshakeMessage.message);
+                if (helloVerifyRequestMessage_FromBufferResult == null) {
+                    this.abortHandshake(new DtlsErrors.DtlsHandshakeError('Malformed HelloVerifyRequest message', null, enums.AlertDescription.DecodeError));
+                    return;
+                }
+                let helloVerifyRequestMessage = helloVerifyRequestMessage_FromBufferResult.message;
+                this.nextReceiveHandshakeMessageSequence = dtlsHandshakeMessage.messageSequence + 1;
+                // first: if we receive a helloVerifyRequestMessage, we should reset our "allHandshakeMessagesAsBuffer"
+                this.allHandshakeMessagesAsBuffer = Buffer.alloc(0);
+                // extract the cookie from the HelloVerifyRequest message
+                let cookie = helloVerifyRequestMessage.cookie;
+                // NOTE: we keep the cookie so that we can also include it in the ClientHello messages of any renegotiations
+                this.cookie = cookie;
+
+                // resend the ClientHello message, including the verification cookie.
+                // NOTE: the HelloVerifyRequest reuses the message sequence of the ClientHello which it answers (#0, or a later sequence if the server rejected the cookie in our
+                //       previous ClientHello and sent us a new one) so we continue our own sequence after it
+                this.handshakeMessageSequence = dtlsHandshakeMessage.messageSequence + 1;
+
+                // send ClientHello Handshake message
+                let clientHelloMessage = this.createClientHelloMessage(cookie);
+                this.beginFlight();
+                this.sendHandshakeMessage(enums.MessageType.ClientHello, clientHelloMessage.toBuffer());
+                this.endFlight(true);
+                // update session state to "ClientHelloSent"
+                this.sessionState = enums.SessionState.ClientHelloSent;
+            }
+            break;
+        case enums.MessageType.ServerHello:
+            {
+                let serverHelloMessage_FromBufferResult = ServerHelloMessage.fromBuffer(dtlsHandshakeMessage.message);
+                if (serverHelloMessage_FromBufferResult == null) {
+                    this.abortHandshake(new DtlsErrors.DtlsHandshakeError('Malformed ServerHello message', null, enums.AlertDescription.DecodeError));
+                    return;
+                }
+                let serverHelloMessage = serverHelloMessage_FromBufferResult.message;
+
+                // the server must select a version which we support (and which is not newer than the version we offered); older servers select DTLS 1.0
+                // NOTE: a renegotiated session must keep its version
+                if (serverHelloMessage.dtlsVersion < MAX_DTLS_VERSION || (this.isRenegotiating && serverHelloMessage.dtlsVersion !== this.dtlsVersion) || !this.setDtlsVersion(serverHelloMessage.dtlsVersion)) {
+                    this.abortHandshake(new DtlsErrors.DtlsHandshakeError('The server selected an unsupported DTLS version', null, enums.AlertDescription.ProtocolVersion));
+                    return;
+                }
+
+                this.nextReceiveHandshakeMessageSequence = dtlsHandshakeMessage.messageSequence + 1;
+                // add the handshake message to our "finished" aggregate message source
+                this.allHandshakeMessagesAsBuffer = Buffer.concat([this.allHandshakeMessagesAsBuffer, dtlsHandshakeMessage.toBuffer()]);
+                // store the received ServerRandom value
+                this.securityParameters.serverRandom = serverHelloMessage.random;
+
+                // store the server-selected encryption algorithm (from our supported algorithms)
+                if (supportedCipherSuites.indexOf(serverHelloMessage.cipherSuite) < 0 || !this.setCipherSuite(serverHelloMessage.cipherSuite)) {
+                    this.abortHandshake(new DtlsErrors.DtlsHandshakeError('The server selected a cipher suite which we did not offer', null, enums.AlertDescription.IllegalParameter));
+                    return;
+                }
+
+                // store the server-selected compression method (from our supported algorithms)
+                switch (serverHelloMessage.compressionMethod) {
+                    case enums.CompressionMethod.NULL:
+                        this.securityParameters.compressionMethod = enums.CompressionMethod.NULL;
+                        break;
+                    default:
+                        this.abortHandshake(new DtlsErrors.DtlsHandshakeError('The server selected a compression method which we did not offer', null, enums.AlertDescription.IllegalParameter));
+                        return;
+                }
+
+                // if the server echoed the session ID which we offered, it is resuming our cached session (i.e. its ChangeCipherSpec and Finished messages follow immediately)
+                if (this.resumableSession !== null && serverHelloMessage.sessionId.length > 0 && Buffer.compare(serverHelloMessage.sessionId, this.sessionId) === 0) {
+                    // a resumed session must keep the version and cipher suite which were originally negotiated
+                    if (serverHelloMessage.dtlsVersion !== this.resumableSession.dtlsVersion || serverHelloMessage.cipherSuite !== this.resumableSession.cipherSuite) {
+                        this.abortHandshake(new DtlsErrors.DtlsHandshakeError('The server resumed our session with different security parameters', null, enums.AlertDescription.IllegalParameter));
+                        return;
+                    }
+                    this.isResumedHandshake = true;
+                    // derive our new keys from the cached master secret (and our new random values)
+                    this.securityParameters.masterSecret = Buffer.from(this.resumableSession.masterSecret);
+                    this.calculateKeys();
+                } else {
+                    // the server started a new session; if it does not remember our cached session, neither should we
+                    if (this.resumableSession !== null) {
+                        this.sessionCache.remove(this.dstIpAddress, this.dstPort, this.resumableSession.pskIdentity);
+                        this.resumableSession = null;
+                    }
+                    // an empty session ID means that the server will not cache the new session
+                    this.sessionId = (serverHelloMessage.sessionId.length > 0 ? serverHelloMessage.sessionId : null);
+                }
+
+                // the server includes an (empty) SessionTicket extension if it will issue us a new ticket (which it may only do if we offered the extension)
+                this.isSessionTicketNegotiated = (HelloExtension.findExtension(serverHelloMessage.extensions, enums.ExtensionType.SessionTicket) !== null);
+                if (this.isSessionTicketNegotiated && this.sessionCache === null) {
+                    this.abortHandshake(new DtlsErrors.DtlsHandshakeError('The server sent a SessionTicket extension which we did not offer', null, enums.AlertDescription.UnsupportedExtension));
+                    return;
+                }
+
+                // the server includes a connection_id extension (with the connection ID which we must include in our records) if it agreed to use connection IDs
+                // NOTE: connection IDs are only defined for DTLS 1.2 (see RFC 9146)
+                let connectionIdExtension = HelloExtension.findExtension(serverHelloMessage.extensions, enums.ExtensionType.ConnectionId);
+                if (connectionIdExtension !== null) {
+                    if (this.connectionId === null || this.dtlsVersion !== enums.DtlsVersion.DTLS_1_2) {
+                        this.abortHandshake(new DtlsErrors.DtlsHandshakeError('The server sent a connection_id extension which we did not offer', null, enums.AlertDescription.UnsupportedExtension));
+                        return;
+                    }
+                    let peerConnectionId = readConnectionIdExtension(connectionIdExtension);
+                    if (peerConnectionId === null) {
+                        this.abortHandshake(new DtlsErrors.DtlsHandshakeError('Malformed connection_id extension', null, enums.AlertDescription.DecodeError));
+                        return;
+                    }
+                    this.securityParameters.peerConnectionId = peerConnectionId;
+                }
+
+                // the server includes a heartbeat extension (with its HeartbeatMode) if it supports heartbeats
+                let heartbeatExtension = HelloExtension.findExtension(serverHelloMessage.extensions, enums.ExtensionType.Heartbeat);
+                this.peerHeartbeatMode = null;
+                if (heartbeatExtension !== null) {
+                    this.peerHeartbeatMode = readHeartbeatExtension(heartbeatExtension);
+                    if (this.peerHeartbeatMode === null) {
+                        this.abortHandshake(new DtlsErrors.DtlsHandshakeError('Invalid heartbeat extension', null, enums.AlertDescription.IllegalParameter));
+                        return;
+                    }
+                }
+
+                // verify the server's renegotiation_info extension (see RFC 5746 section 3.4 and 3.5): when we renegotiate, it must carry both verify data values from our previous
+                // handshake; otherwise it must be empty (and its presence tells us that the server supports secure renegotiation)
+                let renegotiationInfoExtension = HelloExtension.findExtension(serverHelloMessage.extensions, enums.ExtensionType.RenegotiationInfo);
+                if (this.isRenegotiating) {
+                    if (renegotiationInfoExtension === null || !isRenegotiationInfoValid(renegotiationInfoExtension, Buffer.concat([this.clientVerifyData, this.serverVerifyData]))) {
+                        this.abortHandshake(new DtlsErrors.DtlsHandshakeError('The server\'s renegotiation_info extension does not match our previous handshake', null, enums.AlertDescription.HandshakeFailure));
+                        return;
+                    }
+                } else {
+                    if (renegotiationInfoExtension !== null && !isRenegotiationInfoValid(renegotiationInfoExtension, Buffer.alloc(0))) {
+                        this.abortHandshake(new DtlsErrors.DtlsHandshakeError('The server sent a non-empty renegotiation_info extension during our initial handshake', null, enums.AlertDescription.HandshakeFailure));
+                        return;
+                    }
+                    this.isSecureRenegotiationSupported = (renegotiationInfoExtension !== null);
+                }
+            }
+            break;
+        case enums.MessageType.NewSessionTicket:
+            {
+                // the server may only send a NewSessionTicket message if it included the SessionTicket extension in its ServerHello message; the message immediately
+                // precedes the server's ChangeCipherSpec message (i.e. it follows our Finished message, unless we are resuming a session)
+                if (!this.isSessionTicketNegotiated || (!this.isResumedHandshake && this.sessionState !== enums.SessionState.FinishedSent)) {
+                    this.abortHandshake(new DtlsErrors.DtlsHandshakeError('Unexpected NewSessionTicket message', null, enums.AlertDescription.UnexpectedMessage));
+                    return;
+                }
+
+                let newSessionTicketMessage_FromBufferResult = NewSessionTicketMessage.fromBuffer(dtlsHandshakeMessage.message);
+                if (newSessionTicketMessage_FromBufferResult == null) {
+                    this.abortHandshake(new DtlsErrors.DtlsHandshakeError('Malformed NewSessionTicket message', null, enums.AlertDescription.DecodeError));
+                    return;
+                }
+                let newSessionTicketMessage = newSessionTicketMessage_FromBufferResult.message;
+                this.nextReceiveHandshakeMessageSequence = dtlsHandshakeMessage.messageSequence + 1;
+                // add the handshake message to our "finished" aggregate message source
+                this.allHandshakeMessagesAsBuffer = Buffer.concat([this.allHandshakeMessagesAsBuffer, dtlsHandshakeMessage.toBuffer()]);
+                // store the ticket (which we will cache once the handshake is complete); an empty ticket means that the server decided not to issue a ticket after all
+                this.sessionTicket = (newSessionTicketMessage.ticket.length > 0 ? newSessionTicketMessage.ticket : null);
+                this.sessionTicketLifetimeHint = newSessionTicketMessage.ticketLifetimeHint;
+            }
+            break;
+        case enums.MessageType.ServerKeyExchange:
+            {
+                // the ServerKeyExchange message (which carries the server's PSK identity hint) can only follow the ServerHello message
+                if (this.securityParameters.serverRandom === null || this.isResumedHandshake) {
+                    this.abortHandshake(new DtlsErrors.DtlsHandshakeError('Unexpected ServerKeyExchange message', null, enums.AlertDescription.UnexpectedMessage));
+                    return;
+                }
+
+                let pskServerKeyExchangeMessage_FromBufferResult = PskServerKeyExchangeMessage.fromBuffer(dtlsHandshakeMessage.message);
+                if (pskServerKeyExchangeMessage_FromBufferResult == null) {
+                    this.abortHandshake(new DtlsErrors.DtlsHandshakeError('Malformed ServerKeyExchange message', null, enums.AlertDescription.DecodeError));
+                    return;
+                }
+                let pskServerKeyExchangeMessage = pskServerKeyExchangeMessage_FromBufferResult.message;
+                this.nextReceiveHandshakeMessageSequence = dtlsHandshakeMessage.messageSequence + 1;
+                // add the handshake message to our "finished" aggregate message source
+                this.allHandshakeMessagesAsBuffer = Buffer.concat([this.allHandshakeMessagesAsBuffer, dtlsHandshakeMessage.toBuffer()]);
+                // store the hint; we choose our credentials once the server has finished its flight
+                this.pskIdentityHint = pskServerKeyExchangeMessage.identityHint;
+            }
+            break;
+        case enums.MessageType.ServerHelloDone:
+            {
+                if (!CryptoUtils.verifyCrypto()) return null;
+
+                // we cannot respond to a ServerHelloDone message until we have received the ServerHello message (and the ServerHelloDone message is not part of an abbreviated handshake)
+                if (this.securityParameters.serverRandom === null || this.isResumedHandshake) {
+                    this.abortHandshake(new DtlsErrors.DtlsHandshakeError('Unexpected ServerHelloDone message', null, enums.AlertDescription.UnexpectedMessage));
+                    return;
+                }
+
+                let serverHelloDoneMessage_FromBufferResult = ServerHelloDoneMessage.fromBuffer(dtlsHandshakeMessage.message);
+                let serverHelloDoneMessage = serverHelloDoneMessage_FromBufferResult.message;
+                this.nextReceiveHandshakeMessageSequence = dtlsHandshakeMessage.messageSequence + 1;
+                // add the handshake message to our "finished" aggregate message source
+                this.allHandshakeMessagesAsBuffer = Buffer.concat([this.allHandshakeMessagesAsBuffer, dtlsHandshakeMessage.toBuffer()]);
+
+                // choose the credentials for this server: our pskCallback (if any) may select them based on the server's identity hint; otherwise we use the credentials passed to connect
+                let pskIdentity = this.pskIdentity;
+                let pskPassword = this.pskPassword;
+                if (this.pskCallback !== null) {
+                    // NOTE: the pskCallback is the caller's code, so we fail our handshake (instead of throwing out of our datagram handler) if it throws
+                    let pskCallbackResult;
+                    try {
+                        pskCallbackResult = this.pskCallback(this.pskIdentityHint, this.dstIpAddress, this.dstPort);
+                    } catch (err) {
+                        this.abortHandshake(new DtlsErrors.DtlsCredentialsError('The pskCallback failed' + (err && err.message ? ' (' + err.message + ')' : ''), enums.AlertDescription.InternalError));
+                        return;
+                    }
+                    if (pskCallbackResult !== null && pskCallbackResult !== undefined) {
+                        pskIdentity = (typeof pskCallbackResult.identity === "string" ? Buffer.from(pskCallbackResult.identity) : pskCallbackResult.identity);
+                        pskPassword = pskCallbackResult.key;
+                    }
+                }
+                if (pskIdentity === null || pskIdentity === undefined || pskPassword === null || pskPassword === undefined) {
+                    this.abortHandshake(new DtlsErrors.DtlsCredentialsError('No PSK credentials are available for this server'));
+                    return;
+                } else if (!isValidPskIdentity(pskIdentity)) {
+                    this.abortHandshake(new DtlsErrors.DtlsCredentialsError('The PSK identity must be a Buffer, Uint8Array or string of 1 to ' + MAX_PSK_IDENTITY_LENGTH + ' bytes', enums.AlertDescription.InternalError));
+                    return;
+                }
+                pskIdentity = Buffer.from(pskIdentity);
+                this.sentPskIdentity = pskIdentity;
+                let pskPassword_VerifyResult = this.verifyPresharedKey(pskPassword);
+                if (pskPassword_VerifyResult.error !== null) {
+                    this.abortHandshake(new DtlsErrors.DtlsCredentialsError(pskPassword_VerifyResult.error.message));
+                    return;
+                }
+                pskPassword = pskPassword_VerifyResult.key;
+
+                // upon receiving ServerHelloDone, we must send our second flight (ClientKeyExchange, ChangeCipherSpec and Finished messages)
+
+                // send our ClientKeyExchange message
+                let pskClientKeyExchangeMessage = PskClientKeyExchangeMessage.create(pskIdentity);
+                this.beginFlight();
+                this.sendHandshakeMessage(enums.MessageType.ClientKeyExchange, pskClientKeyExchangeMessage.toBuffer());
+
+                // before sending our ChangeCipherSpec message, calculate our security parameters
+                this.calculateMasterSecretAndKeys(pskPassword);
+
+                // send our ChangeCipherSpec message
+                this.sendChangeCipherSpec();
+
+                // send our Finished message
+                this.sendFinished();
+                this.endFlight(true);
+                //
+                // update session state to "FinishedSent"
+                this.sessionState = enums.SessionState.FinishedSent;
+            }
+            break;
+        case enums.MessageType.Finished:
+            {
+                // the server's Finished message can only follow its ChangeCipherSpec message (for which we must already have our master secret)
+                if (this.securityParameters.masterSecret === null) {
+                    this.abortHandshake(new DtlsErrors.DtlsHandshakeError('Unexpected Finished message', null, enums.AlertDescription.UnexpectedMessage));
+                    return;
+                }
+
+                let finishedMessage_FromBufferResult = FinishedMessage.fromBuffer(dtlsHandshakeMessage.message);
+                if (finishedMessage_FromBufferResult == null) {
+                    this.abortHandshake(new DtlsErrors.DtlsHandshakeError('Malformed Finished message', null, enums.AlertDescription.DecodeError));
+                    return;
+                }
+                let finishedMessage = finishedMessage_FromBufferResult.message;
+
+                // calculate the "verify" data for the server's Finished message
+                let serverVerifyData = this.calculateVerifyData("server finished");
+
+                // verify verifyData (NOTE: if the verify data does not match, the most likely cause is that the server has a different PSK for our identity)
+                if (Buffer.compare(serverVerifyData, finishedMessage.verifyData) !== 0) {
+                    this.abortHandshake(new DtlsErrors.DtlsHandshakeError('The server\'s Finished message could not be verified (the PSK may not match)', null, enums.AlertDescription.DecryptError));
+                    return;
+                }
+                this.serverVerifyData = serverVerifyData;
+                this.nextReceiveHandshakeMessageSequence = dtlsHandshakeMessage.messageSequence + 1;
+
+                if (this.isResumedHandshake) {
+                    // abbreviated handshake: we send the final flight (ChangeCipherSpec and Finished messages); our Finished message covers the server's Finished message
+                    this.allHandshakeMessagesAsBuffer = Buffer.concat([this.allHandshakeMessagesAsBuffer, dtlsHandshakeMessage.toBuffer()]);
+                    this.beginFlight();
+                    this.sendChangeCipherSpec();
+                    this.sendFinished();
+                    // NOTE: our final flight is not retransmitted on a timer; we only resend it if the server retransmits its Finished message
+                    this.endFlight(false);
+                }
+                this.storeSessionInCache();
+                this.onHandshakeComplete();
+            }
+            break;
+        default:
+            // the message is not part of the handshake (at least not from our side of it)
+            this.abortHandshake(new DtlsErrors.DtlsHandshakeError('Unexpected handshake message', null, enums.AlertDescription.UnexpectedMessage));
+            break;
+    }
+}
+
+DtlsSession.prototype.onServerHandshakeMessage = function(dtlsHandshakeMessage) {
+    // determine the specific handshake protocol message
+    switch (dtlsHandshakeMessage.messageType) {
+        case enums.MessageType.ClientHello:
+            {
+                // NOTE: we only respond to the ClientHello which starts a new handshake--or which renegotiates our connected session (in response to our HelloRequest message, or
+                //       at the client's own initiative)
+                if (this.sessionState === enums.SessionState.Connected) {
+                    // if we cannot renegotiate, we decline the client's request
+                    // NOTE: we do not advance our message sequence, so that the client's retransmitted ClientHello messages (if our alert is lost) are declined as well
+                    if (!this.canRenegotiate()) {
+                        this.sendAlert(enums.AlertLevel.Warning, enums.AlertDescription.NoRenegotiation);
+                        return;
+                    }
+                    this.resetForRenegotiation();
+                } else if (this.sessionState !== enums.SessionState.NotConnected && this.sessionState !== enums.SessionState.HelloRequestSent) {
+                    return;
+                }
+
+                let clientHelloMessage_FromBufferResult = ClientHelloMessage.fromBuffer(dtlsHandshakeMessage.message);
+                if (clientHelloMessage_FromBufferResult == null) {
+                    this.abortHandshake(new DtlsErrors.DtlsHandshakeError('Malformed ClientHello message', null, enums.AlertDescription.DecodeError));
+                    return;
+                }
+                let clientHelloMessage = clientHelloMessage_FromBufferResult.message;
+
+                // select the highest DTLS version which both we and the client support
+                // NOTE: DTLS versions are ones-complement values, so a numerically-lower version is newer
+                let selectedDtlsVersion;
+                if (clientHelloMessage.dtlsVersion <= MAX_DTLS_VERSION) {
+                    selectedDtlsVersion = MAX_DTLS_VERSION;
+                } else if (clientHelloMessage.dtlsVersion <= MIN_DTLS_VERSION) {
+                    selectedDtlsVersion = MIN_DTLS_VERSION;
+                } else {
+                    this.abortHandshake(new DtlsErrors.DtlsHandshakeError('The client does not support any of our DTLS versions', null, enums.AlertDescription.ProtocolVersion));
+                    return;
+                }
+                // NOTE: a renegotiated session must keep its version
+                if (this.isRenegotiating && selectedDtlsVersion !== this.dtlsVersion) {
+                    this.abortHandshake(new DtlsErrors.DtlsHandshakeError('The client renegotiated our session with a different DTLS version', null, enums.AlertDescription.ProtocolVersion));
+                    return;
+                }
+                this.setDtlsVersion(selectedDtlsVersion);
+
+                // verify the client's renegotiation_info extension (see RFC 5746 section 3.6 and 3.7): when the client renegotiates, it must carry the client's verify data from our
+                // previous handshake; otherwise it must be empty (and its presence--or the presence of the equivalent signaling cipher suite--tells us that the client supports
+                // secure renegotiation)
+                let renegotiationInfoExtension = HelloExtension.findExtension(clientHelloMessage.extensions, enums.ExtensionType.RenegotiationInfo);
+                if (this.isRenegotiating) {
+                    if (renegotiationInfoExtension === null || !isRenegotiationInfoValid(renegotiationInfoExtension, this.clientVerifyData) || clientHelloMessage.cipherSuites.indexOf(TLS_EMPTY_RENEGOTIATION_INFO_SCSV) >= 0) {
+                        this.abortHandshake(new DtlsErrors.DtlsHandshakeError('The client\'s renegotiation_info extension does not match our previous handshake', null, enums.AlertDescription.HandshakeFailure));
+                        return;
+                    }
+                } else {
+                    if (renegotiationInfoExtension !== null && !isRenegotiationInfoValid(renegotiationInfoExtension, Buffer.alloc(0))) {
+                        this.abortHandshake(new DtlsErrors.DtlsHandshakeError('The client sent a non-empty renegotiation_info extension during our initial handshake', null, enums.AlertDescription.HandshakeFailure));
+                        return;
+                    }
+                    this.isSecureRenegotiationSupported = (renegotiationInfoExtension !== null || clientHelloMessage.cipherSuites.indexOf(TLS_EMPTY_RENEGOTIATION_INFO_SCSV) >= 0);
+                }
+
+                // if the client offered a connection ID (and we use connection IDs), we include the client's connection ID in our records--and send our own connection ID to the client
+                // NOTE: connection IDs are only defined for DTLS 1.2 (see RFC 9146)
+                let connectionIdExtension = HelloExtension.findExtension(clientHelloMessage.extensions, enums.ExtensionType.ConnectionId);
+                if (connectionIdExtension !== null && this.connectionId !== null && selectedDtlsVersion === enums.DtlsVersion.DTLS_1_2) {
+                    let peerConnectionId = readConnectionIdExtension(connectionIdExtension);
+                    if (peerConnectionId === null) {
+                        this.abortHandshake(new DtlsErrors.DtlsHandshakeError('Malformed connection_id extension', null, enums.AlertDescription.DecodeError));
+                        return;
+                    }
+                    this.securityParameters.peerConnectionId = peerConnectionId;
+                }
+
+                // if the client supports heartbeats, we answer with our own heartbeat extension
+                let heartbeatExtension = HelloExtension.findExtension(clientHelloMessage.extensions, enums.ExtensionType.Heartbeat);
+                this.peerHeartbeatMode = null;
+                if (heartbeatExtension !== null) {
+                    this.peerHeartbeatMode = readHeartbeatExtension(heartbeatExtension);
+                    if (this.peerHeartbeatMode === null) {
+                        this.abortHandshake(new DtlsErrors.DtlsHandshakeError('Invalid heartbeat extension', null, enums.AlertDescription.IllegalParameter));
+                        return;
+                    }
+                }
+
+                // if the client presented a (valid) session ticket, we resume the ticket's session (unless the session's security parameters are no longer acceptable)
+                let sessionTicketExtension = HelloExtension.findExtension(clientHelloMessage.extensions, enums.ExtensionType.SessionTicket);
+                let sessionTicketState = null;
+                if (this.sessionTicketKeys !== null && sessionTicketExtension !== null && sessionTicketExtension.data.length > 0) {
+                    sessionTicketState = this.sessionTicketKeys.decryptTicket(sessionTicketExtension.data);
+                }
+                let resumedPskPassword = null;
+                if (sessionTicketState !== null) {
+                    // NOTE: we also verify that the client's PSK identity is still known (as its key may have been revoked since the ticket was issued)
+                    resumedPskPassword = this.lookupPsk(sessionTicketState.pskIdentity, dtlsHandshakeMessage);
+                    if (resumedPskPassword === undefined) {
+                        // the lookup is asynchronous; we process the ClientHello message again once it completes
+                        return;
+                    }
+                    if (sessionTicketState.dtlsVersion !== selectedDtlsVersion ||
+                        clientHelloMessage.cipherSuites.indexOf(sessionTicketState.cipherSuite) < 0 ||
+                        supportedCipherSuites.indexOf(sessionTicketState.cipherSuite) < 0 ||
+                        !isCipherSuiteAllowedForDtlsVersion(sessionTicketState.cipherSuite, selectedDtlsVersion) ||
+                        resumedPskPassword === null || resumedPskPassword === undefined) {
+                        sessionTicketState = null;
+                    }
+                }
+
+                // select the first of our supported cipher suites which the client also supports (i.e. the server's preference wins); a resumed session keeps its cipher suite
+                let selectedCipherSuite = (sessionTicketState !== null ? sessionTicketState.cipherSuite : null);
+                for (let iCipherSuite = 0; selectedCipherSuite === null && iCipherSuite < supportedCipherSuites.length; iCipherSuite++) {
+                    if (clientHelloMessage.cipherSuites.indexOf(supportedCipherSuites[iCipherSuite]) >= 0 && isCipherSuiteAllowedForDtlsVersion(supportedCipherSuites[iCipherSuite], selectedDtlsVersion)) {
+                        selectedCipherSuite = supportedCipherSuites[iCipherSuite];
+                        break;
+                    }
+                }
+                if (selectedCipherSuite === null) {
+                    this.abortHandshake(new DtlsErrors.DtlsHandshakeError('The client does not support any of our cipher suites', null, enums.AlertDescription.HandshakeFailure));
+                    return;
+                }
+                // the client must support the NULL compression method
+                if (clientHelloMessage.compressionMethods.indexOf(enums.CompressionMethod.NULL) < 0) {
+                    this.abortHandshake(new DtlsErrors.DtlsHandshakeError('The client does not support the NULL compression method', null, enums.AlertDescription.HandshakeFailure));
+                    return;
+                }
+                this.setCipherSuite(selectedCipherSuite);
+                this.securityParameters.compressionMethod = enums.CompressionMethod.NULL;
+
+                // our first message uses the same message sequence as the client's ClientHello (which is #1 rather than #0 if the client already received a HelloVerifyRequest)
+                // NOTE: when we renegotiate, our message sequence continues from our HelloRequest message (if we sent one)
+                if (!this.isRenegotiating) {
+                    this.handshakeMessageSequence = dtlsHandshakeMessage.messageSequence;
+                }
+                this.nextReceiveHandshakeMessageSequence = dtlsHandshakeMessage.messageSequence + 1;
+                // add the handshake message to our "finished" aggregate message source
+                this.allHandshakeMessagesAsBuffer = Buffer.concat([this.allHandshakeMessagesAsBuffer, dtlsHandshakeMessage.toBuffer()]);
+                // store the received ClientRandom value and generate our own ServerRandom value
+                this.securityParameters.clientRandom = clientHelloMessage.random;
+                this.securityParameters.serverRandom = generateRandom();
+
+                if (sessionTicketState !== null) {
+                    this.isResumedHandshake = true;
+                    this.pskIdentity = sessionTicketState.pskIdentity;
+                    this.securityParameters.masterSecret = sessionTicketState.masterSecret;
+                    // NOTE: we echo the client's session ID to tell the client that we accepted its ticket (see RFC 5077 section 3.4)
+                    this.sessionId = clientHelloMessage.sessionId;
+                    // if the ticket was encrypted with our previous ticket key, we issue a replacement ticket
+                    this.isSessionTicketNegotiated = sessionTicketState.isRenewalRecommended;
+                } else {
+                    // if the client supports tickets, we issue a ticket for the new session
+                    this.isSessionTicketNegotiated = (this.sessionTicketKeys !== null && sessionTicketExtension !== null);
+                }
+
+                // send our ServerHello message (with an empty SessionTicket extension, if we will issue a ticket--a connection_id extension, if we agreed to use connection IDs--a
+                // heartbeat extension, if the client supports heartbeats--and a renegotiation_info extension, if the client supports secure renegotiation)
+                let serverHelloExtensions = [];
+                if (this.isSessionTicketNegotiated) {
+                    serverHelloExtensions.push(HelloExtension.create(enums.ExtensionType.SessionTicket, Buffer.alloc(0)));
+                }
+                if (this.securityParameters.peerConnectionId !== null) {
+                    serverHelloExtensions.push(createConnectionIdExtension(this.connectionId));
+                }
+                if (this.peerHeartbeatMode !== null) {
+                    serverHelloExtensions.push(createHeartbeatExtension(enums.HeartbeatMode.PeerAllowedToSend));
+                }
+                if (this.isSecureRenegotiationSupported) {
+                    serverHelloExtensions.push(createRenegotiationInfoExtension(this.isRenegotiating ? Buffer.concat([this.clientVerifyData, this.serverVerifyData]) : Buffer.alloc(0)));
+                }
+                let serverHelloMessage = ServerHelloMessage.create(this.dtlsVersion, this.securityParameters.serverRandom, this.sessionId, selectedCipherSuite, this.securityParameters.compressionMethod, (serverHelloExtensions.length > 0 ? serverHelloExtensions : null));
+                this.beginFlight();
+                this.sendHandshakeMessage(enums.MessageType.ServerHello, serverHelloMessage.toBuffer());
+
+                if (this.isResumedHandshake) {
+                    // abbreviated handshake: we send our (NewSessionTicket,) ChangeCipherSpec and Finished messages immediately, using keys derived from the ticket's master secret
+                    if (this.isSessionTicketNegotiated) {
+                        this.sendNewSessionTicket();
+                    }
+                    this.calculateKeys();
+                    this.sendChangeCipherSpec();
+                    this.sendFinished();
+                    this.endFlight(true);
+
+                    // update session state to "FinishedSent"
+                    this.sessionState = enums.SessionState.FinishedSent;
+                    break;
+                }
+
+                // if we have an identity hint, send it to the client in a ServerKeyExchange message
+                if (this.pskIdentityHint !== null) {
+                    let pskServerKeyExchangeMessage = PskServerKeyExchangeMessage.create(this.pskIdentityHint);
+                    this.sendHandshakeMessage(enums.MessageType.ServerKeyExchange, pskServerKeyExchangeMessage.toBuffer());
+                }
+
+                // send our ServerHelloDone message
+                let serverHelloDoneMessage = ServerHelloDoneMessage.create();
+                this.sendHandshakeMessage(enums.MessageType.ServerHelloDone, serverHelloDoneMessage.toBuffer());
+                this.endFlight(true);
+
+                // update session state to "ServerHelloDoneSent"
+                this.sessionState = enums.SessionState.ServerHelloDoneSent;
+            }
+            break;
+        case enums.MessageType.ClientKeyExchange:
+            {
+                if (this.sessionState !== enums.SessionState.ServerHelloDoneSent) {
+                    this.abortHandshake(new DtlsErrors.DtlsHandshakeError('Unexpected ClientKeyExchange message', null, enums.AlertDescription.UnexpectedMessage));
+                    return;
+                }
+
+                let pskClientKeyExchangeMessage_FromBufferResult = PskClientKeyExchangeMessage.fromBuffer(dtlsHandshakeMessage.message);
+                if (pskClientKeyExchangeMessage_FromBufferResult == null) {
+                    this.abortHandshake(new DtlsErrors.DtlsHandshakeError('Malformed ClientKeyExchange message', null, enums.AlertDescription.DecodeError));
+                    return;
+                }
+                let pskClientKeyExchangeMessage = pskClientKeyExchangeMessage_FromBufferResult.message;
+
+                // look up the pre-shared key for the client's identity
+                let pskPassword = this.lookupPsk(pskClientKeyExchangeMessage.identity, dtlsHandshakeMessage);
+                if (pskPassword === undefined) {
+                    // the lookup is asynchronous; we process the ClientKeyExchange message again once it completes
+                    return;
+                } else if (pskPassword === null) {
+                    this.abortHandshake(new DtlsErrors.DtlsCredentialsError('Unknown PSK identity', enums.AlertDescription.UnknownPskIdentity));
+                    return;
+                }
+                // NOTE: a key which does not satisfy our policy is our own configuration error, so we do not blame the client's identity
+                let pskPassword_VerifyResult = this.verifyPresharedKey(pskPassword);
+                if (pskPassword_VerifyResult.error !== null) {
+                    this.abortHandshake(new DtlsErrors.DtlsCredentialsError('The PSK for the client\'s identity is invalid: ' + pskPassword_VerifyResult.error.message, enums.AlertDescription.InternalError));
+                    return;
+                }
+                pskPassword = pskPassword_VerifyResult.key;
+                // NOTE: our session (and the messages which we have already delivered from it) belongs to the client's original identity, so a renegotiation must not change it
+                if (this.isRenegotiating && Buffer.compare(Buffer.from(pskClientKeyExchangeMessage.identity), Buffer.from(this.pskIdentity)) !== 0) {
+                    this.abortHandshake(new DtlsErrors.DtlsHandshakeError('The client renegotiated our session with a different PSK identity', null, enums.AlertDescription.IllegalParameter));
+                    return;
+                }
+                this.pskIdentity = pskClientKeyExchangeMessage.identity;
+                this.nextReceiveHandshakeMessageSequence = dtlsHandshakeMessage.messageSequence + 1;
+
+                // add the handshake message to our "finished" aggregate message source
+                this.allHandshakeMessagesAsBuffer = Buffer.concat([this.allHandshakeMessagesAsBuffer, dtlsHandshakeMessage.toBuffer()]);
+
+                // calculate our security parameters (so that we can decrypt the client's Finished message after its ChangeCipherSpec message)
+                this.calculateMasterSecretAndKeys(pskPassword);
+            }
+            break;
+        case enums.MessageType.Finished:
+            {
+                // NOTE: in an abbreviated handshake, the client's Finished message follows our own Finished message
+                let expectedSessionState = (this.isResumedHandshake ? enums.SessionState.FinishedSent : enums.SessionState.ServerHelloDoneSent);
+                if (this.sessionState !== expectedSessionState || this.securityParameters.masterSecret === null) {
+                    this.abortHandshake(new DtlsErrors.DtlsHandshakeError('Unexpected Finished message', null, enums.AlertDescription.UnexpectedMessage));
+                    return;
+                }
+
+                let finishedMessage_FromBufferResult = FinishedMessage.fromBuffer(dtlsHandshakeMessage.message);
+                if (finishedMessage_FromBufferResult == null) {
+                    this.abortHandshake(new DtlsErrors.DtlsHandshakeError('Malformed Finished message', null, enums.AlertDescription.DecodeError));
+                    return;
+                }
+                let finishedMessage = finishedMessage_FromBufferResult.message;
+
+                // calculate the "verify" data for the client's Finished message
+                let clientVerifyData = this.calculateVerifyData("client finished");
+
+                // verify verifyData (NOTE: if the verify data does not match, the most likely cause is that the client has a different PSK for its identity)
+                if (Buffer.compare(clientVerifyData, finishedMessage.verifyData) !== 0) {
+                    this.abortHandshake(new DtlsErrors.DtlsHandshakeError('The client\'s Finished message could not be verified (the PSK may not match)', null, enums.AlertDescription.DecryptError));
+                    return;
+                }
+                this.clientVerifyData = clientVerifyData;
+
+                this.nextReceiveHandshakeMessageSequence = dtlsHandshakeMessage.messageSequence + 1;
+                if (this.isResumedHandshake) {
+                    // abbreviated handshake: the client's Finished message completes the handshake
+                    this.onHandshakeComplete();
+                    break;
+                }
+                // add the client's Finished message to our "finished" aggregate message source (as our own Finished message covers it)
+                this.allHandshakeMessagesAsBuffer = Buffer.concat([this.allHandshakeMessagesAsBuffer, dtlsHandshakeMessage.toBuffer()]);
+
+                this.beginFlight();
+                // issue a session ticket to the client (if it supports tickets)
+                if (this.isSessionTicketNegotiated) {
+                    this.sendNewSessionTicket();
+                }
+
+                // send our ChangeCipherSpec message
+                this.sendChangeCipherSpec();
+
+                // send our Finished message
+                this.sendFinished();
+                // NOTE: our final flight is not retransmitted on a timer; we only resend it if the client retransmits its Finished message
+                this.endFlight(false);
+
+                this.onHandshakeComplete();
+            }
+            break;
+        default:
+            // the message is not part of the handshake (at least not from our side of it)
+            this.abortHandshake(new DtlsErrors.DtlsHandshakeError('Unexpected handshake message', null, enums.AlertDescription.UnexpectedMessage));
+            break;
+    }
 }
@@ -0,0 +1,141 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at:
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/* DtlsSessionStream exposes a DtlsSession as an object-mode Duplex stream (see DtlsSession.createStream): each chunk which is written (a Buffer or Uint8Array) is sent as
+ * one application data record, and the data of each application data record which the session receives is pushed as one chunk.
+ * NOTE: a write completes once its record has been handed to the session's transport; writes which are made before the handshake completes are queued by the session (so
+ *       their callbacks, and the stream's backpressure, wait for the handshake). DTLS has no flow control of its own, so records which arrive while the readable side
+ *       is full (i.e. while highWaterMark records are waiting to be read) are dropped, as a datagram socket would drop them, and counted in droppedRecordCount.
+ *       end() closes the session (sending a close_notify alert once all written records have been sent), and the readable side ends once the session closes (whether
+ *       we or the peer closed it). a fatal alert (or any other error which terminates the session, such as a failed handshake) destroys the stream with that error. */
+
+// stream
+let Duplex = require('stream').Duplex;
+let util = require('util');
+// records
+let DtlsRecord = require('./DtlsRecord.js');
+// enums
+let enums = require('./enums.js');
+
+// constants
+// default number of records which may be buffered by each side of the stream
+const DEFAULT_HIGH_WATER_MARK = 16;
+
+function DtlsSessionStream(highWaterMark) {
+    Duplex.call(this, {objectMode: true, highWaterMark: highWaterMark, allowHalfOpen: false});
+
+    this.dtlsSession = null;
+    // true while the readable side is full (i.e. until the stream's consumer asks for more records)
+    this.isReadPaused = false;
+    // number of received records which were dropped because the readable side was full
+    this.droppedRecordCount = 0;
+}
+util.inherits(DtlsSessionStream, Duplex);
+
+/* options:
+ *   highWaterMark: OPTIONAL number of records which may be buffered by each side of the stream (default: 16)
+ * NOTE: the stream is attached to dtlsSession by DtlsSession.createStream */
+exports.create = function(dtlsSession, options) {
+    let highWaterMark = DEFAULT_HIGH_WATER_MARK;
+
+    // validate inputs
+    //
+    // dtlsSession
+    if (typeof dtlsSession !== "object" || dtlsSession === null) {
+        throw new TypeError();
+    }
+    // options
+    if (options !== undefined && options !== null) {
+        if (typeof options !== "object") {
+            throw new TypeError();
+        }
+        if (options.highWaterMark !== undefined) {
+            if (typeof options.highWaterMark !== "number") {
+                throw new TypeError();
+            } else if ((options.highWaterMark < 1) || (Math.floor(options.highWaterMark) != options.highWaterMark)) {
+                throw new RangeError();
+            }
+            highWaterMark = options.highWaterMark;
+        }
+    }
+
+    // create and initialize the new DtlsSessionStream object
+    let result = new DtlsSessionStream(highWaterMark);
+    result.dtlsSession = dtlsSession;
+
+    // return the new DtlsSessionStream object
+    return result;
+}
+
+// NOTE: this function is called by our session with the data of each application data record which it receives
+DtlsSessionStream.prototype.onApplicationData = function(data) {
+    if (this.destroyed || this.readableEnded) {
+        return;
+    } else if (this.isReadPaused) {
+        this.droppedRecordCount++;
+        return;
+    }
+
+    if (!this.push(data)) {
+        this.isReadPaused = true;
+    }
+}
+
+// NOTE: this function is called by our session once it has closed; error is null if the session was closed gracefully (by either peer)
+DtlsSessionStream.prototype.onSessionClosed = function(error) {
+    if (this.destroyed) {
+        return;
+    }
+
+    if (error !== null && error !== undefined) {
+        this.destroy(error);
+    } else if (!this.readableEnded) {
+        this.push(null);
+    }
+}
+
+DtlsSessionStream.prototype._read = function() {
+    this.isReadPaused = false;
+}
+
+DtlsSessionStream.prototype._write = function(chunk, encoding, callback) {
+    // NOTE: as each chunk is sent as one record, it must fit in one record
+    if (Object.prototype.toString.call(chunk) != "[object Uint8Array]") {
+        callback(new TypeError('Each chunk must be a Buffer or Uint8Array'));
+        return;
+    } else if (chunk.length > DtlsRecord.getMaximumPlaintextFragmentLength()) {
+        callback(new RangeError('Each chunk must fit in one record (' + DtlsRecord.getMaximumPlaintextFragmentLength() + ' bytes)'));
+        return;
+    }
+
+    this.dtlsSession.sendApplicationData(chunk, callback);
+}
+
+// NOTE: end() closes our session once all of our written records have been sent
+DtlsSessionStream.prototype._final = function(callback) {
+    this.dtlsSession.close().then(function() { callback(); });
+}
+
+/* NOTE: a stream which is destroyed (by its owner, or by an error) closes its session; a session which has already ended (e.g. because its handshake failed, which may
+ *       destroy the stream while the session is still notifying the rest of its waiters) is left alone */
+DtlsSessionStream.prototype._destroy = function(error, callback) {
+    let sessionState = this.dtlsSession.sessionState;
+    if (sessionState === enums.SessionState.Closed || sessionState === enums.SessionState.HandshakeFailed) {
+        callback(error);
+        return;
+    }
+    this.dtlsSession.close().then(function() { callback(error); });
+}
@@ -14,154 +14,943 @@
 
 'use strict';
 
-// dgram
-let dgram = require('dgram');
+// fs (used to append our key log to the SSLKEYLOGFILE)
+let fs = require('fs');
+// pcapng captures of our traffic
+let PacketCapture = require('./PacketCapture.js');
+// transports (which carry our datagrams)
+let Transport = require('./Transport.js');
+// CoAP (coaps://) client, which is layered on our sessions
+let CoapClient = require('./coap/CoapClient.js');
+// Z/IP (Z-Wave over IP) client, which is layered on our sessions
+let ZipClient = require('./zip/ZipClient.js');
+// events
+let EventEmitter = require('events');
+let util = require('util');
+// cryptoutils
+let CryptoUtils = require('./CryptoUtils.js');
 // DtlsSession
 let DtlsSession = require('./DtlsSession.js');
+// DtlsRecord and DtlsHandshakeMessage (used to recognize incoming ClientHello messages--and to answer them with stateless HelloVerifyRequest messages)
+let DtlsRecord = require('./DtlsRecord.js');
+let DtlsHandshakeMessage = require('./messages/DtlsHandshakeMessage.js');
+let ClientHelloMessage = require('./messages/handshake/ClientHelloMessage.js');
+let HelloVerifyRequestMessage = require('./messages/handshake/HelloVerifyRequestMessage.js');
+let ClientSessionCache = require('./ClientSessionCache.js');
+let SessionTicketKeys = require('./SessionTicketKeys.js');
+let HelloVerifyCookies = require('./HelloVerifyCookies.js');
+// PSK key stores (which hold the keys of our peers) and key formats
+let PskKeyStore = require('./PskKeyStore.js');
+let PresharedKey = require('./PresharedKey.js');
+// enums
+let enums = require('./enums.js');
+// errors
+let DtlsErrors = require('./DtlsErrors.js');
 
+// error types (so that callers can test errors via instanceof)
+exports.DtlsError = DtlsErrors.DtlsError;
+exports.DtlsHostResolutionError = DtlsErrors.DtlsHostResolutionError;
+exports.DtlsHandshakeError = DtlsErrors.DtlsHandshakeError;
+exports.DtlsHandshakeTimeoutError = DtlsErrors.DtlsHandshakeTimeoutError;
+exports.DtlsCredentialsError = DtlsErrors.DtlsCredentialsError;
+exports.DtlsKeyStoreError = DtlsErrors.DtlsKeyStoreError;
+exports.DtlsAlertError = DtlsErrors.DtlsAlertError;
+exports.DtlsRenegotiationError = DtlsErrors.DtlsRenegotiationError;
+exports.DtlsPeerTimeoutError = DtlsErrors.DtlsPeerTimeoutError;
+exports.DtlsSessionStateError = DtlsErrors.DtlsSessionStateError;
+// alert enums (so that callers can interpret 'alert' events and DtlsHandshakeError.alertDescription values)
+exports.AlertLevel = enums.AlertLevel;
+exports.AlertDescription = enums.AlertDescription;
+// key stores (which may be passed to createDtlsSocket or createDtlsServer as options.keyStore)
+exports.createMemoryKeyStore = PskKeyStore.createMemoryKeyStore;
+exports.createFileKeyStore = PskKeyStore.createFileKeyStore;
+// transports (which may be passed to createDtlsSocket or createDtlsServer as options.transport)
+exports.createDgramTransport = Transport.createDgramTransport;
+exports.createMemoryTransportPair = Transport.createMemoryTransportPair;
+// CoAP client (see coap/CoapClient.js): securedgram.coaps.request({host, method, path, psk}) or securedgram.coaps.createClient(options)
+exports.coaps = CoapClient;
+// Z/IP client (see zip/ZipClient.js): securedgram.zip.createClient({host, psk}), then zipClient.sendCommand(nodeId, command)
+exports.zip = ZipClient;
+
+// connection IDs (see RFC 9146): servers ask their clients for connection IDs by default, so that a client's session survives changes of the client's address
+const DEFAULT_SERVER_CONNECTION_ID_LENGTH = 8;
+const MAX_CONNECTION_ID_LENGTH = 255;
+// number of random connection IDs which we try before we give up on finding one which is not used by another session
+const MAX_CONNECTION_ID_ATTEMPTS = 16;
+// cookie exchange (see RFC 6347 section 4.2.1): by default, servers verify every client with a cookie before they allocate a session for the client
+const COOKIE_MODES = ["always", "underLoad", "never"];
+const DEFAULT_COOKIE_MODE = "always";
+// in the "underLoad" cookie mode, the number of server handshakes in progress at which we start to require cookies
+const DEFAULT_COOKIE_LOAD_THRESHOLD = 16;
+// packet captures of sockets which have no socket type (i.e. sockets with another transport) use synthetic IPv4 headers
+const DEFAULT_CAPTURE_SOCKET_TYPE = "udp4";
+
+/* NOTE: like dgram.createSocket, the first parameter may be either a socket type ('udp4' or 'udp6') or an options object:
+ *   type: 'udp4' or 'udp6'; OPTIONAL if transport is specified
+ *   transport: OPTIONAL transport (see Transport.js) which carries our datagrams instead of a dgram socket; the addresses which are passed to send (and connect) are
+ *              then passed to the transport as-is (i.e. they are not resolved via DNS)
+ *   retransmitInitialTimeout: OPTIONAL handshake retransmission timeout, in milliseconds (default: 1000); doubled after each retransmission
+ *   retransmitMaxTimeout: OPTIONAL upper limit for the handshake retransmission timeout, in milliseconds (default: 60000)
+ *   retransmitMaxCount: OPTIONAL number of retransmissions before a handshake is abandoned (default: 6)
+ *   replayWindowSize: OPTIONAL number of records tracked by each session's anti-replay window (default: 64)
+ *   pathMtu: OPTIONAL maximum size of each datagram which we send, in bytes (default: 1400); larger handshake messages are fragmented
+ *   handshakeFailureListener: OPTIONAL function(callbackObject, error, rinfo), called when a handshake is abandoned
+ *   keyLogListener: OPTIONAL function(callbackObject, line, dtlsSession), called with a line in the NSS key log format ("CLIENT_RANDOM <hex> <hex>\n") whenever a
+ *                   session derives new keys, so that captures of our traffic can be decrypted (e.g. by Wireshark)
+ *   NOTE: if the SSLKEYLOGFILE environment variable is set (when the socket is created), the same lines are also appended to the file which it names
+ *   captureFile: OPTIONAL path of a pcapng file to which every datagram which we send or receive is written (with synthetic IP and UDP headers), followed by the
+ *                decrypted plaintext of each of its records; the file is created (or truncated) immediately, and closed when the socket is closed. the headers use the
+ *                address family of our socket type--or IPv4, if our socket type is not specified (in which case our transport's addresses are captured as 0.0.0.0)
+ *   pskCallback: OPTIONAL function(identityHint, ipAddress, port) which returns the {identity, key} to use for a server (or null to use the credentials passed to send);
+ *                identityHint is the (Buffer) hint from the server's ServerKeyExchange message, or null if the server did not send a hint; a pskCallback which throws (or
+ *                returns an identity which is not a Buffer or string of 1 to 65535 bytes) fails the handshake with a DtlsCredentialsError
+ *   keyStore: OPTIONAL key store (see PskKeyStore.js) whose lookupByPeer(host, port) supplies the credentials for each send (or connect) which does not pass its own
+ *   pskMinLength: OPTIONAL minimum length of the pre-shared keys which our sessions use, in bytes (default: 16)
+ *   pskMaxLength: OPTIONAL maximum length of the pre-shared keys which our sessions use, in bytes (default: 64)
+ *   NOTE: keys may be Buffers, Uint8Arrays or secret KeyObjects (see PresharedKey.js); strings are rejected, as they could be either the key's text or its hex encoding
+ *   sessionCacheSize: OPTIONAL number of sessions which our client sessions remember (so that they can be resumed with an abbreviated handshake) (default: 64); 0 disables session resumption
+ *   sessionCacheLifetime: OPTIONAL time after which a remembered session is no longer resumed, in milliseconds (default: 24 hours)
+ *   rekeyRecordLimit: OPTIONAL number of records which each session may send (or receive) under its current keys before it is renegotiated (default and maximum: 2^47)
+ *   rekeyInterval: OPTIONAL time after each handshake at which the session is renegotiated, in milliseconds (default: 0, i.e. no time-based rekeying)
+ *   NOTE: a session which cannot be renegotiated when its rekey policy requires (e.g. because the peer refuses) is closed instead
+ *   heartbeatInterval: OPTIONAL time without any record from a session's peer after which we send the peer a heartbeat (see RFC 6520), in milliseconds (default: 0, i.e. no heartbeats)
+ *   heartbeatMaxMissed: OPTIONAL number of consecutive unanswered heartbeats after which a session is closed (default: 3); 0 keeps the session open regardless
+ *   maxHeartbeatPayloadLength: OPTIONAL largest heartbeat payload which we echo back to a peer, in bytes (default: 1024)
+ *   NOTE: heartbeats are only sent to peers which negotiated the heartbeat extension (and allow us to send them); we always answer the heartbeats of our peers
+ *   connectionIdLength: OPTIONAL length of the connection IDs (see RFC 9146) which we ask our peers to include in their records, in bytes (0 to 255); records which carry
+ *                       one of our connection IDs are delivered to its session even if the peer's address has changed (default: null, i.e. connection IDs are not negotiated).
+ *                       NOTE: a length of 0 asks the peer to use a connection ID in the records which we send, without including one in its own records */
 exports.createDtlsSocket = function(type, callbackObject, callback) {
-    let result = new DtlsSocket(type);
+    let options = ((typeof type === "object" && type !== null) ? type : {type: type});
+    // validate inputs
+    if (options.handshakeFailureListener !== undefined && typeof options.handshakeFailureListener !== "function") {
+        throw new TypeError();
+    } else if (options.keyLogListener !== undefined && typeof options.keyLogListener !== "function") {
+        throw new TypeError();
+    } else if (options.captureFile !== undefined && options.captureFile !== null && typeof options.captureFile !== "string") {
+        throw new TypeError();
+    } else if (options.transport !== undefined && options.transport !== null && !Transport.isTransport(options.transport)) {
+        throw new TypeError();
+    } else if (options.pskCallback !== undefined && typeof options.pskCallback !== "function") {
+        throw new TypeError();
+    } else if (options.keyStore !== undefined && options.keyStore !== null && !isKeyStore(options.keyStore)) {
+        throw new TypeError();
+    }
+    if (options.pskMinLength !== undefined) {
+        if (typeof options.pskMinLength !== "number") {
+            throw new TypeError();
+        } else if ((options.pskMinLength < 1) || (options.pskMinLength > PresharedKey.getMaximumLength()) || (Math.floor(options.pskMinLength) != options.pskMinLength)) {
+            throw new RangeError();
+        }
+    }
+    if (options.pskMaxLength !== undefined) {
+        if (typeof options.pskMaxLength !== "number") {
+            throw new TypeError();
+        } else if ((options.pskMaxLength < (options.pskMinLength !== undefined ? options.pskMinLength : PresharedKey.getDefaultMinimumLength())) || (options.pskMaxLength > PresharedKey.getMaximumLength()) || (Math.floor(options.pskMaxLength) != options.pskMaxLength)) {
+            throw new RangeError();
+        }
+    }
+    if (options.connectionIdLength !== undefined && options.connectionIdLength !== null) {
+        if (typeof options.connectionIdLength !== "number") {
+            throw new TypeError();
+        } else if ((options.connectionIdLength < 0) || (options.connectionIdLength > MAX_CONNECTION_ID_LENGTH) || (Math.floor(options.connectionIdLength) != options.connectionIdLength)) {
+            throw new RangeError();
+        }
+    }
+
+    let result = new DtlsSocket(options);
     result.callbackObject = callbackObject;
     result.messageListener = callback;
     return result;
 };
 
-function DtlsSocket(type) {
+/* options (in addition to the createDtlsSocket options):
+ *   pskLookup: function(pskIdentity) which returns the pskPassword for the (Buffer) pskIdentity presented by a client--or null if the identity is unknown; the function
+ *              may also return a Promise which is resolved with the pskPassword (or null). OPTIONAL if keyStore is specified (in which case its lookupByIdentity is used)
+ *   sessionListener: OPTIONAL function(callbackObject, dtlsSession), called whenever a client completes its handshake with this server
+ *   pskIdentityHint: OPTIONAL identity hint (Buffer or string) which is sent to clients in a ServerKeyExchange message
+ *   sessionTicketLifetime: OPTIONAL lifetime of the session tickets which we issue to clients (so that they can resume their sessions), in milliseconds (default: 2 hours);
+ *                          0 disables session tickets. NOTE: tickets are protected by a random key which is replaced once per ticket lifetime.
+ *   cookieMode: OPTIONAL when we verify a new client with a (stateless) HelloVerifyRequest cookie before we allocate a session for the client: "always" (default),
+ *               "underLoad" (only while at least cookieLoadThreshold handshakes are in progress) or "never"
+ *   cookieLoadThreshold: OPTIONAL number of server handshakes in progress at which the "underLoad" cookie mode starts to require cookies (default: 16)
+ *   cookieLifetime: OPTIONAL time after which a cookie is no longer accepted, in milliseconds (default: 60 seconds)
+ *   cookieSecretRotationInterval: OPTIONAL interval after which the secret which authenticates our cookies is replaced, in milliseconds (default: 1 hour); cookies which
+ *                                 were created with the previous secret are still accepted (until they reach the end of their lifetime)
+ *   NOTE: cookies are only exchanged when a client starts a new session; renegotiations (and retransmissions of the ClientHello which started a client's session) are never
+ *         answered with a HelloVerifyRequest. a new ClientHello from the address of an existing session (e.g. from a client which restarted without closing its session)
+ *         is always verified with a cookie, whatever the cookieMode, before it replaces that session (see RFC 6347 section 4.2.8)
+ *   NOTE: servers use connection IDs (with the clients which offer them) by default; the default connectionIdLength for servers is 8 */
+exports.createDtlsServer = function(options, callbackObject, callback) {
+    // validate inputs
+    if (typeof options !== "object" || options === null) {
+        throw new TypeError();
+    } else if (options.pskLookup !== undefined && typeof options.pskLookup !== "function") {
+        throw new TypeError();
+    } else if (options.pskLookup === undefined && (options.keyStore === undefined || options.keyStore === null)) {
+        throw new TypeError();
+    } else if (options.sessionListener !== undefined && typeof options.sessionListener !== "function") {
+        throw new TypeError();
+    } else if (options.pskIdentityHint !== undefined && typeof options.pskIdentityHint !== "string" && Object.prototype.toString.call(options.pskIdentityHint) != "[object Uint8Array]") {
+        throw new TypeError();
+    }
+    if (options.cookieMode !== undefined) {
+        if (typeof options.cookieMode !== "string") {
+            throw new TypeError();
+        } else if (COOKIE_MODES.indexOf(options.cookieMode) < 0) {
+            throw new RangeError();
+        }
+    }
+    if (options.cookieLoadThreshold !== undefined) {
+        if (typeof options.cookieLoadThreshold !== "number") {
+            throw new TypeError();
+        } else if ((options.cookieLoadThreshold < 0) || (Math.floor(options.cookieLoadThreshold) != options.cookieLoadThreshold)) {
+            throw new RangeError();
+        }
+    }
+
+    let result = exports.createDtlsSocket(options, callbackObject, callback);
+    if (options.pskLookup !== undefined) {
+        result.pskLookup = options.pskLookup;
+    } else {
+        result.pskLookup = function(pskIdentity) { return result.keyStore.lookupByIdentity(pskIdentity); };
+    }
+    result.sessionListener = (options.sessionListener !== undefined ? options.sessionListener : null);
+    // our server sessions share a single set of ticket keys (so that a ticket issued by one session can be used to resume the session later)
+    result.sessionTicketKeys = (options.sessionTicketLifetime === 0 ? null : SessionTicketKeys.create(options.sessionTicketLifetime));
+    result.sessionOptions.sessionTicketKeys = result.sessionTicketKeys;
+    result.cookieMode = (options.cookieMode !== undefined ? options.cookieMode : DEFAULT_COOKIE_MODE);
+    result.cookieLoadThreshold = (options.cookieLoadThreshold !== undefined ? options.cookieLoadThreshold : DEFAULT_COOKIE_LOAD_THRESHOLD);
+    result.helloVerifyCookies = HelloVerifyCookies.create(options.cookieLifetime, options.cookieSecretRotationInterval);
+    if (options.connectionIdLength === undefined) {
+        result.connectionIdLength = DEFAULT_SERVER_CONNECTION_ID_LENGTH;
+    }
+    return result;
+};
+
+/* events (like dgram.Socket):
+ *   'message' (msg, rinfo): decrypted application data was received from a peer
+ *   'listening' () and 'error' (err): forwarded from our transport (if it emits them); 'error' is also emitted if our capture file cannot be written (see stopCapture)
+ *   'close' (): our transport has been closed
+ * secure events:
+ *   'secureConnect' (dtlsSession): a session (client or server) completed its handshake
+ *   'sessionClosed' (dtlsSession): a peer closed its session
+ *   'alert' (alert, dtlsSession): a peer sent an alert; alert is {level, description, name} (see enums.AlertLevel and enums.AlertDescription)
+ *   'sessionRekeyed' (dtlsSession): a session was renegotiated (i.e. it now uses new keys)
+ *   'keylog' (line, dtlsSession): a session derived new keys; line is the session's NSS key log line (see the keyLogListener option) */
+function DtlsSocket(options) {
+    EventEmitter.call(this);
+
     this.dtlsSessions = null;
     this.messageListener = null;
-    this.socket = null;
-    this.socketType = type;
+    this.handshakeFailureListener = null;
+    this.keyLogListener = null;
+    // the file to which we append our NSS key log lines (from the SSLKEYLOGFILE environment variable); null if we do not write a key log file
+    this.keyLogFile = (process.env.SSLKEYLOGFILE ? process.env.SSLKEYLOGFILE : null);
+    // the pcapng capture to which we write our datagrams (see the captureFile option); null if we do not capture our traffic
+    this.packetCapture = ((options.captureFile !== undefined && options.captureFile !== null) ? PacketCapture.create(options.captureFile, (options.type !== undefined ? options.type : DEFAULT_CAPTURE_SOCKET_TYPE)) : null);
+    // server sockets (created via createDtlsServer) accept incoming sessions; pskLookup is null for client-only sockets
+    this.pskLookup = null;
+    this.sessionListener = null;
+    // our key store supplies the credentials for the sends (and connects) which do not pass their own; null if we do not have a key store
+    this.keyStore = (options.keyStore !== undefined ? options.keyStore : null);
+    // key length policy, in bytes
+    this.pskMinLength = (options.pskMinLength !== undefined ? options.pskMinLength : PresharedKey.getDefaultMinimumLength());
+    this.pskMaxLength = (options.pskMaxLength !== undefined ? options.pskMaxLength : PresharedKey.getDefaultMaximumLength());
+    // server sockets encrypt the session tickets which they issue with these keys; null for client-only sockets (and for servers which do not issue tickets)
+    this.sessionTicketKeys = null;
+    // server sockets verify new clients with the cookies which helloVerifyCookies creates (see the cookieMode option of createDtlsServer); null for client-only sockets
+    // NOTE: servers whose cookieMode is "never" still verify the clients which start a new session from the address of an existing session
+    this.cookieMode = null;
+    this.cookieLoadThreshold = null;
+    this.helloVerifyCookies = null;
+    // the length of the connection IDs which we assign to our sessions; null if our sessions do not negotiate connection IDs
+    this.connectionIdLength = (options.connectionIdLength !== undefined ? options.connectionIdLength : null);
+    // the transport which carries the datagrams of all of our sessions; by default, a transport which is backed by a dgram socket of our socket type
+    this.transport = null;
+    this.isDgramTransport = (options.transport === undefined || options.transport === null);
+    this.socketType = (options.type !== undefined ? options.type : null);
+    // set once close(...) has been called (as the transport is released asynchronously, after we have notified our peers)
+    this.isClosing = false;
+    // our client sessions share a single session cache, so that a new session with a server can resume an earlier session with that server
+    this.sessionCache = (options.sessionCacheSize === 0 ? null : ClientSessionCache.create(options.sessionCacheSize, options.sessionCacheLifetime));
+    // options which are passed along to each new DtlsSession
+    this.sessionOptions = {
+        retransmitInitialTimeout: options.retransmitInitialTimeout,
+        retransmitMaxTimeout: options.retransmitMaxTimeout,
+        retransmitMaxCount: options.retransmitMaxCount,
+        replayWindowSize: options.replayWindowSize,
+        pathMtu: options.pathMtu,
+        pskCallback: options.pskCallback,
+        pskIdentityHint: options.pskIdentityHint,
+        pskMinLength: this.pskMinLength,
+        pskMaxLength: this.pskMaxLength,
+        sessionCache: this.sessionCache,
+        rekeyRecordLimit: options.rekeyRecordLimit,
+        rekeyInterval: options.rekeyInterval,
+        heartbeatInterval: options.heartbeatInterval,
+        heartbeatMaxMissed: options.heartbeatMaxMissed,
+        maxHeartbeatPayloadLength: options.maxHeartbeatPayloadLength,
+    };
+    if (options.handshakeFailureListener !== undefined) {
+        this.handshakeFailureListener = options.handshakeFailureListener;
+    }
+    if (options.keyLogListener !== undefined) {
+        this.keyLogListener = options.keyLogListener;
+    }
     
     // initialize our dtlsSessions to an empty set
     this.dtlsSessions = [];
-    // create an underlying dgram socket (which will be shared by all DTLS sesssions)
+    // create (or adopt) our transport (which will be shared by all DTLS sesssions)
     let thisObject = this;
-    this.socket = dgram.createSocket(type, function(msg, rinfo) {DtlsSocket.prototype.onSocketMessage(thisObject, msg, rinfo)});
+    this.transport = (this.isDgramTransport ? Transport.createDgramTransport(this.socketType) : options.transport);
+    this.transport.onDatagram(function(msg, rinfo) {DtlsSocket.prototype.onSocketMessage(thisObject, msg, rinfo)});
+    // forward the transport's events
+    if (typeof this.transport.on === "function") {
+        this.transport.on('listening', function() { thisObject.emit('listening'); });
+        this.transport.on('error', function(err) { thisObject.emit('error', err); });
+    }
 }
+util.inherits(DtlsSocket, EventEmitter);
 
 function isIpAddress(ipAddressFamily, ipAddress) {
     let ipv4RegExp = /^(?:(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.){3}(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)$/;
     let ipv6RegExp = /((^\s*((([0-9]|[1-9][0-9]|1[0-9]{2}|2[0-4][0-9]|25[0-5])\.){3}([0-9]|[1-9][0-9]|1[0-9]{2}|2[0-4][0-9]|25[0-5]))\s*$)|(^\s*((([0-9A-Fa-f]{1,4}:){7}([0-9A-Fa-f]{1,4}|:))|(([0-9A-Fa-f]{1,4}:){6}(:[0-9A-Fa-f]{1,4}|((25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)(\.(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)){3})|:))|(([0-9A-Fa-f]{1,4}:){5}(((:[0-9A-Fa-f]{1,4}){1,2})|:((25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)(\.(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)){3})|:))|(([0-9A-Fa-f]{1,4}:){4}(((:[0-9A-Fa-f]{1,4}){1,3})|((:[0-9A-Fa-f]{1,4})?:((25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)(\.(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)){3}))|:))|(([0-9A-Fa-f]{1,4}:){3}(((:[0-9A-Fa-f]{1,4}){1,4})|((:[0-9A-Fa-f]{1,4}){0,2}:((25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)(\.(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)){3}))|:))|(([0-9A-Fa-f]{1,4}:){2}(((:[0-9A-Fa-f]{1,4}){1,5})|((:[0-9A-Fa-f]{1,4}){0,3}:((25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)(\.(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)){3}))|:))|(([0-9A-Fa-f]{1,4}:){1}(((:[0-9A-Fa-f]{1,4}){1,6})|((:[0-9A-Fa-f]{1,4}){0,4}:((25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)(\.(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)){3}))|:))|(:(((:[0-9A-Fa-f]{1,4}){1,7})|((:[0-9A-Fa-f]{1,4}){0,5}:((25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)(\.(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)){3}))|:)))(%.+)?\s*$))/;
 
-    return (ipAddressFamily == "udp4" ? ipv4RegExp.test(ipAddress) : ipv6RegExp.test(ipaddress));
+    return (ipAddressFamily == "udp4" ? ipv4RegExp.test(ipAddress) : ipv6RegExp.test(ipAddress));
+}
+
+// NOTE: bind accepts the same arguments as dgram.Socket.bind (and is passed along to our transport)
+DtlsSocket.prototype.bind = function() {
+    this.callTransportMethod('bind', arguments);
+
+    return this;
+}
+
+DtlsSocket.prototype.address = function() {
+    return this.callTransportMethod('address', arguments);
+}
+
+// NOTE: this function throws a TypeError if our transport does not implement the (OPTIONAL) method
+DtlsSocket.prototype.callTransportMethod = function(methodName, args) {
+    if (typeof this.transport[methodName] !== "function") {
+        throw new TypeError('The transport does not support ' + methodName + '()');
+    }
+    return this.transport[methodName].apply(this.transport, args);
 }
 
+/* NOTE: we send a close_notify alert to each connected peer (and stop any pending handshake retransmissions) before we release our dgram socket; once close has been
+ *       called, sends and connects fail with a DtlsSessionStateError (and any session which is created while we are closing, e.g. by a send which had already resolved
+ *       its host, is closed as well) */
 DtlsSocket.prototype.close = function(callback) {
-    this.socket.close(callback);
+    let thisObject = this;
+    if (callback) {
+        this.once('close', callback);
+    }
+    if (this.isClosing) {
+        return this;
+    }
+    this.isClosing = true;
+
+    function closeSessions() {
+        // NOTE: each session removes itself from our dtlsSessions array as it closes, so we iterate over a copy
+        let dtlsSessions = thisObject.dtlsSessions.slice();
+        if (dtlsSessions.length === 0) {
+            thisObject.transport.close(function() {
+                if (thisObject.packetCapture !== null) {
+                    thisObject.packetCapture.close();
+                }
+                thisObject.emit('close');
+            });
+            return;
+        }
+        let closePromises = dtlsSessions.map(function(dtlsSession) {
+            return dtlsSession.close().then(function() { thisObject.removeDtlsSession(dtlsSession); });
+        });
+        // NOTE: sessions may have been created while our sessions were closing, so we check again before we release our transport
+        Promise.all(closePromises).then(closeSessions);
+    }
+    closeSessions();
+
+    return this;
+}
+
+// NOTE: this function returns the error with which sends and connects fail once close has been called (or null if we are not closing)
+DtlsSocket.prototype.getClosingError = function() {
+    return (this.isClosing ? new DtlsErrors.DtlsSessionStateError('The DTLS socket is closed') : null);
 }
 
+// NOTE: ref and unref are ignored if our transport does not implement them
 DtlsSocket.prototype.ref = function() {
-    this.socket.ref();
+    if (typeof this.transport.ref === "function") {
+        this.transport.ref();
+    }
 
     return this;
 }
 
 DtlsSocket.prototype.unref = function() {
-    this.socket.unref();
+    if (typeof this.transport.unref === "function") {
+        this.transport.unref();
+    }
 
     return this;
 }
 
+// forward the remaining standard dgram.Socket methods to our transport (which only implements them if it is backed by a dgram socket)
+Transport.getDgramMethodNames().forEach(function(methodName) {
+    DtlsSocket.prototype[methodName] = function() {
+        return this.callTransportMethod(methodName, arguments);
+    };
+});
+
+/* NOTE: callback is OPTIONAL: function(err), called once the message has been handed to our dgram socket--or with an error if the host could not be resolved, the
+ *       handshake failed or the datagram could not be sent */
 DtlsSocket.prototype.send = function(msg, offset, length, port, host, pskIdentity, pskPassword, callback) {
-    // search for an already-existing DtlsSession targeting the destination address/port with the same pskIdentity/pskPassword.
-    let dtlsSession = null;
-    let existingDtlsSessionFound = false;
     let thisObject = this;
-    //
-    let ipAddressFamily = this.socketType.toLowerCase();
-    //
-    let ipAddressResolvedCallback = function(err, addresses) {
-        //
-        if (err !== null) {
-            switch (err.code) {
-                default:
-                    return;
+
+    // NOTE: an invalid key (e.g. a string, or a key which violates our key length policy) is a programming error, so we throw instead of calling our callback
+    if (pskPassword !== null && pskPassword !== undefined) {
+        pskPassword = this.verifyPresharedKey(PresharedKey.toBuffer(pskPassword));
+    }
+
+    if (this.isClosing) {
+        if (callback) {
+            process.nextTick(callback, this.getClosingError());
+        }
+        return;
+    }
+
+    // send only the requested portion of the message
+    let data = msg;
+    if (typeof offset === "number" && typeof length === "number") {
+        data = msg.slice(offset, offset + length);
+    }
+
+    this.resolveHost(host, function(err, ipAddress) {
+        if (err) {
+            if (callback) {
+                callback(err);
             }
+            return;
         }
-        // retrieve the first ip address
-        let ipAddress = addresses[0];
-        //
-        for (let iSession = 0; iSession < thisObject.dtlsSessions.length; iSession++) {
-            let testSession = thisObject.dtlsSessions[iSession];
-            if ((ipAddress === testSession.dstIpAddress) &&
-                (port === testSession.dstPort) &&
-                (pskIdentity === testSession.pskIdentity) &&
-                (pskPassword === testSession.pskPassword)) {
-                // we already have a session; capture it for reuse now
-                dtlsSession = testSession;
-                // we also set the existingDtlsSessionFound flag, so that we know the session is pre-existing (and may have timed out, requiring renegotiation)
-                existingDtlsSessionFound = true; 
-                break;
+
+        thisObject.lookupCredentials(host, port, pskIdentity, pskPassword, function(err, credentials) {
+            if (err) {
+                if (callback) {
+                    callback(err);
+                }
+                return;
+            }
+
+            // NOTE: we may have been closed while the host (or the credentials) were looked up
+            if (thisObject.isClosing) {
+                if (callback) {
+                    callback(thisObject.getClosingError());
+                }
+                return;
+            }
+
+            // reuse (or create) the DtlsSession for the destination; if the handshake is still in progress, the session queues our message until it is connected
+            let dtlsSession = thisObject.getClientSession(ipAddress, port, credentials.identity, credentials.key);
+            dtlsSession.sendApplicationData(data, callback);
+        });
+    });
+}
+
+/* options:
+ *   identity: PSK identity (Buffer or string); OPTIONAL if our keyStore (or pskCallback) supplies the credentials
+ *   psk: pre-shared key (Buffer, Uint8Array or secret KeyObject); OPTIONAL if our keyStore (or pskCallback) supplies the credentials
+ *   pskHex, pskBase64: the pre-shared key as a hex or base64 string (instead of psk)
+ * NOTE: this function returns a promise which is resolved with the DtlsSession once its handshake completes (and rejected with a DtlsError if the host cannot be
+ *       resolved or the handshake fails); the session's send(data) function returns a promise as well. */
+DtlsSocket.prototype.connect = function(host, port, options) {
+    let thisObject = this;
+    let pskIdentity = null;
+    let pskPassword = null;
+    if (this.isClosing) {
+        return Promise.reject(this.getClosingError());
+    }
+    if (options !== undefined && options !== null) {
+        pskIdentity = (typeof options.identity === "string" ? Buffer.from(options.identity) : (options.identity !== undefined ? options.identity : null));
+        try {
+            pskPassword = PresharedKey.fromOptions(options);
+            if (pskPassword !== null) {
+                this.verifyPresharedKey(pskPassword);
             }
+        } catch (err) {
+            return Promise.reject(err);
         }
+    }
 
-        // if we could not find a pre-existing DtlsSession, initiate one now.
-        if (dtlsSession === null) {
-            dtlsSession = DtlsSession.createDtlsSession(thisObject.socket, thisObject, thisObject.onApplicationDataMessage);
-            thisObject.dtlsSessions.push(dtlsSession);
-            dtlsSession.connect(port, ipAddress, pskIdentity, pskPassword, function() {
-                /* connect listener */
-                // send the message
-                dtlsSession.sendApplicationData(msg);
-            }, function(unused, disconnectedSession) {
-                /* disconnect listener */
-                for (let iSession = 0; iSession < thisObject.dtlsSessions.length; iSession++) {
-                    if (thisObject.dtlsSessions[iSession] === disconnectedSession) {
-                        // remove the array element
-                        thisObject.dtlsSessions.splice(iSession, 1);
-                        break;
-                    }
+    return new Promise(function(resolve, reject) {
+        thisObject.resolveHost(host, function(err, ipAddress) {
+            if (err) {
+                reject(err);
+                return;
+            }
+
+            thisObject.lookupCredentials(host, port, pskIdentity, pskPassword, function(err, credentials) {
+                if (err) {
+                    reject(err);
+                    return;
+                } else if (thisObject.isClosing) {
+                    // NOTE: we may have been closed while the host (or the credentials) were looked up
+                    reject(thisObject.getClosingError());
+                    return;
                 }
-                /* disconnect our socket if it is not already disconnected */
-                if (thisObject.socket !== null) {
-                    try {
-                        thisObject.socket.close();
-                    }
-                    catch(err) {
-                        // ignore any errors closing socket
+
+                let dtlsSession = thisObject.getClientSession(ipAddress, port, credentials.identity, credentials.key);
+                dtlsSession.waitForConnect(function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(dtlsSession);
                     }
-                };
+                });
             });
-        } else {
-            // send the message
-            dtlsSession.sendApplicationData(msg);
+        });
+    });
+}
+
+/* NOTE: if the caller did not pass any credentials, our key store (if we have one) supplies the credentials for the server; host is the hostname (or IP address) which was
+ *       passed to send (or connect). callback is function(err, credentials): credentials is {identity, key} (whose values are null if no credentials are available, in which
+ *       case our pskCallback may still supply them during the handshake); err is a DtlsKeyStoreError if our key store's lookup failed. */
+DtlsSocket.prototype.lookupCredentials = function(host, port, pskIdentity, pskPassword, callback) {
+    if (this.keyStore === null || (pskIdentity !== null && pskIdentity !== undefined) || (pskPassword !== null && pskPassword !== undefined)) {
+        callback(null, {identity: pskIdentity, key: pskPassword});
+        return;
+    }
+
+    let lookupPromise;
+    try {
+        lookupPromise = Promise.resolve(this.keyStore.lookupByPeer(host, port));
+    } catch (err) {
+        lookupPromise = Promise.reject(err);
+    }
+    // NOTE: we call our callback outside of the promise chain, so that any exception which it throws is not mistaken for a failed lookup
+    let thisObject = this;
+    lookupPromise.then(function(credentials) {
+        if (credentials === null || credentials === undefined) {
+            process.nextTick(callback, null, {identity: null, key: null});
+            return;
+        }
+        let key;
+        try {
+            key = thisObject.verifyPresharedKey(PresharedKey.toBuffer(credentials.key));
+        } catch (err) {
+            process.nextTick(callback, new DtlsErrors.DtlsKeyStoreError(err));
+            return;
         }
+        process.nextTick(callback, null, {identity: (typeof credentials.identity === "string" ? Buffer.from(credentials.identity) : credentials.identity), key: key});
+    }, function(err) {
+        process.nextTick(callback, new DtlsErrors.DtlsKeyStoreError(err));
+    });
+}
+
+// NOTE: this function returns the key if its length satisfies our key length policy (and otherwise throws a RangeError which explains the problem)
+DtlsSocket.prototype.verifyPresharedKey = function(key) {
+    PresharedKey.verifyLength(key, this.pskMinLength, this.pskMaxLength);
+    return key;
+}
+
+// NOTE: callback is function(err, ipAddress); err is a DtlsHostResolutionError if the hostname could not be resolved
+DtlsSocket.prototype.resolveHost = function(host, callback) {
+    // NOTE: the addresses of other transports are opaque to us
+    if (!this.isDgramTransport) {
+        process.nextTick(callback, null, host);
+        return;
     }
 
+    let ipAddressFamily = this.socketType.toLowerCase();
+
     // resolve hostname to ipAddress if necessary; otherwise proceed with the properly-formatted ipAddress which was provided.
     if (!isIpAddress(ipAddressFamily, host)) {
-        require('dns').resolve(host, (ipAddressFamily == "udp4" ? "A" : "AAAA"), ipAddressResolvedCallback);
+        require('dns').resolve(host, (ipAddressFamily == "udp4" ? "A" : "AAAA"), function(err, addresses) {
+            if (err) {
+                callback(new DtlsErrors.DtlsHostResolutionError(host, err));
+                return;
+            }
+            // use the first ip address
+            callback(null, addresses[0]);
+        });
     } else {
-        ipAddressResolvedCallback(null, [host]);
+        process.nextTick(callback, null, host);
     }
+}
 
+// NOTE: this function returns the already-existing DtlsSession for the destination address/port (with the same pskIdentity/pskPassword)--or starts a new one
+DtlsSocket.prototype.getClientSession = function(ipAddress, port, pskIdentity, pskPassword) {
+    let thisObject = this;
+
+    for (let iSession = 0; iSession < this.dtlsSessions.length; iSession++) {
+        let testSession = this.dtlsSessions[iSession];
+        // NOTE: sessions which were accepted by our server are matched by address alone (as their credentials were chosen by the client)
+        if ((ipAddress === testSession.dstIpAddress) &&
+            (port === testSession.dstPort) &&
+            ((!testSession.securityParameters.isClient) ||
+             (isSameCredential(pskIdentity, testSession.pskIdentity) &&
+              isSameCredential(pskPassword, testSession.pskPassword)))) {
+            return testSession;
+        }
+    }
+
+    // if we could not find a pre-existing DtlsSession, initiate one now.
+    let dtlsSession = DtlsSession.createDtlsSession(this.transport, this, this.onApplicationDataMessage, this.sessionOptions);
+    dtlsSession.alertListener = this.onAlertMessage;
+    dtlsSession.rekeyListener = this.onSessionRekeyed;
+    dtlsSession.keyLogListener = this.onKeyLog;
+    dtlsSession.captureListener = (this.packetCapture !== null ? this.onCaptureRecord : null);
+    dtlsSession.connectionId = this.createConnectionId();
+    this.dtlsSessions.push(dtlsSession);
+    dtlsSession.connect(port, ipAddress, pskIdentity, pskPassword, function(connectedSession) {
+        /* connect listener */
+        thisObject.emit('secureConnect', connectedSession);
+    }, function(unused, disconnectedSession) {
+        /* disconnect listener */
+        // NOTE: our dgram socket is shared by all of our sessions, so it remains open
+        thisObject.removeDtlsSession(disconnectedSession);
+        thisObject.emit('sessionClosed', disconnectedSession);
+    }, this.onHandshakeFailed);
+    return dtlsSession;
+}
+
+// NOTE: a key store must implement both lookup functions (see PskKeyStore.js)
+function isKeyStore(keyStore) {
+    return (typeof keyStore === "object" && typeof keyStore.lookupByPeer === "function" && typeof keyStore.lookupByIdentity === "function");
+}
+
+// NOTE: credentials may be passed as different (but equal) buffers, so we compare their contents
+function isSameCredential(credential1, credential2) {
+    if (credential1 === credential2) {
+        return true;
+    } else if (Object.prototype.toString.call(credential1) != "[object Uint8Array]" || Object.prototype.toString.call(credential2) != "[object Uint8Array]") {
+        return false;
+    }
+    return (Buffer.compare(Buffer.from(credential1), Buffer.from(credential2)) === 0);
+}
+
+// NOTE: this function returns a new (random) connection ID which is not used by any of our other sessions--or null if we do not use connection IDs (or if we could not find
+//       an unused connection ID, in which case the session does not negotiate a connection ID)
+DtlsSocket.prototype.createConnectionId = function() {
+    if (this.connectionIdLength === null) {
+        return null;
+    } else if (this.connectionIdLength === 0) {
+        return Buffer.alloc(0);
+    }
+
+    for (let iAttempt = 0; iAttempt < MAX_CONNECTION_ID_ATTEMPTS; iAttempt++) {
+        let connectionId = CryptoUtils.crypto.randomBytes(this.connectionIdLength);
+        if (this.findSessionByConnectionId(connectionId) === null) {
+            return connectionId;
+        }
+    }
+    return null;
+}
+
+DtlsSocket.prototype.findSessionByConnectionId = function(connectionId) {
+    for (let iSession = 0; iSession < this.dtlsSessions.length; iSession++) {
+        let testSession = this.dtlsSessions[iSession];
+        if (testSession.connectionId !== null && Buffer.compare(testSession.connectionId, connectionId) === 0) {
+            return testSession;
+        }
+    }
+    return null;
 }
 
 DtlsSocket.prototype.onSocketMessage = function(thisObject, msg, rinfo) {
+    if (thisObject.packetCapture !== null) {
+        thisObject.captureDatagram(false, rinfo.address, rinfo.port, msg, "inbound datagram (as received)");
+    }
+
     // search for the target DtlsSession
     let dtlsSession = null;
-    for (let iSession = 0; iSession < thisObject.dtlsSessions.length; iSession++) {
+    // a datagram which starts with a record that carries one of our connection IDs belongs to that connection ID's session, regardless of the address which sent it
+    // NOTE: datagrams with an unknown connection ID are dropped
+    // NOTE: datagrams which are too short to hold a record header (including empty datagrams) are left to the session (if any), which discards them
+    let isRecordHeaderPresent = (msg.length >= DtlsRecord.getHeaderLength());
+    if (isRecordHeaderPresent && thisObject.connectionIdLength !== null && thisObject.connectionIdLength > 0) {
+        let dtlsRecordHeader = DtlsRecord.readHeader(msg, 0, thisObject.connectionIdLength);
+        if (dtlsRecordHeader !== null && dtlsRecordHeader.connectionId !== null) {
+            dtlsSession = thisObject.findSessionByConnectionId(dtlsRecordHeader.connectionId);
+            if (dtlsSession === null) {
+                return;
+            }
+        }
+    }
+    let isSessionFoundByAddress = false;
+    for (let iSession = 0; dtlsSession === null && iSession < thisObject.dtlsSessions.length; iSession++) {
         let testSession = thisObject.dtlsSessions[iSession];
         if ((rinfo.address === testSession.dstIpAddress) &&
             (rinfo.port === testSession.dstPort)) {
             // we already have a session; capture it for reuse now
             dtlsSession = testSession;
+            isSessionFoundByAddress = true;
             break;
         }
     }
 
+    // if we are a server and the message starts a new handshake, create a new (server-side) DtlsSession for the client
+    // NOTE: if we require a cookie, we only create the session once the client has returned a valid cookie; until then, we answer the client without keeping any state
+    let clientHello = null;
+    // a client which lost its session (e.g. because it restarted without closing the session) may start a new handshake from the address of its old session; the old
+    // session cannot process the new ClientHello (whose epoch is 0), so the new session replaces it--but only once the client has returned a valid cookie, so that a
+    // forged ClientHello cannot end a session (see RFC 6347 section 4.2.8)
+    // NOTE: once we are closing, we do not accept any new sessions
+    let replacedSession = null;
+    let isAccepting = (thisObject.pskLookup !== null && !thisObject.isClosing);
+    if (dtlsSession === null && isAccepting) {
+        clientHello = readClientHello(msg);
+    } else if (isSessionFoundByAddress && isAccepting && !dtlsSession.securityParameters.isClient) {
+        clientHello = readClientHello(msg);
+        if (clientHello !== null && isNewClientHello(dtlsSession, clientHello)) {
+            replacedSession = dtlsSession;
+            dtlsSession = null;
+        } else {
+            // a retransmission of the ClientHello which started the session (or a fragment of a ClientHello, which only the session can reassemble)
+            clientHello = null;
+        }
+    }
+    if (clientHello !== null && (replacedSession !== null || thisObject.isCookieRequired())) {
+        if (clientHello.message === null) {
+            // NOTE: we cannot verify the cookie of a fragmented (or malformed) ClientHello message, so we drop it
+            return;
+        } else if (!thisObject.helloVerifyCookies.verifyCookie(rinfo.address, rinfo.port, clientHello.message)) {
+            thisObject.sendHelloVerifyRequest(rinfo.address, rinfo.port, clientHello);
+            return;
+        }
+    }
+    if (replacedSession !== null) {
+        replacedSession.onReplaced();
+        thisObject.removeDtlsSession(replacedSession);
+    }
+    if (clientHello !== null) {
+        dtlsSession = DtlsSession.createDtlsSession(thisObject.transport, thisObject, thisObject.onApplicationDataMessage, thisObject.sessionOptions);
+        dtlsSession.alertListener = thisObject.onAlertMessage;
+        dtlsSession.rekeyListener = thisObject.onSessionRekeyed;
+        dtlsSession.keyLogListener = thisObject.onKeyLog;
+        dtlsSession.captureListener = (thisObject.packetCapture !== null ? thisObject.onCaptureRecord : null);
+        dtlsSession.connectionId = thisObject.createConnectionId();
+        thisObject.dtlsSessions.push(dtlsSession);
+        dtlsSession.accept(rinfo.port, rinfo.address, thisObject.pskLookup, function(acceptedSession) {
+            /* connect listener */
+            if (thisObject.sessionListener) {
+                thisObject.sessionListener(thisObject.callbackObject, acceptedSession);
+            }
+            thisObject.emit('secureConnect', acceptedSession);
+        }, function(unused, disconnectedSession) {
+            /* disconnect listener */
+            thisObject.removeDtlsSession(disconnectedSession);
+            thisObject.emit('sessionClosed', disconnectedSession);
+        }, thisObject.onHandshakeFailed);
+        dtlsSession.setInitialClientHello(clientHello.recordSequenceNumber, clientHello.messageSequence);
+    }
+
     if (dtlsSession !== null) {
         dtlsSession.onSocketMessage(msg, rinfo);
     }
 }
 
-DtlsSocket.prototype.onApplicationDataMessage = function(thisObject, dtlsSession, data) {
-    if (thisObject.messageListener) {
+/* NOTE: this function returns null if the datagram does not start with an unencrypted ClientHello handshake message; otherwise it returns
+ *       {recordSequenceNumber, messageSequence, message}, where message is the parsed ClientHelloMessage--or null if the message is fragmented (or malformed) */
+function readClientHello(msg) {
+    // NOTE: fromEncryptedBuffer throws a RangeError for an empty datagram, so we reject any datagram which is too short to hold a record before we parse it
+    if (msg.length < DtlsRecord.getHeaderLength()) {
+        return null;
+    }
+    let dtlsRecord_FromBufferResult = DtlsRecord.fromEncryptedBuffer(msg, 0, enums.BulkEncryptionAlgorithm.NULL, null, enums.MacAlgorithm.NULL, null);
+    if (dtlsRecord_FromBufferResult == null) {
+        return null;
+    }
+    let dtlsRecord = dtlsRecord_FromBufferResult.record;
+    if (dtlsRecord.protocolType !== enums.ProtocolType.DtlsHandshakeProtocol || dtlsRecord.epoch !== 0) {
+        return null;
+    }
+    let dtlsHandshakeMessage_FromBufferResult = DtlsHandshakeMessage.fromBuffer(dtlsRecord.fragment);
+    if (dtlsHandshakeMessage_FromBufferResult == null) {
+        return null;
+    }
+    let dtlsHandshakeMessage = dtlsHandshakeMessage_FromBufferResult.record;
+    if (dtlsHandshakeMessage.messageType !== enums.MessageType.ClientHello) {
+        return null;
+    }
+
+    let result = {recordSequenceNumber: dtlsRecord.sequenceNumber, messageSequence: dtlsHandshakeMessage.messageSequence, message: null};
+    if (dtlsHandshakeMessage.fragmentOffset === 0 && dtlsHandshakeMessage.fragmentLength === dtlsHandshakeMessage.length) {
+        let clientHelloMessage_FromBufferResult = ClientHelloMessage.fromBuffer(dtlsHandshakeMessage.message);
+        if (clientHelloMessage_FromBufferResult != null) {
+            result.message = clientHelloMessage_FromBufferResult.message;
+        }
+    }
+    return result;
+}
+
+/* NOTE: this function returns true if clientHello (see readClientHello) starts a new handshake rather than repeating the ClientHello which started the (server) session's
+ *       current handshake; a fragmented ClientHello (or one which arrives before the session has parsed its own ClientHello) is never treated as new */
+function isNewClientHello(dtlsSession, clientHello) {
+    let clientRandom = dtlsSession.securityParameters.clientRandom;
+    if (clientHello.message === null || clientRandom === null) {
+        return false;
+    }
+    return (Buffer.compare(clientHello.message.random, clientRandom) !== 0);
+}
+
+// NOTE: this function returns true if a new client must return a valid cookie before we allocate a session for it
+DtlsSocket.prototype.isCookieRequired = function() {
+    if (this.helloVerifyCookies === null || this.cookieMode === "never") {
+        return false;
+    } else if (this.cookieMode === "always") {
+        return true;
+    }
+
+    // "underLoad": count the server handshakes which are in progress (i.e. the sessions which have not completed their initial handshake)
+    let handshakeCount = 0;
+    for (let iSession = 0; iSession < this.dtlsSessions.length; iSession++) {
+        let testSession = this.dtlsSessions[iSession];
+        if (!testSession.securityParameters.isClient &&
+            (testSession.sessionState === enums.SessionState.NotConnected ||
+             testSession.sessionState === enums.SessionState.ServerHelloDoneSent ||
+             testSession.sessionState === enums.SessionState.FinishedSent)) {
+            handshakeCount++;
+        }
+    }
+    return (handshakeCount >= this.cookieLoadThreshold);
+}
+
+/* NOTE: we answer the client's ClientHello message with a HelloVerifyRequest message which carries the client's cookie, without creating a session (see RFC 6347 section 4.2.1);
+ *       our HelloVerifyRequest uses the record sequence number and message sequence of the client's ClientHello--and (as recommended for DTLS 1.2 servers) DTLS version 1.0 */
+DtlsSocket.prototype.sendHelloVerifyRequest = function(ipAddress, port, clientHello) {
+    let cookie = this.helloVerifyCookies.createCookie(ipAddress, port, clientHello.message);
+    let helloVerifyRequestMessage = HelloVerifyRequestMessage.create(enums.DtlsVersion.DTLS_1_0, cookie);
+    let messageAsBuffer = helloVerifyRequestMessage.toBuffer();
+    let handshakeMessage = DtlsHandshakeMessage.createFromMessageBuffer(enums.MessageType.HelloVerifyRequest, messageAsBuffer.length, clientHello.messageSequence, 0, messageAsBuffer.length, messageAsBuffer);
+    let dtlsRecord = DtlsRecord.createFromPlaintext(enums.ProtocolType.DtlsHandshakeProtocol, enums.DtlsVersion.DTLS_1_0, 0, clientHello.recordSequenceNumber, handshakeMessage.toBuffer(), null);
+    let dtlsRecordAsBuffer = dtlsRecord.toEncryptedBuffer(enums.BulkEncryptionAlgorithm.NULL, null, enums.MacAlgorithm.NULL, null, null);
+    if (this.packetCapture !== null) {
+        this.captureRecord(true, ipAddress, port, dtlsRecord, dtlsRecordAsBuffer);
+    }
+    this.transport.send(dtlsRecordAsBuffer, port, ipAddress);
+}
+
+DtlsSocket.prototype.removeDtlsSession = function(dtlsSession) {
+    for (let iSession = 0; iSession < this.dtlsSessions.length; iSession++) {
+        if (this.dtlsSessions[iSession] === dtlsSession) {
+            // remove the array element
+            this.dtlsSessions.splice(iSession, 1);
+            break;
+        }
+    }
+}
+
+DtlsSocket.prototype.onHandshakeFailed = function(thisObject, dtlsSession, error) {
+    // the session is unusable; remove it so that the next send(...) starts a fresh handshake
+    thisObject.removeDtlsSession(dtlsSession);
+    if (thisObject.handshakeFailureListener) {
         let rinfo = {
             address: dtlsSession.dstIpAddress,
-            port: dtlsSession.dstPort,
-            size: data.length
+            port: dtlsSession.dstPort
         };
+        thisObject.handshakeFailureListener(thisObject.callbackObject, error, rinfo);
+    }
+}
+
+DtlsSocket.prototype.onApplicationDataMessage = function(thisObject, dtlsSession, data) {
+    let rinfo = {
+        address: dtlsSession.dstIpAddress,
+        // NOTE: the addresses of other transports have no address family (unless our socket type was specified)
+        family: (thisObject.socketType === null ? null : (thisObject.socketType.toLowerCase() == "udp4" ? "IPv4" : "IPv6")),
+        port: dtlsSession.dstPort,
+        size: data.length
+    };
+    if (thisObject.messageListener) {
         thisObject.messageListener(thisObject.callbackObject, data, rinfo);
     }
-}
\ No newline at end of file
+    thisObject.emit('message', data, rinfo);
+}
+
+DtlsSocket.prototype.onAlertMessage = function(thisObject, dtlsSession, dtlsAlertMessage) {
+    thisObject.emit('alert', {level: dtlsAlertMessage.level, description: dtlsAlertMessage.description, name: enums.getAlertDescriptionAsString(dtlsAlertMessage.description)}, dtlsSession);
+}
+
+DtlsSocket.prototype.onSessionRekeyed = function(thisObject, dtlsSession) {
+    thisObject.emit('sessionRekeyed', dtlsSession);
+}
+
+/* NOTE: our own address is the address to which our dgram socket is bound (which may be the unspecified address, e.g. 0.0.0.0); addresses which are not IP addresses of
+ *       our socket type (e.g. the addresses of an in-memory transport) are captured as the unspecified address */
+DtlsSocket.prototype.captureDatagram = function(isOutbound, ipAddress, port, datagram, comment) {
+    // NOTE: our capture may have been stopped (after a write error) while a record was being captured
+    if (this.packetCapture === null) {
+        return;
+    }
+    // NOTE: our capture's socket type is our own socket type (or its default, if we have none)
+    let ipAddressFamily = this.packetCapture.socketType;
+    let unspecifiedAddress = (ipAddressFamily == "udp4" ? "0.0.0.0" : "::");
+    let localAddress;
+    try {
+        localAddress = this.callTransportMethod('address', []);
+    } catch (err) {
+        // NOTE: a client's dgram socket is only bound by its first send, so the first datagram may be captured before we know our address (or port); other transports
+        //       may not have an address at all
+        localAddress = {address: unspecifiedAddress, port: 0};
+    }
+    if (!isIpAddress(ipAddressFamily, localAddress.address)) {
+        localAddress = {address: unspecifiedAddress, port: localAddress.port};
+    }
+    if (!isIpAddress(ipAddressFamily, ipAddress)) {
+        ipAddress = unspecifiedAddress;
+    }
+    try {
+        if (isOutbound) {
+            this.packetCapture.writeDatagram(localAddress.address, localAddress.port, ipAddress, port, datagram, comment);
+        } else {
+            this.packetCapture.writeDatagram(ipAddress, port, localAddress.address, localAddress.port, datagram, comment);
+        }
+    } catch (err) {
+        this.stopCapture(err);
+    }
+}
+
+/* NOTE: this function stops our packet capture after its file could not be written (so that a full disk does not interrupt our sessions); the error is emitted as an
+ *       'error' event--but only if we have an 'error' listener, as the capture is a debugging aid which should not crash a process that does not listen for errors */
+DtlsSocket.prototype.stopCapture = function(error) {
+    try {
+        this.packetCapture.close();
+    } catch (err) {
+        // NOTE: the capture has failed already; we only need to release its file
+    }
+    this.packetCapture = null;
+    for (let iSession = 0; iSession < this.dtlsSessions.length; iSession++) {
+        this.dtlsSessions[iSession].captureListener = null;
+    }
+    if (this.listenerCount('error') > 0) {
+        process.nextTick(function(thisObject) { thisObject.emit('error', error); }, this);
+    }
+}
+
+DtlsSocket.prototype.onCaptureRecord = function(thisObject, dtlsSession, isOutbound, dtlsRecord, datagram) {
+    thisObject.captureRecord(isOutbound, dtlsSession.dstIpAddress, dtlsSession.dstPort, dtlsRecord, datagram);
+}
+
+/* NOTE: an outbound record is captured twice: first the datagram which carries it (as sent), then its plaintext; inbound datagrams are captured as they arrive (see
+ *       onSocketMessage), so only the plaintext of their records is captured here. the plaintext is written as the payload of its own (synthetic) datagram, so that
+ *       Wireshark can dissect the application's protocol directly. */
+DtlsSocket.prototype.captureRecord = function(isOutbound, ipAddress, port, dtlsRecord, datagram) {
+    if (datagram !== null) {
+        this.captureDatagram(isOutbound, ipAddress, port, datagram, "outbound datagram (as sent)");
+    }
+    let comment = (isOutbound ? "outbound" : "inbound") + " record (decrypted): epoch " + dtlsRecord.epoch + ", sequence number " + dtlsRecord.sequenceNumber +
+        ", content type " + enums.getProtocolTypeAsString(dtlsRecord.protocolType) + " (" + dtlsRecord.protocolType + ")";
+    this.captureDatagram(isOutbound, ipAddress, port, Buffer.from(dtlsRecord.fragment), comment);
+}
+
+DtlsSocket.prototype.onKeyLog = function(thisObject, dtlsSession, line) {
+    if (thisObject.keyLogFile !== null) {
+        // NOTE: the key log is a debugging aid, so a key log file which cannot be written does not affect our sessions (and its errors are ignored)
+        fs.appendFile(thisObject.keyLogFile, line, {mode: 0o600}, function() {});
+    }
+    if (thisObject.keyLogListener) {
+        thisObject.keyLogListener(thisObject.callbackObject, line, dtlsSession);
+    }
+    thisObject.emit('keylog', line, dtlsSession);
+}
@@ -0,0 +1,84 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at:
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/* HandshakeReassemblyBuffer collects the fragments of a single handshake message (see RFC 6347 section 4.2.3)
+ * NOTE: fragments may arrive out of order, may be duplicated and may overlap; we track every byte individually so that the message is only
+ *       considered complete once each of its bytes has been received at least once. */
+
+// constants
+// NOTE: no handshake message which we support comes close to this size; the limit protects us from peers which announce enormous messages
+const MAX_MESSAGE_LENGTH = 16384;
+
+function HandshakeReassemblyBuffer() {
+    this.messageType = null;
+    this.length = null;
+    this.message = null;
+    this.receivedFlags = null;
+    this.remainingLength = null;
+}
+
+exports.create = function(messageType, length) {
+    // validate inputs
+    //
+    // messageType
+    if (typeof messageType !== "number") {
+        throw new TypeError();
+    }
+    // length
+    if (typeof length !== "number") {
+        throw new TypeError();
+    } else if ((length < 0) || (length > MAX_MESSAGE_LENGTH) || (Math.floor(length) != length)) {
+        throw new RangeError();
+    }
+
+    // create and initialize the new HandshakeReassemblyBuffer object
+    let result = new HandshakeReassemblyBuffer();
+    result.messageType = messageType;
+    result.length = length;
+    result.message = Buffer.alloc(length);
+    result.receivedFlags = new Uint8Array(length);
+    result.remainingLength = length;
+
+    // return the new HandshakeReassemblyBuffer object
+    return result;
+}
+
+exports.getMaximumMessageLength = function() {
+    return MAX_MESSAGE_LENGTH;
+}
+
+// NOTE: this function returns false if the fragment does not belong to this message (i.e. its type or total length differ, or it extends past the end of the message)
+HandshakeReassemblyBuffer.prototype.addFragment = function(messageType, length, fragmentOffset, fragment) {
+    if (messageType !== this.messageType || length !== this.length) {
+        return false;
+    } else if (fragmentOffset + fragment.length > this.length) {
+        return false;
+    }
+
+    for (let iByte = 0; iByte < fragment.length; iByte++) {
+        if (this.receivedFlags[fragmentOffset + iByte] === 0) {
+            this.message[fragmentOffset + iByte] = fragment[iByte];
+            this.receivedFlags[fragmentOffset + iByte] = 1;
+            this.remainingLength--;
+        }
+    }
+
+    return true;
+}
+
+HandshakeReassemblyBuffer.prototype.isComplete = function() {
+    return (this.remainingLength === 0);
+}
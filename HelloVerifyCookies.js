@@ -0,0 +1,156 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at:
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/* HelloVerifyCookies creates (and verifies) the stateless cookies which a server sends to its clients in HelloVerifyRequest messages (see RFC 6347 section 4.2.1), so that
+ * the server only allocates a session for a client which has proven that it can receive datagrams at its (source) address.
+ * NOTE: each cookie is the cookie's issue time (4 bytes, in seconds since the epoch) followed by an HMAC-SHA256 (truncated to 28 bytes) over the issue time, the client's
+ *       address and port and the parameters of the client's ClientHello message which the client must repeat (version, random, session ID, cipher suites and compression
+ *       methods); at 32 bytes, the cookie fits within the cookie limit of DTLS 1.0.
+ *       the secret is replaced with a new random secret once per rotation interval; cookies which were created with the previous secret are still accepted (so that a
+ *       rotation does not interrupt the handshakes which are in progress), but cookies which are older than one lifetime are always rejected. */
+
+// crypto
+let CryptoUtils = require('./CryptoUtils.js');
+
+// constants
+const SECRET_LENGTH = 32;
+const ISSUE_TIME_LENGTH = 4;
+const MAC_LENGTH = 28;
+const COOKIE_LENGTH = ISSUE_TIME_LENGTH + MAC_LENGTH;
+// default cookie lifetime, in milliseconds
+// NOTE: clients answer a HelloVerifyRequest immediately, so a cookie only needs to outlive the client's retransmissions of its ClientHello message
+const DEFAULT_LIFETIME = 60 * 1000;
+// default secret rotation interval, in milliseconds
+const DEFAULT_ROTATION_INTERVAL = 60 * 60 * 1000;
+
+function HelloVerifyCookies() {
+    // lifetime of each cookie, in milliseconds
+    this.lifetime = DEFAULT_LIFETIME;
+    // interval after which our secret is replaced, in milliseconds
+    this.rotationInterval = DEFAULT_ROTATION_INTERVAL;
+    // our current secret (which creates new cookies) and previous secret; each secret is {secret, creationTime}
+    this.currentSecret = null;
+    this.previousSecret = null;
+}
+
+// NOTE: lifetime and rotationInterval (in milliseconds) are OPTIONAL
+exports.create = function(lifetime, rotationInterval) {
+    if (!CryptoUtils.verifyCrypto()) return null;
+
+    // validate inputs
+    //
+    // lifetime
+    if (typeof lifetime === "undefined") {
+        lifetime = DEFAULT_LIFETIME;
+    } else if (typeof lifetime !== "number") {
+        throw new TypeError();
+    } else if (lifetime < 1000) {
+        // NOTE: issue times are stored in seconds
+        throw new RangeError();
+    }
+    // rotationInterval
+    if (typeof rotationInterval === "undefined") {
+        rotationInterval = DEFAULT_ROTATION_INTERVAL;
+    } else if (typeof rotationInterval !== "number") {
+        throw new TypeError();
+    } else if (rotationInterval < 1000) {
+        throw new RangeError();
+    }
+
+    // create and initialize the new HelloVerifyCookies object
+    let result = new HelloVerifyCookies();
+    result.lifetime = lifetime;
+    result.rotationInterval = rotationInterval;
+
+    // return the new HelloVerifyCookies object
+    return result;
+}
+
+// NOTE: this function rotates our secrets (if our current secret has reached the end of its rotation interval) and then returns our current secret
+HelloVerifyCookies.prototype.getCurrentSecret = function() {
+    let now = Date.now();
+    if (this.currentSecret === null || now - this.currentSecret.creationTime >= this.rotationInterval) {
+        // NOTE: if our current secret is more than two rotation intervals old, it was not used to create any cookies during the last interval
+        this.previousSecret = ((this.currentSecret !== null && now - this.currentSecret.creationTime < 2 * this.rotationInterval) ? this.currentSecret : null);
+        this.currentSecret = {secret: CryptoUtils.crypto.randomBytes(SECRET_LENGTH), creationTime: now};
+    }
+    return this.currentSecret;
+}
+
+function calculateMac(secret, issueTimeAsBuffer, ipAddress, port, clientHelloMessage) {
+    let hmac = CryptoUtils.crypto.createHmac('sha256', secret.secret);
+    hmac.update(issueTimeAsBuffer);
+    // NOTE: each variable-length field is preceded by its length, so that different combinations of fields can never produce the same input
+    let ipAddressAsBuffer = Buffer.from(ipAddress);
+    let header = Buffer.alloc(5);
+    header[0] = ipAddressAsBuffer.length;
+    header.writeUInt16BE(port, 1);
+    header.writeUInt16BE(clientHelloMessage.dtlsVersion, 3);
+    hmac.update(header);
+    hmac.update(ipAddressAsBuffer);
+    hmac.update(Buffer.from(clientHelloMessage.random));
+    let sessionId = (clientHelloMessage.sessionId !== null ? Buffer.from(clientHelloMessage.sessionId) : Buffer.alloc(0));
+    hmac.update(Buffer.from([sessionId.length]));
+    hmac.update(sessionId);
+    let cipherSuites = Buffer.alloc(2 + 2 * clientHelloMessage.cipherSuites.length);
+    cipherSuites.writeUInt16BE(clientHelloMessage.cipherSuites.length, 0);
+    for (let iCipherSuite = 0; iCipherSuite < clientHelloMessage.cipherSuites.length; iCipherSuite++) {
+        cipherSuites.writeUInt16BE(clientHelloMessage.cipherSuites[iCipherSuite], 2 + 2 * iCipherSuite);
+    }
+    hmac.update(cipherSuites);
+    hmac.update(Buffer.from([clientHelloMessage.compressionMethods.length]));
+    hmac.update(Buffer.from(clientHelloMessage.compressionMethods));
+    return hmac.digest().slice(0, MAC_LENGTH);
+}
+
+// NOTE: this function returns the cookie (a Buffer) for the client at ipAddress:port which sent clientHelloMessage (a ClientHelloMessage object)
+HelloVerifyCookies.prototype.createCookie = function(ipAddress, port, clientHelloMessage) {
+    if (!CryptoUtils.verifyCrypto()) return null;
+
+    let secret = this.getCurrentSecret();
+    let issueTimeAsBuffer = Buffer.alloc(ISSUE_TIME_LENGTH);
+    issueTimeAsBuffer.writeUInt32BE(Math.floor(Date.now() / 1000), 0);
+    return Buffer.concat([issueTimeAsBuffer, calculateMac(secret, issueTimeAsBuffer, ipAddress, port, clientHelloMessage)]);
+}
+
+/* NOTE: this function returns true if the cookie in clientHelloMessage is one which we created for the client at ipAddress:port (for the same ClientHello parameters)
+ *       and which has not expired; a missing or malformed cookie is simply not valid */
+HelloVerifyCookies.prototype.verifyCookie = function(ipAddress, port, clientHelloMessage) {
+    if (!CryptoUtils.verifyCrypto()) return false;
+
+    let cookie = clientHelloMessage.cookie;
+    if (cookie === null || cookie.length !== COOKIE_LENGTH) {
+        return false;
+    }
+    cookie = Buffer.from(cookie);
+
+    // reject expired cookies
+    // NOTE: issue times are truncated to seconds, so a cookie may appear to have been issued up to one second before it actually was (but never in the future)
+    let issueTimeAsBuffer = cookie.slice(0, ISSUE_TIME_LENGTH);
+    let issueTime = issueTimeAsBuffer.readUInt32BE(0) * 1000;
+    let now = Date.now();
+    if (now - issueTime >= this.lifetime || issueTime > now) {
+        return false;
+    }
+
+    // authenticate the cookie with our current secret (or, if the cookie was created before our last rotation, with our previous secret)
+    let mac = cookie.slice(ISSUE_TIME_LENGTH);
+    let currentSecret = this.getCurrentSecret();
+    if (CryptoUtils.crypto.timingSafeEqual(mac, calculateMac(currentSecret, issueTimeAsBuffer, ipAddress, port, clientHelloMessage))) {
+        return true;
+    }
+    return (this.previousSecret !== null && CryptoUtils.crypto.timingSafeEqual(mac, calculateMac(this.previousSecret, issueTimeAsBuffer, ipAddress, port, clientHelloMessage)));
+}
@@ -0,0 +1,282 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at:
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/* PacketCapture writes datagrams to a pcapng file (see draft-ietf-opsawg-pcapng), so that a DtlsSocket's traffic can be examined in Wireshark without a separate capture
+ * box. Each datagram is wrapped in synthetic IP (IPv4 or IPv6) and UDP headers and written as an Enhanced Packet Block, with an OPTIONAL comment.
+ * NOTE: the file has a single interface, whose link type is LINKTYPE_RAW (i.e. each packet starts with its IP header); all blocks are written in little-endian byte order.
+ * NOTE: blocks are written synchronously, so that the file is complete up to the last datagram even if the process then exits (or crashes). */
+
+let fs = require('fs');
+
+// constants
+// block types
+const SECTION_HEADER_BLOCK_TYPE = 0x0a0d0d0a;
+const INTERFACE_DESCRIPTION_BLOCK_TYPE = 0x00000001;
+const ENHANCED_PACKET_BLOCK_TYPE = 0x00000006;
+const BYTE_ORDER_MAGIC = 0x1a2b3c4d;
+// option codes
+const OPTION_END_OF_OPTIONS = 0;
+const OPTION_COMMENT = 1;
+// link type (raw IPv4 or IPv6 packets)
+const LINKTYPE_RAW = 101;
+// IP and UDP
+const IPV4_HEADER_LENGTH = 20;
+const IPV6_HEADER_LENGTH = 40;
+const UDP_HEADER_LENGTH = 8;
+const IP_PROTOCOL_UDP = 17;
+const DEFAULT_TTL = 64;
+// capture files are only readable (and writable) by their owner
+const CAPTURE_FILE_MODE = 0o600;
+
+function PacketCapture() {
+    this.path = null;
+    // 'udp4' or 'udp6' (which determines the IP version of our synthetic headers)
+    this.socketType = null;
+    // the file descriptor of our capture file; null once the capture has been closed
+    this.fd = null;
+}
+
+// NOTE: this function creates (or truncates) the capture file at path; it throws an error if the file cannot be opened
+exports.create = function(path, socketType) {
+    // validate inputs
+    //
+    // path
+    if (typeof path !== "string") {
+        throw new TypeError();
+    }
+    // socketType
+    if (typeof socketType !== "string") {
+        throw new TypeError();
+    } else if (socketType.toLowerCase() !== "udp4" && socketType.toLowerCase() !== "udp6") {
+        throw new RangeError();
+    }
+
+    // create and initialize the new PacketCapture object
+    let result = new PacketCapture();
+    result.path = path;
+    result.socketType = socketType.toLowerCase();
+    // NOTE: the capture contains our plaintext, so only our own user may read it; the mode which is passed to open only applies to a new file, so we also restrict the
+    //       permissions of an existing file (before we write anything to it)
+    result.fd = fs.openSync(path, "w", CAPTURE_FILE_MODE);
+    try {
+        fs.fchmodSync(result.fd, CAPTURE_FILE_MODE);
+        result.writeBlock(SECTION_HEADER_BLOCK_TYPE, createSectionHeaderBody());
+        result.writeBlock(INTERFACE_DESCRIPTION_BLOCK_TYPE, createInterfaceDescriptionBody());
+    } catch (err) {
+        result.close();
+        throw err;
+    }
+
+    // return the new PacketCapture object
+    return result;
+}
+
+PacketCapture.prototype.close = function() {
+    if (this.fd === null) {
+        return;
+    }
+    // NOTE: we forget our file descriptor first, so that it is never closed twice (even if closeSync throws)
+    let fd = this.fd;
+    this.fd = null;
+    fs.closeSync(fd);
+}
+
+// NOTE: comment is OPTIONAL (a string which Wireshark shows as the packet's comment); this function throws an error if the datagram cannot be written (e.g. if the disk is full)
+PacketCapture.prototype.writeDatagram = function(srcIpAddress, srcPort, dstIpAddress, dstPort, payload, comment) {
+    if (this.fd === null) {
+        return;
+    }
+
+    let packet = (this.socketType === "udp4" ?
+        createIpv4Packet(parseIpv4Address(srcIpAddress), srcPort, parseIpv4Address(dstIpAddress), dstPort, payload) :
+        createIpv6Packet(parseIpv6Address(srcIpAddress), srcPort, parseIpv6Address(dstIpAddress), dstPort, payload));
+    this.writeBlock(ENHANCED_PACKET_BLOCK_TYPE, createEnhancedPacketBody(packet, comment));
+}
+
+/* Block layout:
+ *   00-03: Block Type
+ *   04-07: Block Total Length
+ *     08+: Block Body (padded to a multiple of 4 bytes)
+ *   ##-##: Block Total Length (repeated)
+ */
+PacketCapture.prototype.writeBlock = function(blockType, body) {
+    let block = Buffer.alloc(12 + body.length);
+    block.writeUInt32LE(blockType, 0);
+    block.writeUInt32LE(block.length, 4);
+    body.copy(block, 8);
+    block.writeUInt32LE(block.length, block.length - 4);
+    fs.writeSync(this.fd, block, 0, block.length);
+}
+
+function padLength(length) {
+    return (length + 3) & ~3;
+}
+
+function createSectionHeaderBody() {
+    let body = Buffer.alloc(16);
+    body.writeUInt32LE(BYTE_ORDER_MAGIC, 0);
+    // version 1.0
+    body.writeUInt16LE(1, 4);
+    body.writeUInt16LE(0, 6);
+    // section length (-1, i.e. not specified)
+    body.writeInt32LE(-1, 8);
+    body.writeInt32LE(-1, 12);
+    return body;
+}
+
+function createInterfaceDescriptionBody() {
+    let body = Buffer.alloc(8);
+    body.writeUInt16LE(LINKTYPE_RAW, 0);
+    // reserved (2 bytes) and snap length (0, i.e. no limit)
+    return body;
+}
+
+function createEnhancedPacketBody(packet, comment) {
+    let commentAsBuffer = (typeof comment === "string" ? Buffer.from(comment) : Buffer.alloc(0));
+    let optionsLength = (commentAsBuffer.length > 0 ? 4 + padLength(commentAsBuffer.length) + 4 : 0);
+    let body = Buffer.alloc(20 + padLength(packet.length) + optionsLength);
+    // interface ID
+    body.writeUInt32LE(0, 0);
+    // timestamp (in microseconds, which is the default resolution), as its high and low 32 bits
+    let timestamp = Date.now() * 1000;
+    body.writeUInt32LE(Math.floor(timestamp / 0x100000000), 4);
+    body.writeUInt32LE(timestamp % 0x100000000, 8);
+    // captured and original packet lengths
+    body.writeUInt32LE(packet.length, 12);
+    body.writeUInt32LE(packet.length, 16);
+    packet.copy(body, 20);
+    // options
+    if (commentAsBuffer.length > 0) {
+        let offset = 20 + padLength(packet.length);
+        body.writeUInt16LE(OPTION_COMMENT, offset);
+        body.writeUInt16LE(commentAsBuffer.length, offset + 2);
+        commentAsBuffer.copy(body, offset + 4);
+        offset += 4 + padLength(commentAsBuffer.length);
+        body.writeUInt16LE(OPTION_END_OF_OPTIONS, offset);
+        body.writeUInt16LE(0, offset + 2);
+    }
+    return body;
+}
+
+// NOTE: this function returns the 16-bit ones-complement sum of the buffers (which is used by the IPv4 header checksum and the UDP checksum)
+function calculateChecksum(buffers) {
+    let sum = 0;
+    for (let iBuffer = 0; iBuffer < buffers.length; iBuffer++) {
+        let buffer = buffers[iBuffer];
+        for (let iByte = 0; iByte < buffer.length; iByte += 2) {
+            sum += (buffer[iByte] << 8) + (iByte + 1 < buffer.length ? buffer[iByte + 1] : 0);
+        }
+    }
+    while (sum > 0xffff) {
+        sum = (sum & 0xffff) + (sum >>> 16);
+    }
+    return (~sum) & 0xffff;
+}
+
+function createUdpHeader(srcPort, dstPort, payload, pseudoHeader) {
+    let udpHeader = Buffer.alloc(UDP_HEADER_LENGTH);
+    udpHeader.writeUInt16BE(srcPort, 0);
+    udpHeader.writeUInt16BE(dstPort, 2);
+    udpHeader.writeUInt16BE(UDP_HEADER_LENGTH + payload.length, 4);
+    // NOTE: a calculated checksum of zero is transmitted as all ones (see RFC 768)
+    let checksum = calculateChecksum([pseudoHeader, udpHeader, payload]);
+    udpHeader.writeUInt16BE(checksum === 0 ? 0xffff : checksum, 6);
+    return udpHeader;
+}
+
+function createIpv4Packet(srcIpAddress, srcPort, dstIpAddress, dstPort, payload) {
+    let udpLength = UDP_HEADER_LENGTH + payload.length;
+    let pseudoHeader = Buffer.alloc(12);
+    srcIpAddress.copy(pseudoHeader, 0);
+    dstIpAddress.copy(pseudoHeader, 4);
+    pseudoHeader[9] = IP_PROTOCOL_UDP;
+    pseudoHeader.writeUInt16BE(udpLength, 10);
+
+    let ipHeader = Buffer.alloc(IPV4_HEADER_LENGTH);
+    // version (4) and header length (5 words)
+    ipHeader[0] = 0x45;
+    ipHeader.writeUInt16BE(IPV4_HEADER_LENGTH + udpLength, 2);
+    // flags: don't fragment
+    ipHeader.writeUInt16BE(0x4000, 6);
+    ipHeader[8] = DEFAULT_TTL;
+    ipHeader[9] = IP_PROTOCOL_UDP;
+    srcIpAddress.copy(ipHeader, 12);
+    dstIpAddress.copy(ipHeader, 16);
+    ipHeader.writeUInt16BE(calculateChecksum([ipHeader]), 10);
+
+    return Buffer.concat([ipHeader, createUdpHeader(srcPort, dstPort, payload, pseudoHeader), payload]);
+}
+
+function createIpv6Packet(srcIpAddress, srcPort, dstIpAddress, dstPort, payload) {
+    let udpLength = UDP_HEADER_LENGTH + payload.length;
+    let pseudoHeader = Buffer.alloc(40);
+    srcIpAddress.copy(pseudoHeader, 0);
+    dstIpAddress.copy(pseudoHeader, 16);
+    pseudoHeader.writeUInt32BE(udpLength, 32);
+    pseudoHeader[39] = IP_PROTOCOL_UDP;
+
+    let ipHeader = Buffer.alloc(IPV6_HEADER_LENGTH);
+    // version (6), traffic class and flow label
+    ipHeader[0] = 0x60;
+    ipHeader.writeUInt16BE(udpLength, 4);
+    ipHeader[6] = IP_PROTOCOL_UDP;
+    ipHeader[7] = DEFAULT_TTL;
+    srcIpAddress.copy(ipHeader, 8);
+    dstIpAddress.copy(ipHeader, 24);
+
+    return Buffer.concat([ipHeader, createUdpHeader(srcPort, dstPort, payload, pseudoHeader), payload]);
+}
+
+// NOTE: addresses which cannot be parsed are written as 0.0.0.0
+function parseIpv4Address(ipAddress) {
+    let result = Buffer.alloc(4);
+    let octets = String(ipAddress).split(".");
+    if (octets.length !== 4) {
+        return result;
+    }
+    for (let iOctet = 0; iOctet < 4; iOctet++) {
+        result[iOctet] = parseInt(octets[iOctet], 10) & 0xff;
+    }
+    return result;
+}
+
+// NOTE: addresses which cannot be parsed are written as ::; zone IDs (e.g. "%eth0") are ignored
+function parseIpv6Address(ipAddress) {
+    let result = Buffer.alloc(16);
+    let address = String(ipAddress).split("%")[0];
+    // an embedded IPv4 address (e.g. "::ffff:192.0.2.1") occupies the last two groups
+    let lastColonIndex = address.lastIndexOf(":");
+    if (address.indexOf(".", lastColonIndex) >= 0) {
+        let ipv4Address = parseIpv4Address(address.slice(lastColonIndex + 1));
+        address = address.slice(0, lastColonIndex + 1) + ipv4Address.readUInt16BE(0).toString(16) + ":" + ipv4Address.readUInt16BE(2).toString(16);
+    }
+    let halves = address.split("::");
+    if (halves.length > 2) {
+        return result;
+    }
+    let headGroups = (halves[0].length > 0 ? halves[0].split(":") : []);
+    let tailGroups = (halves.length === 2 && halves[1].length > 0 ? halves[1].split(":") : []);
+    if (headGroups.length + tailGroups.length > 8 || (halves.length === 1 && headGroups.length !== 8)) {
+        return result;
+    }
+    for (let iGroup = 0; iGroup < headGroups.length; iGroup++) {
+        result.writeUInt16BE(parseInt(headGroups[iGroup], 16) & 0xffff, 2 * iGroup);
+    }
+    for (let iGroup = 0; iGroup < tailGroups.length; iGroup++) {
+        result.writeUInt16BE(parseInt(tailGroups[iGroup], 16) & 0xffff, 16 - 2 * (tailGroups.length - iGroup));
+    }
+    return result;
+}
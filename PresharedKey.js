@@ -0,0 +1,91 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at:
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/* Pre-shared keys may be specified as Buffers (or Uint8Arrays) or as secret crypto.KeyObjects--and, in options objects, as hex or base64 strings (see fromOptions).
+ * NOTE: plain strings are rejected, since we cannot tell whether a string such as "0102030405060708090a0b0c0d0e0f10" is the key itself or the key's hex encoding
+ *       (Z/IP gateway keys, for instance, are usually provisioned as hex strings--and using the hex text as the key results in a handshake which fails with a decrypt error). */
+
+// crypto
+let CryptoUtils = require('./CryptoUtils.js');
+
+// constants
+// NOTE: our default policy requires at least 128 bits of key material; RFC 4279 (section 5.3) requires support for keys of up to 64 bytes and allows keys of up to 2^16-1 bytes
+const DEFAULT_MIN_LENGTH = 16;
+const DEFAULT_MAX_LENGTH = 64;
+const MAX_LENGTH = 65535;
+
+exports.getDefaultMinimumLength = function() {
+    return DEFAULT_MIN_LENGTH;
+}
+
+exports.getDefaultMaximumLength = function() {
+    return DEFAULT_MAX_LENGTH;
+}
+
+exports.getMaximumLength = function() {
+    return MAX_LENGTH;
+}
+
+// NOTE: this function returns the key as a Buffer; it throws a TypeError (with a message which explains the problem) if the key is not a Buffer, Uint8Array or secret KeyObject
+exports.toBuffer = function(key) {
+    if (typeof key === "string") {
+        throw new TypeError('A PSK may not be specified as a string; specify the key as a Buffer (or via pskHex or pskBase64) instead');
+    } else if (Object.prototype.toString.call(key) == "[object Uint8Array]") {
+        return Buffer.from(key);
+    } else if (CryptoUtils.verifyCrypto() && CryptoUtils.crypto.KeyObject !== undefined && key instanceof CryptoUtils.crypto.KeyObject) {
+        if (key.type !== "secret") {
+            throw new TypeError('A PSK KeyObject must be a secret key');
+        }
+        return key.export();
+    }
+    throw new TypeError('A PSK must be a Buffer, a Uint8Array or a secret KeyObject');
+}
+
+/* NOTE: this function returns the key which is specified (as exactly one of the following properties) by the options object--or null if the options do not specify a key:
+ *   psk: the key as a Buffer, Uint8Array or secret KeyObject
+ *   pskHex: the key's hex encoding (a string)
+ *   pskBase64: the key's base64 encoding (a string)
+ * it throws a TypeError if more than one key is specified (or if the key cannot be decoded) */
+exports.fromOptions = function(options) {
+    let specifiedKeyCount = (options.psk !== undefined && options.psk !== null ? 1 : 0) +
+        (options.pskHex !== undefined && options.pskHex !== null ? 1 : 0) +
+        (options.pskBase64 !== undefined && options.pskBase64 !== null ? 1 : 0);
+    if (specifiedKeyCount === 0) {
+        return null;
+    } else if (specifiedKeyCount > 1) {
+        throw new TypeError('Only one of psk, pskHex and pskBase64 may be specified');
+    }
+
+    if (options.pskHex !== undefined && options.pskHex !== null) {
+        if (typeof options.pskHex !== "string" || !/^([0-9a-fA-F]{2})+$/.test(options.pskHex)) {
+            throw new TypeError('pskHex must be a string of hex digit pairs');
+        }
+        return Buffer.from(options.pskHex, "hex");
+    } else if (options.pskBase64 !== undefined && options.pskBase64 !== null) {
+        if (typeof options.pskBase64 !== "string" || !/^(?:[A-Za-z0-9+/]{4})*(?:[A-Za-z0-9+/]{2}==|[A-Za-z0-9+/]{3}=)?$/.test(options.pskBase64) || options.pskBase64.length === 0) {
+            throw new TypeError('pskBase64 must be a (padded) base64 string');
+        }
+        return Buffer.from(options.pskBase64, "base64");
+    }
+    return exports.toBuffer(options.psk);
+}
+
+// NOTE: this function throws a RangeError (with a message which explains the problem) if the key's length is outside of our policy's limits
+exports.verifyLength = function(key, minLength, maxLength) {
+    if (key.length < minLength || key.length > maxLength) {
+        throw new RangeError('The PSK is ' + key.length + ' bytes long, but must be ' + (minLength === maxLength ? minLength : 'between ' + minLength + ' and ' + maxLength) + ' bytes long');
+    }
+}
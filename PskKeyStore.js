@@ -0,0 +1,205 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at:
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/* A PSK key store holds the pre-shared keys of our peers, so that the keys do not have to be passed to every send (or connect) call. A key store is any object which
+ * implements these two functions (each of which may either return its result or return a Promise which is resolved with its result):
+ *   lookupByPeer(host, port): returns the {identity, key} which our client sessions use for the server at host:port--or null if we have no key for the server
+ *   lookupByIdentity(identity): returns the key for the (Buffer) identity which a client presented to our server--or null if the identity is unknown
+ * This module provides an in-memory key store (whose entries are added via add) and a key store which reads its entries from a JSON file.
+ * NOTE: each entry has an identity and a key--and, if our client sessions use the entry, the host (and OPTIONALLY the port) of the server to which the entry applies. */
+
+let fs = require('fs');
+// pre-shared key formats
+let PresharedKey = require('./PresharedKey.js');
+
+// constants
+// NOTE: PSK identities and keys may each be up to 2^16-1 bytes long (see RFC 4279 section 5.3)
+const MAX_IDENTITY_LENGTH = 65535;
+const MAX_KEY_LENGTH = 65535;
+
+function MemoryPskKeyStore() {
+    // entries keyed by the hex representation of their identities; each entry is {identity, key, host, port}
+    this.entries = new Map();
+}
+
+exports.createMemoryKeyStore = function() {
+    return new MemoryPskKeyStore();
+}
+
+/* NOTE: identity may be a Buffer or a string; key may be a Buffer, Uint8Array or secret KeyObject (see PresharedKey.toBuffer)
+ * NOTE: host and port are OPTIONAL; an entry without a host is only used by lookupByIdentity, and an entry without a port applies to every port of its host */
+MemoryPskKeyStore.prototype.add = function(identity, key, host, port) {
+    // validate inputs
+    //
+    // identity
+    if (typeof identity === "string") {
+        identity = Buffer.from(identity);
+    } else if (Object.prototype.toString.call(identity) != "[object Uint8Array]") {
+        throw new TypeError();
+    }
+    if (identity.length < 1 || identity.length > MAX_IDENTITY_LENGTH) {
+        throw new RangeError();
+    }
+    // key
+    key = PresharedKey.toBuffer(key);
+    if (key.length < 1 || key.length > MAX_KEY_LENGTH) {
+        throw new RangeError();
+    }
+    // host
+    if (host === undefined || host === null) {
+        host = null;
+    } else if (typeof host !== "string") {
+        throw new TypeError();
+    }
+    // port
+    if (port === undefined || port === null) {
+        port = null;
+    } else if (typeof port !== "number") {
+        throw new TypeError();
+    } else if ((port < 1) || (port > 65535) || (Math.floor(port) != port)) {
+        throw new RangeError();
+    }
+
+    // NOTE: an entry replaces any previous entry with the same identity
+    this.entries.set(Buffer.from(identity).toString("hex"), {identity: Buffer.from(identity), key: key, host: host, port: port});
+}
+
+// NOTE: identity may be a Buffer or a string; this function returns true if the entry existed
+MemoryPskKeyStore.prototype.remove = function(identity) {
+    return this.entries.delete(Buffer.from(identity).toString("hex"));
+}
+
+// NOTE: an entry for the server's specific port takes precedence over an entry for all of the host's ports
+MemoryPskKeyStore.prototype.lookupByPeer = function(host, port) {
+    let result = null;
+    for (let entry of this.entries.values()) {
+        if (entry.host !== host) {
+            continue;
+        } else if (entry.port === port) {
+            return {identity: entry.identity, key: entry.key};
+        } else if (entry.port === null && result === null) {
+            result = {identity: entry.identity, key: entry.key};
+        }
+    }
+    return result;
+}
+
+MemoryPskKeyStore.prototype.lookupByIdentity = function(identity) {
+    let entry = this.entries.get(Buffer.from(identity).toString("hex"));
+    return (entry !== undefined ? entry.key : null);
+}
+
+/* FilePskKeyStore reads its entries from a JSON file, which contains an array of entries:
+ *   [{"identity": "gateway-7", "key": "0102030405060708090a0b0c0d0e0f10", "host": "gateway-7.local", "port": 41230}, ...]
+ * NOTE: identities are UTF-8 strings and keys are hex strings (or, via "keyBase64" instead of "key", base64 strings); host and port are OPTIONAL (see
+ *       MemoryPskKeyStore.prototype.add)
+ * NOTE: the file is read on the first lookup (and again after each call to reload); lookups return Promises, which are rejected if the file cannot be read or parsed */
+function FilePskKeyStore() {
+    this.path = null;
+    // a Promise which is resolved with our MemoryPskKeyStore once the file has been read; null until the first lookup
+    this.loadPromise = null;
+}
+
+exports.createFileKeyStore = function(path) {
+    // validate inputs
+    //
+    // path
+    if (typeof path !== "string") {
+        throw new TypeError();
+    }
+
+    // create and initialize the new FilePskKeyStore object
+    let result = new FilePskKeyStore();
+    result.path = path;
+
+    // return the new FilePskKeyStore object
+    return result;
+}
+
+// NOTE: this function returns a Promise which is resolved once the file has been read again (and rejected if it cannot be read or parsed)
+FilePskKeyStore.prototype.reload = function() {
+    return this.readFile().then(function() {});
+}
+
+// NOTE: this function returns a Promise which is resolved with our entries (as a MemoryPskKeyStore); the file is only read if it has not been read yet
+FilePskKeyStore.prototype.load = function() {
+    return (this.loadPromise !== null ? this.loadPromise : this.readFile());
+}
+
+FilePskKeyStore.prototype.readFile = function() {
+    let path = this.path;
+    let loadPromise = new Promise(function(resolve, reject) {
+        fs.readFile(path, 'utf8', function(err, data) {
+            if (err) {
+                reject(err);
+                return;
+            }
+            try {
+                resolve(parseKeyFile(data));
+            } catch (parseError) {
+                reject(parseError);
+            }
+        });
+    });
+    this.loadPromise = loadPromise;
+    // NOTE: if the file cannot be read, the next lookup tries again
+    let thisObject = this;
+    loadPromise.catch(function() {
+        if (thisObject.loadPromise === loadPromise) {
+            thisObject.loadPromise = null;
+        }
+    });
+    return loadPromise;
+}
+
+FilePskKeyStore.prototype.lookupByPeer = function(host, port) {
+    return this.load().then(function(memoryKeyStore) {
+        return memoryKeyStore.lookupByPeer(host, port);
+    });
+}
+
+FilePskKeyStore.prototype.lookupByIdentity = function(identity) {
+    return this.load().then(function(memoryKeyStore) {
+        return memoryKeyStore.lookupByIdentity(identity);
+    });
+}
+
+// NOTE: this function throws an error if the file's contents are not a valid array of entries
+function parseKeyFile(data) {
+    let entries = JSON.parse(data);
+    if (!Array.isArray(entries)) {
+        throw new TypeError('The PSK key file must contain an array of entries');
+    }
+
+    let result = new MemoryPskKeyStore();
+    for (let iEntry = 0; iEntry < entries.length; iEntry++) {
+        let entry = entries[iEntry];
+        if (typeof entry !== "object" || entry === null || typeof entry.identity !== "string") {
+            throw new TypeError('Invalid entry in the PSK key file (entry #' + iEntry + ')');
+        }
+        let key;
+        try {
+            key = PresharedKey.fromOptions({pskHex: entry.key, pskBase64: entry.keyBase64});
+        } catch (err) {
+            throw new TypeError('Invalid key in the PSK key file (entry #' + iEntry + '): ' + err.message);
+        }
+        if (key === null) {
+            throw new TypeError('Missing key in the PSK key file (entry #' + iEntry + ')');
+        }
+        result.add(entry.identity, key, entry.host, entry.port);
+    }
+    return result;
+}
@@ -23,6 +23,7 @@ exports.create = function() {
 
 function SecurityParameters() {
     this.isClient = true;
+    this.prfAlgorithm = enums.PrfAlgorithm.TLS_PRF_MD5_SHA1;
     this.bulkEncryptionAlgorithm = enums.BulkEncryptionAlgorithm.NULL;
     this.macAlgorithm = enums.MacAlgorithm.NULL;
     this.compressionMethod = enums.CompressionMethod.NULL;
@@ -33,5 +34,11 @@ function SecurityParameters() {
     this.serverWriteMacSecret = null;
     this.clientWriteKey = null;
     this.serverWriteKey = null;
+    // implicit nonce ("salt") values for AEAD ciphers
+    this.clientWriteIv = null;
+    this.serverWriteIv = null;
+    // the connection ID which the peer asked us to include in our records (see RFC 9146); null if the handshake did not negotiate connection IDs
+    // NOTE: an empty connection ID means that the peer does not want to receive a connection ID (although it sends our connection ID in its own records)
+    this.peerConnectionId = null;
 }
 
@@ -0,0 +1,196 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at:
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/* SessionTicketKeys encrypts (and authenticates) the session state which a server hands to its clients as a session ticket (see RFC 5077), so that the server
+ * can resume those sessions later without keeping any per-client state.
+ * NOTE: tickets use the format recommended by RFC 5077 section 4: key_name (16 bytes), IV (16 bytes), encrypted_state (AES-128-CBC, preceded by its two-octet length)
+ *       and an HMAC-SHA256 over all of the preceding fields (32 bytes).
+ *       the ticket key is replaced with a new random key once per lifetime; tickets which were encrypted with the previous key are still accepted (so that every ticket
+ *       can be used for its full lifetime), but tickets which are older than one lifetime are always rejected. */
+
+// crypto
+let CryptoUtils = require('./CryptoUtils.js');
+
+// constants
+const KEY_NAME_LENGTH = 16;
+const IV_LENGTH = 16;
+const ENCRYPTION_KEY_LENGTH = 16;
+const MAC_KEY_LENGTH = 32;
+const MAC_LENGTH = 32;
+const MASTER_SECRET_LENGTH = 48;
+// default ticket (and ticket key) lifetime, in milliseconds
+const DEFAULT_LIFETIME = 2 * 60 * 60 * 1000;
+
+/* Session state layout (the plaintext of encrypted_state):
+ *   00-01: DTLS Version
+ *   02-03: Cipher Suite
+ *   04-51: Master Secret (48 bytes)
+ *   52-55: Issue Time, in seconds since the epoch
+ *   56-57: PSK Identity Length
+ * .......: PSK Identity
+ */
+const SESSION_STATE_MIN_LENGTH = 58;
+
+function SessionTicketKeys() {
+    // lifetime of each ticket (and of each ticket key), in milliseconds
+    this.lifetime = DEFAULT_LIFETIME;
+    // our current key (which encrypts new tickets) and previous key; each key is {keyName, encryptionKey, macKey, creationTime}
+    this.currentKey = null;
+    this.previousKey = null;
+}
+
+// NOTE: lifetime (in milliseconds) is OPTIONAL
+exports.create = function(lifetime) {
+    if (!CryptoUtils.verifyCrypto()) return null;
+
+    // validate inputs
+    //
+    // lifetime
+    if (typeof lifetime === "undefined") {
+        lifetime = DEFAULT_LIFETIME;
+    } else if (typeof lifetime !== "number") {
+        throw new TypeError();
+    } else if (lifetime < 1000) {
+        // NOTE: ticket lifetimes are expressed to clients in seconds
+        throw new RangeError();
+    }
+
+    // create and initialize the new SessionTicketKeys object
+    let result = new SessionTicketKeys();
+    result.lifetime = lifetime;
+
+    // return the new SessionTicketKeys object
+    return result;
+}
+
+function createKey() {
+    return {
+        keyName: CryptoUtils.crypto.randomBytes(KEY_NAME_LENGTH),
+        encryptionKey: CryptoUtils.crypto.randomBytes(ENCRYPTION_KEY_LENGTH),
+        macKey: CryptoUtils.crypto.randomBytes(MAC_KEY_LENGTH),
+        creationTime: Date.now(),
+    };
+}
+
+// NOTE: this function rotates our keys (if our current key has reached the end of its lifetime) and then returns our current key
+SessionTicketKeys.prototype.getCurrentKey = function() {
+    let now = Date.now();
+    if (this.currentKey === null || now - this.currentKey.creationTime >= this.lifetime) {
+        // NOTE: if our current key is more than two lifetimes old, none of its tickets can still be valid
+        this.previousKey = ((this.currentKey !== null && now - this.currentKey.creationTime < 2 * this.lifetime) ? this.currentKey : null);
+        this.currentKey = createKey();
+    }
+    return this.currentKey;
+}
+
+// NOTE: this function returns the lifetime which we advertise to clients, in seconds
+SessionTicketKeys.prototype.getLifetimeHint = function() {
+    return Math.floor(this.lifetime / 1000);
+}
+
+function calculateMac(key, ticketWithoutMac) {
+    return CryptoUtils.crypto.createHmac('sha256', key.macKey).update(ticketWithoutMac).digest();
+}
+
+SessionTicketKeys.prototype.encryptTicket = function(dtlsVersion, cipherSuite, masterSecret, pskIdentity) {
+    if (!CryptoUtils.verifyCrypto()) return null;
+
+    let key = this.getCurrentKey();
+
+    // build our session state
+    let sessionState = Buffer.alloc(SESSION_STATE_MIN_LENGTH + pskIdentity.length);
+    sessionState.writeUInt16BE(dtlsVersion, 0);
+    sessionState.writeUInt16BE(cipherSuite, 2);
+    Buffer.from(masterSecret).copy(sessionState, 4, 0, MASTER_SECRET_LENGTH);
+    sessionState.writeUInt32BE(Math.floor(Date.now() / 1000), 52);
+    sessionState.writeUInt16BE(pskIdentity.length, 56);
+    Buffer.from(pskIdentity).copy(sessionState, SESSION_STATE_MIN_LENGTH, 0, pskIdentity.length);
+
+    // encrypt our session state
+    let iv = CryptoUtils.crypto.randomBytes(IV_LENGTH);
+    let cipher = CryptoUtils.crypto.createCipheriv('aes-128-cbc', key.encryptionKey, iv);
+    let encryptedState = Buffer.concat([cipher.update(sessionState), cipher.final()]);
+    let encryptedStateLength = Buffer.alloc(2);
+    encryptedStateLength.writeUInt16BE(encryptedState.length, 0);
+
+    // authenticate the ticket
+    let ticketWithoutMac = Buffer.concat([key.keyName, iv, encryptedStateLength, encryptedState]);
+    return Buffer.concat([ticketWithoutMac, calculateMac(key, ticketWithoutMac)]);
+}
+
+/* NOTE: this function returns null if the ticket is not valid (i.e. it is malformed, was not issued with one of our keys, could not be authenticated or has expired);
+ *       otherwise it returns {dtlsVersion, cipherSuite, masterSecret, pskIdentity, isRenewalRecommended}--where isRenewalRecommended is true if the ticket was
+ *       encrypted with our previous key (in which case the server should issue a new ticket). */
+SessionTicketKeys.prototype.decryptTicket = function(ticket) {
+    if (!CryptoUtils.verifyCrypto()) return null;
+
+    if (ticket.length < KEY_NAME_LENGTH + IV_LENGTH + 2 + MAC_LENGTH) {
+        return null;
+    }
+    ticket = Buffer.from(ticket);
+
+    // find the key which encrypted the ticket
+    let currentKey = this.getCurrentKey();
+    let keyName = ticket.slice(0, KEY_NAME_LENGTH);
+    let key = null;
+    if (Buffer.compare(keyName, currentKey.keyName) === 0) {
+        key = currentKey;
+    } else if (this.previousKey !== null && Buffer.compare(keyName, this.previousKey.keyName) === 0) {
+        key = this.previousKey;
+    } else {
+        return null;
+    }
+
+    let encryptedStateLength = ticket.readUInt16BE(KEY_NAME_LENGTH + IV_LENGTH);
+    if (ticket.length !== KEY_NAME_LENGTH + IV_LENGTH + 2 + encryptedStateLength + MAC_LENGTH) {
+        return null;
+    }
+
+    // authenticate the ticket
+    let ticketWithoutMac = ticket.slice(0, ticket.length - MAC_LENGTH);
+    let mac = ticket.slice(ticket.length - MAC_LENGTH);
+    if (!CryptoUtils.crypto.timingSafeEqual(mac, calculateMac(key, ticketWithoutMac))) {
+        return null;
+    }
+
+    // decrypt our session state
+    let sessionState;
+    try {
+        let iv = ticket.slice(KEY_NAME_LENGTH, KEY_NAME_LENGTH + IV_LENGTH);
+        let decipher = CryptoUtils.crypto.createDecipheriv('aes-128-cbc', key.encryptionKey, iv);
+        let encryptedState = ticket.slice(KEY_NAME_LENGTH + IV_LENGTH + 2, KEY_NAME_LENGTH + IV_LENGTH + 2 + encryptedStateLength);
+        sessionState = Buffer.concat([decipher.update(encryptedState), decipher.final()]);
+    } catch (err) {
+        return null;
+    }
+    if (sessionState.length < SESSION_STATE_MIN_LENGTH || sessionState.length !== SESSION_STATE_MIN_LENGTH + sessionState.readUInt16BE(56)) {
+        return null;
+    }
+
+    // reject expired tickets
+    let issueTime = sessionState.readUInt32BE(52) * 1000;
+    if (Date.now() - issueTime >= this.lifetime) {
+        return null;
+    }
+
+    return {
+        dtlsVersion: sessionState.readUInt16BE(0),
+        cipherSuite: sessionState.readUInt16BE(2),
+        masterSecret: sessionState.slice(4, 4 + MASTER_SECRET_LENGTH),
+        pskIdentity: sessionState.slice(SESSION_STATE_MIN_LENGTH),
+        isRenewalRecommended: (key === this.previousKey),
+    };
+}
@@ -0,0 +1,187 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at:
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/* A transport carries the datagrams of a DtlsSocket (and of its sessions). By default, each DtlsSocket creates a transport which is backed by a dgram socket, but a
+ * DtlsSocket may instead use any object which implements these functions (e.g. for a serial link to a Z-Wave controller, or for a WebRTC-style data channel):
+ *   send(datagram, port, address, callback): sends the datagram (a Buffer) to the peer at address:port; callback is OPTIONAL: function(err), called once the datagram
+ *                                            has been sent (or could not be sent)
+ *   onDatagram(listener): registers the function(datagram, rinfo) which the transport calls with each datagram which it receives; rinfo is {address, port, family, size}
+ *   close(callback): releases the transport; callback is OPTIONAL: function(), called once the transport has been released
+ * and which OPTIONALLY implements bind(...), address(), ref() and unref() (with the semantics of the dgram.Socket functions of the same names). A transport which is an
+ * EventEmitter may also emit 'listening' and 'error' events, which its DtlsSocket forwards.
+ * NOTE: addresses and ports are opaque to the DtlsSocket (which only resolves hostnames for its dgram transport), so a point-to-point transport may use any address string.
+ * This module provides the dgram-backed transport and a pair of connected in-memory transports (which deliver each datagram to each other, e.g. for tests). */
+
+// dgram
+let dgram = require('dgram');
+// events
+let EventEmitter = require('events');
+let util = require('util');
+
+function DgramTransport() {
+    EventEmitter.call(this);
+
+    this.socket = null;
+}
+util.inherits(DgramTransport, EventEmitter);
+
+// NOTE: type is 'udp4' or 'udp6' (see dgram.createSocket)
+exports.createDgramTransport = function(type) {
+    // create and initialize the new DgramTransport object
+    let result = new DgramTransport();
+    result.socket = dgram.createSocket(type);
+    // forward the dgram socket's events
+    result.socket.on('listening', function() { result.emit('listening'); });
+    result.socket.on('error', function(err) { result.emit('error', err); });
+
+    // return the new DgramTransport object
+    return result;
+}
+
+// NOTE: this function returns true if the object implements the required transport functions
+exports.isTransport = function(transport) {
+    return (typeof transport === "object" && transport !== null &&
+        typeof transport.send === "function" && typeof transport.onDatagram === "function" && typeof transport.close === "function");
+}
+
+// NOTE: dgram throws (instead of calling our callback) if its socket has already been closed, so we pass any such error to our callback
+DgramTransport.prototype.send = function(datagram, port, address, callback) {
+    try {
+        this.socket.send(datagram, 0, datagram.length, port, address, callback);
+    } catch (err) {
+        if (callback) {
+            process.nextTick(callback, err);
+        }
+    }
+}
+
+DgramTransport.prototype.onDatagram = function(listener) {
+    this.socket.on('message', listener);
+}
+
+DgramTransport.prototype.close = function(callback) {
+    this.socket.close(callback);
+}
+
+// NOTE: bind accepts the same arguments as dgram.Socket.bind
+DgramTransport.prototype.bind = function() {
+    this.socket.bind.apply(this.socket, arguments);
+}
+
+DgramTransport.prototype.address = function() {
+    return this.socket.address();
+}
+
+DgramTransport.prototype.ref = function() {
+    this.socket.ref();
+}
+
+DgramTransport.prototype.unref = function() {
+    this.socket.unref();
+}
+
+// forward the remaining standard dgram.Socket methods to our dgram socket
+let forwardedDgramMethods = [
+    'addMembership', 'dropMembership', 'addSourceSpecificMembership', 'dropSourceSpecificMembership',
+    'setBroadcast', 'setTTL', 'setMulticastTTL', 'setMulticastLoopback', 'setMulticastInterface',
+    'setRecvBufferSize', 'setSendBufferSize', 'getRecvBufferSize', 'getSendBufferSize',
+];
+forwardedDgramMethods.forEach(function(methodName) {
+    DgramTransport.prototype[methodName] = function() {
+        return this.socket[methodName].apply(this.socket, arguments);
+    };
+});
+
+exports.getDgramMethodNames = function() {
+    return forwardedDgramMethods.slice();
+}
+
+/* MemoryTransport is one end of an in-memory link: each datagram which it sends is delivered (asynchronously, and regardless of the address and port to which it was
+ * sent) to the other end. Datagrams which are sent to an end which has no listener (or which has been closed) are dropped.
+ * NOTE: each end's rinfo reports the other end's address and port (see createMemoryTransportPair) */
+function MemoryTransport() {
+    EventEmitter.call(this);
+
+    this.localAddress = null;
+    this.localPort = 0;
+    this.peer = null;
+    this.datagramListener = null;
+    this.isClosed = false;
+}
+util.inherits(MemoryTransport, EventEmitter);
+
+// NOTE: the addresses and ports of the two ends are OPTIONAL (defaults: "memory-1":1 and "memory-2":2)
+exports.createMemoryTransportPair = function(address1, port1, address2, port2) {
+    let transport1 = new MemoryTransport();
+    transport1.localAddress = (address1 !== undefined ? address1 : "memory-1");
+    transport1.localPort = (port1 !== undefined ? port1 : 1);
+    let transport2 = new MemoryTransport();
+    transport2.localAddress = (address2 !== undefined ? address2 : "memory-2");
+    transport2.localPort = (port2 !== undefined ? port2 : 2);
+    transport1.peer = transport2;
+    transport2.peer = transport1;
+
+    return [transport1, transport2];
+}
+
+MemoryTransport.prototype.send = function(datagram, port, address, callback) {
+    if (this.isClosed) {
+        if (callback) {
+            process.nextTick(callback, new Error('The transport is closed'));
+        }
+        return;
+    }
+
+    // NOTE: we copy the datagram, as the caller may reuse its buffer
+    let peer = this.peer;
+    let rinfo = {address: this.localAddress, port: this.localPort, family: null, size: datagram.length};
+    let datagramCopy = Buffer.from(datagram);
+    setImmediate(function() {
+        if (!peer.isClosed && peer.datagramListener !== null) {
+            peer.datagramListener(datagramCopy, rinfo);
+        }
+    });
+    if (callback) {
+        process.nextTick(callback, null);
+    }
+}
+
+MemoryTransport.prototype.onDatagram = function(listener) {
+    this.datagramListener = listener;
+}
+
+MemoryTransport.prototype.close = function(callback) {
+    this.isClosed = true;
+    if (callback) {
+        process.nextTick(callback);
+    }
+}
+
+// NOTE: an in-memory transport is always "bound"; bind only calls its OPTIONAL callback (which may be passed as the last argument, as with dgram.Socket.bind)
+MemoryTransport.prototype.bind = function() {
+    let thisObject = this;
+    let callback = (arguments.length > 0 && typeof arguments[arguments.length - 1] === "function" ? arguments[arguments.length - 1] : null);
+    process.nextTick(function() {
+        thisObject.emit('listening');
+        if (callback) {
+            callback();
+        }
+    });
+}
+
+MemoryTransport.prototype.address = function() {
+    return {address: this.localAddress, port: this.localPort, family: null};
+}
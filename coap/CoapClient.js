@@ -0,0 +1,1010 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at:
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/* CoapClient sends CoAP requests (see RFC 7252) to coaps:// servers over the DTLS sessions of a DtlsSocket. each session is wrapped in a stream (see
+ * DtlsSession.createStream), and each CoAP message is sent as one application data record.
+ * NOTE: confirmable messages are retransmitted (with exponential back-off) until the server acknowledges them; large request and response payloads are transferred
+ *       block by block (see RFC 7959); resources may be observed (see RFC 7641), in which case each notification is passed to the observation's listener. */
+
+// events
+let EventEmitter = require('events');
+let util = require('util');
+// net
+let net = require('net');
+// crypto
+let CryptoUtils = require('../CryptoUtils.js');
+// DTLS
+let DtlsSocket = require('../DtlsSocket.js');
+let DtlsErrors = require('../DtlsErrors.js');
+// CoAP
+let CoapMessage = require('./CoapMessage.js');
+let CoapOptions = require('./CoapOptions.js');
+let CoapErrors = require('./CoapErrors.js');
+let enums = require('./enums.js');
+
+// constants
+// default port of coaps:// servers
+const DEFAULT_PORT = 5684;
+// transmission parameters (see RFC 7252 section 4.8)
+const DEFAULT_ACK_TIMEOUT = 2000;
+const DEFAULT_ACK_RANDOM_FACTOR = 1.5;
+const DEFAULT_MAX_RETRANSMIT = 4;
+// NOTE: by default, we wait for a separate (or non-confirmable) response for MAX_TRANSMIT_WAIT, i.e. as long as the server could take to deliver a confirmable response
+const DEFAULT_RESPONSE_TIMEOUT = 93000;
+// EXCHANGE_LIFETIME: the time during which the server may retransmit a confirmable message (whose duplicates we must acknowledge, but not process again)
+const EXCHANGE_LIFETIME = 247000;
+const MAX_RECENT_MESSAGE_COUNT = 256;
+// default block size (see RFC 7959); payloads which are larger than the block size are sent block by block
+const DEFAULT_BLOCK_SIZE = 1024;
+const TOKEN_LENGTH = 4;
+// a notification is fresh (see RFC 7641 section 3.4) if its sequence number is newer than the last notification's, or if the last notification is at least 128 seconds old
+const OBSERVE_SEQUENCE_HALF_RANGE = 0x800000;
+const OBSERVE_FRESHNESS_INTERVAL = 128000;
+const OBSERVE_REGISTER = 0;
+const OBSERVE_DEREGISTER = 1;
+
+// CoAP enums (so that callers can build requests and interpret responses)
+exports.Code = enums.Code;
+exports.OptionNumber = enums.OptionNumber;
+exports.ContentFormat = enums.ContentFormat;
+// CoAP errors
+exports.CoapError = CoapErrors.CoapError;
+exports.CoapTimeoutError = CoapErrors.CoapTimeoutError;
+exports.CoapResetError = CoapErrors.CoapResetError;
+exports.CoapProtocolError = CoapErrors.CoapProtocolError;
+exports.CoapCancelledError = CoapErrors.CoapCancelledError;
+
+function CoapClient() {
+    EventEmitter.call(this);
+
+    // the DtlsSocket whose sessions carry our messages
+    this.dtlsSocket = null;
+    // each endpoint is one DTLS session (and its stream): {dtlsSession, stream, exchanges, recentMessages, isClosed}
+    this.endpoints = [];
+    // the connects (see getEndpoint) which are still in progress: {reject}, where reject cancels the connect's promise once we are closed
+    this.pendingConnects = [];
+    this.nextMessageId = 0;
+    // transmission parameters
+    this.ackTimeout = DEFAULT_ACK_TIMEOUT;
+    this.ackRandomFactor = DEFAULT_ACK_RANDOM_FACTOR;
+    this.maxRetransmit = DEFAULT_MAX_RETRANSMIT;
+    this.responseTimeout = DEFAULT_RESPONSE_TIMEOUT;
+    this.blockSize = DEFAULT_BLOCK_SIZE;
+    // set once close(...) has been called
+    this.isClosed = false;
+}
+util.inherits(CoapClient, EventEmitter);
+
+/* options:
+ *   type: OPTIONAL socket type ('udp4' or 'udp6'; default: 'udp4')
+ *   ackTimeout: OPTIONAL time after which an unacknowledged confirmable message is first retransmitted, in milliseconds (default: 2000); the actual timeout is chosen at
+ *               random between ackTimeout and ackTimeout * ackRandomFactor, and doubles after each retransmission
+ *   ackRandomFactor: OPTIONAL (default: 1.5; minimum: 1)
+ *   maxRetransmit: OPTIONAL number of retransmissions before a confirmable message is abandoned (default: 4)
+ *   responseTimeout: OPTIONAL time for which we wait for a response once our request has been acknowledged (or sent, if it is non-confirmable), in milliseconds (default: 93000)
+ *   blockSize: OPTIONAL largest payload which we send (or ask the server to send) in one message, in bytes; a power of two from 16 to 1024 (default: 1024)
+ * NOTE: all other options (e.g. keyStore, pskCallback, transport or connectionIdLength) are passed to createDtlsSocket; credentials may also be passed to each request */
+exports.createClient = function(options) {
+    if (!CryptoUtils.verifyCrypto()) return null;
+
+    // validate inputs
+    //
+    // options
+    if (typeof options === "undefined" || options === null) {
+        options = {};
+    } else if (typeof options !== "object") {
+        throw new TypeError();
+    }
+    if (options.ackTimeout !== undefined && !isPositiveNumber(options.ackTimeout)) {
+        throw (typeof options.ackTimeout !== "number" ? new TypeError() : new RangeError());
+    } else if (options.ackRandomFactor !== undefined && !(isPositiveNumber(options.ackRandomFactor) && options.ackRandomFactor >= 1)) {
+        throw (typeof options.ackRandomFactor !== "number" ? new TypeError() : new RangeError());
+    } else if (options.responseTimeout !== undefined && !isPositiveNumber(options.responseTimeout)) {
+        throw (typeof options.responseTimeout !== "number" ? new TypeError() : new RangeError());
+    }
+    if (options.maxRetransmit !== undefined) {
+        if (typeof options.maxRetransmit !== "number") {
+            throw new TypeError();
+        } else if ((options.maxRetransmit < 0) || (Math.floor(options.maxRetransmit) != options.maxRetransmit)) {
+            throw new RangeError();
+        }
+    }
+    if (options.blockSize !== undefined) {
+        // NOTE: this throws a TypeError (or RangeError) if the block size is invalid
+        CoapOptions.getBlockSzx(options.blockSize);
+    }
+
+    let dtlsSocketOptions = Object.assign({}, options);
+    if (dtlsSocketOptions.type === undefined && (dtlsSocketOptions.transport === undefined || dtlsSocketOptions.transport === null)) {
+        dtlsSocketOptions.type = 'udp4';
+    }
+
+    // create and initialize the new CoapClient object
+    let result = new CoapClient();
+    result.dtlsSocket = DtlsSocket.createDtlsSocket(dtlsSocketOptions);
+    result.dtlsSocket.on('error', function(err) { result.onSocketError(err); });
+    result.nextMessageId = CryptoUtils.crypto.randomBytes(2).readUInt16BE(0);
+    if (options.ackTimeout !== undefined) {
+        result.ackTimeout = options.ackTimeout;
+    }
+    if (options.ackRandomFactor !== undefined) {
+        result.ackRandomFactor = options.ackRandomFactor;
+    }
+    if (options.maxRetransmit !== undefined) {
+        result.maxRetransmit = options.maxRetransmit;
+    }
+    if (options.responseTimeout !== undefined) {
+        result.responseTimeout = options.responseTimeout;
+    }
+    if (options.blockSize !== undefined) {
+        result.blockSize = options.blockSize;
+    }
+
+    // return the new CoapClient object
+    return result;
+}
+
+function isPositiveNumber(value) {
+    return (typeof value === "number" && value > 0);
+}
+
+/* NOTE: this function sends a single request (using a client which is closed once the request completes) and returns a promise which is resolved with the response;
+ *       options are the options of both createClient and request. applications which send more than one request should create a client, so that its DTLS sessions are reused. */
+exports.request = function(options) {
+    let client = createSingleUseClient(options);
+    return client.request(options).then(function(response) {
+        client.close();
+        return response;
+    }, function(err) {
+        client.close();
+        throw err;
+    });
+}
+
+// NOTE: this function observes a resource using a client which is closed once the observation ends (see observe)
+exports.observe = function(options, listener) {
+    let client = createSingleUseClient(options);
+    return client.observe(options, listener, true).catch(function(err) {
+        client.close();
+        throw err;
+    });
+}
+
+function createSingleUseClient(options) {
+    if (typeof options !== "object" || options === null) {
+        throw new TypeError();
+    }
+    let clientOptions = Object.assign({}, options);
+    if (clientOptions.type === undefined && (clientOptions.transport === undefined || clientOptions.transport === null)) {
+        clientOptions.type = (net.isIPv6(options.host) ? 'udp6' : 'udp4');
+    }
+    return exports.createClient(clientOptions);
+}
+
+/* options:
+ *   host: hostname or IP address of the server
+ *   port: OPTIONAL port of the server (default: 5684)
+ *   method: OPTIONAL request method: 'GET', 'POST', 'PUT' or 'DELETE' (or an enums.Code value); default: 'GET'
+ *   path: OPTIONAL path of the resource, e.g. '/sensors/temperature' (default: '/'); each segment is sent as a Uri-Path option, as-is (i.e. without percent-decoding)
+ *   query: OPTIONAL query, as a string (e.g. 'a=1&b=2') or an array of strings; each argument is sent as a Uri-Query option
+ *   payload: OPTIONAL request payload (a Buffer, Uint8Array or string)
+ *   contentFormat: OPTIONAL content format of the payload (see enums.ContentFormat)
+ *   accept: OPTIONAL content format which we ask the server to respond with
+ *   options: OPTIONAL array of additional options: {number, value}, where value is a Buffer
+ *   confirmable: OPTIONAL false to send the request as a non-confirmable message (default: true)
+ *   blockSize: OPTIONAL block size for this request (default: the client's blockSize)
+ *   identity, psk, pskHex, pskBase64: OPTIONAL credentials for the server (see DtlsSocket.connect); not needed if the client's keyStore (or pskCallback) supplies them
+ * NOTE: this function returns a promise which is resolved with the response (see createResponse), whatever its code: error responses (e.g. 4.04 Not Found) are
+ *       responses too. the promise is rejected if the server cannot be reached, resets the request or does not respond in time. */
+CoapClient.prototype.request = function(options) {
+    let thisObject = this;
+    let requestOptions;
+    try {
+        requestOptions = this.validateRequestOptions(options);
+    } catch (err) {
+        return Promise.reject(err);
+    }
+
+    return this.getEndpoint(requestOptions).then(function(endpoint) {
+        return thisObject.performRequest(endpoint, requestOptions, null);
+    }).then(function(responseMessage) {
+        return createResponse(responseMessage);
+    });
+}
+
+/* NOTE: this function registers an observation of the resource (see RFC 7641) and returns a promise which is resolved with the CoapObservation once the server has
+ *       responded; options are the options of request (the method is always GET). listener is function(err, response): it is called with the first response and with
+ *       each (fresh) notification; once the observation ends (because the server stopped it, or sent an error response, or because the DTLS session was closed),
+ *       it is called one last time with an error (or with the final response, if the server ended the observation with a response) and observation.isActive is false.
+ *       a server which does not support observation simply responds once. */
+CoapClient.prototype.observe = function(options, listener, closeClientOnEnd) {
+    let thisObject = this;
+    let requestOptions;
+    try {
+        if (typeof listener !== "function") {
+            throw new TypeError();
+        }
+        requestOptions = this.validateRequestOptions(Object.assign({}, options, {method: 'GET'}));
+    } catch (err) {
+        return Promise.reject(err);
+    }
+
+    return this.getEndpoint(requestOptions).then(function(endpoint) {
+        return new Promise(function(resolve, reject) {
+            let observation = new CoapObservation();
+            observation.client = thisObject;
+            observation.endpoint = endpoint;
+            observation.requestOptions = requestOptions;
+            observation.listener = listener;
+            observation.closeClientOnEnd = (closeClientOnEnd === true);
+            observation.register(function(err) {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(observation);
+                }
+            });
+        });
+    });
+}
+
+// NOTE: this function fails all of our pending requests (and ends our observations) and then closes our DtlsSocket; callback is OPTIONAL
+CoapClient.prototype.close = function(callback) {
+    if (this.isClosed) {
+        if (callback) {
+            process.nextTick(callback);
+        }
+        return;
+    }
+    this.isClosed = true;
+
+    // NOTE: a connect may still be waiting for its handshake, so we cancel it rather than waiting for it to finish
+    let pendingConnects = this.pendingConnects;
+    this.pendingConnects = [];
+    for (let iPendingConnect = 0; iPendingConnect < pendingConnects.length; iPendingConnect++) {
+        pendingConnects[iPendingConnect].reject(new CoapErrors.CoapCancelledError('The CoAP client was closed'));
+    }
+    let endpoints = this.endpoints;
+    this.endpoints = [];
+    for (let iEndpoint = 0; iEndpoint < endpoints.length; iEndpoint++) {
+        this.failExchanges(endpoints[iEndpoint], new CoapErrors.CoapCancelledError('The CoAP client was closed'));
+    }
+    this.dtlsSocket.close(callback);
+}
+
+/* NOTE: this function is called with each 'error' event of our DtlsSocket (e.g. a failure of its UDP socket, or of its capture file); the error is emitted as our own
+ *       'error' event if we have an 'error' listener, and otherwise fails our pending requests (and ends our observations), so that it is never lost */
+CoapClient.prototype.onSocketError = function(err) {
+    if (this.listenerCount('error') > 0) {
+        this.emit('error', err);
+        return;
+    }
+    for (let iEndpoint = 0; iEndpoint < this.endpoints.length; iEndpoint++) {
+        this.failExchanges(this.endpoints[iEndpoint], err);
+    }
+}
+
+// NOTE: this function returns the validated request options (with their defaults), or throws a TypeError (or RangeError)
+CoapClient.prototype.validateRequestOptions = function(options) {
+    if (typeof options !== "object" || options === null) {
+        throw new TypeError();
+    }
+
+    let result = {
+        host: options.host,
+        port: (options.port !== undefined ? options.port : DEFAULT_PORT),
+        code: enums.Code.GET,
+        path: (options.path !== undefined ? options.path : '/'),
+        queryArguments: [],
+        payload: null,
+        contentFormat: (options.contentFormat !== undefined ? options.contentFormat : null),
+        accept: (options.accept !== undefined ? options.accept : null),
+        options: (options.options !== undefined ? options.options : []),
+        isConfirmable: (options.confirmable !== false),
+        blockSize: (options.blockSize !== undefined ? options.blockSize : this.blockSize),
+        connectOptions: {identity: options.identity, psk: options.psk, pskHex: options.pskHex, pskBase64: options.pskBase64},
+    };
+    // host and port
+    if (typeof result.host !== "string") {
+        throw new TypeError();
+    } else if (typeof result.port !== "number") {
+        throw new TypeError();
+    } else if ((result.port < 1) || (result.port > 65535) || (Math.floor(result.port) != result.port)) {
+        throw new RangeError();
+    }
+    // method
+    if (typeof options.method === "string") {
+        let code = enums.Code[options.method.toUpperCase()];
+        if (code === undefined || !enums.isMethodCode(code)) {
+            throw new RangeError();
+        }
+        result.code = code;
+    } else if (typeof options.method === "number") {
+        if (!enums.isMethodCode(options.method)) {
+            throw new RangeError();
+        }
+        result.code = options.method;
+    } else if (options.method !== undefined) {
+        throw new TypeError();
+    }
+    // path and query
+    if (typeof result.path !== "string") {
+        throw new TypeError();
+    }
+    if (typeof options.query === "string") {
+        result.queryArguments = options.query.split('&').filter(function(argument) { return argument.length > 0; });
+    } else if (Array.isArray(options.query)) {
+        result.queryArguments = options.query;
+    } else if (options.query !== undefined) {
+        throw new TypeError();
+    }
+    // payload
+    if (typeof options.payload === "string") {
+        result.payload = Buffer.from(options.payload);
+    } else if (Object.prototype.toString.call(options.payload) == "[object Uint8Array]") {
+        result.payload = Buffer.from(options.payload);
+    } else if (options.payload !== undefined && options.payload !== null) {
+        throw new TypeError();
+    }
+    // content formats
+    if (result.contentFormat !== null && typeof result.contentFormat !== "number") {
+        throw new TypeError();
+    } else if (result.accept !== null && typeof result.accept !== "number") {
+        throw new TypeError();
+    }
+    // additional options
+    if (!Array.isArray(result.options)) {
+        throw new TypeError();
+    }
+    // block size
+    CoapOptions.getBlockSzx(result.blockSize);
+
+    // NOTE: we build a message from the options now, so that any invalid option (or option value) is reported before we connect to the server
+    CoapMessage.create(enums.MessageType.Confirmable, result.code, 0, null, createRequestMessageOptions(result, result.payload, null, null), result.payload);
+
+    return result;
+}
+
+// NOTE: this function returns a promise which is resolved with the endpoint for the server's DTLS session (connecting to the server, if necessary)
+CoapClient.prototype.getEndpoint = function(requestOptions) {
+    let thisObject = this;
+    if (this.isClosed) {
+        return Promise.reject(new CoapErrors.CoapCancelledError('The CoAP client is closed'));
+    }
+
+    let connectOptions = {};
+    Object.keys(requestOptions.connectOptions).forEach(function(key) {
+        if (requestOptions.connectOptions[key] !== undefined) {
+            connectOptions[key] = requestOptions.connectOptions[key];
+        }
+    });
+    let connectPromise = this.dtlsSocket.connect(requestOptions.host, requestOptions.port, connectOptions).then(function(dtlsSession) {
+        if (thisObject.isClosed) {
+            throw new CoapErrors.CoapCancelledError('The CoAP client was closed');
+        }
+        for (let iEndpoint = 0; iEndpoint < thisObject.endpoints.length; iEndpoint++) {
+            if (thisObject.endpoints[iEndpoint].dtlsSession === dtlsSession) {
+                return thisObject.endpoints[iEndpoint];
+            }
+        }
+
+        // wrap the new session in a stream, whose records are our messages
+        let endpoint = {dtlsSession: dtlsSession, stream: dtlsSession.createStream(), exchanges: [], recentMessages: [], isClosed: false};
+        endpoint.stream.on('data', function(data) { thisObject.onEndpointData(endpoint, data); });
+        endpoint.stream.on('error', function(err) { thisObject.onEndpointClosed(endpoint, err); });
+        endpoint.stream.on('close', function() { thisObject.onEndpointClosed(endpoint, new DtlsErrors.DtlsSessionStateError('The DTLS session was closed')); });
+        thisObject.endpoints.push(endpoint);
+        return endpoint;
+    });
+
+    // NOTE: close(...) rejects our promise (via pendingConnect) if it is called before the connect has finished
+    return new Promise(function(resolve, reject) {
+        let pendingConnect = {reject: reject};
+        thisObject.pendingConnects.push(pendingConnect);
+        connectPromise.then(function(endpoint) {
+            thisObject.removePendingConnect(pendingConnect);
+            resolve(endpoint);
+        }, function(err) {
+            thisObject.removePendingConnect(pendingConnect);
+            reject(err);
+        });
+    });
+}
+
+CoapClient.prototype.removePendingConnect = function(pendingConnect) {
+    for (let iPendingConnect = 0; iPendingConnect < this.pendingConnects.length; iPendingConnect++) {
+        if (this.pendingConnects[iPendingConnect] === pendingConnect) {
+            this.pendingConnects.splice(iPendingConnect, 1);
+            break;
+        }
+    }
+}
+
+// NOTE: this function is called once an endpoint's session has ended; error is the reason (which is passed to any exchanges which are still waiting)
+CoapClient.prototype.onEndpointClosed = function(endpoint, error) {
+    if (endpoint.isClosed) {
+        return;
+    }
+    endpoint.isClosed = true;
+
+    for (let iEndpoint = 0; iEndpoint < this.endpoints.length; iEndpoint++) {
+        if (this.endpoints[iEndpoint] === endpoint) {
+            this.endpoints.splice(iEndpoint, 1);
+            break;
+        }
+    }
+    this.failExchanges(endpoint, error);
+}
+
+CoapClient.prototype.failExchanges = function(endpoint, error) {
+    let exchanges = endpoint.exchanges;
+    endpoint.exchanges = [];
+    for (let iExchange = 0; iExchange < exchanges.length; iExchange++) {
+        this.stopExchangeTimers(exchanges[iExchange]);
+        exchanges[iExchange].listener(error, null);
+    }
+}
+
+CoapClient.prototype.sendToEndpoint = function(endpoint, message) {
+    if (endpoint.isClosed) {
+        return;
+    }
+    endpoint.stream.write(message.toBuffer());
+}
+
+CoapClient.prototype.createMessageId = function() {
+    let result = this.nextMessageId;
+    this.nextMessageId = (this.nextMessageId + 1) % (CoapMessage.getMaximumMessageId() + 1);
+    return result;
+}
+
+// NOTE: this function returns a new (random) token which is not used by any of the endpoint's exchanges
+CoapClient.prototype.createToken = function(endpoint) {
+    while (true) {
+        let token = CryptoUtils.crypto.randomBytes(TOKEN_LENGTH);
+        if (findExchangeByToken(endpoint, token) === null) {
+            return token;
+        }
+    }
+}
+
+/* NOTE: this function returns the request message for requestOptions; payload is the payload (or block) to send, and block1 and block2 are OPTIONAL {blockNumber, isMore,
+ *       blockSize} values of the Block1 and Block2 options */
+CoapClient.prototype.createRequestMessage = function(requestOptions, token, payload, block1, block2) {
+    let messageType = (requestOptions.isConfirmable ? enums.MessageType.Confirmable : enums.MessageType.NonConfirmable);
+    let options = createRequestMessageOptions(requestOptions, payload, block1, block2);
+    return CoapMessage.create(messageType, requestOptions.code, this.createMessageId(), token, options, payload);
+}
+
+// NOTE: this function returns the options ({number, value}) of a request message (see createRequestMessage)
+function createRequestMessageOptions(requestOptions, payload, block1, block2) {
+    let options = [];
+    // NOTE: the Uri-Host option defaults to the server's IP address, so it is only needed when the server was specified by name
+    if (net.isIP(requestOptions.host) === 0) {
+        options.push({number: enums.OptionNumber.UriHost, value: Buffer.from(requestOptions.host)});
+    }
+    let pathSegments = requestOptions.path.split('/').filter(function(segment) { return segment.length > 0; });
+    for (let iSegment = 0; iSegment < pathSegments.length; iSegment++) {
+        options.push({number: enums.OptionNumber.UriPath, value: Buffer.from(pathSegments[iSegment])});
+    }
+    for (let iArgument = 0; iArgument < requestOptions.queryArguments.length; iArgument++) {
+        if (typeof requestOptions.queryArguments[iArgument] !== "string") {
+            throw new TypeError();
+        }
+        options.push({number: enums.OptionNumber.UriQuery, value: Buffer.from(requestOptions.queryArguments[iArgument])});
+    }
+    if (requestOptions.contentFormat !== null && payload !== null) {
+        options.push({number: enums.OptionNumber.ContentFormat, value: CoapOptions.encodeUint(requestOptions.contentFormat)});
+    }
+    if (requestOptions.accept !== null) {
+        options.push({number: enums.OptionNumber.Accept, value: CoapOptions.encodeUint(requestOptions.accept)});
+    }
+    if (block1 !== null) {
+        options.push({number: enums.OptionNumber.Block1, value: CoapOptions.encodeBlock(block1.blockNumber, block1.isMore, block1.blockSize)});
+        // NOTE: the first block also tells the server the size of the whole payload
+        if (block1.blockNumber === 0) {
+            options.push({number: enums.OptionNumber.Size1, value: CoapOptions.encodeUint(requestOptions.payload.length)});
+        }
+    }
+    if (block2 !== null) {
+        options.push({number: enums.OptionNumber.Block2, value: CoapOptions.encodeBlock(block2.blockNumber, block2.isMore, block2.blockSize)});
+    }
+    return options.concat(requestOptions.options);
+}
+
+/* NOTE: this function sends the message and calls listener--function(err, responseMessage)--with the server's response; confirmable messages are retransmitted until they
+ *       are acknowledged. the exchange ends with its response, unless the caller marks it as observing (in which case it remains open for further notifications). */
+CoapClient.prototype.startExchange = function(endpoint, message, listener) {
+    let exchange = {
+        endpoint: endpoint,
+        message: message,
+        token: message.token,
+        // NOTE: our message ID is only matched until our message has been acknowledged (or answered)
+        messageId: message.messageId,
+        isConfirmable: (message.type === enums.MessageType.Confirmable),
+        retransmitCount: 0,
+        retransmitTimeout: this.ackTimeout * (1 + Math.random() * (this.ackRandomFactor - 1)),
+        retransmitTimer: null,
+        responseTimer: null,
+        isObserving: false,
+        listener: listener,
+    };
+    endpoint.exchanges.push(exchange);
+
+    this.sendToEndpoint(endpoint, message);
+    if (exchange.isConfirmable) {
+        this.startRetransmitTimer(exchange);
+    } else {
+        this.startResponseTimer(exchange);
+    }
+    return exchange;
+}
+
+// NOTE: this function returns a promise which is resolved with the (single) response message to our message
+CoapClient.prototype.exchangeMessage = function(endpoint, message) {
+    let thisObject = this;
+    return new Promise(function(resolve, reject) {
+        thisObject.startExchange(endpoint, message, function(err, responseMessage) {
+            if (err) {
+                reject(err);
+            } else {
+                resolve(responseMessage);
+            }
+        });
+    });
+}
+
+CoapClient.prototype.endExchange = function(exchange) {
+    this.stopExchangeTimers(exchange);
+    let exchanges = exchange.endpoint.exchanges;
+    for (let iExchange = 0; iExchange < exchanges.length; iExchange++) {
+        if (exchanges[iExchange] === exchange) {
+            exchanges.splice(iExchange, 1);
+            break;
+        }
+    }
+}
+
+CoapClient.prototype.startRetransmitTimer = function(exchange) {
+    let thisObject = this;
+    exchange.retransmitTimer = setTimeout(function() {
+        exchange.retransmitTimer = null;
+        if (exchange.retransmitCount >= thisObject.maxRetransmit) {
+            thisObject.endExchange(exchange);
+            exchange.listener(new CoapErrors.CoapTimeoutError('The CoAP server did not acknowledge our request'), null);
+            return;
+        }
+        exchange.retransmitCount++;
+        exchange.retransmitTimeout *= 2;
+        thisObject.sendToEndpoint(exchange.endpoint, exchange.message);
+        thisObject.startRetransmitTimer(exchange);
+    }, exchange.retransmitTimeout);
+}
+
+CoapClient.prototype.startResponseTimer = function(exchange) {
+    let thisObject = this;
+    exchange.responseTimer = setTimeout(function() {
+        exchange.responseTimer = null;
+        thisObject.endExchange(exchange);
+        exchange.listener(new CoapErrors.CoapTimeoutError('The CoAP server did not respond to our request'), null);
+    }, this.responseTimeout);
+}
+
+CoapClient.prototype.stopExchangeTimers = function(exchange) {
+    if (exchange.retransmitTimer !== null) {
+        clearTimeout(exchange.retransmitTimer);
+        exchange.retransmitTimer = null;
+    }
+    if (exchange.responseTimer !== null) {
+        clearTimeout(exchange.responseTimer);
+        exchange.responseTimer = null;
+    }
+}
+
+function findExchangeByToken(endpoint, token) {
+    for (let iExchange = 0; iExchange < endpoint.exchanges.length; iExchange++) {
+        if (endpoint.exchanges[iExchange].token.equals(token)) {
+            return endpoint.exchanges[iExchange];
+        }
+    }
+    return null;
+}
+
+function findExchangeByMessageId(endpoint, messageId) {
+    for (let iExchange = 0; iExchange < endpoint.exchanges.length; iExchange++) {
+        if (endpoint.exchanges[iExchange].messageId === messageId) {
+            return endpoint.exchanges[iExchange];
+        }
+    }
+    return null;
+}
+
+// NOTE: this function is called with each record which the endpoint's session receives (i.e. with each CoAP message)
+CoapClient.prototype.onEndpointData = function(endpoint, data) {
+    let message_FromBufferResult = (data.length > 0 ? CoapMessage.fromBuffer(data) : null);
+    if (message_FromBufferResult === null) {
+        // reject a malformed confirmable message (see RFC 7252 section 4.2); other malformed messages are ignored
+        if (data.length >= 4 && (data[0] >> 6) === 1 && ((data[0] >> 4) & 0x03) === enums.MessageType.Confirmable) {
+            this.sendEmptyMessage(endpoint, enums.MessageType.Reset, data.readUInt16BE(2));
+        }
+        return;
+    }
+    let message = message_FromBufferResult.record;
+
+    switch (message.type) {
+        case enums.MessageType.Acknowledgement:
+            {
+                let exchange = findExchangeByMessageId(endpoint, message.messageId);
+                if (exchange === null) {
+                    // a duplicate (or late) acknowledgement
+                    break;
+                }
+                exchange.messageId = null;
+                this.stopExchangeTimers(exchange);
+                if (message.code === enums.Code.Empty) {
+                    // the server will send its response separately
+                    this.startResponseTimer(exchange);
+                } else if (exchange.token.equals(message.token)) {
+                    // piggybacked response
+                    this.onResponse(exchange, message);
+                } else {
+                    // NOTE: a piggybacked response must echo our token; a response with another token cannot be ours
+                    this.endExchange(exchange);
+                    exchange.listener(new CoapErrors.CoapProtocolError('The CoAP server responded with an unexpected token'), null);
+                }
+            }
+            break;
+        case enums.MessageType.Reset:
+            {
+                let exchange = findExchangeByMessageId(endpoint, message.messageId);
+                if (exchange !== null) {
+                    this.endExchange(exchange);
+                    exchange.listener(new CoapErrors.CoapResetError(), null);
+                }
+            }
+            break;
+        default:
+            {
+                let isConfirmable = (message.type === enums.MessageType.Confirmable);
+                // NOTE: we are only a client, so we reject requests (and empty confirmable messages, i.e. "pings") with a Reset message
+                if (!enums.isResponseCode(message.code)) {
+                    if (isConfirmable) {
+                        this.sendEmptyMessage(endpoint, enums.MessageType.Reset, message.messageId);
+                    }
+                    break;
+                }
+                // acknowledge a duplicate confirmable response again (without processing it again)
+                if (isConfirmable && isRecentMessage(endpoint, message.messageId)) {
+                    this.sendEmptyMessage(endpoint, enums.MessageType.Acknowledgement, message.messageId);
+                    break;
+                }
+                let exchange = findExchangeByToken(endpoint, message.token);
+                if (exchange === null) {
+                    // NOTE: a Reset message also tells a server to stop sending notifications which we no longer want (see RFC 7641 section 3.6)
+                    this.sendEmptyMessage(endpoint, enums.MessageType.Reset, message.messageId);
+                    break;
+                }
+                if (isConfirmable) {
+                    this.sendEmptyMessage(endpoint, enums.MessageType.Acknowledgement, message.messageId);
+                    addRecentMessage(endpoint, message.messageId);
+                }
+                exchange.messageId = null;
+                this.stopExchangeTimers(exchange);
+                this.onResponse(exchange, message);
+            }
+            break;
+    }
+}
+
+CoapClient.prototype.onResponse = function(exchange, message) {
+    if (!exchange.isObserving) {
+        this.endExchange(exchange);
+    }
+    exchange.listener(null, message);
+}
+
+CoapClient.prototype.sendEmptyMessage = function(endpoint, messageType, messageId) {
+    this.sendToEndpoint(endpoint, CoapMessage.create(messageType, enums.Code.Empty, messageId));
+}
+
+// NOTE: we remember the IDs of the confirmable messages which we have acknowledged during the last EXCHANGE_LIFETIME, so that we can recognize their retransmissions
+function isRecentMessage(endpoint, messageId) {
+    let now = Date.now();
+    endpoint.recentMessages = endpoint.recentMessages.filter(function(recentMessage) { return now - recentMessage.time < EXCHANGE_LIFETIME; });
+    for (let iMessage = 0; iMessage < endpoint.recentMessages.length; iMessage++) {
+        if (endpoint.recentMessages[iMessage].messageId === messageId) {
+            return true;
+        }
+    }
+    return false;
+}
+
+function addRecentMessage(endpoint, messageId) {
+    endpoint.recentMessages.push({messageId: messageId, time: Date.now()});
+    if (endpoint.recentMessages.length > MAX_RECENT_MESSAGE_COUNT) {
+        endpoint.recentMessages.shift();
+    }
+}
+
+/* NOTE: this function sends the request (block by block, if its payload is larger than our block size) and returns a promise which is resolved with the final response
+ *       message (whose payload includes all of its blocks); token is OPTIONAL (default: a new token) */
+CoapClient.prototype.performRequest = function(endpoint, requestOptions, token) {
+    let thisObject = this;
+    if (token === null) {
+        token = this.createToken(endpoint);
+    }
+
+    let payload = requestOptions.payload;
+    if (payload === null || payload.length <= requestOptions.blockSize) {
+        // NOTE: if we prefer smaller blocks than the default, we ask the server to use them for its response as well
+        let block2 = (requestOptions.blockSize < CoapOptions.getMaximumBlockSize() && requestOptions.code === enums.Code.GET ?
+            {blockNumber: 0, isMore: false, blockSize: requestOptions.blockSize} : null);
+        let message = this.createRequestMessage(requestOptions, token, payload, null, block2);
+        return this.exchangeMessage(endpoint, message).then(function(responseMessage) {
+            return thisObject.fetchRemainingBlocks(endpoint, requestOptions, responseMessage);
+        });
+    }
+
+    // send the payload block by block (see RFC 7959 section 2.5); the server may ask us to use smaller blocks in its response to each block
+    let blockSize = requestOptions.blockSize;
+    function sendBlock(offset) {
+        let isMore = (offset + blockSize < payload.length);
+        let block1 = {blockNumber: offset / blockSize, isMore: isMore, blockSize: blockSize};
+        let message = thisObject.createRequestMessage(requestOptions, token, payload.slice(offset, offset + blockSize), block1, null);
+        return thisObject.exchangeMessage(endpoint, message).then(function(responseMessage) {
+            if (!isMore || responseMessage.code !== enums.Code.Continue) {
+                // the final response (or an error response, which ends the transfer early)
+                return thisObject.fetchRemainingBlocks(endpoint, requestOptions, responseMessage);
+            }
+            let nextOffset = offset + blockSize;
+            let block1Value = responseMessage.getOption(enums.OptionNumber.Block1);
+            let responseBlock1 = (block1Value !== null ? CoapOptions.decodeBlock(block1Value) : null);
+            if (responseBlock1 !== null && responseBlock1.blockSize < blockSize) {
+                blockSize = responseBlock1.blockSize;
+            }
+            return sendBlock(nextOffset);
+        });
+    }
+    return sendBlock(0);
+}
+
+/* NOTE: if the response is the first block of a larger representation (see RFC 7959 section 2.4), this function requests the representation's remaining blocks and
+ *       returns a promise which is resolved with the response message, whose payload is then the whole representation */
+CoapClient.prototype.fetchRemainingBlocks = function(endpoint, requestOptions, responseMessage) {
+    let thisObject = this;
+    let block2Value = responseMessage.getOption(enums.OptionNumber.Block2);
+    let block2 = (block2Value !== null ? CoapOptions.decodeBlock(block2Value) : null);
+    if (block2 === null || !block2.isMore) {
+        return Promise.resolve(responseMessage);
+    }
+
+    // NOTE: the remaining blocks are requested without the request's payload (and without the Observe option, see RFC 7959 section 2.6)
+    let blockRequestOptions = Object.assign({}, requestOptions, {payload: null, options: requestOptions.options.filter(function(option) {
+        return option.number !== enums.OptionNumber.Observe;
+    })});
+    let etag = responseMessage.getOption(enums.OptionNumber.ETag);
+    let payloads = [responseMessage.payload];
+    let offset = (block2.blockNumber + 1) * block2.blockSize;
+    function fetchBlock(blockSize) {
+        let blockNumber = offset / blockSize;
+        let message = thisObject.createRequestMessage(blockRequestOptions, thisObject.createToken(endpoint), null, null,
+            {blockNumber: blockNumber, isMore: false, blockSize: blockSize});
+        return thisObject.exchangeMessage(endpoint, message).then(function(blockMessage) {
+            if (!enums.isSuccessCode(blockMessage.code)) {
+                // NOTE: an error response ends the transfer; it is our caller's response
+                return blockMessage;
+            }
+            let blockValue = blockMessage.getOption(enums.OptionNumber.Block2);
+            let block = (blockValue !== null ? CoapOptions.decodeBlock(blockValue) : null);
+            if (block === null || block.blockNumber * block.blockSize !== offset) {
+                throw new CoapErrors.CoapProtocolError('The CoAP server did not send the requested block');
+            }
+            let blockEtag = blockMessage.getOption(enums.OptionNumber.ETag);
+            if ((etag === null) !== (blockEtag === null) || (etag !== null && !etag.equals(blockEtag))) {
+                throw new CoapErrors.CoapProtocolError('The representation changed during a block-wise transfer');
+            }
+            payloads.push(blockMessage.payload);
+            offset += blockMessage.payload.length;
+            if (block.isMore) {
+                return fetchBlock(block.blockSize);
+            }
+            // the final block's message carries the whole representation
+            blockMessage.payload = Buffer.concat(payloads);
+            blockMessage.removeOption(enums.OptionNumber.Block2);
+            for (let iOption = 0; iOption < responseMessage.options.length; iOption++) {
+                if (responseMessage.options[iOption].number === enums.OptionNumber.Observe) {
+                    blockMessage.addOption(enums.OptionNumber.Observe, responseMessage.options[iOption].value);
+                }
+            }
+            return blockMessage;
+        });
+    }
+    return fetchBlock(block2.blockSize);
+}
+
+/* NOTE: this function returns the response object for a response message:
+ *   code: the response code (see enums.Code), e.g. 0x45; codeString: the code in "class.detail" notation, e.g. "2.05"; name: the code's name (e.g. "Content"), or null
+ *   isSuccess: true if the code is a success (2.xx) code
+ *   payload: the payload (a Buffer)
+ *   contentFormat: the payload's content format (see enums.ContentFormat), or null
+ *   etag: the ETag option (a Buffer), or null
+ *   maxAge: the Max-Age option, in seconds (default: 60)
+ *   observe: the sequence number of the notification (see RFC 7641), or null
+ *   locationPath: the Location-Path of a created resource (e.g. "/sensors/7"), or null
+ *   options: all of the message's options ({number, value})
+ *   message: the CoapMessage itself */
+function createResponse(message) {
+    let contentFormatValue = message.getOption(enums.OptionNumber.ContentFormat);
+    let maxAgeValue = message.getOption(enums.OptionNumber.MaxAge);
+    let observeValue = message.getOption(enums.OptionNumber.Observe);
+    let locationPath = message.getOptions(enums.OptionNumber.LocationPath);
+    return {
+        code: message.code,
+        codeString: enums.getCodeAsDottedString(message.code),
+        name: enums.getCodeAsString(message.code),
+        isSuccess: enums.isSuccessCode(message.code),
+        payload: message.payload,
+        contentFormat: (contentFormatValue !== null ? CoapOptions.decodeUint(contentFormatValue) : null),
+        etag: message.getOption(enums.OptionNumber.ETag),
+        maxAge: (maxAgeValue !== null ? CoapOptions.decodeUint(maxAgeValue) : 60),
+        observe: (observeValue !== null ? CoapOptions.decodeUint(observeValue) : null),
+        locationPath: (locationPath.length > 0 ? '/' + locationPath.map(function(segment) { return segment.toString(); }).join('/') : null),
+        options: message.options,
+        message: message,
+    };
+}
+
+/* CoapObservation is one observation of a resource (see CoapClient.observe)
+ * NOTE: response is the most recent response (or notification); isActive is false once the observation has ended */
+function CoapObservation() {
+    this.client = null;
+    this.endpoint = null;
+    this.requestOptions = null;
+    this.listener = null;
+    this.closeClientOnEnd = false;
+    this.exchange = null;
+    this.response = null;
+    this.isActive = false;
+    // the sequence number (and arrival time) of the most recent fresh notification
+    this.lastSequenceNumber = null;
+    this.lastNotificationTime = 0;
+}
+
+// NOTE: callback is function(err), called once the server has responded to our registration
+CoapObservation.prototype.register = function(callback) {
+    let thisObject = this;
+    let client = this.client;
+    let requestOptions = Object.assign({}, this.requestOptions);
+    requestOptions.options = requestOptions.options.concat([{number: enums.OptionNumber.Observe, value: CoapOptions.encodeUint(OBSERVE_REGISTER)}]);
+    let message = client.createRequestMessage(requestOptions, client.createToken(this.endpoint), null, null, null);
+    let isRegistered = false;
+    this.isActive = true;
+    this.exchange = client.startExchange(this.endpoint, message, function(err, responseMessage) {
+        if (err) {
+            if (!isRegistered) {
+                thisObject.isActive = false;
+                callback(err);
+            } else {
+                thisObject.end(err, null);
+            }
+            return;
+        }
+        if (!isRegistered) {
+            isRegistered = true;
+            thisObject.onNotification(responseMessage, callback);
+        } else {
+            thisObject.onNotification(responseMessage, null);
+        }
+    });
+    this.exchange.isObserving = true;
+}
+
+/* NOTE: callback is OPTIONAL: function(err), called once the (first) response has been passed to our listener. a notification which is the first block of a larger
+ *       representation is passed to our listener once its remaining blocks have been fetched. */
+CoapObservation.prototype.onNotification = function(message, callback) {
+    let thisObject = this;
+    if (!this.isActive) {
+        return;
+    }
+
+    let observeValue = message.getOption(enums.OptionNumber.Observe);
+    let sequenceNumber = (observeValue !== null ? CoapOptions.decodeUint(observeValue) : null);
+    // NOTE: a response without an Observe option (including any error response) ends the observation
+    let isFinal = (sequenceNumber === null || !enums.isSuccessCode(message.code));
+    if (!isFinal && !this.isFresh(sequenceNumber)) {
+        // a reordered (older) notification
+        return;
+    }
+    if (!isFinal) {
+        this.lastSequenceNumber = sequenceNumber;
+        this.lastNotificationTime = Date.now();
+    } else {
+        this.client.endExchange(this.exchange);
+    }
+
+    this.client.fetchRemainingBlocks(this.endpoint, this.requestOptions, message).then(function(completeMessage) {
+        if (isFinal) {
+            thisObject.end(null, completeMessage);
+        } else if (thisObject.isActive) {
+            thisObject.response = createResponse(completeMessage);
+            thisObject.listener(null, thisObject.response);
+        }
+        if (callback) {
+            callback(null);
+        }
+    }, function(err) {
+        thisObject.end(err, null);
+        if (callback) {
+            callback(err);
+        }
+    });
+}
+
+CoapObservation.prototype.isFresh = function(sequenceNumber) {
+    if (this.lastSequenceNumber === null) {
+        return true;
+    }
+    let previous = this.lastSequenceNumber;
+    return ((previous < sequenceNumber && sequenceNumber - previous < OBSERVE_SEQUENCE_HALF_RANGE) ||
+        (previous > sequenceNumber && previous - sequenceNumber > OBSERVE_SEQUENCE_HALF_RANGE) ||
+        (Date.now() > this.lastNotificationTime + OBSERVE_FRESHNESS_INTERVAL));
+}
+
+// NOTE: this function ends the observation, passing either the error or the final response to our listener
+CoapObservation.prototype.end = function(err, finalMessage) {
+    if (!this.isActive) {
+        return;
+    }
+    this.isActive = false;
+    this.client.endExchange(this.exchange);
+
+    if (finalMessage !== null) {
+        this.response = createResponse(finalMessage);
+    }
+    this.listener(err, (finalMessage !== null ? this.response : null));
+    if (this.closeClientOnEnd) {
+        this.client.close();
+    }
+}
+
+/* NOTE: this function deregisters the observation (see RFC 7641 section 3.6) and returns a promise which is resolved with the server's response; our listener is not
+ *       called again */
+CoapObservation.prototype.cancel = function() {
+    let thisObject = this;
+    let client = this.client;
+    if (!this.isActive) {
+        return Promise.resolve(null);
+    }
+    this.isActive = false;
+    client.endExchange(this.exchange);
+
+    // NOTE: the deregistration repeats our registration (with the same token), with an Observe option of 1
+    let requestOptions = Object.assign({}, this.requestOptions);
+    requestOptions.options = requestOptions.options.concat([{number: enums.OptionNumber.Observe, value: CoapOptions.encodeUint(OBSERVE_DEREGISTER)}]);
+    let result = client.performRequest(this.endpoint, requestOptions, this.exchange.token).then(function(responseMessage) {
+        return createResponse(responseMessage);
+    });
+    if (this.closeClientOnEnd) {
+        result = result.then(function(response) {
+            client.close();
+            return response;
+        }, function(err) {
+            client.close();
+            throw err;
+        });
+    }
+    return result;
+}
@@ -0,0 +1,59 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at:
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+let util = require('util');
+
+// DTLS errors
+let DtlsErrors = require('../DtlsErrors.js');
+
+/* error types which are used to reject CoAP requests (and to end observations)
+ * NOTE: like our DTLS errors, every error has a string "code" property. errors of the underlying DTLS session (e.g. a failed handshake) are passed along as-is, so a
+ *       request may also be rejected with any DtlsError. responses with error codes (e.g. 4.04 Not Found) are not errors: their requests are resolved with the response. */
+
+// CoapError is the base type for all of our CoAP errors
+function CoapError(message, code) {
+    DtlsErrors.DtlsError.call(this, message, code);
+}
+util.inherits(CoapError, DtlsErrors.DtlsError);
+exports.CoapError = CoapError;
+
+// the server did not acknowledge our confirmable message (even after all retransmissions), or did not send its (separate) response in time
+function CoapTimeoutError(message) {
+    CoapError.call(this, message, 'ETIMEDOUT');
+}
+util.inherits(CoapTimeoutError, CoapError);
+exports.CoapTimeoutError = CoapTimeoutError;
+
+// the server rejected our message with a Reset message
+function CoapResetError() {
+    CoapError.call(this, 'The server reset the CoAP exchange', 'ECOAPRESET');
+}
+util.inherits(CoapResetError, CoapError);
+exports.CoapResetError = CoapResetError;
+
+// the server's response violated the protocol (e.g. the blocks of a block-wise transfer did not match)
+function CoapProtocolError(message) {
+    CoapError.call(this, message, 'ECOAPPROTOCOL');
+}
+util.inherits(CoapProtocolError, CoapError);
+exports.CoapProtocolError = CoapProtocolError;
+
+// the request (or observation) was abandoned because the client was closed (or the observation was cancelled)
+function CoapCancelledError(message) {
+    CoapError.call(this, message, 'ECOAPCANCELLED');
+}
+util.inherits(CoapCancelledError, CoapError);
+exports.CoapCancelledError = CoapCancelledError;
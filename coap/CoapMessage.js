@@ -0,0 +1,341 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at:
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/* Message layout (see RFC 7252 section 3):
+ *     00: Version (2 bits), Type (2 bits), Token Length (4 bits)
+ *     01: Code
+ *  02-03: Message ID
+ *    04+: Token (0-8 bytes)
+ *      +: Options (each encoded as the delta from the previous option's number, followed by the option's length and value)
+ *      +: 0xFF payload marker, followed by the Payload (only present if the payload is not empty)
+ * NOTE: a CoAP message always fills its entire datagram (or DTLS record), so there is no length field
+ */
+
+let enums = require('./enums.js');
+
+// constants
+const VERSION = 1;
+const HEADER_LENGTH = 4;
+const MAX_TOKEN_LENGTH = 8;
+const MAX_MESSAGE_ID = 0xffff;
+const PAYLOAD_MARKER = 0xff;
+// option deltas and lengths of 13 and above are encoded in 1 (or 2) extended bytes
+const EXTENDED_8BIT = 13;
+const EXTENDED_16BIT = 14;
+const EXTENDED_8BIT_OFFSET = 13;
+const EXTENDED_16BIT_OFFSET = 269;
+const MAX_OPTION_NUMBER = 0xffff;
+const MAX_OPTION_LENGTH = 0xffff + EXTENDED_16BIT_OFFSET;
+
+function CoapMessage() {
+    this.type = null;
+    this.code = null;
+    this.messageId = null;
+    this.token = null;
+    // each option is {number, value}, where value is a Buffer; options are kept in the order in which they were added (or parsed)
+    this.options = [];
+    this.payload = null;
+}
+
+/* NOTE: token, options and payload are OPTIONAL (defaults: an empty token, no options and an empty payload); options is an array of {number, value} (where each value is
+ *       a Buffer or Uint8Array) */
+exports.create = function(type, code, messageId, token, options, payload) {
+    // validate inputs
+    //
+    // type
+    if (!enums.isMessageTypeValid(type)) {
+        throw new RangeError();
+    }
+    // code
+    if (typeof code !== "number") {
+        throw new TypeError();
+    } else if ((code < 0) || (code > 0xff) || (Math.floor(code) != code)) {
+        throw new RangeError();
+    }
+    // messageId
+    if (typeof messageId !== "number") {
+        throw new TypeError();
+    } else if ((messageId < 0) || (messageId > MAX_MESSAGE_ID) || (Math.floor(messageId) != messageId)) {
+        throw new RangeError();
+    }
+    // token
+    if (typeof token === "undefined" || token === null) {
+        token = Buffer.alloc(0);
+    } else if (Object.prototype.toString.call(token) != "[object Uint8Array]") {
+        throw new TypeError();
+    } else if (token.length > MAX_TOKEN_LENGTH) {
+        throw new RangeError();
+    }
+    // options
+    if (typeof options === "undefined" || options === null) {
+        options = [];
+    } else if (!Array.isArray(options)) {
+        throw new TypeError();
+    }
+    // payload
+    if (typeof payload === "undefined" || payload === null) {
+        payload = Buffer.alloc(0);
+    } else if (Object.prototype.toString.call(payload) != "[object Uint8Array]") {
+        throw new TypeError();
+    }
+    // NOTE: an empty message (code 0.00) consists of its header alone
+    if (code === enums.Code.Empty && (token.length > 0 || options.length > 0 || payload.length > 0)) {
+        throw new RangeError();
+    }
+
+    // create and initialize the new CoapMessage object
+    let result = new CoapMessage();
+    result.type = type;
+    result.code = code;
+    result.messageId = messageId;
+    result.token = Buffer.from(token);
+    for (let iOption = 0; iOption < options.length; iOption++) {
+        result.addOption(options[iOption].number, options[iOption].value);
+    }
+    result.payload = Buffer.from(payload);
+
+    // return the new CoapMessage object
+    return result;
+}
+
+// NOTE: this function returns null if the buffer does not contain a well-formed CoAP message (a "message format error", see RFC 7252 section 4.2)
+// NOTE: offset is optional (default: 0)
+exports.fromBuffer = function(buffer, offset) {
+    // use currentOffset to track the current offset while reading from the buffer
+    let initialOffset;
+    let currentOffset;
+
+    // validate inputs
+    //
+    // offset
+    if (typeof offset === "undefined") {
+        initialOffset = 0;
+    } else if (typeof offset !== "number") {
+        // if the offset is provided, but is not a number, then return an error
+        throw new TypeError();
+    } else if (offset >= buffer.length) {
+        throw new RangeError();
+    } else {
+        initialOffset = offset;
+    }
+    currentOffset = initialOffset;
+    // buffer
+    if (typeof buffer === "undefined" || buffer === null) {
+        throw new TypeError();
+    } else if (Object.prototype.toString.call(buffer) != "[object Uint8Array]") {
+        throw new TypeError();
+    } else if (buffer.length - currentOffset < HEADER_LENGTH) {
+        // buffer is not long enough for a message header; return null.
+        return null;
+    }
+
+    // create the new CoapMessage object
+    let result = new CoapMessage();
+
+    // parse buffer
+    //
+    // version, type and token length
+    let version = buffer[currentOffset] >> 6;
+    if (version !== VERSION) {
+        return null;
+    }
+    result.type = (buffer[currentOffset] >> 4) & 0x03;
+    let tokenLength = buffer[currentOffset] & 0x0f;
+    if (tokenLength > MAX_TOKEN_LENGTH) {
+        return null;
+    }
+    currentOffset += 1;
+    // code
+    result.code = buffer[currentOffset];
+    currentOffset += 1;
+    // message id
+    result.messageId = buffer.readUInt16BE(currentOffset);
+    currentOffset += 2;
+    // NOTE: an empty message must not contain anything after its header
+    if (result.code === enums.Code.Empty) {
+        if (tokenLength !== 0 || currentOffset !== buffer.length) {
+            return null;
+        }
+        result.token = Buffer.alloc(0);
+        result.payload = Buffer.alloc(0);
+        return {record: result, bytesConsumed: currentOffset - initialOffset};
+    }
+    // token
+    if (buffer.length - currentOffset < tokenLength) {
+        return null;
+    }
+    result.token = Buffer.from(buffer.slice(currentOffset, currentOffset + tokenLength));
+    currentOffset += tokenLength;
+    // options
+    let optionNumber = 0;
+    while (currentOffset < buffer.length && buffer[currentOffset] !== PAYLOAD_MARKER) {
+        let optionDelta = buffer[currentOffset] >> 4;
+        let optionLength = buffer[currentOffset] & 0x0f;
+        currentOffset += 1;
+        // NOTE: a nibble of 15 is reserved (except as part of the payload marker)
+        let optionDelta_ReadResult = readExtendedValue(buffer, currentOffset, optionDelta);
+        if (optionDelta_ReadResult === null) {
+            return null;
+        }
+        currentOffset += optionDelta_ReadResult.bytesConsumed;
+        let optionLength_ReadResult = readExtendedValue(buffer, currentOffset, optionLength);
+        if (optionLength_ReadResult === null) {
+            return null;
+        }
+        currentOffset += optionLength_ReadResult.bytesConsumed;
+        optionNumber += optionDelta_ReadResult.value;
+        optionLength = optionLength_ReadResult.value;
+        if (buffer.length - currentOffset < optionLength) {
+            return null;
+        }
+        result.options.push({number: optionNumber, value: Buffer.from(buffer.slice(currentOffset, currentOffset + optionLength))});
+        currentOffset += optionLength;
+    }
+    // payload
+    if (currentOffset < buffer.length) {
+        // skip the payload marker; a payload marker which is not followed by a payload is a format error
+        currentOffset += 1;
+        if (currentOffset === buffer.length) {
+            return null;
+        }
+    }
+    result.payload = Buffer.from(buffer.slice(currentOffset));
+    currentOffset = buffer.length;
+
+    // return the new CoapMessage object
+    return {record: result, bytesConsumed: currentOffset - initialOffset};
+}
+
+// NOTE: this function returns {value, bytesConsumed} for an option delta (or length) whose 4-bit nibble was followed by its extended bytes--or null if it is malformed
+function readExtendedValue(buffer, offset, nibble) {
+    if (nibble < EXTENDED_8BIT) {
+        return {value: nibble, bytesConsumed: 0};
+    } else if (nibble === EXTENDED_8BIT) {
+        if (buffer.length - offset < 1) {
+            return null;
+        }
+        return {value: buffer[offset] + EXTENDED_8BIT_OFFSET, bytesConsumed: 1};
+    } else if (nibble === EXTENDED_16BIT) {
+        if (buffer.length - offset < 2) {
+            return null;
+        }
+        return {value: buffer.readUInt16BE(offset) + EXTENDED_16BIT_OFFSET, bytesConsumed: 2};
+    } else {
+        return null;
+    }
+}
+
+// NOTE: this function returns the 4-bit nibble and the extended bytes (a Buffer) which encode an option delta (or length)
+function encodeExtendedValue(value) {
+    if (value < EXTENDED_8BIT_OFFSET) {
+        return {nibble: value, extendedBytes: Buffer.alloc(0)};
+    } else if (value < EXTENDED_16BIT_OFFSET) {
+        return {nibble: EXTENDED_8BIT, extendedBytes: Buffer.from([value - EXTENDED_8BIT_OFFSET])};
+    } else {
+        let extendedBytes = Buffer.alloc(2);
+        extendedBytes.writeUInt16BE(value - EXTENDED_16BIT_OFFSET, 0);
+        return {nibble: EXTENDED_16BIT, extendedBytes: extendedBytes};
+    }
+}
+
+CoapMessage.prototype.toBuffer = function() {
+    let buffers = [];
+
+    // header
+    let header = Buffer.alloc(HEADER_LENGTH);
+    header[0] = (VERSION << 6) | (this.type << 4) | this.token.length;
+    header[1] = this.code;
+    header.writeUInt16BE(this.messageId, 2);
+    buffers.push(header);
+    // token
+    buffers.push(this.token);
+    // options
+    // NOTE: options are encoded in order of their option numbers (each as the delta from the previous option); options with the same number keep their relative order
+    let sortedOptions = this.options.map(function(option, index) { return {option: option, index: index}; });
+    sortedOptions.sort(function(a, b) { return (a.option.number - b.option.number) || (a.index - b.index); });
+    let previousOptionNumber = 0;
+    for (let iOption = 0; iOption < sortedOptions.length; iOption++) {
+        let option = sortedOptions[iOption].option;
+        let optionDelta = encodeExtendedValue(option.number - previousOptionNumber);
+        let optionLength = encodeExtendedValue(option.value.length);
+        buffers.push(Buffer.from([(optionDelta.nibble << 4) | optionLength.nibble]));
+        buffers.push(optionDelta.extendedBytes);
+        buffers.push(optionLength.extendedBytes);
+        buffers.push(option.value);
+        previousOptionNumber = option.number;
+    }
+    // payload
+    if (this.payload.length > 0) {
+        buffers.push(Buffer.from([PAYLOAD_MARKER]));
+        buffers.push(this.payload);
+    }
+
+    // return the buffer (result)
+    return Buffer.concat(buffers);
+}
+
+CoapMessage.prototype.addOption = function(optionNumber, value) {
+    // validate inputs
+    //
+    // optionNumber
+    if (typeof optionNumber !== "number") {
+        throw new TypeError();
+    } else if ((optionNumber < 0) || (optionNumber > MAX_OPTION_NUMBER) || (Math.floor(optionNumber) != optionNumber)) {
+        throw new RangeError();
+    }
+    // value
+    if (Object.prototype.toString.call(value) != "[object Uint8Array]") {
+        throw new TypeError();
+    } else if (value.length > MAX_OPTION_LENGTH) {
+        throw new RangeError();
+    }
+
+    this.options.push({number: optionNumber, value: Buffer.from(value)});
+}
+
+// NOTE: this function removes every option with the specified number
+CoapMessage.prototype.removeOption = function(optionNumber) {
+    this.options = this.options.filter(function(option) { return option.number !== optionNumber; });
+}
+
+// NOTE: this function returns the value (a Buffer) of the first option with the specified number--or null if the message does not have that option
+CoapMessage.prototype.getOption = function(optionNumber) {
+    for (let iOption = 0; iOption < this.options.length; iOption++) {
+        if (this.options[iOption].number === optionNumber) {
+            return this.options[iOption].value;
+        }
+    }
+    return null;
+}
+
+// NOTE: this function returns the values (an array of Buffers) of every option with the specified number (e.g. each Uri-Path segment)
+CoapMessage.prototype.getOptions = function(optionNumber) {
+    let result = [];
+    for (let iOption = 0; iOption < this.options.length; iOption++) {
+        if (this.options[iOption].number === optionNumber) {
+            result.push(this.options[iOption].value);
+        }
+    }
+    return result;
+}
+
+exports.getMaximumTokenLength = function() {
+    return MAX_TOKEN_LENGTH;
+}
+
+exports.getMaximumMessageId = function() {
+    return MAX_MESSAGE_ID;
+}
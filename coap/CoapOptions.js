@@ -0,0 +1,113 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at:
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/* CoapOptions encodes (and decodes) the values of CoAP options: unsigned integers (see RFC 7252 section 3.2) and the block options, Block1 and Block2 (see RFC 7959
+ * section 2.2). each block option value is an unsigned integer which holds the block number (NUM), the "more blocks" flag (M) and the block size exponent (SZX):
+ *     NUM (4-20 bits), M (1 bit), SZX (3 bits)
+ * where the block size is 2 to the power of (SZX + 4), i.e. 16 to 1024 bytes.
+ */
+
+// constants
+const MAX_UINT_LENGTH = 4;
+const MIN_BLOCK_SIZE = 16;
+const MAX_BLOCK_SIZE = 1024;
+const MAX_BLOCK_SZX = 6;
+const MAX_BLOCK_NUMBER = 0xfffff;
+
+// NOTE: unsigned integers are encoded in network byte order, using as few bytes as possible (so zero is encoded as an empty value)
+exports.encodeUint = function(value) {
+    // validate inputs
+    //
+    // value
+    if (typeof value !== "number") {
+        throw new TypeError();
+    } else if ((value < 0) || (value > 0xffffffff) || (Math.floor(value) != value)) {
+        throw new RangeError();
+    }
+
+    let bytes = [];
+    while (value > 0) {
+        bytes.unshift(value & 0xff);
+        value = Math.floor(value / 256);
+    }
+    return Buffer.from(bytes);
+}
+
+// NOTE: this function returns null if the value is too long to be an unsigned integer option value
+exports.decodeUint = function(value) {
+    if (Object.prototype.toString.call(value) != "[object Uint8Array]") {
+        throw new TypeError();
+    } else if (value.length > MAX_UINT_LENGTH) {
+        return null;
+    }
+
+    let result = 0;
+    for (let iByte = 0; iByte < value.length; iByte++) {
+        result = (result * 256) + value[iByte];
+    }
+    return result;
+}
+
+// NOTE: blockSize must be a power of two from 16 to 1024
+exports.encodeBlock = function(blockNumber, isMore, blockSize) {
+    // validate inputs
+    //
+    // blockNumber
+    if (typeof blockNumber !== "number") {
+        throw new TypeError();
+    } else if ((blockNumber < 0) || (blockNumber > MAX_BLOCK_NUMBER) || (Math.floor(blockNumber) != blockNumber)) {
+        throw new RangeError();
+    }
+    // isMore
+    if (typeof isMore !== "boolean") {
+        throw new TypeError();
+    }
+    // blockSize
+    let szx = exports.getBlockSzx(blockSize);
+
+    return exports.encodeUint((blockNumber * 16) + (isMore ? 0x08 : 0x00) + szx);
+}
+
+// NOTE: this function returns {blockNumber, isMore, blockSize}--or null if the value is not a valid block option value (e.g. if its SZX is the reserved value 7)
+exports.decodeBlock = function(value) {
+    let blockValue = exports.decodeUint(value);
+    if (blockValue === null || value.length > 3) {
+        return null;
+    }
+    let szx = blockValue & 0x07;
+    if (szx > MAX_BLOCK_SZX) {
+        return null;
+    }
+    return {blockNumber: Math.floor(blockValue / 16), isMore: ((blockValue & 0x08) !== 0), blockSize: 1 << (szx + 4)};
+}
+
+exports.isBlockSizeValid = function(blockSize) {
+    return (typeof blockSize === "number" && blockSize >= MIN_BLOCK_SIZE && blockSize <= MAX_BLOCK_SIZE && (blockSize & (blockSize - 1)) === 0);
+}
+
+// NOTE: this function returns the SZX (block size exponent) of a block size
+exports.getBlockSzx = function(blockSize) {
+    if (typeof blockSize !== "number") {
+        throw new TypeError();
+    } else if (!exports.isBlockSizeValid(blockSize)) {
+        throw new RangeError();
+    }
+    return Math.log2(blockSize) - 4;
+}
+
+exports.getMaximumBlockSize = function() {
+    return MAX_BLOCK_SIZE;
+}
@@ -0,0 +1,192 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at:
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/* CoAP enums (see RFC 7252, RFC 7641 and RFC 7959) */
+
+exports.MessageType = Object.freeze({
+    Confirmable: 0,
+    NonConfirmable: 1,
+    Acknowledgement: 2,
+    Reset: 3,
+    properties: {
+        0: {name: "Confirmable"},
+        1: {name: "NonConfirmable"},
+        2: {name: "Acknowledgement"},
+        3: {name: "Reset"},
+    }
+});
+exports.isMessageTypeValid = function(messageType) {
+    return (this.MessageType.properties[messageType] !== undefined);
+}
+
+// NOTE: each code is (class << 5) | detail, i.e. code 2.05 is 0x45
+exports.Code = Object.freeze({
+    Empty: 0x00,
+    // methods
+    GET: 0x01,
+    POST: 0x02,
+    PUT: 0x03,
+    DELETE: 0x04,
+    // success
+    Created: 0x41,
+    Deleted: 0x42,
+    Valid: 0x43,
+    Changed: 0x44,
+    Content: 0x45,
+    Continue: 0x5f,
+    // client errors
+    BadRequest: 0x80,
+    Unauthorized: 0x81,
+    BadOption: 0x82,
+    Forbidden: 0x83,
+    NotFound: 0x84,
+    MethodNotAllowed: 0x85,
+    NotAcceptable: 0x86,
+    RequestEntityIncomplete: 0x88,
+    PreconditionFailed: 0x8c,
+    RequestEntityTooLarge: 0x8d,
+    UnsupportedContentFormat: 0x8f,
+    // server errors
+    InternalServerError: 0xa0,
+    NotImplemented: 0xa1,
+    BadGateway: 0xa2,
+    ServiceUnavailable: 0xa3,
+    GatewayTimeout: 0xa4,
+    ProxyingNotSupported: 0xa5,
+    properties: {
+        0x00: {name: "Empty"},
+        0x01: {name: "GET"},
+        0x02: {name: "POST"},
+        0x03: {name: "PUT"},
+        0x04: {name: "DELETE"},
+        0x41: {name: "Created"},
+        0x42: {name: "Deleted"},
+        0x43: {name: "Valid"},
+        0x44: {name: "Changed"},
+        0x45: {name: "Content"},
+        0x5f: {name: "Continue"},
+        0x80: {name: "BadRequest"},
+        0x81: {name: "Unauthorized"},
+        0x82: {name: "BadOption"},
+        0x83: {name: "Forbidden"},
+        0x84: {name: "NotFound"},
+        0x85: {name: "MethodNotAllowed"},
+        0x86: {name: "NotAcceptable"},
+        0x88: {name: "RequestEntityIncomplete"},
+        0x8c: {name: "PreconditionFailed"},
+        0x8d: {name: "RequestEntityTooLarge"},
+        0x8f: {name: "UnsupportedContentFormat"},
+        0xa0: {name: "InternalServerError"},
+        0xa1: {name: "NotImplemented"},
+        0xa2: {name: "BadGateway"},
+        0xa3: {name: "ServiceUnavailable"},
+        0xa4: {name: "GatewayTimeout"},
+        0xa5: {name: "ProxyingNotSupported"},
+    }
+});
+// NOTE: unknown codes (e.g. 4.22) are valid, so this function returns null for them
+exports.getCodeAsString = function(code) {
+    let properties = this.Code.properties[code];
+    return (properties !== undefined ? properties.name : null);
+}
+// NOTE: this function returns the code in "class.detail" notation (e.g. "2.05")
+exports.getCodeAsDottedString = function(code) {
+    let detail = code & 0x1f;
+    return (code >> 5) + "." + (detail < 10 ? "0" : "") + detail;
+}
+exports.isMethodCode = function(code) {
+    return (code >= 0x01 && code <= 0x1f);
+}
+exports.isResponseCode = function(code) {
+    return (code >= 0x40 && code <= 0xbf);
+}
+exports.isSuccessCode = function(code) {
+    return ((code >> 5) === 2);
+}
+
+exports.OptionNumber = Object.freeze({
+    IfMatch: 1,
+    UriHost: 3,
+    ETag: 4,
+    IfNoneMatch: 5,
+    Observe: 6,
+    UriPort: 7,
+    LocationPath: 8,
+    UriPath: 11,
+    ContentFormat: 12,
+    MaxAge: 14,
+    UriQuery: 15,
+    Accept: 17,
+    LocationQuery: 20,
+    Block2: 23,
+    Block1: 27,
+    Size2: 28,
+    ProxyUri: 35,
+    ProxyScheme: 39,
+    Size1: 60,
+    properties: {
+        1: {name: "IfMatch"},
+        3: {name: "UriHost"},
+        4: {name: "ETag"},
+        5: {name: "IfNoneMatch"},
+        6: {name: "Observe"},
+        7: {name: "UriPort"},
+        8: {name: "LocationPath"},
+        11: {name: "UriPath"},
+        12: {name: "ContentFormat"},
+        14: {name: "MaxAge"},
+        15: {name: "UriQuery"},
+        17: {name: "Accept"},
+        20: {name: "LocationQuery"},
+        23: {name: "Block2"},
+        27: {name: "Block1"},
+        28: {name: "Size2"},
+        35: {name: "ProxyUri"},
+        39: {name: "ProxyScheme"},
+        60: {name: "Size1"},
+    }
+});
+exports.getOptionNumberAsString = function(optionNumber) {
+    let properties = this.OptionNumber.properties[optionNumber];
+    return (properties !== undefined ? properties.name : null);
+}
+// NOTE: odd option numbers are critical, i.e. a recipient which does not understand them must reject the message (see RFC 7252 section 5.4.6)
+exports.isOptionCritical = function(optionNumber) {
+    return ((optionNumber & 0x01) !== 0);
+}
+
+exports.ContentFormat = Object.freeze({
+    TextPlain: 0,
+    LinkFormat: 40,
+    Xml: 41,
+    OctetStream: 42,
+    Exi: 47,
+    Json: 50,
+    Cbor: 60,
+    properties: {
+        0: {name: "text/plain;charset=utf-8"},
+        40: {name: "application/link-format"},
+        41: {name: "application/xml"},
+        42: {name: "application/octet-stream"},
+        47: {name: "application/exi"},
+        50: {name: "application/json"},
+        60: {name: "application/cbor"},
+    }
+});
+exports.getContentFormatAsString = function(contentFormat) {
+    let properties = this.ContentFormat.properties[contentFormat];
+    return (properties !== undefined ? properties.name : null);
+}
@@ -19,8 +19,10 @@
 exports.DtlsVersion = Object.freeze({
     // NOTE: DTLS version numbers are represented as the ones-complement of the actual values (to easily distinguish DTLS from TLS)
     DTLS_1_0: 0xfeff,
+    DTLS_1_2: 0xfefd,
     properties: {
         0xfeff: {name: "DTLS_1_0"},
+        0xfefd: {name: "DTLS_1_2"},
     }
 }); 
 exports.isDtlsVersionValid = function(dtlsVersion) {
@@ -31,10 +33,16 @@ exports.CipherSuite = Object.freeze({
     TLS_NULL_WITH_NULL_NULL: 0x0000,
     TLS_PSK_WITH_AES_128_CBC_SHA: 0x008C,
     TLS_PSK_WITH_AES_256_CBC_SHA: 0x008D,
+    TLS_PSK_WITH_AES_128_CBC_SHA256: 0x00AE,
+    TLS_PSK_WITH_AES_128_GCM_SHA256: 0x00A8,
+    TLS_PSK_WITH_AES_128_CCM_8: 0xC0A8,
     properties: {
         0x0000: {name: "TLS_NULL_WITH_NULL_NULL"},
         0x008C: {name: "TLS_PSK_WITH_AES_128_CBC_SHA"},
         0x008D: {name: "TLS_PSK_WITH_AES_256_CBC_SHA"},
+        0x00AE: {name: "TLS_PSK_WITH_AES_128_CBC_SHA256"},
+        0x00A8: {name: "TLS_PSK_WITH_AES_128_GCM_SHA256"},
+        0xC0A8: {name: "TLS_PSK_WITH_AES_128_CCM_8"},
     }
 });
 exports.isCipherSuiteValid = function(cipherSuite) {
@@ -65,11 +73,15 @@ exports.BulkEncryptionAlgorithm = Object.freeze({
     NULL: 0x00,
     AES_128_CBC: 0x01,
     AES_256_CBC: 0x02,
+    AES_128_CCM_8: 0x03,
+    AES_128_GCM: 0x04,
     properties:
     {
         0x00: {name: "NULL"},
         0x01: {name: "AES_128_CBC"},
         0x02: {name: "AES_256_CBC"},
+        0x03: {name: "AES_128_CCM_8"},
+        0x04: {name: "AES_128_GCM"},
     }
 });
 exports.isBulkEncryptionAlgorithmValid = function(bulkEncryptionAlgorithm) {
@@ -79,6 +91,8 @@ exports.isBulkEncryptionAlgorithmValid = function(bulkEncryptionAlgorithm) {
 exports.getBulkAlgorithmKeySize = function(bulkEncryptionAlgorithm) {
     switch (bulkEncryptionAlgorithm) {
         case this.BulkEncryptionAlgorithm.AES_128_CBC:
+        case this.BulkEncryptionAlgorithm.AES_128_CCM_8:
+        case this.BulkEncryptionAlgorithm.AES_128_GCM:
             return 16;
         case this.BulkEncryptionAlgorithm.AES_256_CBC:
             return 32;
@@ -93,6 +107,8 @@ exports.getBulkAlgorithmBlockSize = function(bulkEncryptionAlgorithm) {
     switch (bulkEncryptionAlgorithm) {
         case this.BulkEncryptionAlgorithm.AES_128_CBC:
         case this.BulkEncryptionAlgorithm.AES_256_CBC:
+        case this.BulkEncryptionAlgorithm.AES_128_CCM_8:
+        case this.BulkEncryptionAlgorithm.AES_128_GCM:
             return 16;
         case this.BulkEncryptionAlgorithm.NULL:
             return 1;
@@ -107,6 +123,10 @@ exports.getBulkAlgorithmAsString = function(bulkEncryptionAlgorithm) {
             return "aes-128-cbc";
         case this.BulkEncryptionAlgorithm.AES_256_CBC:
             return "aes-256-cbc";
+        case this.BulkEncryptionAlgorithm.AES_128_CCM_8:
+            return "aes-128-ccm";
+        case this.BulkEncryptionAlgorithm.AES_128_GCM:
+            return "aes-128-gcm";
         case this.BulkEncryptionAlgorithm.NULL:
             return "null";
         default:
@@ -114,15 +134,57 @@ exports.getBulkAlgorithmAsString = function(bulkEncryptionAlgorithm) {
             return null;
     }
 }
+// NOTE: AEAD algorithms protect each record with an authentication tag (instead of a separate MAC) and do not use padding
+exports.isBulkAlgorithmAead = function(bulkEncryptionAlgorithm) {
+    switch (bulkEncryptionAlgorithm) {
+        case this.BulkEncryptionAlgorithm.AES_128_CCM_8:
+        case this.BulkEncryptionAlgorithm.AES_128_GCM:
+            return true;
+        default:
+            return false;
+    }
+}
+// NOTE: this is the length of the implicit part of the AEAD nonce (the "salt"), which is derived from the key block
+exports.getBulkAlgorithmFixedIvLength = function(bulkEncryptionAlgorithm) {
+    switch (bulkEncryptionAlgorithm) {
+        case this.BulkEncryptionAlgorithm.AES_128_CCM_8:
+        case this.BulkEncryptionAlgorithm.AES_128_GCM:
+            return 4;
+        default:
+            return 0;
+    }
+}
+// NOTE: this is the length of the explicit part of the AEAD nonce, which is sent at the start of each record
+exports.getBulkAlgorithmRecordIvLength = function(bulkEncryptionAlgorithm) {
+    switch (bulkEncryptionAlgorithm) {
+        case this.BulkEncryptionAlgorithm.AES_128_CCM_8:
+        case this.BulkEncryptionAlgorithm.AES_128_GCM:
+            return 8;
+        default:
+            return 0;
+    }
+}
+exports.getBulkAlgorithmAuthTagLength = function(bulkEncryptionAlgorithm) {
+    switch (bulkEncryptionAlgorithm) {
+        case this.BulkEncryptionAlgorithm.AES_128_CCM_8:
+            return 8;
+        case this.BulkEncryptionAlgorithm.AES_128_GCM:
+            return 16;
+        default:
+            return 0;
+    }
+}
 
 // NOTE: the number values assigned to MacAlgorithm members are for our own use, not from any specification
 exports.MacAlgorithm = Object.freeze({
     NULL: 0x00,
     SHA1: 0x01,
+    SHA256: 0x02,
     properties:
     {
         0x00: {name: "NULL"},
         0x01: {name: "SHA1"},
+        0x02: {name: "SHA256"},
     }
 });
 exports.isMacAlgorithmValid = function(macAlgorithm) {
@@ -133,6 +195,8 @@ exports.getMacAlgorithmHashSize = function(macAlgorithm) {
     switch (macAlgorithm) {
         case this.MacAlgorithm.SHA1:
             return 20;
+        case this.MacAlgorithm.SHA256:
+            return 32;
         case this.MacAlgorithm.NULL:
             return 0;
         default:
@@ -140,6 +204,35 @@ exports.getMacAlgorithmHashSize = function(macAlgorithm) {
             return null;
     }
 }
+exports.getMacAlgorithmAsString = function(macAlgorithm) {
+    switch (macAlgorithm) {
+        case this.MacAlgorithm.SHA1:
+            return "sha1";
+        case this.MacAlgorithm.SHA256:
+            return "sha256";
+        case this.MacAlgorithm.NULL:
+            return "null";
+        default:
+            // invalid MacAlgorithm
+            return null;
+    }
+}
+
+// NOTE: the number values assigned to PrfAlgorithm members are for our own use, not from any specification
+exports.PrfAlgorithm = Object.freeze({
+    // DTLS 1.0 (TLS 1.1) PRF: P_MD5 and P_SHA1 combined via xor
+    TLS_PRF_MD5_SHA1: 0x00,
+    // DTLS 1.2 (TLS 1.2) PRF: P_SHA256
+    TLS_PRF_SHA256: 0x01,
+    properties:
+    {
+        0x00: {name: "TLS_PRF_MD5_SHA1"},
+        0x01: {name: "TLS_PRF_SHA256"},
+    }
+});
+exports.isPrfAlgorithmValid = function(prfAlgorithm) {
+    return (this.PrfAlgorithm.properties[prfAlgorithm] !== undefined);
+}
 
 exports.CompressionMethod = Object.freeze({
     // NOTE: DTLS version numbers are represented as the ones-complement of the actual values (to easily distinguish DTLS from TLS)
@@ -156,11 +249,21 @@ exports.SessionState = Object.freeze({
     NotConnected: 0,
     ClientHelloSent: 1,
     FinishedSent: 2,
+    Connected: 3,
+    ServerHelloDoneSent: 4,
+    HandshakeFailed: 5,
+    Closed: 6,
+    HelloRequestSent: 7,
     properties:
     {
         0: {name: "NotConnected"},
         1: {name: "ClientHelloSent"},
         2: {name: "FinishedSent"},
+        3: {name: "Connected"},
+        4: {name: "ServerHelloDoneSent"},
+        5: {name: "HandshakeFailed"},
+        6: {name: "Closed"},
+        7: {name: "HelloRequestSent"},
     }
 });
 
@@ -169,32 +272,45 @@ exports.SessionState = Object.freeze({
 /* DtlsRecord enums */
 
 const MAX_DTLS_10_COOKIE_LENGTH = 32; // DTLS 1.0
+const MAX_DTLS_12_COOKIE_LENGTH = 255; // DTLS 1.2
 
 exports.ProtocolType = Object.freeze({
     DtlsChangeCipherSpecProtocol: 0x14,
     DtlsAlertProtocol: 0x15,
     DtlsHandshakeProtocol: 0x16,
     DtlsApplicationDataProtocol: 0x17,
+    // RFC 6520
+    DtlsHeartbeatProtocol: 0x18,
+    // RFC 9146 (tls12_cid): the outer type of records which carry a connection ID; the record's actual type is encrypted along with its content
+    DtlsConnectionIdProtocol: 0x19,
     properties: {
         0x14: {name: "DtlsChangeCipherSpecProtocol"},
         0x15: {name: "DtlsAlertProtocol"},
         0x16: {name: "DtlsHandshakeProtocol"},
-        0x17: {name: "DtlsApplicationDataProtocol"}
+        0x17: {name: "DtlsApplicationDataProtocol"},
+        0x18: {name: "DtlsHeartbeatProtocol"},
+        0x19: {name: "DtlsConnectionIdProtocol"}
     }
 });
 exports.isProtocolTypeValid = function(protocolType) {
     return (this.ProtocolType.properties[protocolType] !== undefined);
 }
+exports.getProtocolTypeAsString = function(protocolType) {
+    let properties = this.ProtocolType.properties[protocolType];
+    return (properties !== undefined ? properties.name : null);
+}
 
 exports.getMaximumCookieLength = function(version) {
-    if (!this.isVersionValid(version)) {
+    if (!this.isDtlsVersionValid(version)) {
         throw new RangeError();
     }
     switch (version) {
-        case this.VersionOption.DTLS_1_0:
+        case this.DtlsVersion.DTLS_1_0:
             return MAX_DTLS_10_COOKIE_LENGTH;
+        case this.DtlsVersion.DTLS_1_2:
+            return MAX_DTLS_12_COOKIE_LENGTH;
         default:
-            // NOTE: this should never be reached, as the isVersionValid(...) call should have eliminated any unknown versions
+            // NOTE: this should never be reached, as the isDtlsVersionValid(...) call should have eliminated any unknown versions
             throw new RangeError();
     }    
 }
@@ -214,19 +330,40 @@ exports.isChangeCipherSpecTypeValid = function(type) {
 
 
 
+/* DtlsHeartbeatMessage enums */
+exports.HeartbeatMessageType = Object.freeze({
+    HeartbeatRequest: 0x01,
+    HeartbeatResponse: 0x02,
+    properties: {
+        0x01: {name: "HeartbeatRequest"},
+        0x02: {name: "HeartbeatResponse"},
+    }
+});
+exports.isHeartbeatMessageTypeValid = function(type) {
+    return (this.HeartbeatMessageType.properties[type] !== undefined);
+}
+
+
+
 /* DtlsHandshakeRecord enums */
 
 exports.MessageType = Object.freeze({
+    HelloRequest: 0x00,
     ClientHello: 0x01,
     ServerHello: 0x02,
     HelloVerifyRequest: 0x03,
+    NewSessionTicket: 0x04,
+    ServerKeyExchange: 0x0c,
     ServerHelloDone: 0x0e,
     ClientKeyExchange: 0x10,
     Finished: 0x14,
     properties: {
+        0x00: {name: "HelloRequest"},
         0x01: {name: "ClientHello"},
         0x02: {name: "ServerHello"},
         0x03: {name: "HelloVerifyRequest"},
+        0x04: {name: "NewSessionTicket"},
+        0x0c: {name: "ServerKeyExchange"},
         0x0e: {name: "ServerHelloDone"},
         0x10: {name: "ClientKeyExchange"},
         0x14: {name: "Finished"},
@@ -236,6 +373,40 @@ exports.isMessageTypeValid = function(messageType) {
     return (this.MessageType.properties[messageType] !== undefined);
 }
 
+// NOTE: ClientHello and ServerHello messages may carry a list of extensions; extension types which we do not recognize are ignored
+exports.ExtensionType = Object.freeze({
+    // RFC 6520
+    Heartbeat: 0x000f,
+    // RFC 5077
+    SessionTicket: 0x0023,
+    // RFC 9146
+    ConnectionId: 0x0036,
+    // RFC 5746
+    RenegotiationInfo: 0xff01,
+    properties: {
+        0x000f: {name: "Heartbeat"},
+        0x0023: {name: "SessionTicket"},
+        0x0036: {name: "ConnectionId"},
+        0xff01: {name: "RenegotiationInfo"},
+    }
+});
+exports.isExtensionTypeValid = function(extensionType) {
+    return (this.ExtensionType.properties[extensionType] !== undefined);
+}
+
+// NOTE: the Heartbeat extension carries the sender's HeartbeatMode, which tells the receiver whether it may send us HeartbeatRequest messages
+exports.HeartbeatMode = Object.freeze({
+    PeerAllowedToSend: 0x01,
+    PeerNotAllowedToSend: 0x02,
+    properties: {
+        0x01: {name: "PeerAllowedToSend"},
+        0x02: {name: "PeerNotAllowedToSend"},
+    }
+});
+exports.isHeartbeatModeValid = function(heartbeatMode) {
+    return (this.HeartbeatMode.properties[heartbeatMode] !== undefined);
+}
+
 
 
 /* AlertProtocol enums */
@@ -254,76 +425,89 @@ exports.isAlertLevelValid = function(alertLevel) {
 
 exports.AlertDescription = Object.freeze({
     CloseNotify: 0,
-    // UnexpectedMessage: 10,
+    UnexpectedMessage: 10,
     BadRecordMac: 20,
-    // DecryptionFailed: 21,
-    // RecordOverflow: 22,
-    // DecompressionFailure: 30,
-    // HandshakeFailure: 40,
-    // NoCertificateRESERVED: 41,
-    // BadCertificate: 42,
-    // UnsupportedCertificate: 43,
-    // CertificateRevoked: 44,
-    // CertificateExpired: 45,
-    // CertificateUnknown: 46,
-    // IllegalParameter: 47,
-    // UnknownCertificateAuthority: 48,
-    // AccessDenied: 49,
-    // DecodeError: 50,
-    // DecryptError: 51,
-    // ExportRestrictionRESERVED: 52,
-    // ProtocolVersion: 70,
-    // InsufficientSecurity: 71,
-    // InternalError: 80,
-    // UserCanceled: 90,
-    // NoRenegotiation: 100,
+    DecryptionFailed: 21,
+    RecordOverflow: 22,
+    DecompressionFailure: 30,
+    HandshakeFailure: 40,
+    NoCertificateRESERVED: 41,
+    BadCertificate: 42,
+    UnsupportedCertificate: 43,
+    CertificateRevoked: 44,
+    CertificateExpired: 45,
+    CertificateUnknown: 46,
+    IllegalParameter: 47,
+    UnknownCertificateAuthority: 48,
+    AccessDenied: 49,
+    DecodeError: 50,
+    DecryptError: 51,
+    ExportRestrictionRESERVED: 52,
+    ProtocolVersion: 70,
+    InsufficientSecurity: 71,
+    InternalError: 80,
+    UserCanceled: 90,
+    NoRenegotiation: 100,
+    UnsupportedExtension: 110,
+    // RFC 4279 (PSK ciphersuites)
+    UnknownPskIdentity: 115,
     properties: {
         0: {name: "CloseNotify"},
-        // 10: {name: "UnexpectedMessage"},
+        10: {name: "UnexpectedMessage"},
         20: {name: "BadRecordMac"},
-        // 21: {name: "DecryptionFailed"},
-        // 22: {name: "RecordOverflow"},
-        // 30: {name: "DecompressionFailure"},
-        // 40: {name: "HandshakeFailure"},
-        // 41: {name: "NoCertificateRESERVED"},
-        // 42: {name: "BadCertificate"},
-        // 43: {name: "UnsupportedCertificate"},
-        // 44: {name: "CertificateRevoked"},
-        // 45: {name: "CertificateExpired"},
-        // 46: {name: "CertificateUnknown"},
-        // 47: {name: "IllegalParameter"},
-        // 48: {name: "UnknownCertificateAuthority"},
-        // 49: {name: "AccessDenied"},
-        // 50: {name: "DecodeError"},
-        // 51: {name: "DecryptError"},
-        // 52: {name: "ExportRestrictionRESERVED"},
-        // 70: {name: "ProtocolVersion"},
-        // 71: {name: "InsufficientSecurity"},
-        // 80: {name: "InternalError"},
-        // 90: {name: "UserCanceled"},
-        // 100: {name: "NoRenegotiation"},
+        21: {name: "DecryptionFailed"},
+        22: {name: "RecordOverflow"},
+        30: {name: "DecompressionFailure"},
+        40: {name: "HandshakeFailure"},
+        41: {name: "NoCertificateRESERVED"},
+        42: {name: "BadCertificate"},
+        43: {name: "UnsupportedCertificate"},
+        44: {name: "CertificateRevoked"},
+        45: {name: "CertificateExpired"},
+        46: {name: "CertificateUnknown"},
+        47: {name: "IllegalParameter"},
+        48: {name: "UnknownCertificateAuthority"},
+        49: {name: "AccessDenied"},
+        50: {name: "DecodeError"},
+        51: {name: "DecryptError"},
+        52: {name: "ExportRestrictionRESERVED"},
+        70: {name: "ProtocolVersion"},
+        71: {name: "InsufficientSecurity"},
+        80: {name: "InternalError"},
+        90: {name: "UserCanceled"},
+        100: {name: "NoRenegotiation"},
+        110: {name: "UnsupportedExtension"},
+        115: {name: "UnknownPskIdentity"},
     }
 });
 exports.isAlertDescriptionValid = function(alertDescription) {
     return (this.AlertDescription.properties[alertDescription] !== undefined);
 }
+// NOTE: these alerts are always sent at the fatal level (see RFC 5246 section 7.2.2); CloseNotify, UserCanceled and NoRenegotiation are warnings
 exports.isAlertFatal = function(alertDescription) {
     switch (alertDescription) {
-        // case this.AlertDescription.UnexpectedMessage:
+        case this.AlertDescription.UnexpectedMessage:
         case this.AlertDescription.BadRecordMac:
-        // case this.AlertDescription.DecryptionFailed:
-        // case this.AlertDescription.RecordOverflow:
-        // case this.AlertDescription.DecompressionFailure:
-        // case this.AlertDescription.HandshakeFailure:
-        // case this.AlertDescription.IllegalParameter:
-        // case this.AlertDescription.UnknownCertificateAuthority:
-        // case this.AlertDescription.AccessDenied:
-        // case this.AlertDescription.DecodeError:
-        // case this.AlertDescription.ProtocolVersion:
-        // case this.AlertDescription.InsufficientSecurity:
-        // case this.AlertDescription.InternalError:
+        case this.AlertDescription.DecryptionFailed:
+        case this.AlertDescription.RecordOverflow:
+        case this.AlertDescription.DecompressionFailure:
+        case this.AlertDescription.HandshakeFailure:
+        case this.AlertDescription.IllegalParameter:
+        case this.AlertDescription.UnknownCertificateAuthority:
+        case this.AlertDescription.AccessDenied:
+        case this.AlertDescription.DecodeError:
+        case this.AlertDescription.DecryptError:
+        case this.AlertDescription.ProtocolVersion:
+        case this.AlertDescription.InsufficientSecurity:
+        case this.AlertDescription.InternalError:
+        case this.AlertDescription.UnsupportedExtension:
+        case this.AlertDescription.UnknownPskIdentity:
             return true;
         default:
             return false;
     }
 }
+exports.getAlertDescriptionAsString = function(alertDescription) {
+    let properties = this.AlertDescription.properties[alertDescription];
+    return (properties !== undefined ? properties.name : null);
+}
@@ -105,10 +105,10 @@ DtlsAlertMessage.prototype.toBuffer = function() {
     // populate record header
     //
     // level
-    buffer[offset] = level;
+    result[offset] = this.level;
     offset += 1;
     // description
-    buffer[offset] = description;
+    result[offset] = this.description;
     offset += 1;
 
     // return the buffer (result)
@@ -0,0 +1,148 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at:
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/* Record layout (RFC 6520):
+ *        00: Type
+ *     01-02: Payload Length
+ *       03+: Payload
+ *  [03+len]: Padding (at least 16 random bytes, which the receiver ignores)
+ */
+
+let CryptoUtils = require('../CryptoUtils.js');
+let enums = require('../enums.js');
+
+// constants
+let PADDING_LENGTH = 16;
+let MIN_LENGTH = 3 + PADDING_LENGTH;
+// NOTE: the entire heartbeat message must fit in a single record (i.e. within 2^14 bytes)
+let MAX_LENGTH = 16384;
+let MAX_PAYLOAD_LENGTH = MAX_LENGTH - MIN_LENGTH;
+
+exports.getMaximumPayloadLength = function() {
+    return MAX_PAYLOAD_LENGTH;
+}
+
+function DtlsHeartbeatMessage() {
+    this.type = null;
+    this.payload = null;
+}
+
+exports.create = function(type, payload) {
+    // validate inputs
+    //
+    // type
+    if (!enums.isHeartbeatMessageTypeValid(type)) {
+        throw new RangeError();
+    }
+    // payload
+    if (Object.prototype.toString.call(payload) != "[object Uint8Array]") {
+        throw new TypeError();
+    } else if (payload.length > MAX_PAYLOAD_LENGTH) {
+        throw new RangeError();
+    }
+
+    // create and initialize the new DtlsHeartbeatMessage object
+    let result = new DtlsHeartbeatMessage();
+    result.type = type;
+    result.payload = payload;
+
+    // return the new DtlsHeartbeatMessage record object
+    return result;
+}
+
+// NOTE: this function returns null if a complete record could not be parsed (and does not validate the type of the returned record)
+// NOTE: the padding extends to the end of the buffer; a record whose payload length (plus the minimum padding) exceeds the buffer is
+//       malformed and must be silently discarded, so we return null rather than reading past the record (RFC 6520, section 4)
+// NOTE: offset is optional (default: 0)
+exports.fromBuffer = function(buffer, offset) {
+    // use currentOffset to track the current offset while reading from the buffer
+    let initialOffset;
+    let currentOffset;
+
+    // validate inputs
+    //
+    // offset
+    if (typeof offset === "undefined") {
+        initialOffset = 0;
+    } else if (typeof offset !== "number") {
+        // if the offset is provided, but is not a number, then return an error
+        throw new TypeError();
+    } else if (offset >= buffer.length) {
+        throw new RangeError();
+    } else {
+        initialOffset = offset;
+    }
+    currentOffset = initialOffset;
+    // buffer
+    if (typeof buffer === "undefined") {
+        throw new TypeError();
+    } else if (buffer  === null) {
+        // null buffer is NOT acceptable
+    } else if (Object.prototype.toString.call(buffer) != "[object Uint8Array]") {
+        throw new TypeError();
+    } else if (buffer.length - currentOffset < MIN_LENGTH || buffer.length - currentOffset > MAX_LENGTH) {
+        // buffer is not the length of a valid record; return null.
+        return null;
+    }
+
+    // create the new DtlsHeartbeatMessage object
+    let result = new DtlsHeartbeatMessage();
+
+    // parse buffer
+    //
+    // type
+    result.type = buffer[currentOffset];
+    currentOffset += 1;
+    // payload length
+    let payloadLength = buffer.readUInt16BE(currentOffset);
+    currentOffset += 2;
+    if (payloadLength + PADDING_LENGTH > buffer.length - currentOffset) {
+        // the payload length is larger than the record; return null.
+        return null;
+    }
+    // payload
+    result.payload = Buffer.alloc(payloadLength);
+    buffer.copy(result.payload, 0, currentOffset, currentOffset + payloadLength);
+    currentOffset += payloadLength;
+    // padding (ignored)
+    currentOffset = buffer.length;
+
+    // return the new DtlsHeartbeatMessage object
+    return {record: result, bytesConsumed: currentOffset - initialOffset};
+}
+
+DtlsHeartbeatMessage.prototype.toBuffer = function() {
+    // create our buffer (which we will then populate)
+    let result = Buffer.alloc(MIN_LENGTH + this.payload.length);
+    // use offset to track the current offset while writing to the buffer
+    let offset = 0;
+
+    // populate record header
+    //
+    // type
+    result[offset] = this.type;
+    offset += 1;
+    // payload length
+    result.writeUInt16BE(this.payload.length, offset);
+    offset += 2;
+    // payload
+    result.set(this.payload, offset);
+    offset += this.payload.length;
+    // padding (which must be random)
+    CryptoUtils.crypto.randomBytes(PADDING_LENGTH).copy(result, offset);
+    offset += PADDING_LENGTH;
+
+    // return the buffer (result)
+    return result;
+}
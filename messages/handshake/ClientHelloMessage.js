@@ -31,16 +31,22 @@
  * .......: Cipher Suites List (2 bytes per cipher suite)
  *      ##: Compression Methods Length
  * .......: Compression Methods List (1 byte per compression method) 
+ *      ##: Extensions Length (MSB) (OPTIONAL: only present if the message has extensions)
+ *      ##: Extensions Length (LSB)
+ * .......: Extensions List (see HelloExtension)
  */
 
 // enums
 let enums = require('../../enums.js');
+let HelloExtension = require('./HelloExtension.js');
 
 // constants
 // NOTE: we consider "UTC + random" to be one "random" code; the DtlsSession class is responsible for populating the first four bytes with a Utc value (with a random offset)
 const RANDOM_LENGTH = 32; 
 //
-const MAX_SESSION_ID_LENGTH = (1 << 8) - 1;
+// NOTE: session IDs are limited to 32 bytes (see RFC 5246 section 7.4.1.2)
+const MAX_SESSION_ID_LENGTH = 32;
+const MIN_LENGTH = 39;
 
 function ClientHelloMessage() {
     this.dtlsVersion = null;
@@ -49,9 +55,12 @@ function ClientHelloMessage() {
     this.cookie = null;
     this.cipherSuites = null;
     this.compressionMethods = null;
+    // array of HelloExtension objects; null if the message has no extensions
+    this.extensions = null;
 }
 
-exports.create = function(dtlsVersion, random, sessionId, cookie, cipherSuites, compressionMethods) {
+// NOTE: extensions is OPTIONAL: an array of HelloExtension objects (default: null, i.e. no extensions)
+exports.create = function(dtlsVersion, random, sessionId, cookie, cipherSuites, compressionMethods, extensions) {
     // validate inputs
     //
     // version
@@ -69,7 +78,7 @@ exports.create = function(dtlsVersion, random, sessionId, cookie, cipherSuites,
         throw new TypeError();
     } else if (sessionId === null) {
         // null sessionId (i.e. no sessionId) is acceptable
-    } else if (!Array.isArray(sessionId)) {
+    } else if (Object.prototype.toString.call(sessionId) != "[object Uint8Array]") {
         throw new TypeError();
     } else if (sessionId.length > MAX_SESSION_ID_LENGTH) {
         throw new RangeError();
@@ -82,7 +91,7 @@ exports.create = function(dtlsVersion, random, sessionId, cookie, cipherSuites,
     //} else if (!Array.isArray(cookie)) {
     } else if (Object.prototype.toString.call(cookie) != "[object Uint8Array]") {
         throw new TypeError();
-    } else if (cookie.length > enums.getMaximumCookieLength(version)) {
+    } else if (cookie.length > enums.getMaximumCookieLength(dtlsVersion)) {
         throw new RangeError();
     }
     // cipherSuites
@@ -97,6 +106,12 @@ exports.create = function(dtlsVersion, random, sessionId, cookie, cipherSuites,
         // NOTE: all ClientHello messages should contain at least one compression method (namely "NULL")
         throw new RangeError();
     }
+    // extensions
+    if (typeof extensions === "undefined" || extensions === null) {
+        extensions = null;
+    } else if (!Array.isArray(extensions)) {
+        throw new TypeError();
+    }
 
     // create and initialize the new ClientHelloMessage object
     let result = new ClientHelloMessage();
@@ -106,11 +121,130 @@ exports.create = function(dtlsVersion, random, sessionId, cookie, cipherSuites,
     result.cookie = cookie;
     result.cipherSuites = cipherSuites;
     result.compressionMethods = compressionMethods;
+    result.extensions = extensions;
 
     // return the new ClientHelloMessage object
     return result;
 }
 
+// NOTE: this function returns null if a complete message could not be parsed (and does not validate any data in the returned message)
+// NOTE: offset is optional (default: 0)
+exports.fromBuffer = function(buffer, offset) {
+    // use currentOffset to track the current offset while reading from the buffer    
+    let initialOffset;
+    let currentOffset;
+
+    // validate inputs
+    //
+    // offset
+    if (typeof offset === "undefined") {
+        initialOffset = 0;
+    } else if (typeof offset !== "number") {
+        // if the offset is provided, but is not a number, then return an error
+        throw new TypeError();        
+    } else if (offset >= buffer.length) {
+        throw new RangeError();
+    } else {
+        initialOffset = offset;    
+    }
+    currentOffset = initialOffset;
+    // buffer
+    if (typeof buffer === "undefined") {
+        throw new TypeError();
+    } else if (buffer  === null) {
+        // null buffer is NOT acceptable
+    } else if (Object.prototype.toString.call(buffer) != "[object Uint8Array]") {
+        throw new TypeError();
+    } else if (buffer.length - currentOffset < MIN_LENGTH) {
+        // buffer is not long enough for a full message; return null.
+        return null;
+    }
+    
+    // create the new ClientHelloMessage object
+    let result = new ClientHelloMessage();
+
+    // parse buffer
+    //
+    // dtlsVersion (octets 0-1)
+    result.dtlsVersion = buffer.readUInt16BE(currentOffset);
+    currentOffset += 2;
+    // random (octets 2-33)
+    result.random = Buffer.alloc(RANDOM_LENGTH);
+    buffer.copy(result.random, 0, currentOffset, currentOffset + RANDOM_LENGTH);
+    currentOffset += RANDOM_LENGTH;
+    // sessionId length (octet 34)
+    let sessionIdLength = buffer[currentOffset];
+    currentOffset += 1;
+    // verify that the buffer length is long enough to fit the sessionId (and the cookie length which follows it)
+    if (sessionIdLength > MAX_SESSION_ID_LENGTH) {
+        // if the sessionId is too long, the message is malformed; return null
+        return null;
+    } else if (buffer.length - currentOffset < sessionIdLength + 1) {
+        // if the buffer is not big enough, return null
+        return null;
+    }
+    // sessionId
+    result.sessionId = (sessionIdLength > 0 ? Buffer.alloc(sessionIdLength) : null);
+    if (result.sessionId !== null) {
+        buffer.copy(result.sessionId, 0, currentOffset, currentOffset + sessionIdLength);
+    }
+    currentOffset += sessionIdLength;
+    // cookie length
+    let cookieLength = buffer[currentOffset];
+    currentOffset += 1;
+    // verify that the buffer length is long enough to fit the cookie (and the cipher suites length which follows it)
+    if (buffer.length - currentOffset < cookieLength + 2) {
+        // if the buffer is not big enough, return null
+        return null;
+    }
+    // cookie
+    result.cookie = (cookieLength > 0 ? Buffer.alloc(cookieLength) : null);
+    if (result.cookie !== null) {
+        buffer.copy(result.cookie, 0, currentOffset, currentOffset + cookieLength);
+    }
+    currentOffset += cookieLength;
+    // cipher suites length (2 bytes per cipher suite)
+    let cipherSuitesLength = buffer.readUInt16BE(currentOffset);
+    currentOffset += 2;
+    // verify that the buffer length is long enough to fit the cipher suites (and the compression methods length which follows them)
+    if ((cipherSuitesLength % 2 !== 0) || (buffer.length - currentOffset < cipherSuitesLength + 1)) {
+        // if the buffer is not big enough (or the cipher suites length is malformed), return null
+        return null;
+    }
+    // cipher suites
+    result.cipherSuites = [];
+    for (let iCipherSuite = 0; iCipherSuite < cipherSuitesLength / 2; iCipherSuite++) {
+        result.cipherSuites.push(buffer.readUInt16BE(currentOffset));
+        currentOffset += 2;
+    }
+    // compression methods length
+    let compressionMethodsLength = buffer[currentOffset];
+    currentOffset += 1;
+    // verify that the buffer length is long enough to fit the compression methods
+    if (buffer.length - currentOffset < compressionMethodsLength) {
+        // if the buffer is not big enough, return null
+        return null;
+    }
+    // compression methods
+    result.compressionMethods = [];
+    for (let iCompressionMethod = 0; iCompressionMethod < compressionMethodsLength; iCompressionMethod++) {
+        result.compressionMethods.push(buffer[currentOffset]);
+        currentOffset += 1;
+    }
+    // extensions (if any)
+    if (currentOffset < buffer.length) {
+        result.extensions = HelloExtension.listFromBuffer(buffer, currentOffset);
+        if (result.extensions === null) {
+            // if the extensions list is malformed, return null
+            return null;
+        }
+        currentOffset = buffer.length;
+    }
+
+    // return the new ClientHelloMessage object
+    return {message: result, bytesConsumed: currentOffset - initialOffset};
+}
+
 ClientHelloMessage.prototype.toBuffer = function() {
     // calculate the length of our buffer
     let bufferLength = 0;
@@ -119,7 +253,7 @@ ClientHelloMessage.prototype.toBuffer = function() {
     bufferLength += 1; // Session ID Length
     // sessionId is optional and will be null if none exists
     if (this.sessionId != null) {
-        bufferLength += this.sessionId.Length;
+        bufferLength += this.sessionId.length;
     }
     bufferLength += 1; // Cookie Length
     // cookie is optional and will be null if none exists
@@ -131,6 +265,9 @@ ClientHelloMessage.prototype.toBuffer = function() {
     bufferLength += (2 * this.cipherSuites.length); // Cipher Suites (2 bytes per entry)
     bufferLength += 1; // Compression Methods Length
     bufferLength += (1 * this.compressionMethods.length); // Compression Methods (1 byte per entry)
+    // extensions are optional (and the extensions list is omitted entirely if extensions is null)
+    let extensionsAsBuffer = (this.extensions !== null ? HelloExtension.listToBuffer(this.extensions) : Buffer.alloc(0));
+    bufferLength += extensionsAsBuffer.length;
     
     // create our buffer (which we will then populate)
     let result = Buffer.alloc(bufferLength);
@@ -192,6 +329,9 @@ ClientHelloMessage.prototype.toBuffer = function() {
         result[offset] = this.compressionMethods[iCompressionMethod];
         offset += 1;
     }
+    // extensions length and extensions
+    extensionsAsBuffer.copy(result, offset, 0, extensionsAsBuffer.length);
+    offset += extensionsAsBuffer.length;
 
     // return the buffer (result)
     return result;
@@ -0,0 +1,175 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at:
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/* Hello extension layout (see RFC 5246 section 7.4.1.4):
+ *      00: Extension Type (MSB)
+ *      01: Extension Type (LSB)
+ *      02: Extension Data Length (MSB)
+ *      03: Extension Data Length (LSB)
+ * .......: Extension Data
+ * NOTE: ClientHello and ServerHello messages carry their extensions as a list, preceded by the (two-octet) total length of the list; see listFromBuffer and listToBuffer.
+ */
+
+// constants
+const MIN_LENGTH = 4;
+const MAX_DATA_LENGTH = (1 << 16) - 1;
+
+function HelloExtension() {
+    this.extensionType = null;
+    this.data = null;
+}
+
+// NOTE: extensionType may be any two-octet value (including extension types which are not listed in enums.ExtensionType)
+exports.create = function(extensionType, data) {
+    // validate inputs
+    //
+    // extensionType
+    if (typeof extensionType !== "number") {
+        throw new TypeError();
+    } else if ((extensionType < 0) || (extensionType > 0xFFFF) || (Math.floor(extensionType) != extensionType)) {
+        throw new RangeError();
+    }
+    // data
+    if (Object.prototype.toString.call(data) != "[object Uint8Array]") {
+        throw new TypeError();
+    } else if (data.length > MAX_DATA_LENGTH) {
+        throw new RangeError();
+    }
+
+    // create and initialize the new HelloExtension object
+    let result = new HelloExtension();
+    result.extensionType = extensionType;
+    result.data = data;
+
+    // return the new HelloExtension object
+    return result;
+}
+
+HelloExtension.prototype.toBuffer = function() {
+    let result = Buffer.alloc(MIN_LENGTH + this.data.length);
+    result.writeUInt16BE(this.extensionType, 0);
+    result.writeUInt16BE(this.data.length, 2);
+    Buffer.from(this.data).copy(result, MIN_LENGTH, 0, this.data.length);
+    return result;
+}
+
+// NOTE: this function returns null if a complete extension could not be parsed
+// NOTE: offset is optional (default: 0)
+exports.fromBuffer = function(buffer, offset) {
+    // use currentOffset to track the current offset while reading from the buffer    
+    let initialOffset;
+    let currentOffset;
+
+    // validate inputs
+    //
+    // offset
+    if (typeof offset === "undefined") {
+        initialOffset = 0;
+    } else if (typeof offset !== "number") {
+        // if the offset is provided, but is not a number, then return an error
+        throw new TypeError();        
+    } else if (offset >= buffer.length) {
+        throw new RangeError();
+    } else {
+        initialOffset = offset;    
+    }
+    currentOffset = initialOffset;
+    // buffer
+    if (Object.prototype.toString.call(buffer) != "[object Uint8Array]") {
+        throw new TypeError();
+    } else if (buffer.length - currentOffset < MIN_LENGTH) {
+        // buffer is not long enough for a full extension; return null.
+        return null;
+    }
+
+    // create the new HelloExtension object
+    let result = new HelloExtension();
+
+    // parse buffer
+    //
+    // extension type (octets 0-1)
+    result.extensionType = buffer.readUInt16BE(currentOffset);
+    currentOffset += 2;
+    // extension data length (octets 2-3)
+    let dataLength = buffer.readUInt16BE(currentOffset);
+    currentOffset += 2;
+    // verify that the buffer length is long enough to fit the extension data
+    if (buffer.length - currentOffset < dataLength) {
+        // if the buffer is not big enough, return null
+        return null;
+    }
+    // extension data
+    result.data = Buffer.alloc(dataLength);
+    buffer.copy(result.data, 0, currentOffset, currentOffset + dataLength);
+    currentOffset += dataLength;
+
+    // return the new HelloExtension object
+    return {extension: result, bytesConsumed: currentOffset - initialOffset};
+}
+
+// NOTE: this function returns null if the extension list is malformed; the list must fill the buffer (from offset to the end of the buffer)
+exports.listFromBuffer = function(buffer, offset) {
+    // extensions length (two octets)
+    if (buffer.length - offset < 2) {
+        return null;
+    }
+    let extensionsLength = buffer.readUInt16BE(offset);
+    let currentOffset = offset + 2;
+    if (buffer.length - currentOffset !== extensionsLength) {
+        return null;
+    }
+
+    let result = [];
+    while (currentOffset < buffer.length) {
+        let helloExtension_FromBufferResult = exports.fromBuffer(buffer, currentOffset);
+        if (helloExtension_FromBufferResult === null) {
+            return null;
+        }
+        result.push(helloExtension_FromBufferResult.extension);
+        currentOffset += helloExtension_FromBufferResult.bytesConsumed;
+    }
+    return result;
+}
+
+exports.listToBuffer = function(extensions) {
+    let extensionBuffers = [];
+    let extensionsLength = 0;
+    for (let iExtension = 0; iExtension < extensions.length; iExtension++) {
+        let extensionAsBuffer = extensions[iExtension].toBuffer();
+        extensionBuffers.push(extensionAsBuffer);
+        extensionsLength += extensionAsBuffer.length;
+    }
+    if (extensionsLength > MAX_DATA_LENGTH) {
+        throw new RangeError();
+    }
+
+    let extensionsLengthAsBuffer = Buffer.alloc(2);
+    extensionsLengthAsBuffer.writeUInt16BE(extensionsLength, 0);
+    return Buffer.concat([extensionsLengthAsBuffer].concat(extensionBuffers));
+}
+
+// NOTE: this function returns the first extension of the specified type in the list (or null, if there is no such extension or no list at all)
+exports.findExtension = function(extensions, extensionType) {
+    if (extensions === null) {
+        return null;
+    }
+    for (let iExtension = 0; iExtension < extensions.length; iExtension++) {
+        if (extensions[iExtension].extensionType === extensionType) {
+            return extensions[iExtension];
+        }
+    }
+    return null;
+}
@@ -35,7 +35,7 @@ exports.create = function(dtlsVersion, cookie) {
     // validate inputs
     //
     // dtlsVersion
-    if (!enums.isVersionValid(dtlsVersion)) {
+    if (!enums.isDtlsVersionValid(dtlsVersion)) {
         throw new RangeError();
     }
     // cookie
@@ -44,7 +44,7 @@ exports.create = function(dtlsVersion, cookie) {
     } else if (cookie === null) {
         // null cookie (i.e. no cookie) is NOT acceptable
         throw new TypeError();
-    } else if (!Array.isArray(cookie)) {
+    } else if (Object.prototype.toString.call(cookie) != "[object Uint8Array]") {
         throw new TypeError();
     } else if (cookie.length > enums.getMaximumCookieLength(dtlsVersion)) {
         throw new RangeError();
@@ -98,7 +98,7 @@ exports.fromBuffer = function(buffer, offset) {
     // parse buffer
     //
     // dtlsVersion (octets 0-1)
-    result.dtlsVersion = buffer.readUInt16LE(currentOffset);
+    result.dtlsVersion = buffer.readUInt16BE(currentOffset);
     currentOffset += 2;
     // cookie length (octet 2)
     let cookieLength = buffer[currentOffset];
@@ -116,3 +116,24 @@ exports.fromBuffer = function(buffer, offset) {
     // return the new HelloVerifyRequestMessage object
     return {message: result, bytesConsumed: currentOffset - initialOffset};
 }
+
+HelloVerifyRequestMessage.prototype.toBuffer = function() {
+    // create our buffer (which we will then populate)
+    let result = Buffer.alloc(MIN_LENGTH + this.cookie.length);
+    // use offset to track the current offset while writing to the buffer
+    let offset = 0;
+
+    // populate message
+    //
+    // version (octets 0-1)
+    result.writeUInt16BE(this.dtlsVersion, offset);
+    offset += 2;
+    // cookie length and cookie
+    result[offset] = this.cookie.length;
+    offset += 1;
+    Buffer.from(this.cookie).copy(result, offset);
+    offset += this.cookie.length;
+
+    // return the buffer (result)
+    return result;
+}
@@ -0,0 +1,138 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at:
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/* NewSessionTicket message layout (see RFC 5077 section 3.3):
+ *      00: Ticket Lifetime Hint, in seconds (MSB)
+ *      01: Ticket Lifetime Hint (continued)
+ *      02: Ticket Lifetime Hint (continued)
+ *      03: Ticket Lifetime Hint (LSB)
+ *      04: Ticket Length (MSB)
+ *      05: Ticket Length (LSB)
+ * .......: Ticket
+ */
+
+// constants
+const MIN_LENGTH = 6;
+const MAX_TICKET_LENGTH = (1 << 16) - 1;
+const MAX_LIFETIME_HINT = 0xFFFFFFFF;
+
+function NewSessionTicketMessage() {
+    this.ticketLifetimeHint = null;
+    this.ticket = null;
+}
+
+// NOTE: ticketLifetimeHint is in seconds (0 means that the lifetime is unspecified); an empty ticket tells the client that the server will not issue a ticket after all
+exports.create = function(ticketLifetimeHint, ticket) {
+    // validate inputs
+    //
+    // ticketLifetimeHint
+    if (typeof ticketLifetimeHint !== "number") {
+        throw new TypeError();
+    } else if ((ticketLifetimeHint < 0) || (ticketLifetimeHint > MAX_LIFETIME_HINT) || (Math.floor(ticketLifetimeHint) != ticketLifetimeHint)) {
+        throw new RangeError();
+    }
+    // ticket
+    if (Object.prototype.toString.call(ticket) != "[object Uint8Array]") {
+        throw new TypeError();
+    } else if (ticket.length > MAX_TICKET_LENGTH) {
+        throw new RangeError();
+    }
+
+    // create and initialize the new NewSessionTicketMessage object
+    let result = new NewSessionTicketMessage();
+    result.ticketLifetimeHint = ticketLifetimeHint;
+    result.ticket = ticket;
+
+    // return the new NewSessionTicketMessage object
+    return result;
+}
+
+NewSessionTicketMessage.prototype.toBuffer = function() {
+    // create our buffer (which we will then populate)
+    let result = Buffer.alloc(MIN_LENGTH + this.ticket.length);
+    // use offset to track the current offset while writing to the buffer    
+    let offset = 0;
+
+    // ticket lifetime hint (octets 0-3)
+    result.writeUInt32BE(this.ticketLifetimeHint, offset);
+    offset += 4;
+    // ticket length and ticket
+    result.writeUInt16BE(this.ticket.length, offset);
+    offset += 2;
+    Buffer.from(this.ticket).copy(result, offset, 0, this.ticket.length);
+    offset += this.ticket.length;
+
+    // return the buffer (result)
+    return result;
+}
+
+// NOTE: this function returns null if a complete message could not be parsed (and does not validate any data in the returned message)
+// NOTE: offset is optional (default: 0)
+exports.fromBuffer = function(buffer, offset) {
+    // use currentOffset to track the current offset while reading from the buffer    
+    let initialOffset;
+    let currentOffset;
+
+    // validate inputs
+    //
+    // offset
+    if (typeof offset === "undefined") {
+        initialOffset = 0;
+    } else if (typeof offset !== "number") {
+        // if the offset is provided, but is not a number, then return an error
+        throw new TypeError();        
+    } else if (offset >= buffer.length) {
+        throw new RangeError();
+    } else {
+        initialOffset = offset;    
+    }
+    currentOffset = initialOffset;
+    // buffer
+    if (typeof buffer === "undefined") {
+        throw new TypeError();
+    } else if (buffer  === null) {
+        // null buffer is NOT acceptable
+    } else if (Object.prototype.toString.call(buffer) != "[object Uint8Array]") {
+        throw new TypeError();
+    } else if (buffer.length - currentOffset < MIN_LENGTH) {
+        // buffer is not long enough for a full message; return null.
+        return null;
+    }
+
+    // create the new NewSessionTicketMessage object
+    let result = new NewSessionTicketMessage();
+
+    // parse buffer
+    //
+    // ticket lifetime hint (octets 0-3)
+    result.ticketLifetimeHint = buffer.readUInt32BE(currentOffset);
+    currentOffset += 4;
+    // ticket length (octets 4-5)
+    let ticketLength = buffer.readUInt16BE(currentOffset);
+    currentOffset += 2;
+    // verify that the buffer length is long enough to fit the ticket
+    if (buffer.length - currentOffset < ticketLength) {
+        // if the buffer is not big enough, return null
+        return null;
+    }
+    // ticket
+    result.ticket = Buffer.alloc(ticketLength);
+    buffer.copy(result.ticket, 0, currentOffset, currentOffset + ticketLength);
+    currentOffset += ticketLength;
+
+    // return the new NewSessionTicketMessage object
+    return {message: result, bytesConsumed: currentOffset - initialOffset};
+}
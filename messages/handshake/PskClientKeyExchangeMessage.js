@@ -23,6 +23,7 @@
 let enums = require('../../enums.js');
 
 // constants
+const MIN_LENGTH = 2;
 
 function PskClientKeyExchangeMessage() {
     this.identity = null;
@@ -83,4 +84,59 @@ PskClientKeyExchangeMessage.prototype.toBuffer = function() {
 
     // return the buffer (result)
     return result;
-}
\ No newline at end of file
+}
+
+// NOTE: this function returns null if a complete message could not be parsed (and does not validate any data in the returned message)
+// NOTE: offset is optional (default: 0)
+exports.fromBuffer = function(buffer, offset) {
+    // use currentOffset to track the current offset while reading from the buffer    
+    let initialOffset;
+    let currentOffset;
+
+    // validate inputs
+    //
+    // offset
+    if (typeof offset === "undefined") {
+        initialOffset = 0;
+    } else if (typeof offset !== "number") {
+        // if the offset is provided, but is not a number, then return an error
+        throw new TypeError();        
+    } else if (offset >= buffer.length) {
+        throw new RangeError();
+    } else {
+        initialOffset = offset;    
+    }
+    currentOffset = initialOffset;
+    // buffer
+    if (typeof buffer === "undefined") {
+        throw new TypeError();
+    } else if (buffer  === null) {
+        // null buffer is NOT acceptable
+    } else if (Object.prototype.toString.call(buffer) != "[object Uint8Array]") {
+        throw new TypeError();
+    } else if (buffer.length - currentOffset < MIN_LENGTH) {
+        // buffer is not long enough for a full message; return null.
+        return null;
+    }
+    
+    // create the new PskClientKeyExchangeMessage object
+    let result = new PskClientKeyExchangeMessage();
+
+    // parse buffer
+    //
+    // identity length (octets 0-1)
+    let identityLength = buffer.readUInt16BE(currentOffset);
+    currentOffset += 2;
+    // verify that the buffer length is long enough to fit the identity
+    if (buffer.length - currentOffset < identityLength) {
+        // if the buffer is not big enough, return null
+        return null;
+    }
+    // identity
+    result.identity = Buffer.alloc(identityLength);
+    buffer.copy(result.identity, 0, currentOffset, currentOffset + identityLength);
+    currentOffset += identityLength;
+
+    // return the new PskClientKeyExchangeMessage object
+    return {message: result, bytesConsumed: currentOffset - initialOffset};
+}
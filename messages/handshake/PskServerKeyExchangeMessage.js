@@ -0,0 +1,144 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at:
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/* ServerKeyExchange message layout (PSK key exchange, see RFC 4279 section 2):
+ *      00: Identity Hint Length (MSB)
+ *      01: Identity Hint Length (LSB)
+ * .......: Identity Hint
+ */
+
+let enums = require('../../enums.js');
+
+// constants
+const MIN_LENGTH = 2;
+
+function PskServerKeyExchangeMessage() {
+    this.identityHint = null;
+}
+
+exports.create = function(identityHint) {
+    // validate inputs
+    //
+    // identityHint
+    if (typeof identityHint === "undefined") {
+        throw new TypeError();
+    } else if (identityHint === null) {
+        // null identityHint (i.e. no identity hint) is acceptable
+        // NOTE: RFC 4279 allows servers to send an empty hint when they must send a ServerKeyExchange message but have no hint to provide
+    } else if (Object.prototype.toString.call(identityHint) != "[object Uint8Array]") {
+        throw new TypeError();
+    }
+
+    // create and initialize the new PskServerKeyExchangeMessage object
+    let result = new PskServerKeyExchangeMessage();
+    result.identityHint = identityHint;
+
+    // return the new PskServerKeyExchangeMessage object
+    return result;
+}
+
+PskServerKeyExchangeMessage.prototype.toBuffer = function() {
+    // calculate the length of our buffer
+    let bufferLength = 0;
+    bufferLength += 2; // Identity Hint Length
+    // identityHint is optional and will be null if none exists
+    if (this.identityHint != null)
+    {
+        bufferLength += this.identityHint.length;
+    }
+    
+    // create our buffer (which we will then populate)
+    let result = Buffer.alloc(bufferLength);
+    // use offset to track the current offset while writing to the buffer    
+    let offset = 0;
+
+    // populate message header
+    //
+    // identity hint length and identity hint
+    if (this.identityHint == null)
+    {
+        result.writeUInt16BE(0, offset);
+        offset += 2;
+    }
+    else
+    {
+        let identityHintAsBuffer = new Buffer(this.identityHint);
+        result.writeUInt16BE(identityHintAsBuffer.length, offset);
+        offset += 2;
+        identityHintAsBuffer.copy(result, offset, 0, identityHintAsBuffer.length);
+        offset += identityHintAsBuffer.length;
+    }
+
+    // return the buffer (result)
+    return result;
+}
+
+// NOTE: this function returns null if a complete message could not be parsed (and does not validate any data in the returned message)
+// NOTE: offset is optional (default: 0)
+exports.fromBuffer = function(buffer, offset) {
+    // use currentOffset to track the current offset while reading from the buffer    
+    let initialOffset;
+    let currentOffset;
+
+    // validate inputs
+    //
+    // offset
+    if (typeof offset === "undefined") {
+        initialOffset = 0;
+    } else if (typeof offset !== "number") {
+        // if the offset is provided, but is not a number, then return an error
+        throw new TypeError();        
+    } else if (offset >= buffer.length) {
+        throw new RangeError();
+    } else {
+        initialOffset = offset;    
+    }
+    currentOffset = initialOffset;
+    // buffer
+    if (typeof buffer === "undefined") {
+        throw new TypeError();
+    } else if (buffer  === null) {
+        // null buffer is NOT acceptable
+    } else if (Object.prototype.toString.call(buffer) != "[object Uint8Array]") {
+        throw new TypeError();
+    } else if (buffer.length - currentOffset < MIN_LENGTH) {
+        // buffer is not long enough for a full message; return null.
+        return null;
+    }
+    
+    // create the new PskServerKeyExchangeMessage object
+    let result = new PskServerKeyExchangeMessage();
+
+    // parse buffer
+    //
+    // identity hint length (octets 0-1)
+    let identityHintLength = buffer.readUInt16BE(currentOffset);
+    currentOffset += 2;
+    // verify that the buffer length is long enough to fit the identity hint
+    if (buffer.length - currentOffset < identityHintLength) {
+        // if the buffer is not big enough, return null
+        return null;
+    }
+    // identityHint (null if the server sent an empty hint)
+    result.identityHint = (identityHintLength > 0 ? Buffer.alloc(identityHintLength) : null);
+    if (result.identityHint !== null) {
+        buffer.copy(result.identityHint, 0, currentOffset, currentOffset + identityHintLength);
+    }
+    currentOffset += identityHintLength;
+
+    // return the new PskServerKeyExchangeMessage object
+    return {message: result, bytesConsumed: currentOffset - initialOffset};
+}
@@ -26,6 +26,19 @@ const MIN_LENGTH = 0;
 function ServerHelloDoneMessage() {
 }
 
+exports.create = function() {
+    // create and initialize the new ServerHelloDoneMessage object
+    let result = new ServerHelloDoneMessage();
+
+    // return the new ServerHelloDoneMessage object
+    return result;
+}
+
+ServerHelloDoneMessage.prototype.toBuffer = function() {
+    // [no content]
+    return Buffer.alloc(0);
+}
+
 // NOTE: this function returns null if a complete message could not be parsed (and does not validate any data in the returned message)
 // NOTE: offset is optional (default: 0)
 exports.fromBuffer = function(buffer, offset) {
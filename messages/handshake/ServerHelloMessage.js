@@ -26,15 +26,20 @@
  * .......: Session ID (if a session ID is present)
  * .......: Cipher Suite (2 bytes)
  * .......: Compression Method (1 byte) 
+ *      ##: Extensions Length (MSB) (OPTIONAL: only present if the message has extensions)
+ *      ##: Extensions Length (LSB)
+ * .......: Extensions List (see HelloExtension)
  */
 
 let enums = require('../../enums.js');
+let HelloExtension = require('./HelloExtension.js');
 
 // constants
 const RANDOM_LENGTH = 32; // NOTE: the first four bytes are the Utc value (with a  random offset which should be set by the server)
-const MIN_LENGTH = 40;
+const MIN_LENGTH = 38;
 //
-const MAX_SESSION_ID_LENGTH = (1 << 8) - 1;
+// NOTE: session IDs are limited to 32 bytes (see RFC 5246 section 7.4.1.2)
+const MAX_SESSION_ID_LENGTH = 32;
 
 function ServerHelloMessage() {
     this.dtlsVersion = null;
@@ -42,6 +47,118 @@ function ServerHelloMessage() {
     this.sessionId = null;
     this.cipherSuite = null;
     this.compressionMethod = null;
+    // array of HelloExtension objects; null if the message has no extensions
+    this.extensions = null;
+}
+
+// NOTE: extensions is OPTIONAL: an array of HelloExtension objects (default: null, i.e. no extensions)
+exports.create = function(dtlsVersion, random, sessionId, cipherSuite, compressionMethod, extensions) {
+    // validate inputs
+    //
+    // version
+    if (!enums.isDtlsVersionValid(dtlsVersion)) {
+        throw new RangeError();
+    }
+    // random
+    if (Object.prototype.toString.call(random) != "[object Uint8Array]") {
+        throw new TypeError();
+    } else if (random.length != RANDOM_LENGTH) {
+        throw new RangeError();
+    }
+    // sessionId
+    if (typeof sessionId === "undefined") {
+        throw new TypeError();
+    } else if (sessionId === null) {
+        // null sessionId (i.e. no sessionId) is acceptable
+    } else if (Object.prototype.toString.call(sessionId) != "[object Uint8Array]") {
+        throw new TypeError();
+    } else if (sessionId.length > MAX_SESSION_ID_LENGTH) {
+        throw new RangeError();
+    }
+    // cipherSuite
+    if (!enums.isCipherSuiteValid(cipherSuite)) {
+        throw new RangeError();
+    }
+    // compressionMethod
+    if (!enums.isCompressionMethodValid(compressionMethod)) {
+        throw new RangeError();
+    }
+    // extensions
+    if (typeof extensions === "undefined" || extensions === null) {
+        extensions = null;
+    } else if (!Array.isArray(extensions)) {
+        throw new TypeError();
+    }
+
+    // create and initialize the new ServerHelloMessage object
+    let result = new ServerHelloMessage();
+    result.dtlsVersion = dtlsVersion;
+    result.random = random; // including a 4-byte utc prepended to the random sequence
+    result.sessionId = sessionId;
+    result.cipherSuite = cipherSuite;
+    result.compressionMethod = compressionMethod;
+    result.extensions = extensions;
+
+    // return the new ServerHelloMessage object
+    return result;
+}
+
+ServerHelloMessage.prototype.toBuffer = function() {
+    // calculate the length of our buffer
+    let bufferLength = 0;
+    bufferLength += 2; // Version
+    bufferLength += RANDOM_LENGTH; // Random
+    bufferLength += 1; // Session ID Length
+    // sessionId is optional and will be null if none exists
+    if (this.sessionId != null) {
+        bufferLength += this.sessionId.length;
+    }
+    bufferLength += 2; // Cipher Suite
+    bufferLength += 1; // Compression Method
+    // extensions are optional (and the extensions list is omitted entirely if extensions is null)
+    let extensionsAsBuffer = (this.extensions !== null ? HelloExtension.listToBuffer(this.extensions) : Buffer.alloc(0));
+    bufferLength += extensionsAsBuffer.length;
+
+    // create our buffer (which we will then populate)
+    let result = Buffer.alloc(bufferLength);
+    // use offset to track the current offset while writing to the buffer    
+    let offset = 0;
+
+    // populate message header
+    //
+    // version (octets 0-1)
+    result.writeUInt16BE(this.dtlsVersion, offset);
+    offset += 2;
+    // random (including UTC + random offset)
+    let randomAsBuffer = Buffer.from(this.random);
+    randomAsBuffer.copy(result, offset, 0, randomAsBuffer.length);
+    offset += randomAsBuffer.length;
+    // sessionId length and sessionId
+    if (this.sessionId == null)
+    {
+        result[offset] = 0;
+        offset += 1;
+    }
+    else
+    {
+        let sessionIdAsBuffer = Buffer.from(this.sessionId);
+        result[offset] = sessionIdAsBuffer.length;
+        offset += 1;
+        sessionIdAsBuffer.copy(result, offset, 0, sessionIdAsBuffer.length);
+        offset += sessionIdAsBuffer.length;
+    }
+    // cipherSuite (two octets)
+    result.writeUInt16BE(this.cipherSuite, offset);
+    offset += 2;
+    // compressionMethod (one octet)
+    result[offset] = this.compressionMethod;
+    offset += 1;
+    // extensions length and extensions
+    extensionsAsBuffer.copy(result, offset, 0, extensionsAsBuffer.length);
+    offset += extensionsAsBuffer.length;
+
+    // return the buffer (result)
+    return result;
 }
 
 // NOTE: this function returns null if a complete message could not be parsed (and does not validate any data in the returned message)
@@ -92,8 +209,11 @@ exports.fromBuffer = function(buffer, offset) {
     // sessionId length (octet 34)
     let sessionIdLength = buffer[currentOffset];
     currentOffset += 1;
-    // verify that the buffer length is long enough to fit the session
-    if (buffer.length - offset - MIN_LENGTH < sessionIdLength) {
+    // verify that the buffer length is long enough to fit the session (and the cipher suite and compression method which follow it)
+    if (sessionIdLength > MAX_SESSION_ID_LENGTH) {
+        // if the sessionId is too long, the message is malformed; return null
+        return null;
+    } else if (buffer.length - currentOffset < sessionIdLength + 3) {
         // if the buffer is not big enough, return null
         return null;
     }
@@ -107,6 +227,15 @@ exports.fromBuffer = function(buffer, offset) {
     // compressionMethod (one octet)
     result.compressionMethod = buffer[currentOffset];
     currentOffset += 1;
+    // extensions (if any)
+    if (currentOffset < buffer.length) {
+        result.extensions = HelloExtension.listFromBuffer(buffer, currentOffset);
+        if (result.extensions === null) {
+            // if the extensions list is malformed, return null
+            return null;
+        }
+        currentOffset = buffer.length;
+    }
 
     // return the new ServerHelloMessage object
     return {message: result, bytesConsumed: currentOffset - initialOffset};
@@ -0,0 +1,255 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at:
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+let test = require('node:test');
+let assert = require('assert');
+
+let CoapClient = require('../coap/CoapClient.js');
+let CoapMessage = require('../coap/CoapMessage.js');
+let CoapOptions = require('../coap/CoapOptions.js');
+let enums = require('../coap/enums.js');
+let helpers = require('./helpers.js');
+
+const ACK_TIMEOUT = 50;
+const RESPONSE_TIMEOUT = 500;
+// a representation which takes several blocks (whose bytes differ from block to block)
+const LARGE_PAYLOAD = Buffer.from(Array.from({length: 3000}, function(value, index) { return index % 251; }));
+
+/* NOTE: this function creates a fake CoAP server and a CoapClient which is connected to it; the server calls onRequest--function(message, server)--with each (parsed)
+ *       request, and records every message which it receives in server.messages. server.send(message) sends a message to the client, and server.reply(request, code,
+ *       payload, options) sends a piggybacked response. */
+function createServer(onRequest, clientOptions) {
+    let server = {messages: [], rinfo: null};
+    let linkedServer = helpers.createLinkedServer({}, function(data, rinfo) {
+        let message = CoapMessage.fromBuffer(data).record;
+        server.rinfo = rinfo;
+        server.messages.push(message);
+        if (message.type !== enums.MessageType.Acknowledgement && message.type !== enums.MessageType.Reset) {
+            onRequest(message, server);
+        }
+    });
+    server.server = linkedServer.server;
+    server.serverClosed = linkedServer.serverClosed;
+    server.send = function(message) {
+        let messageAsBuffer = message.toBuffer();
+        server.server.send(messageAsBuffer, 0, messageAsBuffer.length, server.rinfo.port, server.rinfo.address, null, null);
+    };
+    server.reply = function(request, code, payload, options) {
+        server.send(CoapMessage.create(enums.MessageType.Acknowledgement, code, request.messageId, request.token, options, payload));
+    };
+    server.client = CoapClient.createClient(Object.assign({transport: linkedServer.clientTransport, ackTimeout: ACK_TIMEOUT, responseTimeout: RESPONSE_TIMEOUT}, clientOptions));
+    return server;
+}
+
+function closeServer(server) {
+    return new Promise(function(resolve) {
+        server.client.close(resolve);
+    }).then(function() {
+        server.server.close();
+        return server.serverClosed;
+    });
+}
+
+function createRequestOptions(options) {
+    return Object.assign({host: helpers.SERVER_ADDRESS, port: helpers.SERVER_PORT, identity: helpers.PSK_IDENTITY, psk: helpers.PSK}, options);
+}
+
+// NOTE: the messages of the specified type which the server received
+function filterMessages(server, messageType) {
+    return server.messages.filter(function(message) { return message.type === messageType; });
+}
+
+test('a request is resolved with its piggybacked response', async function() {
+    let server = createServer(function(request, server) {
+        let path = request.getOptions(enums.OptionNumber.UriPath).map(String).join('/');
+        let query = request.getOptions(enums.OptionNumber.UriQuery).map(String).join('&');
+        server.reply(request, enums.Code.Content, Buffer.from(path + '?' + query), [{number: enums.OptionNumber.ContentFormat, value: CoapOptions.encodeUint(0)}]);
+    });
+    try {
+        let response = await server.client.request(createRequestOptions({path: '/sensors/temperature', query: 'a=1&b=2'}));
+        assert.strictEqual(response.codeString, '2.05');
+        assert.strictEqual(response.isSuccess, true);
+        assert.strictEqual(response.contentFormat, 0);
+        assert.strictEqual(response.payload.toString(), 'sensors/temperature?a=1&b=2');
+    } finally {
+        await closeServer(server);
+    }
+});
+
+test('a separate response is acknowledged (each time it is retransmitted) and resolves its request once', async function() {
+    let server = createServer(function(request, server) {
+        server.send(CoapMessage.create(enums.MessageType.Acknowledgement, enums.Code.Empty, request.messageId));
+        let response = CoapMessage.create(enums.MessageType.Confirmable, enums.Code.Content, 0x4242, request.token, null, Buffer.from('separate'));
+        setTimeout(function() {
+            server.send(response);
+            server.send(response);
+        }, 20);
+    });
+    try {
+        let response = await server.client.request(createRequestOptions({path: '/slow'}));
+        assert.strictEqual(response.payload.toString(), 'separate');
+        await helpers.delay(20);
+        let acks = filterMessages(server, enums.MessageType.Acknowledgement);
+        assert.strictEqual(acks.length, 2);
+        assert.ok(acks.every(function(ack) { return ack.messageId === 0x4242; }));
+        // NOTE: a duplicate is acknowledged again, rather than reset as a response for which we have no request
+        assert.strictEqual(filterMessages(server, enums.MessageType.Reset).length, 0);
+    } finally {
+        await closeServer(server);
+    }
+});
+
+test('a large response is fetched block by block (Block2)', async function() {
+    let blockRequests = [];
+    let server = createServer(function(request, server) {
+        let block2Value = request.getOption(enums.OptionNumber.Block2);
+        let block2 = (block2Value !== null ? CoapOptions.decodeBlock(block2Value) : {blockNumber: 0, blockSize: 1024});
+        blockRequests.push(block2);
+        let offset = block2.blockNumber * block2.blockSize;
+        let isMore = (offset + block2.blockSize < LARGE_PAYLOAD.length);
+        server.reply(request, enums.Code.Content, LARGE_PAYLOAD.slice(offset, offset + block2.blockSize), [
+            {number: enums.OptionNumber.ETag, value: Buffer.from('e1')},
+            {number: enums.OptionNumber.Block2, value: CoapOptions.encodeBlock(block2.blockNumber, isMore, block2.blockSize)},
+        ]);
+    }, {blockSize: 256});
+    try {
+        let response = await server.client.request(createRequestOptions({path: '/large'}));
+        assert.deepStrictEqual(response.payload, LARGE_PAYLOAD);
+        assert.deepStrictEqual(response.etag, Buffer.from('e1'));
+        assert.strictEqual(blockRequests.length, Math.ceil(LARGE_PAYLOAD.length / 256));
+        assert.ok(blockRequests.every(function(block2, index) { return block2.blockNumber === index && block2.blockSize === 256; }));
+    } finally {
+        await closeServer(server);
+    }
+});
+
+test('a large request payload is sent block by block (Block1), in the smaller blocks which the server asks for', async function() {
+    let blocks = [];
+    let size1 = null;
+    let server = createServer(function(request, server) {
+        let block1 = CoapOptions.decodeBlock(request.getOption(enums.OptionNumber.Block1));
+        blocks.push({block1: block1, payload: request.payload});
+        if (block1.blockNumber === 0) {
+            size1 = CoapOptions.decodeUint(request.getOption(enums.OptionNumber.Size1));
+        }
+        if (block1.isMore) {
+            server.reply(request, enums.Code.Continue, null, [{number: enums.OptionNumber.Block1, value: CoapOptions.encodeBlock(block1.blockNumber, true, 512)}]);
+        } else {
+            server.reply(request, enums.Code.Changed, Buffer.from('stored'), [{number: enums.OptionNumber.Block1, value: CoapOptions.encodeBlock(block1.blockNumber, false, block1.blockSize)}]);
+        }
+    });
+    try {
+        let response = await server.client.request(createRequestOptions({method: 'PUT', path: '/upload', payload: LARGE_PAYLOAD}));
+        assert.strictEqual(response.codeString, '2.04');
+        assert.strictEqual(response.payload.toString(), 'stored');
+        assert.strictEqual(size1, LARGE_PAYLOAD.length);
+        assert.deepStrictEqual(Buffer.concat(blocks.map(function(block) { return block.payload; })), LARGE_PAYLOAD);
+        // the first block uses our block size; the others use the server's (smaller) block size
+        assert.deepStrictEqual(blocks.map(function(block) { return block.block1.blockSize; }), [1024, 512, 512, 512, 512]);
+    } finally {
+        await closeServer(server);
+    }
+});
+
+test('an observation reports fresh notifications until it is cancelled', async function() {
+    let observeToken = null;
+    let deregistrations = [];
+    let server = createServer(function(request, server) {
+        let observe = CoapOptions.decodeUint(request.getOption(enums.OptionNumber.Observe));
+        if (observe === 1) {
+            deregistrations.push(request);
+            server.reply(request, enums.Code.Content, Buffer.from('final'));
+            return;
+        }
+        observeToken = request.token;
+        server.reply(request, enums.Code.Content, Buffer.from('v1'), [{number: enums.OptionNumber.Observe, value: CoapOptions.encodeUint(1)}]);
+    });
+    function notify(messageType, sequenceNumber, payload) {
+        server.send(CoapMessage.create(messageType, enums.Code.Content, 0x1000 + sequenceNumber, observeToken, [{number: enums.OptionNumber.Observe, value: CoapOptions.encodeUint(sequenceNumber)}],
+            Buffer.from(payload)));
+    }
+    let notifications = [];
+    try {
+        let observation = await server.client.observe(createRequestOptions({path: '/temperature'}), function(err, response) {
+            notifications.push(err ? err : response.payload.toString());
+        });
+        assert.strictEqual(observation.isActive, true);
+        notify(enums.MessageType.Confirmable, 5, 'v5');
+        await helpers.delay(20);
+        // a reordered (older) notification is ignored
+        notify(enums.MessageType.NonConfirmable, 3, 'v3');
+        await helpers.delay(20);
+        notify(enums.MessageType.NonConfirmable, 7, 'v7');
+        await helpers.delay(20);
+        assert.deepStrictEqual(notifications, ['v1', 'v5', 'v7']);
+        // the confirmable notification was acknowledged
+        assert.deepStrictEqual(filterMessages(server, enums.MessageType.Acknowledgement).map(function(ack) { return ack.messageId; }), [0x1005]);
+
+        // the deregistration uses the token of the registration
+        let response = await observation.cancel();
+        assert.strictEqual(response.payload.toString(), 'final');
+        assert.strictEqual(observation.isActive, false);
+        assert.strictEqual(deregistrations.length, 1);
+        assert.deepStrictEqual(deregistrations[0].token, observeToken);
+        // a later notification is rejected with a Reset message (and is not reported)
+        notify(enums.MessageType.NonConfirmable, 9, 'v9');
+        await helpers.delay(20);
+        assert.deepStrictEqual(filterMessages(server, enums.MessageType.Reset).map(function(reset) { return reset.messageId; }), [0x1009]);
+        assert.deepStrictEqual(notifications, ['v1', 'v5', 'v7']);
+    } finally {
+        await closeServer(server);
+    }
+});
+
+test('closing the client cancels its pending requests and connects', async function() {
+    let server = createServer(function() {});
+    try {
+        // a request which the server never answers
+        let requestPromise = server.client.request(createRequestOptions({path: '/silent'}));
+        while (server.messages.length === 0) {
+            await helpers.delay(10);
+        }
+        // NOTE: a request to another server is still connecting when we close the client
+        let connectPromise = server.client.request(createRequestOptions({port: helpers.SERVER_PORT + 1}));
+        server.client.close();
+        await assert.rejects(requestPromise, CoapClient.CoapCancelledError);
+        await assert.rejects(connectPromise, CoapClient.CoapCancelledError);
+        await assert.rejects(server.client.request(createRequestOptions()), CoapClient.CoapCancelledError);
+    } finally {
+        await closeServer(server);
+    }
+});
+
+test('an error of the client\'s socket is emitted (or fails the pending requests if the client has no error listener)', async function() {
+    let server = createServer(function() {});
+    try {
+        let socketError = new Error('socket failure');
+        let requestPromise = server.client.request(createRequestOptions({path: '/silent'}));
+        while (server.messages.length === 0) {
+            await helpers.delay(10);
+        }
+        let errorPromise = helpers.nextEvent(server.client, 'error');
+        server.client.dtlsSocket.emit('error', socketError);
+        let [err] = await errorPromise;
+        assert.strictEqual(err, socketError);
+
+        // NOTE: nextEvent's listener has been removed, so the next error fails the request
+        server.client.dtlsSocket.emit('error', socketError);
+        await assert.rejects(requestPromise, function(err) { return err === socketError; });
+    } finally {
+        await closeServer(server);
+    }
+});
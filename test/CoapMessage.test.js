@@ -0,0 +1,103 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at:
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+let test = require('node:test');
+let assert = require('assert');
+
+let CoapMessage = require('../coap/CoapMessage.js');
+let CoapOptions = require('../coap/CoapOptions.js');
+let enums = require('../coap/enums.js');
+
+test('a request is encoded as in the examples of RFC 7252', function() {
+    // a confirmable GET of /temperature, with message ID 0x7d34 and no token (see RFC 7252 appendix A)
+    let message = CoapMessage.create(enums.MessageType.Confirmable, enums.Code.GET, 0x7d34, null, [{number: enums.OptionNumber.UriPath, value: Buffer.from('temperature')}]);
+    assert.strictEqual(message.toBuffer().toString('hex'), '40017d34bb' + Buffer.from('temperature').toString('hex'));
+});
+
+test('messages survive an encode/decode round trip', function() {
+    let token = Buffer.from('0102030405060708', 'hex');
+    // NOTE: the options are added out of order (they are encoded in order of their option numbers), and their deltas and lengths need 8-bit and 16-bit extended values
+    let options = [
+        {number: enums.OptionNumber.UriQuery, value: Buffer.from('a=1')},
+        {number: enums.OptionNumber.UriPath, value: Buffer.from('sensors')},
+        {number: enums.OptionNumber.UriPath, value: Buffer.from('temperature')},
+        {number: enums.OptionNumber.ContentFormat, value: CoapOptions.encodeUint(enums.ContentFormat.Json)},
+        {number: 2048, value: Buffer.alloc(300, 0x61)},
+        {number: enums.OptionNumber.ETag, value: Buffer.alloc(20, 0x62)},
+    ];
+    let payload = Buffer.from('{"value": 21.5}');
+    let message = CoapMessage.create(enums.MessageType.NonConfirmable, enums.Code.POST, 0xffff, token, options, payload);
+    let messageAsBuffer = message.toBuffer();
+
+    let message_FromBufferResult = CoapMessage.fromBuffer(messageAsBuffer);
+    assert.notStrictEqual(message_FromBufferResult, null);
+    assert.strictEqual(message_FromBufferResult.bytesConsumed, messageAsBuffer.length);
+    let decodedMessage = message_FromBufferResult.record;
+    assert.strictEqual(decodedMessage.type, enums.MessageType.NonConfirmable);
+    assert.strictEqual(decodedMessage.code, enums.Code.POST);
+    assert.strictEqual(decodedMessage.messageId, 0xffff);
+    assert.deepStrictEqual(decodedMessage.token, token);
+    assert.deepStrictEqual(decodedMessage.payload, payload);
+    assert.deepStrictEqual(decodedMessage.options.map(function(option) { return option.number; }),
+        [enums.OptionNumber.ETag, enums.OptionNumber.UriPath, enums.OptionNumber.UriPath, enums.OptionNumber.ContentFormat, enums.OptionNumber.UriQuery, 2048]);
+    assert.deepStrictEqual(decodedMessage.getOptions(enums.OptionNumber.UriPath).map(String), ['sensors', 'temperature']);
+    assert.deepStrictEqual(decodedMessage.getOption(2048), Buffer.alloc(300, 0x61));
+    assert.deepStrictEqual(decodedMessage.toBuffer(), messageAsBuffer);
+
+    // an empty message (e.g. an acknowledgement) is its header alone
+    let emptyMessage = CoapMessage.create(enums.MessageType.Acknowledgement, enums.Code.Empty, 0x1234);
+    assert.strictEqual(emptyMessage.toBuffer().toString('hex'), '60001234');
+    assert.strictEqual(CoapMessage.fromBuffer(emptyMessage.toBuffer()).record.type, enums.MessageType.Acknowledgement);
+});
+
+test('malformed messages are rejected', function() {
+    let messageAsBuffer = CoapMessage.create(enums.MessageType.Confirmable, enums.Code.GET, 1, Buffer.from('ab'), [{number: enums.OptionNumber.UriPath, value: Buffer.from('x')}]).toBuffer();
+    // a truncated header, token or option
+    assert.strictEqual(CoapMessage.fromBuffer(messageAsBuffer.slice(0, 3)), null);
+    assert.strictEqual(CoapMessage.fromBuffer(messageAsBuffer.slice(0, 5)), null);
+    assert.strictEqual(CoapMessage.fromBuffer(messageAsBuffer.slice(0, messageAsBuffer.length - 1)), null);
+    // another version
+    let otherVersion = Buffer.from(messageAsBuffer);
+    otherVersion[0] = (otherVersion[0] & 0x3f) | 0x80;
+    assert.strictEqual(CoapMessage.fromBuffer(otherVersion), null);
+    // a payload marker which is not followed by a payload
+    assert.strictEqual(CoapMessage.fromBuffer(Buffer.concat([messageAsBuffer, Buffer.from([0xff])])), null);
+    // an option whose delta uses the reserved nibble (15)
+    assert.strictEqual(CoapMessage.fromBuffer(Buffer.concat([messageAsBuffer, Buffer.from([0xf1, 0x00])])), null);
+    // an empty message with a token
+    assert.strictEqual(CoapMessage.fromBuffer(Buffer.from('61001234ab', 'hex')), null);
+    assert.throws(function() { CoapMessage.create(enums.MessageType.Confirmable, enums.Code.Empty, 1, Buffer.from('ab')); }, RangeError);
+});
+
+test('option values survive an encode/decode round trip', function() {
+    // unsigned integers use as few bytes as possible
+    assert.deepStrictEqual(CoapOptions.encodeUint(0), Buffer.alloc(0));
+    assert.deepStrictEqual(CoapOptions.encodeUint(256), Buffer.from('0100', 'hex'));
+    for (let value of [0, 1, 255, 256, 65535, 0x123456, 0xffffffff]) {
+        assert.strictEqual(CoapOptions.decodeUint(CoapOptions.encodeUint(value)), value);
+    }
+    assert.strictEqual(CoapOptions.decodeUint(Buffer.alloc(5)), null);
+
+    // block options: the block number, the "more" flag and the block size exponent (SZX)
+    assert.deepStrictEqual(CoapOptions.encodeBlock(2, true, 64), Buffer.from([0x2a]));
+    for (let block of [{blockNumber: 0, isMore: false, blockSize: 16}, {blockNumber: 5, isMore: true, blockSize: 1024}, {blockNumber: 0xfffff, isMore: true, blockSize: 256}]) {
+        assert.deepStrictEqual(CoapOptions.decodeBlock(CoapOptions.encodeBlock(block.blockNumber, block.isMore, block.blockSize)), block);
+    }
+    // NOTE: an SZX of 7 is reserved
+    assert.strictEqual(CoapOptions.decodeBlock(Buffer.from([0x07])), null);
+    assert.throws(function() { CoapOptions.encodeBlock(0, false, 100); }, RangeError);
+    assert.throws(function() { CoapOptions.encodeBlock(0x100000, false, 16); }, RangeError);
+});
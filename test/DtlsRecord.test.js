@@ -0,0 +1,82 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at:
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+let test = require('node:test');
+let assert = require('assert');
+
+let DtlsRecord = require('../DtlsRecord.js');
+let enums = require('../enums.js');
+
+/* AEAD known-answer vectors: an application data record (DTLS 1.2, epoch 1, sequence number 5) whose explicit nonce is its epoch and sequence number and whose
+ * additional data is its epoch, sequence number, type, version and plaintext length (see RFC 5288 and RFC 6655).
+ * NOTE: the expected records were computed with an independent implementation of GCM and CCM (built on AES-ECB), which reproduces GCM test case 4 of
+ *       McGrew and Viega's GCM specification and packet vector #1 of RFC 3610 */
+const KEY = Buffer.from('000102030405060708090a0b0c0d0e0f', 'hex');
+const FIXED_IV = Buffer.from('a0a1a2a3', 'hex');
+const EPOCH = 1;
+const SEQUENCE_NUMBER = 5;
+const PLAINTEXT = Buffer.from('DTLS AEAD known-answer plaintext');
+const AEAD_VECTORS = [
+    {
+        name: 'AES_128_GCM',
+        bulkEncryptionAlgorithm: enums.BulkEncryptionAlgorithm.AES_128_GCM,
+        record: '17fefd000100000000000500380001000000000005885e1dd504d6afd5b065d8911b6a6189a3f1740699d8f43f13a5e7f9b6dc554fb49b6ea94c170f296a392f2ffe267537',
+    },
+    {
+        name: 'AES_128_CCM_8',
+        bulkEncryptionAlgorithm: enums.BulkEncryptionAlgorithm.AES_128_CCM_8,
+        record: '17fefd00010000000000050030000100000000000568a942648fe7817258173c8bfc5d33c21fe6267caea18d19de6447a36e3f7131b165cabebec7d269',
+    },
+];
+
+function createRecord() {
+    return DtlsRecord.createFromPlaintext(enums.ProtocolType.DtlsApplicationDataProtocol, enums.DtlsVersion.DTLS_1_2, EPOCH, SEQUENCE_NUMBER, PLAINTEXT, null);
+}
+
+function decryptRecord(buffer, bulkEncryptionAlgorithm) {
+    return DtlsRecord.fromEncryptedBuffer(buffer, 0, bulkEncryptionAlgorithm, KEY, enums.MacAlgorithm.NULL, null, FIXED_IV, null);
+}
+
+for (let vector of AEAD_VECTORS) {
+    test(vector.name + ' records match the known-answer vector', function() {
+        let recordAsBuffer = createRecord().toEncryptedBuffer(vector.bulkEncryptionAlgorithm, KEY, enums.MacAlgorithm.NULL, null, FIXED_IV);
+        assert.strictEqual(recordAsBuffer.toString('hex'), vector.record);
+    });
+
+    test(vector.name + ' records which match the known-answer vector are decrypted', function() {
+        let expectedRecord = Buffer.from(vector.record, 'hex');
+        let dtlsRecord_FromBufferResult = decryptRecord(expectedRecord, vector.bulkEncryptionAlgorithm);
+        assert.notStrictEqual(dtlsRecord_FromBufferResult, null);
+        assert.strictEqual(dtlsRecord_FromBufferResult.bytesConsumed, expectedRecord.length);
+        let dtlsRecord = dtlsRecord_FromBufferResult.record;
+        assert.strictEqual(dtlsRecord.protocolType, enums.ProtocolType.DtlsApplicationDataProtocol);
+        assert.strictEqual(dtlsRecord.epoch, EPOCH);
+        assert.strictEqual(dtlsRecord.sequenceNumber, SEQUENCE_NUMBER);
+        assert.deepStrictEqual(Buffer.from(dtlsRecord.fragment), PLAINTEXT);
+    });
+
+    test(vector.name + ' records which were modified fail authentication', function() {
+        // the ciphertext, the authentication tag and the header (which is authenticated as additional data)
+        for (let offset of [30, Buffer.from(vector.record, 'hex').length - 1, 10]) {
+            let modifiedRecord = Buffer.from(vector.record, 'hex');
+            modifiedRecord[offset] ^= 0x01;
+            assert.strictEqual(decryptRecord(modifiedRecord, vector.bulkEncryptionAlgorithm), null);
+        }
+        // another key
+        let recordAsBuffer = Buffer.from(vector.record, 'hex');
+        assert.strictEqual(DtlsRecord.fromEncryptedBuffer(recordAsBuffer, 0, vector.bulkEncryptionAlgorithm, Buffer.alloc(16), enums.MacAlgorithm.NULL, null, FIXED_IV, null), null);
+    });
+}
@@ -0,0 +1,140 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at:
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+let test = require('node:test');
+let assert = require('assert');
+
+let DtlsSession = require('../DtlsSession.js');
+let Transport = require('../Transport.js');
+let enums = require('../enums.js');
+let helpers = require('./helpers.js');
+
+test('the replay window rejects duplicate and too-old sequence numbers', function() {
+    let dtlsSession = DtlsSession.createDtlsSession(Transport.createMemoryTransportPair()[0], null, undefined, {replayWindowSize: 4});
+
+    assert.strictEqual(dtlsSession.isReplayedRecord(5), false);
+    dtlsSession.markRecordReceived(5);
+    // a duplicate
+    assert.strictEqual(dtlsSession.isReplayedRecord(5), true);
+    // records which arrive out of order (within the window) are accepted once
+    assert.strictEqual(dtlsSession.isReplayedRecord(3), false);
+    dtlsSession.markRecordReceived(3);
+    assert.strictEqual(dtlsSession.isReplayedRecord(3), true);
+    assert.strictEqual(dtlsSession.isReplayedRecord(2), false);
+    // records which are older than the window (i.e. below 6 - 4) are rejected, as we can no longer tell whether they are duplicates
+    assert.strictEqual(dtlsSession.isReplayedRecord(1), true);
+    assert.strictEqual(dtlsSession.isReplayedRecord(0), true);
+    // sliding the window forward forgets the flags of the sequence numbers which it skipped over
+    dtlsSession.markRecordReceived(8);
+    assert.strictEqual(dtlsSession.isReplayedRecord(6), false);
+    assert.strictEqual(dtlsSession.isReplayedRecord(7), false);
+    assert.strictEqual(dtlsSession.isReplayedRecord(5), true);
+    assert.strictEqual(dtlsSession.isReplayedRecord(9), false);
+});
+
+test('a session drops replayed records and counts them', async function() {
+    let sockets = helpers.createLinkedSockets({tapClient: true, echo: false, server: {replayWindowSize: 4}});
+    let serverSessionPromise = helpers.nextEvent(sockets.server, 'secureConnect');
+    try {
+        let dtlsSession = await helpers.connect(sockets);
+        let [serverSession] = await serverSessionPromise;
+        let firstRecordIndex = sockets.clientTransport.sentDatagrams.length;
+        for (let iMessage = 0; iMessage < 8; iMessage++) {
+            await dtlsSession.send(Buffer.from('message ' + iMessage));
+        }
+        await helpers.delay(20);
+        assert.strictEqual(sockets.serverMessages.length, 8);
+        let applicationDataRecords = sockets.clientTransport.sentDatagrams.slice(firstRecordIndex);
+        assert.strictEqual(applicationDataRecords.length, 8);
+
+        // a duplicate of the most recent record
+        sockets.clientTransport.resend(applicationDataRecords[7]);
+        await helpers.delay(20);
+        assert.strictEqual(serverSession.replayedRecordCount, 1);
+        // a record which is older than the server's window
+        sockets.clientTransport.resend(applicationDataRecords[0]);
+        await helpers.delay(20);
+        assert.strictEqual(serverSession.replayedRecordCount, 2);
+        // none of the replayed records were delivered
+        assert.deepStrictEqual(sockets.serverMessages.map(String), ['message 0', 'message 1', 'message 2', 'message 3', 'message 4', 'message 5', 'message 6', 'message 7']);
+
+        // the session still accepts new records
+        await dtlsSession.send(Buffer.from('message 8'));
+        await helpers.delay(20);
+        assert.strictEqual(sockets.serverMessages.length, 9);
+    } finally {
+        await helpers.closeLinkedSockets(sockets);
+    }
+});
+
+// NOTE: each of our datagrams carries a single record, whose content type is its first byte and whose epoch follows its version
+function isPlaintextHandshakeDatagram(datagram) {
+    return (datagram[0] === enums.ProtocolType.DtlsHandshakeProtocol && datagram.readUInt16BE(3) === 0);
+}
+
+/* NOTE: this function makes a tapped transport hold each flight of datagrams (i.e. the datagrams which are sent in the same tick) and then send its plaintext handshake
+ *       datagrams in reverse order, followed by a duplicate of its first datagram and by its other datagrams (i.e. its ChangeCipherSpec message and the encrypted
+ *       records which follow it) in their original order. callback is called with each flight. */
+function reorderFlights(tappedTransport, callback) {
+    let pendingDatagrams = [];
+    tappedTransport.outgoingFilter = function() {
+        if (pendingDatagrams.length === 0) {
+            setImmediate(function() {
+                let flight = pendingDatagrams;
+                pendingDatagrams = [];
+                let handshakeDatagrams = flight.filter(function(sentDatagram) { return isPlaintextHandshakeDatagram(sentDatagram.datagram); });
+                let otherDatagrams = flight.filter(function(sentDatagram) { return !isPlaintextHandshakeDatagram(sentDatagram.datagram); });
+                let reorderedFlight = handshakeDatagrams.slice().reverse().concat(handshakeDatagrams.slice(0, 1), otherDatagrams);
+                reorderedFlight.forEach(function(sentDatagram) { tappedTransport.resend(sentDatagram); });
+                callback(flight);
+            });
+        }
+        pendingDatagrams.push(tappedTransport.sentDatagrams[tappedTransport.sentDatagrams.length - 1]);
+        return false;
+    };
+}
+
+test('fragmented handshake messages are reassembled when their fragments are reordered and duplicated', async function() {
+    // NOTE: the long identity and identity hint do not fit in a single datagram, so the ClientKeyExchange and ServerKeyExchange messages are fragmented
+    const LONG_IDENTITY = Buffer.alloc(300, 0x41);
+    let sockets = helpers.createLinkedSockets({
+        tapClient: true,
+        tapServer: true,
+        client: {pathMtu: 128},
+        server: {pathMtu: 128, pskIdentityHint: Buffer.alloc(300, 0x42), pskLookup: function(pskIdentity) {
+            return (Buffer.compare(pskIdentity, LONG_IDENTITY) === 0 ? helpers.PSK : null);
+        }},
+    });
+    let fragmentedFlightCount = 0;
+    function onFlight(flight) {
+        if (flight.length > 1) {
+            fragmentedFlightCount++;
+        }
+    }
+    reorderFlights(sockets.clientTransport, onFlight);
+    reorderFlights(sockets.serverTransport, onFlight);
+    try {
+        let dtlsSession = await helpers.connect(sockets, {identity: LONG_IDENTITY, psk: helpers.PSK});
+        assert.ok(fragmentedFlightCount >= 2);
+        assert.ok(sockets.clientTransport.sentDatagrams.every(function(sentDatagram) { return sentDatagram.datagram.length <= 128; }));
+        let messagePromise = helpers.nextEvent(sockets.client, 'message');
+        await dtlsSession.send(Buffer.from('reassembled'));
+        let [data] = await messagePromise;
+        assert.strictEqual(data.toString(), 'reassembled');
+    } finally {
+        await helpers.closeLinkedSockets(sockets);
+    }
+});
@@ -0,0 +1,233 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at:
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+let test = require('node:test');
+let assert = require('assert');
+
+let DtlsSocket = require('../DtlsSocket.js');
+let helpers = require('./helpers.js');
+
+test('a client completes a handshake with a server and receives its echo', async function() {
+    let sockets = helpers.createLinkedSockets();
+    let serverSessionPromise = helpers.nextEvent(sockets.server, 'secureConnect');
+    try {
+        let dtlsSession = await helpers.connect(sockets);
+        let serverSession = (await serverSessionPromise)[0];
+        assert.strictEqual(serverSession.pskIdentity.toString(), helpers.PSK_IDENTITY);
+
+        let messagePromise = helpers.nextEvent(sockets.client, 'message');
+        await dtlsSession.send(Buffer.from('ping'));
+        let [data, rinfo] = await messagePromise;
+        assert.strictEqual(data.toString(), 'ping');
+        assert.strictEqual(rinfo.address, helpers.SERVER_ADDRESS);
+        assert.strictEqual(rinfo.port, helpers.SERVER_PORT);
+        assert.deepStrictEqual(sockets.serverMessages.map(String), ['ping']);
+    } finally {
+        await helpers.closeLinkedSockets(sockets);
+    }
+});
+
+test('data which is sent before the handshake completes is queued and delivered in order', async function() {
+    let sockets = helpers.createLinkedSockets({echo: false});
+    try {
+        let sendPromises = ['one', 'two', 'three'].map(function(text) {
+            return new Promise(function(resolve, reject) {
+                sockets.client.send(Buffer.from(text), 0, text.length, helpers.SERVER_PORT, helpers.SERVER_ADDRESS, Buffer.from(helpers.PSK_IDENTITY), helpers.PSK, function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve();
+                    }
+                });
+            });
+        });
+        await Promise.all(sendPromises);
+        await helpers.delay(50);
+        assert.deepStrictEqual(sockets.serverMessages.map(String), ['one', 'two', 'three']);
+    } finally {
+        await helpers.closeLinkedSockets(sockets);
+    }
+});
+
+test('a session stream carries application data in both directions', async function() {
+    let sockets = helpers.createLinkedSockets();
+    try {
+        let dtlsSession = await helpers.connect(sockets);
+        let stream = dtlsSession.createStream();
+        let dataPromise = helpers.nextEvent(stream, 'data');
+        stream.write(Buffer.from('via stream'));
+        let [chunk] = await dataPromise;
+        assert.strictEqual(chunk.toString(), 'via stream');
+    } finally {
+        await helpers.closeLinkedSockets(sockets);
+    }
+});
+
+test('closing a client notifies the server that the session was closed', async function() {
+    let sockets = helpers.createLinkedSockets();
+    try {
+        await helpers.connect(sockets);
+        let sessionClosedPromise = helpers.nextEvent(sockets.server, 'sessionClosed');
+        sockets.client.close();
+        await sockets.clientClosed;
+        let [serverSession] = await sessionClosedPromise;
+        assert.strictEqual(serverSession.pskIdentity.toString(), helpers.PSK_IDENTITY);
+    } finally {
+        await helpers.closeLinkedSockets(sockets);
+    }
+});
+
+test('connect and send fail with a DtlsSessionStateError once the socket is closing', async function() {
+    let sockets = helpers.createLinkedSockets();
+    try {
+        // a connect which is still in progress when the socket is closed
+        let connectPromise = helpers.connect(sockets);
+        sockets.client.close();
+        await assert.rejects(connectPromise, DtlsSocket.DtlsSessionStateError);
+        await sockets.clientClosed;
+
+        // a connect (and a send) after close
+        await assert.rejects(helpers.connect(sockets), DtlsSocket.DtlsSessionStateError);
+        let sendError = await new Promise(function(resolve) {
+            sockets.client.send(Buffer.from('late'), 0, 4, helpers.SERVER_PORT, helpers.SERVER_ADDRESS, Buffer.from(helpers.PSK_IDENTITY), helpers.PSK, resolve);
+        });
+        assert.ok(sendError instanceof DtlsSocket.DtlsSessionStateError);
+        assert.strictEqual(sockets.serverMessages.length, 0);
+    } finally {
+        await helpers.closeLinkedSockets(sockets);
+    }
+});
+
+test('a client with an unknown identity fails its handshake', async function() {
+    let sockets = helpers.createLinkedSockets({client: {retransmitInitialTimeout: 50, retransmitMaxCount: 1}});
+    try {
+        await assert.rejects(helpers.connect(sockets, {identity: 'unknown-client', psk: helpers.PSK}), DtlsSocket.DtlsError);
+        assert.strictEqual(sockets.serverMessages.length, 0);
+    } finally {
+        await helpers.closeLinkedSockets(sockets);
+    }
+});
+
+test('a session which cannot load the crypto module fails its handshake with a DtlsHandshakeError', async function() {
+    let CryptoUtils = require('../CryptoUtils.js');
+    let verifyCrypto = CryptoUtils.verifyCrypto;
+    let serverFailures = [];
+    let sockets = helpers.createLinkedSockets({
+        tapServer: true,
+        client: {retransmitInitialTimeout: 50},
+        server: {cookieMode: "never", handshakeFailureListener: function(callbackObject, error) {
+            serverFailures.push(error);
+            // the next ClientHello (i.e. the client's retransmission) starts a new session, which can load the crypto module again
+            CryptoUtils.verifyCrypto = verifyCrypto;
+        }},
+    });
+    try {
+        // a client session
+        CryptoUtils.verifyCrypto = function() { return false; };
+        await assert.rejects(helpers.connect(sockets), DtlsSocket.DtlsHandshakeError);
+        CryptoUtils.verifyCrypto = verifyCrypto;
+
+        // a server session (which fails while it accepts the client's first ClientHello)
+        sockets.serverTransport.incomingFilter = function() {
+            CryptoUtils.verifyCrypto = function() { return false; };
+            sockets.serverTransport.incomingFilter = null;
+            return true;
+        };
+        await helpers.connect(sockets);
+        assert.strictEqual(serverFailures.length, 1);
+        assert.ok(serverFailures[0] instanceof DtlsSocket.DtlsHandshakeError);
+        assert.strictEqual(serverFailures[0].message, 'Crypto is not available');
+    } finally {
+        CryptoUtils.verifyCrypto = verifyCrypto;
+        await helpers.closeLinkedSockets(sockets);
+    }
+});
+
+test('a PSK mismatch discards the unauthenticated records and times out the handshake', async function() {
+    let resolveServerFailure;
+    let serverFailurePromise = new Promise(function(resolve) { resolveServerFailure = resolve; });
+    let clientAlerts = [];
+    let sockets = helpers.createLinkedSockets({
+        client: {retransmitInitialTimeout: 20, retransmitMaxCount: 2},
+        server: {retransmitInitialTimeout: 20, retransmitMaxCount: 2, handshakeFailureListener: function(callbackObject, error) { resolveServerFailure(error); }},
+    });
+    sockets.client.on('alert', function(alert) { clientAlerts.push(alert); });
+    try {
+        let wrongPsk = Buffer.from('ffffffffffffffffffffffffffffffff', 'hex');
+        await assert.rejects(helpers.connect(sockets, {identity: helpers.PSK_IDENTITY, psk: wrongPsk}), DtlsSocket.DtlsHandshakeTimeoutError);
+        let serverFailure = await serverFailurePromise;
+        assert.ok(serverFailure instanceof DtlsSocket.DtlsHandshakeTimeoutError);
+        assert.match(serverFailure.message, /the PSK may not match/);
+        // NOTE: the server discards the records which fail authentication instead of aborting the handshake with a bad_record_mac alert
+        assert.strictEqual(clientAlerts.length, 0);
+    } finally {
+        await helpers.closeLinkedSockets(sockets);
+    }
+});
+
+test('a pskCallback which throws or returns an invalid identity fails the handshake with a DtlsCredentialsError', async function() {
+    let pskCallbacks = [
+        function() { throw new Error('no keys today'); },
+        function() { return {identity: 42, key: helpers.PSK}; },
+        function() { return {identity: '', key: helpers.PSK}; },
+    ];
+    for (let pskCallback of pskCallbacks) {
+        let sockets = helpers.createLinkedSockets({client: {pskCallback: pskCallback}});
+        try {
+            await assert.rejects(sockets.client.connect(helpers.SERVER_ADDRESS, helpers.SERVER_PORT), DtlsSocket.DtlsCredentialsError);
+        } finally {
+            await helpers.closeLinkedSockets(sockets);
+        }
+    }
+});
+
+test('a session is cached (and resumed) under the identity which it sent in its ClientKeyExchange message', async function() {
+    const OTHER_IDENTITY = 'other-client';
+    const OTHER_PSK = Buffer.from('101112131415161718191a1b1c1d1e1f', 'hex');
+    let pskCallbackResults = [{identity: OTHER_IDENTITY, key: OTHER_PSK}];
+    let sockets = helpers.createLinkedSockets({
+        server: {pskLookup: function(pskIdentity) {
+            return (pskIdentity.toString() === helpers.PSK_IDENTITY ? helpers.PSK : (pskIdentity.toString() === OTHER_IDENTITY ? OTHER_PSK : null));
+        }},
+        // NOTE: our pskCallback overrides the credentials of our first connect (and then lets our connects use their own credentials)
+        client: {pskCallback: function() { return (pskCallbackResults.length > 0 ? pskCallbackResults.shift() : null); }},
+    });
+    let serverSessions = [];
+    sockets.server.on('secureConnect', function(serverSession) { serverSessions.push(serverSession); });
+    async function connectAndClose(options) {
+        let dtlsSession = await helpers.connect(sockets, options);
+        let sessionClosedPromise = helpers.nextEvent(sockets.server, 'sessionClosed');
+        await dtlsSession.close();
+        await sessionClosedPromise;
+        return dtlsSession;
+    }
+    try {
+        // the pskCallback chooses the other identity, so the session must not be resumed by a later connect with our own identity
+        await connectAndClose();
+        let ownSession = await connectAndClose();
+        assert.strictEqual(ownSession.isResumedHandshake, false);
+        // a connect with our own identity resumes our own session
+        let resumedSession = await connectAndClose();
+        assert.strictEqual(resumedSession.isResumedHandshake, true);
+        // a connect without an identity (whose pskCallback would choose the credentials) resumes the most recent session
+        let callbackSession = await connectAndClose({});
+        assert.strictEqual(callbackSession.isResumedHandshake, true);
+        assert.deepStrictEqual(serverSessions.map(function(serverSession) { return serverSession.pskIdentity.toString(); }),
+            [OTHER_IDENTITY, helpers.PSK_IDENTITY, helpers.PSK_IDENTITY, helpers.PSK_IDENTITY]);
+    } finally {
+        await helpers.closeLinkedSockets(sockets);
+    }
+});
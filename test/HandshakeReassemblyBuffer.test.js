@@ -0,0 +1,71 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at:
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+let test = require('node:test');
+let assert = require('assert');
+
+let HandshakeReassemblyBuffer = require('../HandshakeReassemblyBuffer.js');
+
+const MESSAGE_TYPE = 1;
+const MESSAGE = Buffer.from('0123456789abcdefghijklmnopqrstuvwxyz');
+
+function addFragment(reassemblyBuffer, start, end) {
+    return reassemblyBuffer.addFragment(MESSAGE_TYPE, MESSAGE.length, start, MESSAGE.slice(start, end));
+}
+
+test('fragments which arrive out of order are reassembled', function() {
+    let reassemblyBuffer = HandshakeReassemblyBuffer.create(MESSAGE_TYPE, MESSAGE.length);
+    assert.strictEqual(addFragment(reassemblyBuffer, 24, 36), true);
+    assert.strictEqual(addFragment(reassemblyBuffer, 0, 12), true);
+    assert.strictEqual(reassemblyBuffer.isComplete(), false);
+    assert.strictEqual(reassemblyBuffer.remainingLength, 12);
+    assert.strictEqual(addFragment(reassemblyBuffer, 12, 24), true);
+    assert.strictEqual(reassemblyBuffer.isComplete(), true);
+    assert.deepStrictEqual(reassemblyBuffer.message, MESSAGE);
+});
+
+test('overlapping and duplicate fragments only count each byte once', function() {
+    let reassemblyBuffer = HandshakeReassemblyBuffer.create(MESSAGE_TYPE, MESSAGE.length);
+    assert.strictEqual(addFragment(reassemblyBuffer, 0, 20), true);
+    assert.strictEqual(addFragment(reassemblyBuffer, 0, 20), true);
+    assert.strictEqual(reassemblyBuffer.remainingLength, 16);
+    assert.strictEqual(addFragment(reassemblyBuffer, 10, 30), true);
+    assert.strictEqual(reassemblyBuffer.remainingLength, 6);
+    // a fragment which covers bytes that we already have does not complete the message
+    assert.strictEqual(addFragment(reassemblyBuffer, 5, 25), true);
+    assert.strictEqual(reassemblyBuffer.isComplete(), false);
+    assert.strictEqual(addFragment(reassemblyBuffer, 28, 36), true);
+    assert.strictEqual(reassemblyBuffer.isComplete(), true);
+    assert.strictEqual(reassemblyBuffer.remainingLength, 0);
+    assert.deepStrictEqual(reassemblyBuffer.message, MESSAGE);
+});
+
+test('fragments of another message are rejected', function() {
+    let reassemblyBuffer = HandshakeReassemblyBuffer.create(MESSAGE_TYPE, MESSAGE.length);
+    // another message type
+    assert.strictEqual(reassemblyBuffer.addFragment(MESSAGE_TYPE + 1, MESSAGE.length, 0, MESSAGE.slice(0, 10)), false);
+    // another total length
+    assert.strictEqual(reassemblyBuffer.addFragment(MESSAGE_TYPE, MESSAGE.length + 1, 0, MESSAGE.slice(0, 10)), false);
+    // a fragment which extends past the end of the message
+    assert.strictEqual(reassemblyBuffer.addFragment(MESSAGE_TYPE, MESSAGE.length, 30, Buffer.alloc(10)), false);
+    assert.strictEqual(reassemblyBuffer.remainingLength, MESSAGE.length);
+});
+
+test('messages which are longer than the maximum message length are rejected', function() {
+    assert.throws(function() { HandshakeReassemblyBuffer.create(MESSAGE_TYPE, HandshakeReassemblyBuffer.getMaximumMessageLength() + 1); }, RangeError);
+    assert.throws(function() { HandshakeReassemblyBuffer.create(MESSAGE_TYPE, -1); }, RangeError);
+    assert.throws(function() { HandshakeReassemblyBuffer.create('1', 10); }, TypeError);
+});
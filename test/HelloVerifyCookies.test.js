@@ -0,0 +1,146 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at:
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+let test = require('node:test');
+let assert = require('assert');
+let crypto = require('crypto');
+
+let HelloVerifyCookies = require('../HelloVerifyCookies.js');
+let ClientHelloMessage = require('../messages/handshake/ClientHelloMessage.js');
+let enums = require('../enums.js');
+let helpers = require('./helpers.js');
+
+const CLIENT_ADDRESS = '192.0.2.1';
+const CLIENT_PORT = 5684;
+
+function createClientHelloMessage() {
+    return ClientHelloMessage.create(enums.DtlsVersion.DTLS_1_2, crypto.randomBytes(32), null, null, [enums.CipherSuite.TLS_PSK_WITH_AES_128_CCM_8], [0], null);
+}
+
+/* NOTE: this function runs callback with a clock (whose advance function moves Date.now forward by the given number of milliseconds) and then restores Date.now */
+async function withClock(callback) {
+    let now = Date.now;
+    let offset = 0;
+    let startTime = now();
+    Date.now = function() { return startTime + offset; };
+    try {
+        await callback({ advance: function(milliseconds) { offset += milliseconds; } });
+    } finally {
+        Date.now = now;
+    }
+}
+
+test('a cookie is only accepted from the client (and for the ClientHello message) for which it was created', function() {
+    let helloVerifyCookies = HelloVerifyCookies.create(60000, 60000);
+    let clientHelloMessage = createClientHelloMessage();
+    clientHelloMessage.cookie = helloVerifyCookies.createCookie(CLIENT_ADDRESS, CLIENT_PORT, clientHelloMessage);
+    assert.strictEqual(clientHelloMessage.cookie.length, 32);
+    assert.strictEqual(helloVerifyCookies.verifyCookie(CLIENT_ADDRESS, CLIENT_PORT, clientHelloMessage), true);
+
+    assert.strictEqual(helloVerifyCookies.verifyCookie('192.0.2.2', CLIENT_PORT, clientHelloMessage), false);
+    assert.strictEqual(helloVerifyCookies.verifyCookie(CLIENT_ADDRESS, CLIENT_PORT + 1, clientHelloMessage), false);
+    let otherClientHelloMessage = createClientHelloMessage();
+    otherClientHelloMessage.cookie = clientHelloMessage.cookie;
+    assert.strictEqual(helloVerifyCookies.verifyCookie(CLIENT_ADDRESS, CLIENT_PORT, otherClientHelloMessage), false);
+    // a cookie which was created by another server
+    assert.strictEqual(HelloVerifyCookies.create(60000, 60000).verifyCookie(CLIENT_ADDRESS, CLIENT_PORT, clientHelloMessage), false);
+    // a truncated cookie
+    clientHelloMessage.cookie = clientHelloMessage.cookie.slice(0, 31);
+    assert.strictEqual(helloVerifyCookies.verifyCookie(CLIENT_ADDRESS, CLIENT_PORT, clientHelloMessage), false);
+});
+
+test('an expired cookie (or a cookie which was issued in the future) is rejected', async function() {
+    await withClock(function(clock) {
+        let helloVerifyCookies = HelloVerifyCookies.create(5000, 60000);
+        let clientHelloMessage = createClientHelloMessage();
+        clientHelloMessage.cookie = helloVerifyCookies.createCookie(CLIENT_ADDRESS, CLIENT_PORT, clientHelloMessage);
+        clock.advance(3000);
+        assert.strictEqual(helloVerifyCookies.verifyCookie(CLIENT_ADDRESS, CLIENT_PORT, clientHelloMessage), true);
+        // NOTE: cookies carry their issue time in whole seconds, so a cookie expires up to a second early
+        clock.advance(3000);
+        assert.strictEqual(helloVerifyCookies.verifyCookie(CLIENT_ADDRESS, CLIENT_PORT, clientHelloMessage), false);
+
+        // a cookie whose issue time is later than our clock
+        clock.advance(10000);
+        clientHelloMessage.cookie = helloVerifyCookies.createCookie(CLIENT_ADDRESS, CLIENT_PORT, clientHelloMessage);
+        clock.advance(-10000);
+        assert.strictEqual(helloVerifyCookies.verifyCookie(CLIENT_ADDRESS, CLIENT_PORT, clientHelloMessage), false);
+    });
+});
+
+test('a cookie survives one secret rotation but not two', async function() {
+    await withClock(function(clock) {
+        let helloVerifyCookies = HelloVerifyCookies.create(60000, 1000);
+        let clientHelloMessage = createClientHelloMessage();
+        clientHelloMessage.cookie = helloVerifyCookies.createCookie(CLIENT_ADDRESS, CLIENT_PORT, clientHelloMessage);
+        let firstSecret = helloVerifyCookies.currentSecret;
+
+        // the first rotation keeps the secret which created the cookie as the previous secret
+        clock.advance(1500);
+        assert.strictEqual(helloVerifyCookies.verifyCookie(CLIENT_ADDRESS, CLIENT_PORT, clientHelloMessage), true);
+        assert.notStrictEqual(helloVerifyCookies.currentSecret, firstSecret);
+        assert.strictEqual(helloVerifyCookies.previousSecret, firstSecret);
+        // the second rotation discards it
+        clock.advance(1500);
+        assert.strictEqual(helloVerifyCookies.verifyCookie(CLIENT_ADDRESS, CLIENT_PORT, clientHelloMessage), false);
+
+        // a server which has not created (or verified) a cookie for two rotation intervals discards both of its secrets at once
+        let idleHelloVerifyCookies = HelloVerifyCookies.create(60000, 1000);
+        clientHelloMessage.cookie = idleHelloVerifyCookies.createCookie(CLIENT_ADDRESS, CLIENT_PORT, clientHelloMessage);
+        clock.advance(2000);
+        assert.strictEqual(idleHelloVerifyCookies.verifyCookie(CLIENT_ADDRESS, CLIENT_PORT, clientHelloMessage), false);
+        assert.strictEqual(idleHelloVerifyCookies.previousSecret, null);
+    });
+});
+
+test('cookie lifetimes and rotation intervals must be at least a second', function() {
+    assert.throws(function() { HelloVerifyCookies.create(999, 60000); }, RangeError);
+    assert.throws(function() { HelloVerifyCookies.create(60000, 999); }, RangeError);
+    assert.throws(function() { HelloVerifyCookies.create('60000', 60000); }, TypeError);
+});
+
+// NOTE: a HelloVerifyRequest is the first (and only) handshake message in its datagram; its message type follows the 13-byte record header
+function isHelloVerifyRequestDatagram(datagram) {
+    return (datagram[0] === enums.ProtocolType.DtlsHandshakeProtocol && datagram[13] === enums.MessageType.HelloVerifyRequest);
+}
+
+test('a client whose cookie expired before its ClientHello arrived is sent a new cookie', async function() {
+    await withClock(async function(clock) {
+        let sockets = helpers.createLinkedSockets({tapServer: true, server: {cookieMode: "always", cookieLifetime: 5000}});
+        let clientDatagramCount = 0;
+        sockets.serverTransport.incomingFilter = function() {
+            // NOTE: the client's second datagram is its ClientHello with the cookie; we let that cookie expire (once) before the server verifies it
+            clientDatagramCount++;
+            if (clientDatagramCount === 2) {
+                clock.advance(6000);
+            }
+            return true;
+        };
+        try {
+            let dtlsSession = await helpers.connect(sockets);
+            let helloVerifyRequests = sockets.serverTransport.sentDatagrams.filter(function(sentDatagram) { return isHelloVerifyRequestDatagram(sentDatagram.datagram); });
+            assert.strictEqual(helloVerifyRequests.length, 2);
+            assert.notDeepStrictEqual(helloVerifyRequests[0].datagram, helloVerifyRequests[1].datagram);
+
+            let messagePromise = helpers.nextEvent(sockets.client, 'message');
+            await dtlsSession.send(Buffer.from('verified'));
+            let [data] = await messagePromise;
+            assert.strictEqual(data.toString(), 'verified');
+        } finally {
+            await helpers.closeLinkedSockets(sockets);
+        }
+    });
+});
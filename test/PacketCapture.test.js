@@ -0,0 +1,73 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at:
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+let test = require('node:test');
+let assert = require('assert');
+let fs = require('fs');
+let os = require('os');
+let path = require('path');
+
+let PacketCapture = require('../PacketCapture.js');
+let helpers = require('./helpers.js');
+
+function createTemporaryDirectory() {
+    return fs.mkdtempSync(path.join(os.tmpdir(), 'securedgram-capture-'));
+}
+
+test('a capture restricts the permissions of an existing file', { skip: (process.platform === 'win32') }, function() {
+    let directory = createTemporaryDirectory();
+    try {
+        let capturePath = path.join(directory, 'existing.pcapng');
+        fs.writeFileSync(capturePath, 'old contents', {mode: 0o644});
+        fs.chmodSync(capturePath, 0o644);
+
+        let packetCapture = PacketCapture.create(capturePath, 'udp4');
+        packetCapture.close();
+        assert.strictEqual(fs.statSync(capturePath).mode & 0o777, 0o600);
+        // the file was truncated (and now starts with a pcapng section header block)
+        assert.strictEqual(fs.readFileSync(capturePath).readUInt32LE(0), 0x0a0d0d0a);
+    } finally {
+        fs.rmSync(directory, {recursive: true, force: true});
+    }
+});
+
+test('a capture which cannot be written is stopped and its error is emitted', async function() {
+    let directory = createTemporaryDirectory();
+    let writeSync = fs.writeSync;
+    let sockets = helpers.createLinkedSockets({client: {captureFile: path.join(directory, 'client.pcapng')}});
+    try {
+        let dtlsSession = await helpers.connect(sockets);
+        let errorPromise = helpers.nextEvent(sockets.client, 'error');
+        fs.writeSync = function() {
+            let err = new Error('ENOSPC: no space left on device, write');
+            err.code = 'ENOSPC';
+            throw err;
+        };
+        // the session keeps working without its capture
+        let messagePromise = helpers.nextEvent(sockets.client, 'message');
+        await dtlsSession.send(Buffer.from('ping'));
+        let [err] = await errorPromise;
+        assert.strictEqual(err.code, 'ENOSPC');
+        assert.strictEqual(sockets.client.packetCapture, null);
+        fs.writeSync = writeSync;
+        let [data] = await messagePromise;
+        assert.strictEqual(data.toString(), 'ping');
+    } finally {
+        fs.writeSync = writeSync;
+        await helpers.closeLinkedSockets(sockets);
+        fs.rmSync(directory, {recursive: true, force: true});
+    }
+});
@@ -0,0 +1,228 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at:
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+let test = require('node:test');
+let assert = require('assert');
+
+let ZipClient = require('../zip/ZipClient.js');
+let ZipPacket = require('../zip/ZipPacket.js');
+let helpers = require('./helpers.js');
+
+const ACK_TIMEOUT = 50;
+const MAX_RETRANSMIT = 2;
+const WAITING_TIMEOUT = 200;
+// the gateway's own node, which a client without options.nodeAddress addresses
+const GATEWAY_NODE_ID = 1;
+const COMMAND = Buffer.from([0x25, 0x01, 0xff]);
+
+/* NOTE: this function creates a fake Z/IP gateway and a ZipClient which is connected to it; the gateway calls onPacket--function(packet, gateway)--with each (parsed)
+ *       Z/IP packet which it receives, and records the packets in gateway.packets. gateway.send(packet) sends a packet to the client, and gateway.answer(packet, flags)
+ *       answers a packet with the specified flags (e.g. {isAckResponse: true}) and OPTIONAL header extensions (flags.headerExtensions). */
+function createGateway(onPacket, clientOptions) {
+    let gateway = {packets: [], rinfo: null};
+    let linkedServer = helpers.createLinkedServer({}, function(data, rinfo) {
+        let packet = ZipPacket.fromBuffer(data).record;
+        gateway.rinfo = rinfo;
+        gateway.packets.push(packet);
+        onPacket(packet, gateway);
+    });
+    gateway.server = linkedServer.server;
+    gateway.serverClosed = linkedServer.serverClosed;
+    gateway.send = function(packet) {
+        let packetAsBuffer = packet.toBuffer();
+        gateway.server.send(packetAsBuffer, 0, packetAsBuffer.length, gateway.rinfo.port, gateway.rinfo.address, null, null);
+    };
+    gateway.answer = function(packet, flags) {
+        let answerPacket = ZipPacket.create(packet.sequenceNumber, packet.destinationEndPoint, packet.sourceEndPoint, null, flags.headerExtensions);
+        Object.keys(flags).forEach(function(key) {
+            if (key !== 'headerExtensions') {
+                answerPacket[key] = flags[key];
+            }
+        });
+        gateway.send(answerPacket);
+    };
+    gateway.client = ZipClient.createClient(Object.assign({
+        host: helpers.SERVER_ADDRESS,
+        port: helpers.SERVER_PORT,
+        transport: linkedServer.clientTransport,
+        identity: helpers.PSK_IDENTITY,
+        psk: helpers.PSK,
+        ackTimeout: ACK_TIMEOUT,
+        maxRetransmit: MAX_RETRANSMIT,
+        waitingTimeout: WAITING_TIMEOUT,
+    }, clientOptions));
+    return gateway;
+}
+
+function closeGateway(gateway) {
+    return new Promise(function(resolve) {
+        gateway.client.close(resolve);
+    }).then(function() {
+        gateway.server.close();
+        return gateway.serverClosed;
+    });
+}
+
+// NOTE: the number of times which the gateway received the packet with the specified sequence number
+function countPackets(gateway, sequenceNumber) {
+    return gateway.packets.filter(function(packet) { return packet.sequenceNumber === sequenceNumber; }).length;
+}
+
+test('a command which the gateway acknowledges is resolved with its ACK Response', async function() {
+    let gateway = createGateway(function(packet, gateway) { gateway.answer(packet, {isAckResponse: true}); });
+    try {
+        let ackPacket = await gateway.client.sendCommand(GATEWAY_NODE_ID, COMMAND, {destinationEndPoint: 3});
+        assert.strictEqual(ackPacket.isAckResponse, true);
+        assert.strictEqual(gateway.packets.length, 1);
+        assert.strictEqual(ackPacket.sequenceNumber, gateway.packets[0].sequenceNumber);
+        assert.strictEqual(gateway.packets[0].isAckRequest, true);
+        assert.strictEqual(gateway.packets[0].destinationEndPoint, 3);
+        assert.deepStrictEqual(gateway.packets[0].command, COMMAND);
+    } finally {
+        await closeGateway(gateway);
+    }
+});
+
+test('a command which the gateway cannot deliver is rejected with a ZipNackError', async function() {
+    let gateway = createGateway(function(packet, gateway) { gateway.answer(packet, {isNackResponse: true, isNackQueueFull: true}); });
+    try {
+        let err = await gateway.client.sendCommand(GATEWAY_NODE_ID, COMMAND).then(assert.fail, function(err) { return err; });
+        assert.ok(err instanceof ZipClient.ZipNackError);
+        assert.strictEqual(err.code, 'EZIPNACK');
+        assert.strictEqual(err.packet.isNackQueueFull, true);
+    } finally {
+        await closeGateway(gateway);
+    }
+});
+
+test('a command which the gateway answers with NACK+Waiting waits (for the Expected Delay) for its final answer', async function() {
+    // NOTE: the Expected Delay (one second) is longer than our waitingTimeout, so the final ACK only arrives in time if the client waits for the Expected Delay
+    let gateway = createGateway(function(packet, gateway) {
+        gateway.answer(packet, {isNackResponse: true, isNackWaiting: true, headerExtensions: [{type: ZipClient.HeaderExtensionType.ExpectedDelay, value: Buffer.from([0, 0, 1])}]});
+        setTimeout(function() { gateway.answer(packet, {isAckResponse: true}); }, WAITING_TIMEOUT + 100);
+    });
+    try {
+        let ackPacket = await gateway.client.sendCommand(GATEWAY_NODE_ID, COMMAND);
+        assert.strictEqual(ackPacket.isAckResponse, true);
+        // the client stopped retransmitting once the gateway told it to wait
+        assert.strictEqual(gateway.packets.length, 1);
+    } finally {
+        await closeGateway(gateway);
+    }
+});
+
+test('a command which the gateway answers with NACK+Waiting (without an Expected Delay) times out after waitingTimeout', async function() {
+    let gateway = createGateway(function(packet, gateway) { gateway.answer(packet, {isNackResponse: true, isNackWaiting: true}); });
+    try {
+        let startTime = Date.now();
+        await assert.rejects(gateway.client.sendCommand(GATEWAY_NODE_ID, COMMAND), ZipClient.ZipTimeoutError);
+        assert.ok(Date.now() - startTime >= WAITING_TIMEOUT);
+        assert.strictEqual(gateway.packets.length, 1);
+    } finally {
+        await closeGateway(gateway);
+    }
+});
+
+test('an unacknowledged command is retransmitted (with its sequence number) and then times out', async function() {
+    // the gateway ignores the first transmission of each command, and never answers the command which it is told to ignore
+    const IGNORED_COMMAND = Buffer.from([0x25, 0x05]);
+    let gateway = createGateway(function(packet, gateway) {
+        if (countPackets(gateway, packet.sequenceNumber) > 1 && Buffer.compare(packet.command, IGNORED_COMMAND) !== 0) {
+            gateway.answer(packet, {isAckResponse: true});
+        }
+    });
+    try {
+        let ackPacket = await gateway.client.sendCommand(GATEWAY_NODE_ID, COMMAND);
+        assert.strictEqual(countPackets(gateway, ackPacket.sequenceNumber), 2);
+
+        let packetCount = gateway.packets.length;
+        await assert.rejects(gateway.client.sendCommand(GATEWAY_NODE_ID, IGNORED_COMMAND), ZipClient.ZipTimeoutError);
+        // the first transmission and each retransmission
+        assert.strictEqual(gateway.packets.length - packetCount, 1 + MAX_RETRANSMIT);
+        assert.strictEqual(countPackets(gateway, gateway.packets[packetCount].sequenceNumber), 1 + MAX_RETRANSMIT);
+    } finally {
+        await closeGateway(gateway);
+    }
+});
+
+test('a command from the gateway is acknowledged (each time it is retransmitted) but only reported once', async function() {
+    const REPORT = Buffer.from([0x25, 0x03, 0xff]);
+    let gateway = createGateway(function(packet, gateway) {
+        if (packet.command !== null) {
+            gateway.answer(packet, {isAckResponse: true});
+        }
+    });
+    let commands = [];
+    gateway.client.on('command', function(command, packet, source) { commands.push({command: command, packet: packet, source: source}); });
+    try {
+        await gateway.client.sendCommand(GATEWAY_NODE_ID, COMMAND);
+        let reportPacket = ZipPacket.create(200, 0, 0, REPORT);
+        reportPacket.isAckRequest = true;
+        gateway.send(reportPacket);
+        gateway.send(reportPacket);
+        await helpers.delay(50);
+
+        assert.strictEqual(commands.length, 1);
+        assert.deepStrictEqual(commands[0].command, REPORT);
+        assert.strictEqual(commands[0].source.nodeId, GATEWAY_NODE_ID);
+        let acks = gateway.packets.filter(function(packet) { return packet.isAckResponse && packet.sequenceNumber === 200; });
+        assert.strictEqual(acks.length, 2);
+    } finally {
+        await closeGateway(gateway);
+    }
+});
+
+test('closing the client cancels its pending commands and connects', async function() {
+    // NOTE: the address of node 2 never resolves, so its connect is still pending when we close the client
+    let gateway = createGateway(function() {}, {nodeAddress: function(nodeId) {
+        return (nodeId === GATEWAY_NODE_ID ? helpers.SERVER_ADDRESS : new Promise(function() {}));
+    }});
+    try {
+        let commandPromise = gateway.client.sendCommand(GATEWAY_NODE_ID, COMMAND);
+        let connectPromise = gateway.client.sendCommand(2, COMMAND);
+        // wait until the gateway has received the command (which it never answers)
+        while (gateway.packets.length === 0) {
+            await helpers.delay(10);
+        }
+        gateway.client.close();
+        await assert.rejects(commandPromise, ZipClient.ZipCancelledError);
+        await assert.rejects(connectPromise, ZipClient.ZipCancelledError);
+        await assert.rejects(gateway.client.sendCommand(GATEWAY_NODE_ID, COMMAND), ZipClient.ZipCancelledError);
+    } finally {
+        await closeGateway(gateway);
+    }
+});
+
+test('an error of the client\'s socket is emitted (or fails the pending commands if the client has no error listener)', async function() {
+    let gateway = createGateway(function() {});
+    try {
+        let socketError = new Error('socket failure');
+        let commandPromise = gateway.client.sendCommand(GATEWAY_NODE_ID, COMMAND);
+        while (gateway.packets.length === 0) {
+            await helpers.delay(10);
+        }
+        let errorPromise = helpers.nextEvent(gateway.client, 'error');
+        gateway.client.dtlsSocket.emit('error', socketError);
+        let [err] = await errorPromise;
+        assert.strictEqual(err, socketError);
+
+        // NOTE: nextEvent's listener has been removed, so the next error fails the command
+        gateway.client.dtlsSocket.emit('error', socketError);
+        await assert.rejects(commandPromise, function(err) { return err === socketError; });
+    } finally {
+        await closeGateway(gateway);
+    }
+});
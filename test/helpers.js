@@ -0,0 +1,156 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at:
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/* shared fixtures for our tests: a DTLS server and client which are linked by a pair of in-memory transports (so that the tests exercise real handshakes without
+ * any network access), and a tapping transport which records (and can drop or re-send) the datagrams which pass through it */
+
+let DtlsSocket = require('../DtlsSocket.js');
+
+const PSK_IDENTITY = 'test-client';
+const PSK = Buffer.from('000102030405060708090a0b0c0d0e0f', 'hex');
+// the in-memory addresses of the client and server (see Transport.createMemoryTransportPair)
+const CLIENT_ADDRESS = 'memory-1';
+const CLIENT_PORT = 1;
+const SERVER_ADDRESS = 'memory-2';
+const SERVER_PORT = 2;
+
+exports.PSK_IDENTITY = PSK_IDENTITY;
+exports.PSK = PSK;
+exports.CLIENT_ADDRESS = CLIENT_ADDRESS;
+exports.CLIENT_PORT = CLIENT_PORT;
+exports.SERVER_ADDRESS = SERVER_ADDRESS;
+exports.SERVER_PORT = SERVER_PORT;
+
+/* TappedTransport wraps another transport: it records each datagram which it sends (in sentDatagrams, as {datagram, port, address}) and each datagram which it
+ * receives (in receivedDatagrams, as {datagram, rinfo}). outgoingFilter and incomingFilter are OPTIONAL functions(datagram) which return false to drop a datagram. */
+function TappedTransport(transport) {
+    this.transport = transport;
+    this.sentDatagrams = [];
+    this.receivedDatagrams = [];
+    this.outgoingFilter = null;
+    this.incomingFilter = null;
+}
+
+exports.createTappedTransport = function(transport) {
+    return new TappedTransport(transport);
+}
+
+TappedTransport.prototype.send = function(datagram, port, address, callback) {
+    this.sentDatagrams.push({datagram: Buffer.from(datagram), port: port, address: address});
+    if (this.outgoingFilter !== null && !this.outgoingFilter(datagram)) {
+        // NOTE: a dropped datagram is "sent" as far as our caller is concerned
+        if (callback) {
+            process.nextTick(callback, null);
+        }
+        return;
+    }
+    this.transport.send(datagram, port, address, callback);
+}
+
+TappedTransport.prototype.onDatagram = function(listener) {
+    let thisObject = this;
+    this.transport.onDatagram(function(datagram, rinfo) {
+        thisObject.receivedDatagrams.push({datagram: datagram, rinfo: rinfo});
+        if (thisObject.incomingFilter !== null && !thisObject.incomingFilter(datagram)) {
+            return;
+        }
+        listener(datagram, rinfo);
+    });
+}
+
+TappedTransport.prototype.close = function(callback) {
+    this.transport.close(callback);
+}
+
+// NOTE: this function re-sends a recorded datagram (i.e. it replays the datagram to our peer), bypassing our outgoingFilter
+TappedTransport.prototype.resend = function(sentDatagram) {
+    this.transport.send(sentDatagram.datagram, sentDatagram.port, sentDatagram.address);
+}
+
+/* options:
+ *   server: OPTIONAL createDtlsServer options (in addition to our transport and pskLookup)
+ *   client: OPTIONAL createDtlsSocket options (in addition to our transport)
+ *   tapClient, tapServer: OPTIONAL; if true, the client's (or server's) transport is wrapped in a TappedTransport
+ *   echo: OPTIONAL; if false, the server does not echo the application data which it receives (default: true)
+ * NOTE: this function returns {server, client, clientTransport, serverTransport, serverMessages, clientMessages}; the message arrays collect the data which each side
+ *       receives */
+exports.createLinkedSockets = function(options) {
+    options = (options !== undefined ? options : {});
+    let transports = DtlsSocket.createMemoryTransportPair(CLIENT_ADDRESS, CLIENT_PORT, SERVER_ADDRESS, SERVER_PORT);
+    let clientTransport = (options.tapClient ? exports.createTappedTransport(transports[0]) : transports[0]);
+    let serverTransport = (options.tapServer ? exports.createTappedTransport(transports[1]) : transports[1]);
+
+    let result = {clientTransport: clientTransport, serverTransport: serverTransport, serverMessages: [], clientMessages: []};
+    let serverOptions = Object.assign({
+        transport: serverTransport,
+        pskLookup: function(pskIdentity) { return (pskIdentity.toString() === PSK_IDENTITY ? PSK : null); },
+    }, options.server);
+    result.server = DtlsSocket.createDtlsServer(serverOptions, result, function(callbackObject, data, rinfo) {
+        result.serverMessages.push(data);
+        if (options.echo !== false) {
+            result.server.send(data, 0, data.length, rinfo.port, rinfo.address, null, null);
+        }
+    });
+    let clientOptions = Object.assign({transport: clientTransport}, options.client);
+    result.client = DtlsSocket.createDtlsSocket(clientOptions, result, function(callbackObject, data, rinfo) {
+        result.clientMessages.push(data);
+    });
+    // NOTE: a socket only emits 'close' once, so we remember when each socket has closed (in case a test closes a socket itself)
+    result.serverClosed = exports.nextEvent(result.server, 'close');
+    result.clientClosed = exports.nextEvent(result.client, 'close');
+
+    return result;
+}
+
+/* NOTE: this function creates a server (with our test credentials, unless serverOptions specifies others) whose messageListener--function(data, rinfo)--is called with
+ *       the application data which it receives; it returns {server, clientTransport, serverClosed}, where clientTransport is the other end of the server's in-memory
+ *       transport (for a client which the test creates itself, e.g. a CoapClient or a ZipClient) */
+exports.createLinkedServer = function(serverOptions, messageListener) {
+    let transports = DtlsSocket.createMemoryTransportPair(CLIENT_ADDRESS, CLIENT_PORT, SERVER_ADDRESS, SERVER_PORT);
+    let result = {clientTransport: transports[0]};
+    result.server = DtlsSocket.createDtlsServer(Object.assign({
+        transport: transports[1],
+        pskLookup: function(pskIdentity) { return (pskIdentity.toString() === PSK_IDENTITY ? PSK : null); },
+    }, serverOptions), result, function(callbackObject, data, rinfo) {
+        messageListener(data, rinfo);
+    });
+    result.serverClosed = exports.nextEvent(result.server, 'close');
+    return result;
+}
+
+// NOTE: this function returns a promise which is resolved once the client connects to the server (with our test credentials, unless options specifies others)
+exports.connect = function(sockets, options) {
+    return sockets.client.connect(SERVER_ADDRESS, SERVER_PORT, (options !== undefined ? options : {identity: PSK_IDENTITY, psk: PSK}));
+}
+
+// NOTE: this function returns a promise which is resolved once both sockets have been closed
+exports.closeLinkedSockets = function(sockets) {
+    sockets.client.close();
+    sockets.server.close();
+    return Promise.all([sockets.clientClosed, sockets.serverClosed]);
+}
+
+// NOTE: this function returns a promise which is resolved with the arguments of the next emission of the event
+exports.nextEvent = function(emitter, eventName) {
+    return new Promise(function(resolve) {
+        emitter.once(eventName, function() { resolve(Array.prototype.slice.call(arguments)); });
+    });
+}
+
+// NOTE: this function returns a promise which is resolved after the specified number of milliseconds
+exports.delay = function(milliseconds) {
+    return new Promise(function(resolve) { setTimeout(resolve, milliseconds); });
+}
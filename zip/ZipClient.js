@@ -0,0 +1,536 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at:
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/* ZipClient sends Z-Wave commands to the nodes behind a Z/IP Gateway, encapsulated in Z/IP packets (COMMAND_CLASS_ZIP), over the DTLS sessions of a DtlsSocket. each
+ * session is wrapped in a stream (see DtlsSession.createStream), and each Z/IP packet is sent as one application data record.
+ * NOTE: commands are sent with the ACK Request flag (by default) and are retransmitted until the gateway acknowledges them; a gateway which is still trying to reach a
+ *       node (e.g. a sleeping node) answers with NACK+Waiting, in which case we stop retransmitting and wait for its final ACK (or NACK). */
+
+// events
+let EventEmitter = require('events');
+let util = require('util');
+// crypto
+let CryptoUtils = require('../CryptoUtils.js');
+// DTLS
+let DtlsSocket = require('../DtlsSocket.js');
+let DtlsErrors = require('../DtlsErrors.js');
+// Z/IP
+let ZipPacket = require('./ZipPacket.js');
+let ZipErrors = require('./ZipErrors.js');
+let enums = require('./enums.js');
+
+// constants
+// default port of Z/IP Gateways (Z/IP over DTLS)
+const DEFAULT_PORT = 41230;
+const DEFAULT_GATEWAY_NODE_ID = 1;
+// NOTE: Z-Wave Long Range node IDs are 12 bits long
+const MAX_NODE_ID = 0xfff;
+// transmission parameters: an unacknowledged packet is retransmitted every ackTimeout, up to maxRetransmit times
+const DEFAULT_ACK_TIMEOUT = 2000;
+const DEFAULT_MAX_RETRANSMIT = 2;
+// NOTE: once the gateway has answered with NACK+Waiting (without an Expected Delay), we wait this long for its final answer; the gateway repeats NACK+Waiting while it is
+//       still waiting for the node, and each repetition restarts our timer
+const DEFAULT_WAITING_TIMEOUT = 90000;
+// sequence numbers of the packets which the gateway sent us recently (so that we acknowledge its retransmissions without processing them again)
+const RECENT_PACKET_LIFETIME = 60000;
+const MAX_RECENT_PACKET_COUNT = 64;
+
+// Z/IP enums
+exports.HeaderExtensionType = enums.HeaderExtensionType;
+// Z/IP errors
+exports.ZipError = ZipErrors.ZipError;
+exports.ZipTimeoutError = ZipErrors.ZipTimeoutError;
+exports.ZipNackError = ZipErrors.ZipNackError;
+exports.ZipCancelledError = ZipErrors.ZipCancelledError;
+
+function ZipClient() {
+    EventEmitter.call(this);
+
+    // the DtlsSocket whose sessions carry our packets
+    this.dtlsSocket = null;
+    // the gateway's address and node ID
+    this.host = null;
+    this.port = DEFAULT_PORT;
+    this.gatewayNodeId = DEFAULT_GATEWAY_NODE_ID;
+    // function(nodeId), which returns the address of the node (see createClient)
+    this.nodeAddress = null;
+    this.connectOptions = null;
+    // each endpoint is one DTLS session (and its stream): {dtlsSession, stream, nodeId, transmissions, recentPackets, isClosed}
+    this.endpoints = [];
+    // the connects (see getEndpoint) which are still in progress: {reject}, where reject cancels the connect's promise once we are closed
+    this.pendingConnects = [];
+    this.nextSequenceNumber = 0;
+    // transmission parameters
+    this.ackTimeout = DEFAULT_ACK_TIMEOUT;
+    this.maxRetransmit = DEFAULT_MAX_RETRANSMIT;
+    this.waitingTimeout = DEFAULT_WAITING_TIMEOUT;
+    // set once close(...) has been called
+    this.isClosed = false;
+}
+util.inherits(ZipClient, EventEmitter);
+
+/* options:
+ *   host: hostname or IP address of the Z/IP Gateway
+ *   port: OPTIONAL port of the gateway (default: 41230)
+ *   identity, psk, pskHex, pskBase64: OPTIONAL credentials for the gateway (see DtlsSocket.connect); not needed if options.keyStore (or options.pskCallback) supplies them
+ *   gatewayNodeId: OPTIONAL node ID of the gateway's own Z-Wave controller (default: 1)
+ *   nodeAddress: OPTIONAL function(nodeId) which returns the address of a node--as a host, as {host, port} or as a promise of either; by default, only the gateway's own
+ *                node (gatewayNodeId) can be addressed, since the gateway assigns the addresses of the other nodes (see the gateway's IP association or portal settings)
+ *   type: OPTIONAL socket type ('udp4' or 'udp6'; default: 'udp4')
+ *   ackTimeout: OPTIONAL time after which an unacknowledged packet is retransmitted, in milliseconds (default: 2000)
+ *   maxRetransmit: OPTIONAL number of retransmissions before a command is abandoned (default: 2)
+ *   waitingTimeout: OPTIONAL time for which we wait for the final answer once the gateway has answered with NACK+Waiting, in milliseconds (default: 90000); if the gateway
+ *                   includes a longer Expected Delay header extension, we wait for that delay (plus ackTimeout) instead
+ * NOTE: all other options (e.g. keyStore, pskCallback, transport or connectionIdLength) are passed to createDtlsSocket */
+exports.createClient = function(options) {
+    if (!CryptoUtils.verifyCrypto()) return null;
+
+    // validate inputs
+    //
+    // options
+    if (typeof options !== "object" || options === null) {
+        throw new TypeError();
+    }
+    // host and port
+    if (typeof options.host !== "string") {
+        throw new TypeError();
+    }
+    if (options.port !== undefined) {
+        if (typeof options.port !== "number") {
+            throw new TypeError();
+        } else if ((options.port < 1) || (options.port > 65535) || (Math.floor(options.port) != options.port)) {
+            throw new RangeError();
+        }
+    }
+    if (options.gatewayNodeId !== undefined && !isNodeIdValid(options.gatewayNodeId)) {
+        throw (typeof options.gatewayNodeId !== "number" ? new TypeError() : new RangeError());
+    }
+    if (options.nodeAddress !== undefined && typeof options.nodeAddress !== "function") {
+        throw new TypeError();
+    }
+    // transmission parameters
+    if (options.ackTimeout !== undefined && !isPositiveNumber(options.ackTimeout)) {
+        throw (typeof options.ackTimeout !== "number" ? new TypeError() : new RangeError());
+    } else if (options.waitingTimeout !== undefined && !isPositiveNumber(options.waitingTimeout)) {
+        throw (typeof options.waitingTimeout !== "number" ? new TypeError() : new RangeError());
+    }
+    if (options.maxRetransmit !== undefined) {
+        if (typeof options.maxRetransmit !== "number") {
+            throw new TypeError();
+        } else if ((options.maxRetransmit < 0) || (Math.floor(options.maxRetransmit) != options.maxRetransmit)) {
+            throw new RangeError();
+        }
+    }
+
+    let dtlsSocketOptions = Object.assign({}, options);
+    if (dtlsSocketOptions.type === undefined && (dtlsSocketOptions.transport === undefined || dtlsSocketOptions.transport === null)) {
+        dtlsSocketOptions.type = 'udp4';
+    }
+
+    // create and initialize the new ZipClient object
+    let result = new ZipClient();
+    result.dtlsSocket = DtlsSocket.createDtlsSocket(dtlsSocketOptions);
+    result.dtlsSocket.on('error', function(err) { result.onSocketError(err); });
+    result.host = options.host;
+    if (options.port !== undefined) {
+        result.port = options.port;
+    }
+    if (options.gatewayNodeId !== undefined) {
+        result.gatewayNodeId = options.gatewayNodeId;
+    }
+    result.nodeAddress = (options.nodeAddress !== undefined ? options.nodeAddress : null);
+    result.connectOptions = {};
+    ['identity', 'psk', 'pskHex', 'pskBase64'].forEach(function(key) {
+        if (options[key] !== undefined) {
+            result.connectOptions[key] = options[key];
+        }
+    });
+    result.nextSequenceNumber = CryptoUtils.crypto.randomBytes(1)[0];
+    if (options.ackTimeout !== undefined) {
+        result.ackTimeout = options.ackTimeout;
+    }
+    if (options.maxRetransmit !== undefined) {
+        result.maxRetransmit = options.maxRetransmit;
+    }
+    if (options.waitingTimeout !== undefined) {
+        result.waitingTimeout = options.waitingTimeout;
+    }
+
+    // return the new ZipClient object
+    return result;
+}
+
+function isPositiveNumber(value) {
+    return (typeof value === "number" && value > 0);
+}
+
+function isNodeIdValid(nodeId) {
+    return (typeof nodeId === "number" && nodeId >= 1 && nodeId <= MAX_NODE_ID && Math.floor(nodeId) == nodeId);
+}
+
+/* options:
+ *   sourceEndPoint: OPTIONAL end point from which the command is sent (default: 0)
+ *   destinationEndPoint: OPTIONAL end point of the node to which the command is sent (default: 0, i.e. the node itself)
+ *   headerExtensions: OPTIONAL array of header extensions ({type, value, isCritical}, where value is a Buffer)
+ *   secureOrigin: OPTIONAL true to ask the gateway to send the command securely (default: false)
+ *   ackRequest: OPTIONAL false to send the command without asking the gateway to acknowledge it (default: true)
+ * NOTE: this function returns a promise which is resolved with the gateway's ACK Response (a ZipPacket) once the gateway has delivered the command--or with null as soon
+ *       as the command has been sent, if options.ackRequest is false. the promise is rejected with a ZipNackError if the gateway could not deliver the command, or with a
+ *       ZipTimeoutError if the gateway does not answer in time. */
+ZipClient.prototype.sendCommand = function(nodeId, command, options) {
+    let thisObject = this;
+    let packet;
+    let isAckRequest;
+    try {
+        // validate inputs
+        //
+        // nodeId
+        if (!isNodeIdValid(nodeId)) {
+            throw (typeof nodeId !== "number" ? new TypeError() : new RangeError());
+        }
+        // command
+        if (Object.prototype.toString.call(command) != "[object Uint8Array]") {
+            throw new TypeError();
+        }
+        // options
+        if (typeof options === "undefined" || options === null) {
+            options = {};
+        } else if (typeof options !== "object") {
+            throw new TypeError();
+        }
+        // NOTE: we build the packet now (with a placeholder sequence number), so that invalid end points (or header extensions) are reported before we connect to the node
+        packet = ZipPacket.create(0, options.sourceEndPoint, options.destinationEndPoint, command, options.headerExtensions);
+        packet.isSecureOrigin = (options.secureOrigin === true);
+        isAckRequest = (options.ackRequest !== false);
+        packet.isAckRequest = isAckRequest;
+    } catch (err) {
+        return Promise.reject(err);
+    }
+
+    return this.getEndpoint(nodeId).then(function(endpoint) {
+        packet.sequenceNumber = thisObject.createSequenceNumber();
+        if (!isAckRequest) {
+            thisObject.sendToEndpoint(endpoint, packet);
+            return null;
+        }
+        return new Promise(function(resolve, reject) {
+            thisObject.startTransmission(endpoint, packet, function(err, ackPacket) {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(ackPacket);
+                }
+            });
+        });
+    });
+}
+
+// NOTE: this function fails all of our pending commands and then closes our DtlsSocket; callback is OPTIONAL
+ZipClient.prototype.close = function(callback) {
+    if (this.isClosed) {
+        if (callback) {
+            process.nextTick(callback);
+        }
+        return;
+    }
+    this.isClosed = true;
+
+    // NOTE: a connect may still be waiting for the node's address (or for its handshake), so we cancel it rather than waiting for it to finish
+    let pendingConnects = this.pendingConnects;
+    this.pendingConnects = [];
+    for (let iPendingConnect = 0; iPendingConnect < pendingConnects.length; iPendingConnect++) {
+        pendingConnects[iPendingConnect].reject(new ZipErrors.ZipCancelledError('The Z/IP client was closed'));
+    }
+    let endpoints = this.endpoints;
+    this.endpoints = [];
+    for (let iEndpoint = 0; iEndpoint < endpoints.length; iEndpoint++) {
+        endpoints[iEndpoint].isClosed = true;
+        this.failTransmissions(endpoints[iEndpoint], new ZipErrors.ZipCancelledError('The Z/IP client was closed'));
+    }
+    this.dtlsSocket.close(callback);
+}
+
+/* NOTE: this function is called with each 'error' event of our DtlsSocket (e.g. a failure of its UDP socket, or of its capture file); the error is emitted as our own
+ *       'error' event if we have an 'error' listener, and otherwise fails our pending commands, so that it is never lost */
+ZipClient.prototype.onSocketError = function(err) {
+    if (this.listenerCount('error') > 0) {
+        this.emit('error', err);
+        return;
+    }
+    for (let iEndpoint = 0; iEndpoint < this.endpoints.length; iEndpoint++) {
+        this.failTransmissions(this.endpoints[iEndpoint], err);
+    }
+}
+
+// NOTE: this function returns a promise which is resolved with {host, port}: the address of the node
+ZipClient.prototype.resolveNodeAddress = function(nodeId) {
+    let thisObject = this;
+    if (this.nodeAddress === null) {
+        if (nodeId !== this.gatewayNodeId) {
+            return Promise.reject(new RangeError('The address of node ' + nodeId + ' is unknown (see options.nodeAddress)'));
+        }
+        return Promise.resolve({host: this.host, port: this.port});
+    }
+
+    return Promise.resolve(this.nodeAddress(nodeId)).then(function(address) {
+        if (typeof address === "string") {
+            return {host: address, port: thisObject.port};
+        } else if (typeof address === "object" && address !== null && typeof address.host === "string") {
+            return {host: address.host, port: (address.port !== undefined ? address.port : thisObject.port)};
+        }
+        throw new TypeError('options.nodeAddress did not return an address for node ' + nodeId);
+    });
+}
+
+// NOTE: this function returns a promise which is resolved with the endpoint for the node's DTLS session (connecting to the node's address, if necessary)
+ZipClient.prototype.getEndpoint = function(nodeId) {
+    let thisObject = this;
+    if (this.isClosed) {
+        return Promise.reject(new ZipErrors.ZipCancelledError('The Z/IP client is closed'));
+    }
+
+    let connectPromise = this.resolveNodeAddress(nodeId).then(function(address) {
+        return thisObject.dtlsSocket.connect(address.host, address.port, thisObject.connectOptions);
+    }).then(function(dtlsSession) {
+        if (thisObject.isClosed) {
+            throw new ZipErrors.ZipCancelledError('The Z/IP client was closed');
+        }
+        for (let iEndpoint = 0; iEndpoint < thisObject.endpoints.length; iEndpoint++) {
+            if (thisObject.endpoints[iEndpoint].dtlsSession === dtlsSession) {
+                return thisObject.endpoints[iEndpoint];
+            }
+        }
+
+        // wrap the new session in a stream, whose records are our packets
+        // NOTE: the endpoint's nodeId is the node for which its session was first opened (which is the node that the 'command' event reports)
+        let endpoint = {dtlsSession: dtlsSession, stream: dtlsSession.createStream(), nodeId: nodeId, transmissions: [], recentPackets: [], isClosed: false};
+        endpoint.stream.on('data', function(data) { thisObject.onEndpointData(endpoint, data); });
+        endpoint.stream.on('error', function(err) { thisObject.onEndpointClosed(endpoint, err); });
+        endpoint.stream.on('close', function() { thisObject.onEndpointClosed(endpoint, new DtlsErrors.DtlsSessionStateError('The DTLS session was closed')); });
+        thisObject.endpoints.push(endpoint);
+        return endpoint;
+    });
+
+    // NOTE: close(...) rejects our promise (via pendingConnect) if it is called before the connect has finished
+    return new Promise(function(resolve, reject) {
+        let pendingConnect = {reject: reject};
+        thisObject.pendingConnects.push(pendingConnect);
+        connectPromise.then(function(endpoint) {
+            thisObject.removePendingConnect(pendingConnect);
+            resolve(endpoint);
+        }, function(err) {
+            thisObject.removePendingConnect(pendingConnect);
+            reject(err);
+        });
+    });
+}
+
+ZipClient.prototype.removePendingConnect = function(pendingConnect) {
+    for (let iPendingConnect = 0; iPendingConnect < this.pendingConnects.length; iPendingConnect++) {
+        if (this.pendingConnects[iPendingConnect] === pendingConnect) {
+            this.pendingConnects.splice(iPendingConnect, 1);
+            break;
+        }
+    }
+}
+
+// NOTE: this function is called once an endpoint's session has ended; error is the reason (which is passed to any transmissions which are still waiting)
+ZipClient.prototype.onEndpointClosed = function(endpoint, error) {
+    if (endpoint.isClosed) {
+        return;
+    }
+    endpoint.isClosed = true;
+
+    for (let iEndpoint = 0; iEndpoint < this.endpoints.length; iEndpoint++) {
+        if (this.endpoints[iEndpoint] === endpoint) {
+            this.endpoints.splice(iEndpoint, 1);
+            break;
+        }
+    }
+    this.failTransmissions(endpoint, error);
+}
+
+ZipClient.prototype.failTransmissions = function(endpoint, error) {
+    let transmissions = endpoint.transmissions;
+    endpoint.transmissions = [];
+    for (let iTransmission = 0; iTransmission < transmissions.length; iTransmission++) {
+        this.stopTransmissionTimer(transmissions[iTransmission]);
+        transmissions[iTransmission].listener(error, null);
+    }
+}
+
+ZipClient.prototype.sendToEndpoint = function(endpoint, packet) {
+    if (endpoint.isClosed) {
+        return;
+    }
+    endpoint.stream.write(packet.toBuffer());
+}
+
+ZipClient.prototype.createSequenceNumber = function() {
+    let result = this.nextSequenceNumber;
+    this.nextSequenceNumber = (this.nextSequenceNumber + 1) % (ZipPacket.getMaximumSequenceNumber() + 1);
+    return result;
+}
+
+/* NOTE: this function sends the packet (which requests an ACK) and calls listener--function(err, ackPacket)--with the gateway's ACK Response; the packet is retransmitted
+ *       (with the same sequence number) until the gateway answers */
+ZipClient.prototype.startTransmission = function(endpoint, packet, listener) {
+    let transmission = {
+        endpoint: endpoint,
+        packet: packet,
+        retransmitCount: 0,
+        timer: null,
+        // set once the gateway has answered with NACK+Waiting
+        isWaiting: false,
+        listener: listener,
+    };
+    endpoint.transmissions.push(transmission);
+
+    this.sendToEndpoint(endpoint, packet);
+    this.startRetransmitTimer(transmission);
+    return transmission;
+}
+
+ZipClient.prototype.endTransmission = function(transmission) {
+    this.stopTransmissionTimer(transmission);
+    let transmissions = transmission.endpoint.transmissions;
+    for (let iTransmission = 0; iTransmission < transmissions.length; iTransmission++) {
+        if (transmissions[iTransmission] === transmission) {
+            transmissions.splice(iTransmission, 1);
+            break;
+        }
+    }
+}
+
+ZipClient.prototype.startRetransmitTimer = function(transmission) {
+    let thisObject = this;
+    transmission.timer = setTimeout(function() {
+        transmission.timer = null;
+        if (transmission.retransmitCount >= thisObject.maxRetransmit) {
+            thisObject.endTransmission(transmission);
+            transmission.listener(new ZipErrors.ZipTimeoutError('The Z/IP gateway did not acknowledge our command'), null);
+            return;
+        }
+        transmission.retransmitCount++;
+        thisObject.sendToEndpoint(transmission.endpoint, transmission.packet);
+        thisObject.startRetransmitTimer(transmission);
+    }, this.ackTimeout);
+}
+
+// NOTE: expectedDelay is the delay (in seconds) of the gateway's Expected Delay header extension, or null
+ZipClient.prototype.startWaitingTimer = function(transmission, expectedDelay) {
+    let thisObject = this;
+    // NOTE: the Expected Delay (e.g. the wake-up interval of a sleeping node) may extend our wait beyond waitingTimeout, but never shortens it
+    let timeout = (expectedDelay !== null ? Math.max(expectedDelay * 1000 + this.ackTimeout, this.waitingTimeout) : this.waitingTimeout);
+    transmission.timer = setTimeout(function() {
+        transmission.timer = null;
+        thisObject.endTransmission(transmission);
+        transmission.listener(new ZipErrors.ZipTimeoutError('The Z/IP gateway did not deliver our command in time'), null);
+    }, timeout);
+}
+
+ZipClient.prototype.stopTransmissionTimer = function(transmission) {
+    if (transmission.timer !== null) {
+        clearTimeout(transmission.timer);
+        transmission.timer = null;
+    }
+}
+
+function findTransmissionBySequenceNumber(endpoint, sequenceNumber) {
+    for (let iTransmission = 0; iTransmission < endpoint.transmissions.length; iTransmission++) {
+        if (endpoint.transmissions[iTransmission].packet.sequenceNumber === sequenceNumber) {
+            return endpoint.transmissions[iTransmission];
+        }
+    }
+    return null;
+}
+
+// NOTE: this function is called with each record which the endpoint's session receives (i.e. with each Z/IP packet)
+ZipClient.prototype.onEndpointData = function(endpoint, data) {
+    let packet_FromBufferResult = (data.length > 0 ? ZipPacket.fromBuffer(data) : null);
+    if (packet_FromBufferResult === null) {
+        // ignore anything which is not a (well-formed) Z/IP packet
+        return;
+    }
+    let packet = packet_FromBufferResult.record;
+
+    if (packet.isAckResponse || packet.isNackResponse) {
+        let transmission = findTransmissionBySequenceNumber(endpoint, packet.sequenceNumber);
+        if (transmission === null) {
+            // a duplicate (or late) answer
+            return;
+        }
+        this.stopTransmissionTimer(transmission);
+        if (packet.isAckResponse) {
+            this.endTransmission(transmission);
+            transmission.listener(null, packet);
+        } else if (packet.isNackWaiting) {
+            // the gateway is still trying to deliver our command (e.g. to a sleeping node), so we stop retransmitting and wait for its final answer
+            transmission.isWaiting = true;
+            this.startWaitingTimer(transmission, packet.getExpectedDelay());
+        } else {
+            this.endTransmission(transmission);
+            transmission.listener(new ZipErrors.ZipNackError(packet), null);
+        }
+        // NOTE: an answer normally carries no command; if it does, the command is processed below (like any other command)
+        if (packet.command === null) {
+            return;
+        }
+    }
+
+    // acknowledge a packet which asks for an ACK--including any retransmission of a packet which we have already processed
+    let isDuplicate = isRecentPacket(endpoint, packet.sequenceNumber);
+    if (packet.isAckRequest) {
+        // NOTE: a packet with a critical header extension which we do not understand must be rejected
+        let isOptionError = packet.headerExtensions.some(function(headerExtension) {
+            return headerExtension.isCritical && !enums.isHeaderExtensionTypeValid(headerExtension.type);
+        });
+        let answerPacket = ZipPacket.create(packet.sequenceNumber, packet.destinationEndPoint, packet.sourceEndPoint);
+        if (isOptionError) {
+            answerPacket.isNackResponse = true;
+            answerPacket.isNackOptionError = true;
+            this.sendToEndpoint(endpoint, answerPacket);
+            return;
+        }
+        answerPacket.isAckResponse = true;
+        this.sendToEndpoint(endpoint, answerPacket);
+    }
+    if (isDuplicate || packet.command === null) {
+        return;
+    }
+    addRecentPacket(endpoint, packet.sequenceNumber);
+
+    this.emit('command', packet.command, packet, {address: endpoint.dtlsSession.dstIpAddress, port: endpoint.dtlsSession.dstPort, nodeId: endpoint.nodeId});
+}
+
+// NOTE: we remember the sequence numbers of the packets which the gateway sent us during the last RECENT_PACKET_LIFETIME, so that we can recognize their retransmissions
+function isRecentPacket(endpoint, sequenceNumber) {
+    let now = Date.now();
+    endpoint.recentPackets = endpoint.recentPackets.filter(function(recentPacket) { return now - recentPacket.time < RECENT_PACKET_LIFETIME; });
+    for (let iPacket = 0; iPacket < endpoint.recentPackets.length; iPacket++) {
+        if (endpoint.recentPackets[iPacket].sequenceNumber === sequenceNumber) {
+            return true;
+        }
+    }
+    return false;
+}
+
+function addRecentPacket(endpoint, sequenceNumber) {
+    endpoint.recentPackets.push({sequenceNumber: sequenceNumber, time: Date.now()});
+    if (endpoint.recentPackets.length > MAX_RECENT_PACKET_COUNT) {
+        endpoint.recentPackets.shift();
+    }
+}
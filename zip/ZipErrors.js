@@ -0,0 +1,54 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at:
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+let util = require('util');
+
+// DTLS errors
+let DtlsErrors = require('../DtlsErrors.js');
+
+/* error types which are used to reject Z/IP commands
+ * NOTE: like our DTLS errors, every error has a string "code" property. errors of the underlying DTLS session (e.g. a failed handshake) are passed along as-is, so a
+ *       command may also be rejected with any DtlsError. */
+
+// ZipError is the base type for all of our Z/IP errors
+function ZipError(message, code) {
+    DtlsErrors.DtlsError.call(this, message, code);
+}
+util.inherits(ZipError, DtlsErrors.DtlsError);
+exports.ZipError = ZipError;
+
+// the gateway did not acknowledge our command in time (even after all retransmissions, or after it told us to wait)
+function ZipTimeoutError(message) {
+    ZipError.call(this, message, 'ETIMEDOUT');
+}
+util.inherits(ZipTimeoutError, ZipError);
+exports.ZipTimeoutError = ZipTimeoutError;
+
+// the gateway could not deliver our command; packet is the gateway's NACK Response (whose isNackQueueFull and isNackOptionError flags give the reason, if any)
+function ZipNackError(packet) {
+    let reason = (packet.isNackQueueFull ? ' (queue full)' : (packet.isNackOptionError ? ' (option error)' : ''));
+    ZipError.call(this, 'The Z/IP gateway did not deliver the command' + reason, 'EZIPNACK');
+    this.packet = packet;
+}
+util.inherits(ZipNackError, ZipError);
+exports.ZipNackError = ZipNackError;
+
+// the command was abandoned because the client was closed
+function ZipCancelledError(message) {
+    ZipError.call(this, message, 'EZIPCANCELLED');
+}
+util.inherits(ZipCancelledError, ZipError);
+exports.ZipCancelledError = ZipCancelledError;
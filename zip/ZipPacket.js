@@ -0,0 +1,349 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at:
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/* Packet layout (COMMAND_CLASS_ZIP, ZIP_PACKET):
+ *     00: Command Class (0x23)
+ *     01: Command (0x02)
+ *     02: Flags 0: ACK Request (0x80), ACK Response (0x40), NACK Response (0x20), NACK Waiting (0x10), NACK Queue Full (0x08), NACK Option Error (0x04)
+ *     03: Flags 1: Header Extension Included (0x80), Z-Wave Command Included (0x40), More Information (0x20), Secure Origin (0x10)
+ *     04: Sequence Number
+ *     05: Source End Point (7 bits)
+ *     06: Bit Address (1 bit), Destination End Point (7 bits)
+ *    07+: Header Extension (if included): the extension's length (1 byte, which counts itself), followed by its options; each option is its type (1 byte, whose top bit is
+ *         the option's "critical" flag), its length (1 byte) and its value
+ *      +: Z-Wave Command (if included), which fills the rest of the packet
+ */
+
+let enums = require('./enums.js');
+
+// constants
+const HEADER_LENGTH = 7;
+const MAX_END_POINT = 0x7f;
+const MAX_SEQUENCE_NUMBER = 0xff;
+const MAX_HEADER_EXTENSION_LENGTH = 0xff;
+const CRITICAL_FLAG = 0x80;
+// flags 0
+const FLAG_ACK_REQUEST = 0x80;
+const FLAG_ACK_RESPONSE = 0x40;
+const FLAG_NACK_RESPONSE = 0x20;
+const FLAG_NACK_WAITING = 0x10;
+const FLAG_NACK_QUEUE_FULL = 0x08;
+const FLAG_NACK_OPTION_ERROR = 0x04;
+// flags 1
+const FLAG_HEADER_EXTENSION_INCLUDED = 0x80;
+const FLAG_ZWAVE_COMMAND_INCLUDED = 0x40;
+const FLAG_MORE_INFORMATION = 0x20;
+const FLAG_SECURE_ORIGIN = 0x10;
+// destination end point
+const FLAG_BIT_ADDRESS = 0x80;
+
+function ZipPacket() {
+    // flags 0
+    this.isAckRequest = false;
+    this.isAckResponse = false;
+    this.isNackResponse = false;
+    this.isNackWaiting = false;
+    this.isNackQueueFull = false;
+    this.isNackOptionError = false;
+    // flags 1
+    this.isMoreInformation = false;
+    this.isSecureOrigin = false;
+    //
+    this.sequenceNumber = null;
+    this.sourceEndPoint = 0;
+    this.destinationEndPoint = 0;
+    // if isBitAddress is true, destinationEndPoint is a bit mask of end points (1 through 7) rather than a single end point
+    this.isBitAddress = false;
+    // each header extension is {type, isCritical, value}, where value is a Buffer
+    this.headerExtensions = [];
+    // the encapsulated Z-Wave command (a Buffer, starting with its command class); null if the packet does not carry a command (e.g. a bare ACK Response)
+    this.command = null;
+}
+
+/* NOTE: sourceEndPoint, destinationEndPoint, command and headerExtensions are OPTIONAL (defaults: end point 0, no command and no header extensions); the packet's
+ *       flags are set on the returned object (e.g. packet.isAckRequest = true) */
+exports.create = function(sequenceNumber, sourceEndPoint, destinationEndPoint, command, headerExtensions) {
+    // validate inputs
+    //
+    // sequenceNumber
+    if (typeof sequenceNumber !== "number") {
+        throw new TypeError();
+    } else if ((sequenceNumber < 0) || (sequenceNumber > MAX_SEQUENCE_NUMBER) || (Math.floor(sequenceNumber) != sequenceNumber)) {
+        throw new RangeError();
+    }
+    // sourceEndPoint and destinationEndPoint
+    if (typeof sourceEndPoint === "undefined" || sourceEndPoint === null) {
+        sourceEndPoint = 0;
+    } else if (!isEndPointValid(sourceEndPoint)) {
+        throw (typeof sourceEndPoint !== "number" ? new TypeError() : new RangeError());
+    }
+    if (typeof destinationEndPoint === "undefined" || destinationEndPoint === null) {
+        destinationEndPoint = 0;
+    } else if (!isEndPointValid(destinationEndPoint)) {
+        throw (typeof destinationEndPoint !== "number" ? new TypeError() : new RangeError());
+    }
+    // command
+    if (typeof command === "undefined" || command === null) {
+        command = null;
+    } else if (Object.prototype.toString.call(command) != "[object Uint8Array]") {
+        throw new TypeError();
+    } else if (command.length === 0) {
+        // NOTE: every Z-Wave command starts with its command class
+        throw new RangeError();
+    }
+    // headerExtensions
+    if (typeof headerExtensions === "undefined" || headerExtensions === null) {
+        headerExtensions = [];
+    } else if (!Array.isArray(headerExtensions)) {
+        throw new TypeError();
+    }
+
+    // create and initialize the new ZipPacket object
+    let result = new ZipPacket();
+    result.sequenceNumber = sequenceNumber;
+    result.sourceEndPoint = sourceEndPoint;
+    result.destinationEndPoint = destinationEndPoint;
+    result.command = (command !== null ? Buffer.from(command) : null);
+    for (let iExtension = 0; iExtension < headerExtensions.length; iExtension++) {
+        let headerExtension = headerExtensions[iExtension];
+        result.addHeaderExtension(headerExtension.type, headerExtension.value, headerExtension.isCritical);
+    }
+
+    // return the new ZipPacket object
+    return result;
+}
+
+function isEndPointValid(endPoint) {
+    return (typeof endPoint === "number" && endPoint >= 0 && endPoint <= MAX_END_POINT && Math.floor(endPoint) == endPoint);
+}
+
+// NOTE: this function returns null if a complete packet could not be parsed (including any buffer which does not start with the ZIP_PACKET command)
+// NOTE: offset is optional (default: 0)
+exports.fromBuffer = function(buffer, offset) {
+    // use currentOffset to track the current offset while reading from the buffer
+    let initialOffset;
+    let currentOffset;
+
+    // validate inputs
+    //
+    // offset
+    if (typeof offset === "undefined") {
+        initialOffset = 0;
+    } else if (typeof offset !== "number") {
+        // if the offset is provided, but is not a number, then return an error
+        throw new TypeError();
+    } else if (offset >= buffer.length) {
+        throw new RangeError();
+    } else {
+        initialOffset = offset;
+    }
+    currentOffset = initialOffset;
+    // buffer
+    if (typeof buffer === "undefined" || buffer === null) {
+        throw new TypeError();
+    } else if (Object.prototype.toString.call(buffer) != "[object Uint8Array]") {
+        throw new TypeError();
+    } else if (buffer.length - currentOffset < HEADER_LENGTH) {
+        // buffer is not long enough for a full packet header; return null.
+        return null;
+    }
+
+    // create the new ZipPacket object
+    let result = new ZipPacket();
+
+    // parse buffer
+    //
+    // command class and command
+    if (buffer[currentOffset] !== enums.CommandClass.Zip || buffer[currentOffset + 1] !== enums.ZipCommand.ZipPacket) {
+        return null;
+    }
+    currentOffset += 2;
+    // flags 0
+    let flags0 = buffer[currentOffset];
+    result.isAckRequest = ((flags0 & FLAG_ACK_REQUEST) !== 0);
+    result.isAckResponse = ((flags0 & FLAG_ACK_RESPONSE) !== 0);
+    result.isNackResponse = ((flags0 & FLAG_NACK_RESPONSE) !== 0);
+    result.isNackWaiting = ((flags0 & FLAG_NACK_WAITING) !== 0);
+    result.isNackQueueFull = ((flags0 & FLAG_NACK_QUEUE_FULL) !== 0);
+    result.isNackOptionError = ((flags0 & FLAG_NACK_OPTION_ERROR) !== 0);
+    currentOffset += 1;
+    // flags 1
+    let flags1 = buffer[currentOffset];
+    let isHeaderExtensionIncluded = ((flags1 & FLAG_HEADER_EXTENSION_INCLUDED) !== 0);
+    let isCommandIncluded = ((flags1 & FLAG_ZWAVE_COMMAND_INCLUDED) !== 0);
+    result.isMoreInformation = ((flags1 & FLAG_MORE_INFORMATION) !== 0);
+    result.isSecureOrigin = ((flags1 & FLAG_SECURE_ORIGIN) !== 0);
+    currentOffset += 1;
+    // sequence number
+    result.sequenceNumber = buffer[currentOffset];
+    currentOffset += 1;
+    // source end point
+    result.sourceEndPoint = buffer[currentOffset] & MAX_END_POINT;
+    currentOffset += 1;
+    // bit address and destination end point
+    result.isBitAddress = ((buffer[currentOffset] & FLAG_BIT_ADDRESS) !== 0);
+    result.destinationEndPoint = buffer[currentOffset] & MAX_END_POINT;
+    currentOffset += 1;
+    // header extension
+    if (isHeaderExtensionIncluded) {
+        if (buffer.length - currentOffset < 1) {
+            return null;
+        }
+        // NOTE: the header extension's length includes its own length byte
+        let headerExtensionLength = buffer[currentOffset];
+        if (headerExtensionLength < 1 || buffer.length - currentOffset < headerExtensionLength) {
+            return null;
+        }
+        let headerExtensionEnd = currentOffset + headerExtensionLength;
+        currentOffset += 1;
+        while (currentOffset < headerExtensionEnd) {
+            if (headerExtensionEnd - currentOffset < 2) {
+                return null;
+            }
+            let type = buffer[currentOffset] & ~CRITICAL_FLAG;
+            let isCritical = ((buffer[currentOffset] & CRITICAL_FLAG) !== 0);
+            let length = buffer[currentOffset + 1];
+            currentOffset += 2;
+            if (headerExtensionEnd - currentOffset < length) {
+                return null;
+            }
+            result.headerExtensions.push({type: type, isCritical: isCritical, value: Buffer.from(buffer.slice(currentOffset, currentOffset + length))});
+            currentOffset += length;
+        }
+    }
+    // z-wave command
+    if (isCommandIncluded) {
+        if (currentOffset >= buffer.length) {
+            return null;
+        }
+        result.command = Buffer.from(buffer.slice(currentOffset));
+        currentOffset = buffer.length;
+    }
+
+    // return the new ZipPacket object
+    return {record: result, bytesConsumed: currentOffset - initialOffset};
+}
+
+ZipPacket.prototype.toBuffer = function() {
+    // encode our header extension first (so that we know its length)
+    let headerExtensionBuffers = [];
+    let headerExtensionLength = 1;
+    for (let iExtension = 0; iExtension < this.headerExtensions.length; iExtension++) {
+        let headerExtension = this.headerExtensions[iExtension];
+        headerExtensionBuffers.push(Buffer.from([headerExtension.type | (headerExtension.isCritical ? CRITICAL_FLAG : 0x00), headerExtension.value.length]));
+        headerExtensionBuffers.push(headerExtension.value);
+        headerExtensionLength += 2 + headerExtension.value.length;
+    }
+    if (headerExtensionLength > MAX_HEADER_EXTENSION_LENGTH) {
+        throw new RangeError();
+    }
+
+    // create our header buffer (which we will then populate)
+    let header = Buffer.alloc(HEADER_LENGTH);
+    // use offset to track the current offset while writing to the buffer
+    let offset = 0;
+
+    // populate packet header
+    //
+    // command class and command
+    header[offset] = enums.CommandClass.Zip;
+    header[offset + 1] = enums.ZipCommand.ZipPacket;
+    offset += 2;
+    // flags 0
+    header[offset] = (this.isAckRequest ? FLAG_ACK_REQUEST : 0) |
+        (this.isAckResponse ? FLAG_ACK_RESPONSE : 0) |
+        (this.isNackResponse ? FLAG_NACK_RESPONSE : 0) |
+        (this.isNackWaiting ? FLAG_NACK_WAITING : 0) |
+        (this.isNackQueueFull ? FLAG_NACK_QUEUE_FULL : 0) |
+        (this.isNackOptionError ? FLAG_NACK_OPTION_ERROR : 0);
+    offset += 1;
+    // flags 1
+    header[offset] = (this.headerExtensions.length > 0 ? FLAG_HEADER_EXTENSION_INCLUDED : 0) |
+        (this.command !== null ? FLAG_ZWAVE_COMMAND_INCLUDED : 0) |
+        (this.isMoreInformation ? FLAG_MORE_INFORMATION : 0) |
+        (this.isSecureOrigin ? FLAG_SECURE_ORIGIN : 0);
+    offset += 1;
+    // sequence number
+    header[offset] = this.sequenceNumber;
+    offset += 1;
+    // source end point
+    header[offset] = this.sourceEndPoint;
+    offset += 1;
+    // bit address and destination end point
+    header[offset] = (this.isBitAddress ? FLAG_BIT_ADDRESS : 0) | this.destinationEndPoint;
+    offset += 1;
+
+    let buffers = [header];
+    if (this.headerExtensions.length > 0) {
+        buffers.push(Buffer.from([headerExtensionLength]));
+        buffers = buffers.concat(headerExtensionBuffers);
+    }
+    if (this.command !== null) {
+        buffers.push(this.command);
+    }
+
+    // return the buffer (result)
+    return Buffer.concat(buffers);
+}
+
+// NOTE: isCritical is OPTIONAL (default: false); a recipient which does not understand a critical header extension must reject the packet
+ZipPacket.prototype.addHeaderExtension = function(type, value, isCritical) {
+    // validate inputs
+    //
+    // type
+    if (typeof type !== "number") {
+        throw new TypeError();
+    } else if ((type < 0) || (type > 0x7f) || (Math.floor(type) != type)) {
+        throw new RangeError();
+    }
+    // value
+    if (typeof value === "undefined" || value === null) {
+        value = Buffer.alloc(0);
+    } else if (Object.prototype.toString.call(value) != "[object Uint8Array]") {
+        throw new TypeError();
+    } else if (value.length > 0xff) {
+        throw new RangeError();
+    }
+
+    this.headerExtensions.push({type: type, isCritical: (isCritical === true), value: Buffer.from(value)});
+}
+
+// NOTE: this function returns the value (a Buffer) of the first header extension of the specified type--or null if the packet does not have that header extension
+ZipPacket.prototype.getHeaderExtension = function(type) {
+    for (let iExtension = 0; iExtension < this.headerExtensions.length; iExtension++) {
+        if (this.headerExtensions[iExtension].type === type) {
+            return this.headerExtensions[iExtension].value;
+        }
+    }
+    return null;
+}
+
+// NOTE: this function returns the delay (in seconds) of the packet's Expected Delay header extension--or null if the packet does not have one
+ZipPacket.prototype.getExpectedDelay = function() {
+    let value = this.getHeaderExtension(enums.HeaderExtensionType.ExpectedDelay);
+    if (value === null || value.length !== 3) {
+        return null;
+    }
+    return value.readUIntBE(0, 3);
+}
+
+exports.getMaximumSequenceNumber = function() {
+    return MAX_SEQUENCE_NUMBER;
+}
+
+exports.getMaximumEndPoint = function() {
+    return MAX_END_POINT;
+}
@@ -0,0 +1,54 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at:
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/* Z/IP enums (see the Z-Wave Z/IP command class, COMMAND_CLASS_ZIP) */
+
+exports.CommandClass = Object.freeze({
+    Zip: 0x23,
+    properties: {
+        0x23: {name: "Zip"},
+    }
+});
+
+exports.ZipCommand = Object.freeze({
+    ZipPacket: 0x02,
+    properties: {
+        0x02: {name: "ZipPacket"},
+    }
+});
+
+// NOTE: the type of each header extension is 7 bits long; the top bit of its type byte is the extension's "critical" flag
+exports.HeaderExtensionType = Object.freeze({
+    ExpectedDelay: 0x01,
+    InstallationAndMaintenanceGet: 0x02,
+    InstallationAndMaintenanceReport: 0x03,
+    EncapsulationFormatInformation: 0x04,
+    MulticastAddressing: 0x05,
+    properties: {
+        0x01: {name: "ExpectedDelay"},
+        0x02: {name: "InstallationAndMaintenanceGet"},
+        0x03: {name: "InstallationAndMaintenanceReport"},
+        0x04: {name: "EncapsulationFormatInformation"},
+        0x05: {name: "MulticastAddressing"},
+    }
+});
+exports.isHeaderExtensionTypeValid = function(headerExtensionType) {
+    return (this.HeaderExtensionType.properties[headerExtensionType] !== undefined);
+}
+exports.getHeaderExtensionTypeAsString = function(headerExtensionType) {
+    let properties = this.HeaderExtensionType.properties[headerExtensionType];
+    return (properties !== undefined ? properties.name : null);
+}